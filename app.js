@@ -0,0 +1,1367 @@
+/**
+ * Track My Home API application
+ *
+ * createApp({ openai, admin, config }) builds the Express app with all routes
+ * and middleware. It does not read Firebase credentials or bind a port, so the
+ * app can be started by index.js, mounted in another Express server, exported
+ * as a Vercel function or exercised in-process by tests.
+ *
+ * Dependencies:
+ * - admin: the firebase-admin module with an initialized default app (ID
+ *   tokens, Storage retention, Firestore stores and the Assistant webhook)
+ * - openai: optional OpenAI client for the "openai" model provider
+ *   (default: a client for OPENAI_API_KEY, created on first use)
+ * - config: optional overrides of the settings in getDefaultConfig()
+ *
+ * The model provider registry and the enrichment cache are process-wide: the
+ * openai client and cache backend of the last created app are shared by every
+ * app in the process.
+ */
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const sharp = require('sharp');
+const multer = require('multer');
+const crypto = require('crypto');
+
+// Import collector services
+const { attachItemImages, processCollectorItems, processCollectorItem, reEnrichCollectorItem, getCollectorStats, cleanItemForResponse, cleanItemsForResponse } = require('./services/collectorService');
+const { getOpenApiDocument, validateRequestBody } = require('./services/apiSpec');
+const { registerAssistantWebhook } = require('./services/assistantWebhook');
+const { parseImageHeader } = require('./utils/imageHeader');
+const { downloadAndEncodeImage, loadUploadedImage, resolveLocalImageUrl, getMaxImageBytes, ImageDownloadError } = require('./services/imageDownloader');
+const { applyImageRetention } = require('./services/imageRetention');
+const { parseBooleanFlag } = require('./utils/booleanFlag');
+const { mergeItemsAcrossImages, combineTokenUsage } = require('./utils/itemMerger');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { pingModel, registerModelProvider, createOpenAIProvider, toModelError } = require('./services/modelProvider');
+const { buildItemPrompt, getPromptVersion } = require('./prompts/itemPrompts');
+const { extractItems, extractSingleItem } = require('./services/itemExtraction');
+const { createJobStore, createJob, runJob, validateCallbackUrl, formatJobForResponse } = require('./services/jobService');
+const { configureCache } = require('./services/cacheService');
+const { createUsageStore, accountUsage, checkQuota, getUsageSummary } = require('./services/usageService');
+const { observeHttpRequest, observeStage, renderMetrics, isMetricsEnabled, isMetricsRequestAuthorized } = require('./services/metricsService');
+const { checkReadiness } = require('./services/healthService');
+const { verifyIdToken } = require('./services/authService');
+const { matchesBearerToken } = require('./utils/bearerToken');
+const { getConfig } = require('./utils/config');
+const { createLogger, runWithRequestContext, addRequestContext } = require('./utils/logger');
+const { BadRequestError, AuthenticationError, ForbiddenError, NotFoundError, TooManyRequestsError, BadGatewayError, ValidationError, toApiError, formatApiError } = require('./utils/errors');
+
+const log = createLogger('API');
+const openaiLog = createLogger('OpenAI');
+const singleLog = openaiLog.child('Single');
+
+const API_VERSION = '1.1.0';
+
+/**
+ * App settings from the validated config (utils/config.js), read when createApp() is called
+ * @returns {Object} { rateLimitWindowMs, rateLimitMaxRequests, batchMaxImages, batchConcurrency, jsonBodyLimit }
+ */
+const getDefaultConfig = () => {
+  const { server } = getConfig();
+  return {
+    rateLimitWindowMs: server.rateLimitWindowMs,
+    rateLimitMaxRequests: server.rateLimitMaxRequests,
+    batchMaxImages: server.batchMaxImages,
+    batchConcurrency: server.batchConcurrency,
+    jsonBodyLimit: '10mb'
+  };
+};
+
+/**
+ * Middleware to assign a request id: the caller's X-Request-Id (if it looks
+ * sane) or a new UUID. It is echoed in the X-Request-Id response header and
+ * the rest of the request runs in a logging context, so every log line of the
+ * request (services, external API calls, async jobs) carries it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  runWithRequestContext({ request_id: req.id }, () => {
+    const startTime = Date.now();
+    res.on('finish', () => {
+      // 'finish' may fire outside the request context, so pass the ids explicitly
+      const entry = {
+        request_id: req.id,
+        user_id: req.user?.uid,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        duration_ms: Date.now() - startTime
+      };
+      if (res.statusCode >= 500) log.error('Request completed', entry);
+      else log.info('Request completed', entry);
+
+      // Route pattern (e.g. /jobs/:id) keeps the number of metric series bounded
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      observeHttpRequest({ method: req.method, route, status: res.statusCode, seconds: entry.duration_ms / 1000 });
+    });
+    next();
+  });
+};
+
+/**
+ * Send an error response:
+ * { version, error, code, details, retryable, retry_after?, ...extra, ...fields }
+ * Unknown errors become a 500 INTERNAL_ERROR without their (internal) message.
+ * @param {Object} res - Express response object
+ * @param {Error} error - Typed error (utils/errors) or any other error
+ * @param {string|null} summary - What failed, e.g. 'Failed to process image' (default: the error message)
+ * @param {Object} fields - Additional response fields, e.g. { processing_time }
+ */
+const sendError = (res, error, summary = null, fields = {}) => {
+  const apiError = toApiError(error);
+  const body = formatApiError(apiError);
+  if (body.retry_after) {
+    res.set('Retry-After', String(body.retry_after));
+  }
+  return res.status(apiError.status).json({
+    version: API_VERSION,
+    error: summary || apiError.message,
+    ...body,
+    ...fields
+  });
+};
+/**
+ * Create the middleware to verify the Firebase ID token (sets req.user).
+ * In DEV_MODE signed dev tokens are accepted too (see services/authService.js).
+ * @param {Object} admin - Firebase Admin SDK
+ * @returns {Function} Express middleware
+ */
+const createFirebaseTokenVerifier = (admin) => async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return sendError(res, new AuthenticationError('UNAUTHENTICATED', 'No valid authorization header found'));
+    }
+
+    const idToken = authHeader.split('Bearer ')[1];
+    const decodedToken = await verifyIdToken(admin, idToken);
+    
+    req.user = decodedToken;
+    addRequestContext({ user_id: decodedToken.uid });
+    next();
+  } catch (error) {
+    log.error('Firebase token verification failed:', error);
+    return sendError(res, new AuthenticationError('INVALID_TOKEN', 'Invalid or expired token', { cause: error }));
+  }
+};
+
+/**
+ * Middleware for operator endpoints (/ready, /test-openai): requires
+ * `Authorization: Bearer <ADMIN_TOKEN>`. Without ADMIN_TOKEN these endpoints are disabled.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireAdminToken = (req, res, next) => {
+  const { adminToken } = getConfig().server;
+  if (!adminToken) {
+    return sendError(res, new NotFoundError('ADMIN_DISABLED', 'Admin endpoints are disabled: ADMIN_TOKEN is not configured'));
+  }
+
+  if (!matchesBearerToken(req.headers.authorization, adminToken)) {
+    return sendError(res, new AuthenticationError('INVALID_ADMIN_TOKEN', 'Invalid or missing admin token'));
+  }
+
+  next();
+};
+
+/**
+ * Middleware factory to validate the request body against the OpenAPI document.
+ * Form fields and query parameters (uploads) are validated as strings and
+ * coerced to the schema types; req.body is replaced by the coerced value.
+ * Responds 400 with code VALIDATION_ERROR and one entry per violation.
+ * @param {string} operationId - Operation in services/apiSpec.js, e.g. 'process'
+ * @returns {Function} Express middleware
+ */
+const validateBody = (operationId) => (req, res, next) => {
+  const form = Boolean(req.file) || Boolean(req.is('multipart/form-data'));
+  const body = req.body || {};
+  // DEV_MODE: local image paths become file:// URLs
+  if (body.image_url) body.image_url = resolveLocalImageUrl(body.image_url);
+  if (Array.isArray(body.image_urls)) body.image_urls = body.image_urls.map(resolveLocalImageUrl);
+  const { valid, errors, value } = validateRequestBody(operationId, body, { form });
+
+  if (!valid) {
+    log.warn(`Request body rejected: ${errors.length} validation error(s)`, { validation_errors: errors });
+    return sendError(res, new ValidationError(errors), 'Invalid request body');
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Create the middleware to accept an uploaded image next to the JSON `image_url` flow.
+ * - multipart/form-data: image in field "image", other fields as form fields
+ * - image/*: raw image bytes as body, other fields as query parameters
+ * Sets req.file = { buffer, mimetype } and req.body to the non-image fields.
+ * @param {number} maxBytes - Maximum image size (MAX_IMAGE_BYTES)
+ * @returns {Function} Express middleware
+ */
+const createImageUploadParser = (maxBytes) => {
+  const multipartImageParser = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 }
+  }).single('image');
+  const rawImageParser = express.raw({ type: 'image/*', limit: maxBytes });
+
+  return (req, res, next) => {
+    const rejectUpload = (error) => {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE' || error.type === 'entity.too.large';
+      log.error('Image upload rejected:', error.message);
+      if (tooLarge) {
+        return sendError(res, new ImageDownloadError('IMAGE_TOO_LARGE', `Image exceeds the maximum size of ${maxBytes} bytes`, 413), 'Uploaded image is too large');
+      }
+      return sendError(res, new BadRequestError('INVALID_UPLOAD', error.message, { cause: error }), 'Invalid image upload');
+    };
+
+    if (req.is('multipart/form-data')) {
+      return multipartImageParser(req, res, (error) => {
+        if (error) return rejectUpload(error);
+        next();
+      });
+    }
+
+    if (req.is('image/*')) {
+      return rawImageParser(req, res, (error) => {
+        if (error) return rejectUpload(error);
+        req.file = { buffer: req.body, mimetype: req.headers['content-type'] };
+        req.body = { ...req.query };
+        next();
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Create the middleware to enforce the per-user quotas (images per day, tokens per month).
+ * Responds 429 with code QUOTA_EXCEEDED, the breached quota and a Retry-After header.
+ * @param {Object} usageStore - Store from createUsageStore()
+ * @returns {Function} Express middleware
+ */
+const createQuotaEnforcer = (usageStore) => async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const images = Array.isArray(body.image_urls) ? body.image_urls.length : (req.file || body.image_url ? 1 : 0);
+    const breach = await checkQuota(usageStore, req.user.uid, images);
+    if (!breach) return next();
+
+    log.warn(`Quota ${breach.quota} exceeded for user ${req.user.uid} (${breach.used}/${breach.limit})`);
+    const message = breach.quota === 'images_per_day' ? 'Daily image quota exceeded' : 'Monthly token quota exceeded';
+    return sendError(res, new TooManyRequestsError('QUOTA_EXCEEDED', message, {
+      retryAfterMs: Date.parse(breach.resets_at) - Date.now(),
+      extra: { quota: breach }
+    }));
+  } catch (error) {
+    // A usage store outage should not block processing
+    log.error('Quota check failed:', error.message);
+    next();
+  }
+};
+
+
+/**
+ * Normalize the `tags` field, which is an array in JSON bodies but a string
+ * (JSON array or comma-separated) in form fields and query parameters.
+ * @param {Array<string>|string|undefined} tags
+ * @returns {Array<string>} Tags array
+ */
+const normalizeTags = (tags) => {
+  if (Array.isArray(tags)) return tags;
+  if (typeof tags !== 'string' || tags.trim() === '') return [];
+
+  if (tags.trim().startsWith('[')) {
+    try {
+      const parsed = JSON.parse(tags);
+      return Array.isArray(parsed) ? parsed.map(String) : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  return tags.split(',').map(t => t.trim()).filter(Boolean);
+};
+
+/**
+ * Load the request image from an upload or by downloading image_url
+ * @param {Object} req - Express request object
+ * @param {string|undefined} imageUrl - image_url from the body
+ * @returns {Promise<Object>} { base64, filePath, mimeType, bytes } — filePath is null for uploads
+ */
+const loadRequestImage = async (req, imageUrl) => {
+  if (req.file) {
+    return loadUploadedImage(req.file.buffer);
+  }
+  return downloadAndEncodeImage(imageUrl);
+};
+
+/**
+ * Compress image to reduce token usage.
+ * Auto-rotates according to EXIF orientation, downscales to fit inside the
+ * maxWidth x maxHeight box (never upscales) and re-encodes as JPEG.
+ * @param {string} base64Image - Base64 encoded image
+ * @param {number} maxWidth - Maximum width (default: 1024)
+ * @param {number} maxHeight - Maximum height (default: 1024)
+ * @param {number} quality - JPEG quality 1-100 (default: IMAGE_JPEG_QUALITY)
+ * @returns {Promise<Object>} { base64, mimeType, width, height, stats } where stats holds before/after bytes and dimensions
+ */
+const compressImage = async (base64Image, maxWidth = 1024, maxHeight = 1024, quality = getConfig().images.jpegQuality) => {
+  const buffer = Buffer.from(base64Image, 'base64');
+
+  try {
+    const metadata = await sharp(buffer).metadata();
+    // EXIF orientations 5-8 are rotated by 90°, so the displayed size is swapped
+    const rotated = metadata.orientation >= 5;
+    const originalWidth = rotated ? metadata.height : metadata.width;
+    const originalHeight = rotated ? metadata.width : metadata.height;
+
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({
+        width: maxWidth,
+        height: maxHeight,
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .jpeg({ quality })
+      .toBuffer({ resolveWithObject: true });
+
+    log.info(`Compressed image from ${originalWidth}x${originalHeight} (${buffer.length} bytes) to ${info.width}x${info.height} (${data.length} bytes) at quality ${quality}`);
+
+    return {
+      base64: data.toString('base64'),
+      mimeType: 'image/jpeg',
+      width: info.width,
+      height: info.height,
+      stats: {
+        original_bytes: buffer.length,
+        compressed_bytes: data.length,
+        original_dimensions: `${originalWidth}x${originalHeight}`,
+        compressed_dimensions: `${info.width}x${info.height}`,
+        jpeg_quality: quality
+      }
+    };
+  } catch (error) {
+    log.error('Error compressing image, using original:', error.message);
+
+    // Return original if compression fails (e.g. HEIC without a HEVC decoder)
+    const header = parseImageHeader(buffer);
+    const width = header?.width || null;
+    const height = header?.height || null;
+    const dimensions = width && height ? `${width}x${height}` : null;
+    if (!dimensions) {
+      log.warn(`Could not determine image dimensions (detected type: ${header?.mimeType || 'unknown'})`);
+    }
+
+    return {
+      base64: base64Image,
+      mimeType: header?.mimeType || 'image/jpeg',
+      width,
+      height,
+      stats: {
+        original_bytes: buffer.length,
+        compressed_bytes: buffer.length,
+        original_dimensions: dimensions,
+        compressed_dimensions: dimensions,
+        jpeg_quality: null
+      }
+    };
+  }
+};
+
+/**
+ * Process image with OpenAI Vision API
+ * @param {string} base64Image - Base64 encoded image
+ * @param {string} language - Language for the output (default: 'en' for English)
+ * @param {Array<string>} userTags - Optional array of user tags for classification
+ * @returns {Object} OpenAI response with detected items and token usage
+ */
+const processImageWithOpenAI = async (base64Image, language = 'en', userTags = []) => {
+  // Compress image to reduce token usage
+  const {
+    base64: compressedImage,
+    mimeType: imageMimeType,
+    width: imageWidth,
+    height: imageHeight,
+    stats: compressionStats
+  } = await compressImage(base64Image, 1024, 1024);
+  const dimensionsHint = imageWidth && imageHeight ? ` (dimensions: ${imageWidth}x${imageHeight} pixels)` : '';
+  
+  // Merge user tags with system tags
+  const { mergeTagsWithSystem } = require('./utils/tagMatcher');
+  const allTags = mergeTagsWithSystem(userTags);
+  
+  // Log tags info
+  openaiLog.info(`User provided ${userTags.length} tags: ${userTags.join(', ') || 'none'}`);
+  openaiLog.info(`Tags after merging with system tags (${allTags.length}): ${allTags.join(', ')}`);
+  
+  // Build prompt and schema from the category registry
+  const itemPrompt = buildItemPrompt({ mode: 'items', tags: allTags, language, dimensionsHint });
+  
+  try {
+    const extraction = await extractItems('process', {
+      prompt: itemPrompt.prompt,
+      image: { base64: compressedImage, mimeType: imageMimeType },
+      schemaName: itemPrompt.schemaName,
+      schema: itemPrompt.schema,
+      maxOutputTokens: 10000
+    });
+    
+    // Token usage is summed over the repair/continuation call, if one was needed
+    const promptTokens = extraction.usage.input_tokens;
+    const completionTokens = extraction.usage.output_tokens;
+    const totalTokens = extraction.usage.total_tokens;
+    
+    // Log detailed token usage
+    const estimatedImageTokens = imageWidth && imageHeight ? Math.ceil((imageWidth * imageHeight) / 768) : null;
+    
+    openaiLog.info('Token usage details', {
+      model: `${extraction.provider}/${extraction.model}`,
+      model_calls: extraction.model_calls,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: totalTokens,
+      image_dimensions: compressionStats.compressed_dimensions || 'unknown',
+      image_mime_type: imageMimeType,
+      estimated_image_tokens: estimatedImageTokens
+    });
+    
+    // Warn if token usage is high
+    const warnings = [...extraction.warnings];
+    if (totalTokens > 15000) {
+      openaiLog.warn(`High token usage detected: ${totalTokens} tokens. Consider using smaller images.`);
+      warnings.push(`High token usage: ${totalTokens} tokens. Consider using smaller images to reduce costs.`);
+    }
+    
+    openaiLog.info(`Extracted ${extraction.items.length} valid items`);
+    
+    return {
+      items: extraction.items,
+      token_usage: {
+        // Keep backward compatible fields
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: totalTokens,
+        // Also expose new fields
+        input_tokens: promptTokens,
+        output_tokens: completionTokens,
+        image_compression: compressionStats,
+        model: extraction.model,
+        provider: extraction.provider,
+        model_calls: extraction.model_calls
+      },
+      prompt_version: itemPrompt.version,
+      warnings
+    };
+  } catch (error) {
+    // Model failures are typed ModelErrors (status, code, retryable); the provider message is their cause
+    openaiLog.error('Model call failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Process single item with OpenAI Vision API
+ * @param {string} base64Image - Base64 encoded image
+ * @param {string|null} itemDescription - Optional description of the item to focus on
+ * @param {string} language - Language for the output (default: 'en' for English)
+ * @param {Array<string>} userTags - Optional array of user tags for classification
+ * @param {string} userTips - Optional recognition hints (sentences/words)
+ * @returns {Object} OpenAI response with single item details and token usage
+ */
+const processSingleItemWithOpenAI = async (base64Image, itemDescription = null, language = 'en', userTags = [], userTips = '') => {
+  // Compress image to reduce token usage
+  const {
+    base64: compressedImage,
+    mimeType: imageMimeType,
+    width: imageWidth,
+    height: imageHeight,
+    stats: compressionStats
+  } = await compressImage(base64Image, 1024, 1024);
+  const dimensionsHint = imageWidth && imageHeight ? ` (dimensions: ${imageWidth}x${imageHeight} pixels)` : '';
+  
+  // Merge user tags with system tags
+  const { mergeTagsWithSystem } = require('./utils/tagMatcher');
+  const allTags = mergeTagsWithSystem(userTags);
+  
+  // Log tags info
+  singleLog.info(`User provided ${userTags.length} tags: ${userTags.join(', ') || 'none'}`);
+  singleLog.info(`Tags after merging with system tags (${allTags.length}): ${allTags.join(', ')}`);
+  
+  // Build prompt and schema from the category registry
+  const itemPrompt = buildItemPrompt({
+    mode: 'single',
+    tags: allTags,
+    language,
+    tips: userTips,
+    itemDescription,
+    dimensionsHint
+  });
+  
+  try {
+    const extraction = await extractSingleItem('process-single', {
+      prompt: itemPrompt.prompt,
+      image: { base64: compressedImage, mimeType: imageMimeType },
+      schemaName: itemPrompt.schemaName,
+      schema: itemPrompt.schema,
+      maxOutputTokens: 10000
+    }, itemDescription);
+    
+    // Token usage is summed over the repair/continuation call, if one was needed
+    const promptTokens = extraction.usage.input_tokens;
+    const completionTokens = extraction.usage.output_tokens;
+    const totalTokens = extraction.usage.total_tokens;
+    
+    // Log detailed token usage
+    const estimatedImageTokens = imageWidth && imageHeight ? Math.ceil((imageWidth * imageHeight) / 768) : null;
+    
+    singleLog.info('Token usage details', {
+      model: `${extraction.provider}/${extraction.model}`,
+      model_calls: extraction.model_calls,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: totalTokens,
+      image_dimensions: compressionStats.compressed_dimensions || 'unknown',
+      image_mime_type: imageMimeType,
+      estimated_image_tokens: estimatedImageTokens
+    });
+    
+    // Warn if token usage is high
+    const warnings = [...extraction.warnings];
+    if (totalTokens > 15000) {
+      singleLog.warn(`High token usage detected: ${totalTokens} tokens. Consider using smaller images.`);
+      warnings.push(`High token usage: ${totalTokens} tokens. Consider using smaller images to reduce costs.`);
+    }
+    
+    singleLog.info('Extracted item:', extraction.item.name);
+    
+    return {
+      item: extraction.item,
+      token_usage: {
+        // Keep backward compatible fields
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: totalTokens,
+        // Also expose new fields
+        input_tokens: promptTokens,
+        output_tokens: completionTokens,
+        image_compression: compressionStats,
+        model: extraction.model,
+        provider: extraction.provider,
+        model_calls: extraction.model_calls
+      },
+      prompt_version: itemPrompt.version,
+      warnings
+    };
+  } catch (error) {
+    // Model failures are typed ModelErrors (status, code, retryable); the provider message is their cause
+    singleLog.error('Model call failed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Flatten the followup questions of all items, tagging each with its item_index
+ * @param {Array<Object>} items - Enriched items
+ * @returns {Array<Object>} Followup questions with item_index
+ */
+const collectFollowupQuestions = (items) => {
+  const allFollowupQuestions = [];
+  items.forEach((item, index) => {
+    if (item.followup_questions && item.followup_questions.length > 0) {
+      item.followup_questions.forEach(q => {
+        allFollowupQuestions.push({ ...q, item_index: index });
+      });
+    }
+  });
+  return allFollowupQuestions;
+};
+
+const PROCESS_STAGES = ['download', 'analyze', 'enrich', 'retention'];
+
+/**
+ * Run one pipeline stage, report running/done/failed to the progress callback
+ * and record its duration in the metrics
+ * @param {Function} progress - (stage, status) => void
+ * @param {string} stage - Stage name
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of fn
+ */
+const runStage = async (progress, stage, fn) => {
+  progress(stage, 'running');
+  const startTime = Date.now();
+  try {
+    const result = await fn();
+    observeStage(stage, 'ok', (Date.now() - startTime) / 1000);
+    progress(stage, 'done');
+    return result;
+  } catch (error) {
+    observeStage(stage, 'error', (Date.now() - startTime) / 1000);
+    progress(stage, 'failed');
+    throw error;
+  }
+};
+
+/**
+ * Multi-item pipeline behind /process: load image, detect items, enrich, apply retention
+ * @param {Object} admin - Firebase Admin SDK (image retention)
+ * @param {Object} params - { loadImage, userId, language, userTags, retainImage, imageSource }
+ * @param {Function} progress - Optional (stage, status) => void, used by async jobs and streaming
+ * @param {Object} listeners - Optional { onDetected(result), onItemEnriched(item, index) }, used by streaming
+ * @returns {Promise<Object>} Response body
+ */
+const runProcessPipeline = async (admin, { loadImage, userId, language, userTags, retainImage, imageSource }, progress = () => {}, listeners = {}) => {
+  const startTime = Date.now();
+
+  // Load uploaded image or download and encode image_url
+  const { base64: base64Image, filePath } = await runStage(progress, 'download', loadImage);
+
+  // Process with OpenAI Vision
+  const result = await runStage(progress, 'analyze', () => processImageWithOpenAI(base64Image, language, userTags));
+  if (listeners.onDetected) listeners.onDetected(result);
+
+  const enrichedItems = await runStage(progress, 'enrich', async () => {
+    // Attach the image (a crop of the item's region for collector items) for the Vision lookups
+    const itemsWithImage = await attachItemImages(result.items, base64Image);
+
+    // Enrich collector items with external API data
+    const enrichedItemsRaw = await processCollectorItems(itemsWithImage, listeners.onItemEnriched);
+
+    // Strip internal fields (e.g. _base64Image) before sending response
+    return cleanItemsForResponse(enrichedItemsRaw);
+  });
+
+  // Get collector statistics
+  const collectorStats = getCollectorStats(enrichedItems);
+
+  // Delete, schedule or archive the image in Firebase Storage (uploads are never stored)
+  const retention = await runStage(progress, 'retention', () => applyImageRetention(admin, filePath, { retainImage }));
+
+  const processingTime = (Date.now() - startTime) / 1000;
+
+  const allFollowupQuestions = collectFollowupQuestions(enrichedItems);
+
+  return {
+    version: API_VERSION,
+    items: enrichedItems,
+    token_usage: result.token_usage,
+    prompt_version: result.prompt_version,
+    warnings: result.warnings || [],
+    processing_time: processingTime,
+    user_id: userId,
+    image_source: imageSource,
+    image_deleted: retention.deleted,
+    image_retention: retention,
+    collector_stats: collectorStats,
+    followup_questions: allFollowupQuestions,
+    has_followup: allFollowupQuestions.length > 0
+  };
+};
+
+/**
+ * Single-item pipeline behind /process-single: load image, analyze one item, enrich, apply retention
+ * @param {Object} admin - Firebase Admin SDK (image retention)
+ * @param {Object} params - { loadImage, userId, itemName, language, userTags, userTips, retainImage, imageSource }
+ * @param {Function} progress - Optional (stage, status) => void, used by async jobs
+ * @returns {Promise<Object>} Response body
+ */
+const runSingleItemPipeline = async (admin, { loadImage, userId, itemName, language, userTags, userTips, retainImage, imageSource }, progress = () => {}) => {
+  const startTime = Date.now();
+
+  // Load uploaded image or download and encode image_url
+  const { base64: base64Image, filePath } = await runStage(progress, 'download', loadImage);
+
+  // Process with OpenAI Vision - single item focus
+  const result = await runStage(progress, 'analyze', () => processSingleItemWithOpenAI(base64Image, itemName, language, userTags, userTips));
+
+  const enrichedItem = await runStage(progress, 'enrich', async () => {
+    // Attach the image (a crop of the item's region for collector items) for the Vision lookups
+    const [itemWithImage] = await attachItemImages([result.item], base64Image);
+
+    // Enrich collector item with external API data
+    const enrichedItemRaw = await processCollectorItem(itemWithImage);
+
+    // Strip internal fields (e.g. _base64Image) before sending response
+    return cleanItemForResponse(enrichedItemRaw);
+  });
+
+  // Delete, schedule or archive the image in Firebase Storage (uploads are never stored)
+  const retention = await runStage(progress, 'retention', () => applyImageRetention(admin, filePath, { retainImage }));
+
+  const processingTime = (Date.now() - startTime) / 1000;
+
+  const itemFollowup = enrichedItem.followup_questions || [];
+
+  const response = {
+    version: API_VERSION,
+    item: enrichedItem,
+    token_usage: result.token_usage,
+    prompt_version: result.prompt_version,
+    warnings: result.warnings || [],
+    processing_time: processingTime,
+    user_id: userId,
+    image_source: imageSource,
+    image_deleted: retention.deleted,
+    image_retention: retention,
+    followup_questions: itemFollowup,
+    has_followup: itemFollowup.length > 0
+  };
+
+  // Only include searched_for if item_name was provided
+  if (itemName) {
+    response.searched_for = itemName;
+  }
+
+  return response;
+};
+
+/**
+ * Validate the async/callback_url fields of a request
+ * @param {Object} body - Request body
+ * @returns {Object} { runAsync, callbackUrl, error }
+ */
+const parseAsyncOptions = (body) => {
+  const runAsync = parseBooleanFlag(body.async);
+  const callbackUrl = body.callback_url || null;
+
+  if (callbackUrl && !runAsync) {
+    return { error: 'callback_url can only be used together with async: true' };
+  }
+  if (callbackUrl) {
+    const callbackError = validateCallbackUrl(callbackUrl);
+    if (callbackError) return { error: callbackError };
+  }
+
+  return { runAsync, callbackUrl, error: null };
+};
+
+/**
+ * Create a job, answer 202 with its id and run the task in the background
+ * @param {Object} jobStore - Store from createJobStore()
+ * @param {Object} res - Express response
+ * @param {Object} params - { type, userId, callbackUrl }
+ * @param {Function} task - async (progress) => response body
+ */
+const enqueueJob = async (jobStore, res, { type, userId, callbackUrl }, task) => {
+  const job = await createJob(jobStore, { type, userId, stages: PROCESS_STAGES, callbackUrl });
+  log.info(`Queued ${type} job ${job.id} for user ${userId}`);
+
+  res.status(202).json({
+    version: API_VERSION,
+    job_id: job.id,
+    status: job.status,
+    status_url: `/jobs/${job.id}`,
+    stages: job.stages,
+    callback: Boolean(callbackUrl)
+  });
+
+  // Not awaited: runJob stores the result or error on the job itself
+  runJob(jobStore, job, task);
+};
+
+/**
+ * Create the Express app
+ * @param {Object} deps - { admin, openai, config }
+ * @param {Object} deps.admin - firebase-admin module with an initialized default app
+ * @param {Object} deps.openai - Optional OpenAI client for the "openai" model provider
+ * @param {Object} deps.config - Optional overrides of getDefaultConfig()
+ * @returns {Object} Express app (not listening)
+ */
+const createApp = ({ admin, openai = null, config: configOverrides = {} } = {}) => {
+  if (!admin) {
+    throw new TypeError('createApp requires the firebase-admin module (deps.admin)');
+  }
+  const config = { ...getDefaultConfig(), ...configOverrides };
+
+  if (openai) {
+    registerModelProvider('openai', () => createOpenAIProvider({ client: openai }));
+  }
+
+  const app = express();
+
+  // Store for async /process jobs (in-memory or Firestore, see services/jobService.js)
+  const jobStore = createJobStore(admin);
+
+  // Per-user usage and quotas (in-memory or Firestore, see services/usageService.js)
+  const usageStore = createUsageStore(admin);
+
+  // Cache for external enrichment lookups (in-memory LRU or Firestore, see services/cacheService.js)
+  configureCache(admin);
+
+  const verifyFirebaseToken = createFirebaseTokenVerifier(admin);
+  const enforceQuota = createQuotaEnforcer(usageStore);
+  const parseImageUpload = createImageUploadParser(getMaxImageBytes());
+
+  // Middleware
+  app.use(assignRequestId);
+  app.use(helmet());
+  app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+  app.use(express.json({ limit: config.jsonBodyLimit }));
+
+  // Rate limiting
+  app.use(rateLimit({
+    windowMs: config.rateLimitWindowMs,
+    max: config.rateLimitMaxRequests,
+    handler: (req, res, next, options) => sendError(res, new TooManyRequestsError('RATE_LIMITED', 'Too many requests from this IP, please try again later', {
+      retryAfterMs: req.rateLimit?.resetTime ? req.rateLimit.resetTime.getTime() - Date.now() : options.windowMs
+    }))
+  }));
+
+  // Register Assistant webhook
+  registerAssistantWebhook(app, admin, validateBody('assistantWebhook'));
+
+  /**
+   * POST /process - Process image and detect household items
+   * Body: { "image_url": "string", "user_id": "string", "language": "string (optional, default: 'en')", "retain_image": "boolean (optional)",
+   *         "async": "boolean (optional)", "callback_url": "string (optional, requires async)" }
+   *   or multipart/form-data with the image in field "image" and the other fields as form fields
+   *   or a raw image/* body with the other fields as query parameters
+   * Headers: Authorization: Bearer <Firebase_ID_Token>
+   *
+   * With async: true the response is 202 { job_id, status_url } and the result is
+   * available through GET /jobs/:id (and POSTed to callback_url if given).
+   */
+  app.post('/process', verifyFirebaseToken, parseImageUpload, validateBody('process'), enforceQuota, async (req, res) => {
+    const startTime = Date.now();
+  
+    try {
+      const { image_url, user_id, language, tags, retain_image } = req.body;
+    
+      // Validate input
+      if ((!image_url && !req.file) || !user_id) {
+        return sendError(res, new BadRequestError('MISSING_FIELDS', 'Missing required fields: image_url (or an uploaded image) and user_id are required'));
+      }
+
+      // Validate user_id matches the authenticated user
+      if (req.user.uid !== user_id) {
+        return sendError(res, new ForbiddenError('USER_MISMATCH', 'User ID does not match authenticated user'));
+      }
+
+      const { runAsync, callbackUrl, error: asyncError } = parseAsyncOptions(req.body);
+      if (asyncError) {
+        return sendError(res, new BadRequestError('INVALID_CALLBACK', asyncError));
+      }
+
+      const requestedLanguage = language || 'en';
+      const userTags = normalizeTags(tags);
+    
+      log.info(`Processing image for user ${user_id} in language: ${requestedLanguage}`);
+      if (userTags.length > 0) {
+        log.info(`User provided ${userTags.length} tags: ${userTags.join(', ')}`);
+      }
+
+      const params = {
+        loadImage: () => loadRequestImage(req, image_url),
+        userId: user_id,
+        language: requestedLanguage,
+        userTags,
+        retainImage: parseBooleanFlag(retain_image),
+        imageSource: req.file ? 'upload' : 'url'
+      };
+
+      if (runAsync) {
+        return await enqueueJob(jobStore, res, { type: 'process', userId: user_id, callbackUrl }, progress => accountUsage(usageStore, user_id, 1, () => runProcessPipeline(admin, params, progress)));
+      }
+
+      res.json(await accountUsage(usageStore, user_id, 1, () => runProcessPipeline(admin, params)));
+
+    } catch (error) {
+      log.error('Error processing image:', error);
+      const processingTime = (Date.now() - startTime) / 1000;
+
+      // Typed errors (download, model, sources) carry their own status, code and retryable flag
+      sendError(res, error, 'Failed to process image', { processing_time: processingTime });
+    }
+  });
+
+  /**
+   * POST /process-single - Process image and analyze a single specific item
+   * Body: { "image_url": "string", "user_id": "string", "item_name": "string (optional)", "language": "string (optional, default: 'en')", "retain_image": "boolean (optional)",
+   *         "async": "boolean (optional)", "callback_url": "string (optional, requires async)" }
+   *   or multipart/form-data / raw image/* body, same as /process
+   * Headers: Authorization: Bearer <Firebase_ID_Token>
+   */
+  app.post('/process-single', verifyFirebaseToken, parseImageUpload, validateBody('processSingle'), enforceQuota, async (req, res) => {
+    const startTime = Date.now();
+  
+    try {
+      const { image_url, user_id, item_name, language, tags, tips, retain_image } = req.body;
+    
+      // Validate input - item_name, language, and tags are optional
+      if ((!image_url && !req.file) || !user_id) {
+        return sendError(res, new BadRequestError('MISSING_FIELDS', 'Missing required fields: image_url (or an uploaded image) and user_id are required'));
+      }
+
+      // Validate user_id matches the authenticated user
+      if (req.user.uid !== user_id) {
+        return sendError(res, new ForbiddenError('USER_MISMATCH', 'User ID does not match authenticated user'));
+      }
+
+      const { runAsync, callbackUrl, error: asyncError } = parseAsyncOptions(req.body);
+      if (asyncError) {
+        return sendError(res, new BadRequestError('INVALID_CALLBACK', asyncError));
+      }
+
+      const requestedLanguage = language || 'en';
+      const userTags = normalizeTags(tags);
+      const userTips = typeof tips === 'string' ? tips.trim() : '';
+    
+      if (item_name) {
+        log.info(`Processing single item "${item_name}" for user ${user_id} in language: ${requestedLanguage}`);
+      } else {
+        log.info(`Processing most prominent item for user ${user_id} in language: ${requestedLanguage}`);
+      }
+    
+      if (userTags.length > 0) {
+        log.info(`User provided ${userTags.length} tags: ${userTags.join(', ')}`);
+      }
+      if (userTips) {
+        log.info(`User provided hints: ${userTips}`);
+      }
+
+      const params = {
+        loadImage: () => loadRequestImage(req, image_url),
+        userId: user_id,
+        itemName: item_name,
+        language: requestedLanguage,
+        userTags,
+        userTips,
+        retainImage: parseBooleanFlag(retain_image),
+        imageSource: req.file ? 'upload' : 'url'
+      };
+
+      if (runAsync) {
+        return await enqueueJob(jobStore, res, { type: 'process-single', userId: user_id, callbackUrl }, progress => accountUsage(usageStore, user_id, 1, () => runSingleItemPipeline(admin, params, progress)));
+      }
+
+      res.json(await accountUsage(usageStore, user_id, 1, () => runSingleItemPipeline(admin, params)));
+
+    } catch (error) {
+      log.error('Error processing single item:', error);
+      const processingTime = (Date.now() - startTime) / 1000;
+
+      // Typed errors (download, model, sources) carry their own status, code and retryable flag
+      sendError(res, error, 'Failed to process single item', { processing_time: processingTime });
+    }
+  });
+
+  /**
+   * POST /process-stream - Same as /process, but streams progress as Server-Sent Events
+   * Body / uploads: same as /process, except that async and callback_url are rejected (400)
+   * Headers: Authorization: Bearer <Firebase_ID_Token>
+   *
+   * Events (each `data:` line is JSON):
+   * - stage:    { stage, status } for download, analyze, enrich and retention
+   * - detected: { items, token_usage, warnings } raw GPT-4o items before enrichment
+   * - item:     { item_index, item } each item again once its enrichment resolves
+   * - done:     the full /process response body
+   * - error:    { code, error, details, retryable, status }
+   */
+  app.post('/process-stream', verifyFirebaseToken, parseImageUpload, validateBody('processStream'), enforceQuota, async (req, res) => {
+    const { image_url, user_id, language, tags, retain_image } = req.body;
+
+    // Validation errors are returned as plain JSON before the stream is opened
+    if ((!image_url && !req.file) || !user_id) {
+      return sendError(res, new BadRequestError('MISSING_FIELDS', 'Missing required fields: image_url (or an uploaded image) and user_id are required'));
+    }
+
+    if (req.user.uid !== user_id) {
+      return sendError(res, new ForbiddenError('USER_MISMATCH', 'User ID does not match authenticated user'));
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Disable response buffering in nginx-style proxies
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Keep going after a disconnect so retention still runs, but stop writing
+    let clientGone = false;
+    req.on('close', () => { clientGone = true; });
+
+    const sendEvent = (event, data) => {
+      if (clientGone || res.writableEnded) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Comment lines keep idle proxies from closing the connection during slow enrichment
+    const heartbeat = setInterval(() => {
+      if (!clientGone && !res.writableEnded) res.write(': ping\n\n');
+    }, 15000);
+
+    const startTime = Date.now();
+    const requestedLanguage = language || 'en';
+
+    try {
+      log.info(`Processing image for user ${user_id} in language: ${requestedLanguage}`);
+
+      const params = {
+        loadImage: () => loadRequestImage(req, image_url),
+        userId: user_id,
+        language: requestedLanguage,
+        userTags: normalizeTags(tags),
+        retainImage: parseBooleanFlag(retain_image),
+        imageSource: req.file ? 'upload' : 'url'
+      };
+
+      const result = await accountUsage(usageStore, user_id, 1, () => runProcessPipeline(
+        admin,
+        params,
+        (stage, status) => sendEvent('stage', { stage, status }),
+        {
+          onDetected: (detected) => sendEvent('detected', {
+            items: detected.items.map((item, index) => ({ ...item, item_index: index })),
+            token_usage: detected.token_usage,
+            prompt_version: detected.prompt_version,
+            warnings: detected.warnings || []
+          }),
+          onItemEnriched: (item, index) => sendEvent('item', { item_index: index, item: cleanItemForResponse(item) })
+        }
+      ));
+
+      sendEvent('done', result);
+
+    } catch (error) {
+      log.error('Error processing image:', error);
+      const apiError = toApiError(error);
+      sendEvent('error', {
+        version: API_VERSION,
+        error: 'Failed to process image',
+        ...formatApiError(apiError),
+        status: apiError.status,
+        processing_time: (Date.now() - startTime) / 1000
+      });
+    } finally {
+      clearInterval(heartbeat);
+      res.end();
+    }
+  });
+
+  /**
+   * GET /jobs/:id - Status, per-stage progress and (when finished) result of an async job
+   * Headers: Authorization: Bearer <Firebase_ID_Token>
+   */
+  app.get('/jobs/:id', verifyFirebaseToken, async (req, res) => {
+    try {
+      const job = await jobStore.get(req.params.id);
+
+      // Jobs of other users are reported as not found so ids cannot be probed
+      if (!job || job.user_id !== req.user.uid) {
+        return sendError(res, new NotFoundError('JOB_NOT_FOUND', 'Job not found'));
+      }
+
+      res.json({
+        version: API_VERSION,
+        ...formatJobForResponse(job)
+      });
+
+    } catch (error) {
+      log.error('Error reading job:', error);
+      sendError(res, error, 'Failed to read job');
+    }
+  });
+
+  /**
+   * POST /process-batch - Process several photos of one shelf/room into a single merged inventory
+   * Body: { "image_urls": ["string", ...], "user_id": "string", "language": "string (optional)", "tags": [] (optional), "retain_image": "boolean (optional)" }
+   * Headers: Authorization: Bearer <Firebase_ID_Token>
+   *
+   * Images are analysed with at most BATCH_CONCURRENCY (default 3) in parallel.
+   * A failing image does not fail the batch; it is reported in `images` instead.
+   */
+  app.post('/process-batch', verifyFirebaseToken, validateBody('processBatch'), enforceQuota, async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { image_urls, user_id, language, tags, retain_image } = req.body;
+
+      // Required fields and the shape of image_urls are checked by validateBody('processBatch')
+      if (image_urls.length > config.batchMaxImages) {
+        return sendError(res, new BadRequestError('TOO_MANY_IMAGES', `Too many images: at most ${config.batchMaxImages} image_urls per batch`));
+      }
+
+      if (req.user.uid !== user_id) {
+        return sendError(res, new ForbiddenError('USER_MISMATCH', 'User ID does not match authenticated user'));
+      }
+
+      const requestedLanguage = language || 'en';
+      const userTags = normalizeTags(tags);
+      const retainImage = parseBooleanFlag(retain_image);
+
+      log.info(`Processing ${image_urls.length} images for user ${user_id} (concurrency ${config.batchConcurrency})`);
+
+      // Usage is accounted per image, so a failing image only counts if it reached the model
+      const imageResults = await mapWithConcurrency(image_urls, config.batchConcurrency, (imageUrl, imageIndex) => accountUsage(usageStore, user_id, 1, async () => {
+        try {
+          const noProgress = () => {};
+          const { base64: base64Image, filePath } = await runStage(noProgress, 'download', () => downloadAndEncodeImage(imageUrl));
+          const result = await runStage(noProgress, 'analyze', () => processImageWithOpenAI(base64Image, requestedLanguage, userTags));
+
+          const itemsWithImage = await attachItemImages(result.items, base64Image);
+          const enrichedItems = cleanItemsForResponse(await runStage(noProgress, 'enrich', () => processCollectorItems(itemsWithImage)));
+
+          const retention = await runStage(noProgress, 'retention', () => applyImageRetention(admin, filePath, { retainImage }));
+
+          return {
+            image_index: imageIndex,
+            image_url: imageUrl,
+            status: 'ok',
+            items: enrichedItems,
+            token_usage: result.token_usage,
+            warnings: result.warnings || [],
+            image_retention: retention
+          };
+        } catch (error) {
+          log.error(`Image ${imageIndex} failed:`, error);
+          const apiError = toApiError(error);
+          return {
+            image_index: imageIndex,
+            image_url: imageUrl,
+            status: 'failed',
+            items: [],
+            code: apiError.code,
+            error: apiError.message,
+            retryable: apiError.retryable
+          };
+        }
+      }));
+
+      const succeeded = imageResults.filter(r => r.status === 'ok');
+      if (succeeded.length === 0) {
+        const processingTime = (Date.now() - startTime) / 1000;
+        return sendError(res, new BadGatewayError('BATCH_FAILED', 'Failed to process any image in the batch', {
+          retryable: imageResults.some(r => r.retryable),
+          extra: { images: imageResults.map(({ items, ...rest }) => rest) }
+        }), null, { processing_time: processingTime });
+      }
+
+      const { items: mergedItems, duplicates_merged: duplicatesMerged } = mergeItemsAcrossImages(succeeded);
+      const collectorStats = getCollectorStats(mergedItems);
+      const allFollowupQuestions = collectFollowupQuestions(mergedItems);
+      const processingTime = (Date.now() - startTime) / 1000;
+
+      log.info(`Merged ${duplicatesMerged} duplicates into ${mergedItems.length} items from ${succeeded.length}/${image_urls.length} images`);
+
+      res.json({
+        version: API_VERSION,
+        items: mergedItems,
+        images: imageResults.map(({ items, ...rest }) => ({ ...rest, item_count: items.length })),
+        duplicates_merged: duplicatesMerged,
+        token_usage: combineTokenUsage(succeeded.map(r => r.token_usage)),
+        prompt_version: getPromptVersion('items'),
+        warnings: succeeded.flatMap(r => r.warnings),
+        processing_time: processingTime,
+        user_id: user_id,
+        collector_stats: collectorStats,
+        followup_questions: allFollowupQuestions,
+        has_followup: allFollowupQuestions.length > 0
+      });
+
+    } catch (error) {
+      log.error('Error processing batch:', error);
+      const processingTime = (Date.now() - startTime) / 1000;
+
+      sendError(res, error, 'Failed to process batch', { processing_time: processingTime });
+    }
+  });
+
+  /**
+   * POST /enrich - Re-enrich an item using extra info provided by the user (follow-up)
+   * Body: { "user_id": "string", "item_type": "wine"|"vinyl"|"book"|"pokemon"|"art", "collector_details": {}, "extra_info": { "catalog_number": "CBS 85224", "isbn": "9780...", "card_number": "4/102", ... } }
+   * Headers: Authorization: Bearer <Firebase_ID_Token>
+   */
+  app.post('/enrich', verifyFirebaseToken, validateBody('enrich'), enforceQuota, async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { user_id, item_type, collector_details, extra_info } = req.body;
+
+      // Required fields, item_type and the extra_info keys are checked by validateBody('enrich')
+      if (req.user.uid !== user_id) {
+        return sendError(res, new ForbiddenError('USER_MISMATCH', 'User ID does not match authenticated user'));
+      }
+
+      // extra_info is free user input: log which fields were given, not their values
+      log.info(`Re-enriching ${item_type} for user ${user_id}`, { extra_info_fields: Object.keys(extra_info || {}) });
+
+      // Wine re-enrichment makes a model call, which counts towards the token quota
+      const enrichResult = await accountUsage(usageStore, user_id, 0, () => reEnrichCollectorItem(item_type, collector_details, extra_info));
+
+      const processingTime = (Date.now() - startTime) / 1000;
+
+      res.json({
+        version: API_VERSION,
+        item_type: item_type,
+        collector_category: enrichResult.collector_category,
+        collector_data: enrichResult.collector_data,
+        collector_warning: enrichResult.collector_warning || null,
+        collector_cache: enrichResult.collector_cache || null,
+        collector_unavailable: enrichResult.collector_unavailable || null,
+        collector_error: enrichResult.collector_error || null,
+        processing_time: processingTime,
+        user_id: user_id
+      });
+
+    } catch (error) {
+      log.error('Error enriching item:', error);
+      const processingTime = (Date.now() - startTime) / 1000;
+
+      sendError(res, error, 'Failed to enrich item', { processing_time: processingTime });
+    }
+  });
+
+  /**
+   * GET /usage - Current usage and remaining quota of the authenticated user
+   * Headers: Authorization: Bearer <Firebase_ID_Token>
+   */
+  app.get('/usage', verifyFirebaseToken, async (req, res) => {
+    try {
+      const summary = await getUsageSummary(usageStore, req.user.uid);
+
+      res.json({
+        version: API_VERSION,
+        user_id: req.user.uid,
+        ...summary
+      });
+
+    } catch (error) {
+      log.error('Error reading usage:', error);
+      sendError(res, error, 'Failed to read usage');
+    }
+  });
+
+  /**
+   * GET /metrics - Prometheus metrics (request latency, pipeline stages, external sources, tokens)
+   * Headers: Authorization: Bearer <METRICS_TOKEN>
+   */
+  app.get('/metrics', (req, res) => {
+    if (!isMetricsEnabled()) {
+      return sendError(res, new NotFoundError('METRICS_DISABLED', 'Metrics are disabled: METRICS_TOKEN is not configured'));
+    }
+
+    if (!isMetricsRequestAuthorized(req.headers.authorization)) {
+      return sendError(res, new AuthenticationError('INVALID_METRICS_TOKEN', 'Invalid or missing metrics token'));
+    }
+
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+  });
+
+  /**
+   * GET /health - Liveness check (process is up); see /ready for dependencies
+   */
+  app.get('/health', (req, res) => {
+    res.json({ 
+      version: API_VERSION,
+      status: 'OK', 
+      timestamp: new Date().toISOString(),
+      service: 'Track My Home API'
+    });
+  });
+
+  /**
+   * GET /openapi.json - OpenAPI 3.1 document of the public routes
+   */
+  app.get('/openapi.json', (req, res) => {
+    res.json(getOpenApiDocument(API_VERSION));
+  });
+
+  /**
+   * GET /ready - Readiness of every dependency (model, Firebase, enrichment APIs)
+   * Headers: Authorization: Bearer <ADMIN_TOKEN>
+   * 200 when ready or degraded (an enrichment source is down), 503 when the model or Firebase fails
+   */
+  app.get('/ready', requireAdminToken, async (req, res) => {
+    try {
+      const readiness = await checkReadiness(admin);
+
+      res.status(readiness.status === 'not_ready' ? 503 : 200).json({
+        version: API_VERSION,
+        ...readiness,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      log.error('Readiness check failed:', error);
+      sendError(res, error, 'Readiness check failed');
+    }
+  });
+
+  /**
+   * GET / - Root endpoint
+   */
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'Track My Home API',
+      version: API_VERSION,
+      endpoints: {
+        'POST /assistant/webhook': 'Google Assistant Actions Builder webhook',
+        'POST /process': 'Process image and detect all household items',
+        'POST /process-single': 'Process image and analyze a specific item',
+        'POST /process-stream': 'Process image and stream detection and enrichment progress as Server-Sent Events',
+        'POST /process-batch': 'Process several photos of a shelf or room into one merged item list',
+        'POST /enrich': 'Re-enrich item with user-provided extra info (catalog number, barcode, etc.)',
+        'GET /jobs/:id': 'Status and result of an async /process or /process-single job',
+        'GET /usage': 'Usage and remaining quota of the authenticated user',
+        'GET /metrics': 'Prometheus metrics (requires METRICS_TOKEN)',
+        'GET /health': 'Liveness check',
+        'GET /openapi.json': 'OpenAPI document of the API',
+        'GET /ready': 'Readiness of every dependency (requires ADMIN_TOKEN)',
+        'GET /test-openai': 'Test OpenAI API connection (requires ADMIN_TOKEN)'
+      }
+    });
+  });
+
+  /**
+   * GET /test-openai - Test the model provider connection (MODEL_PROVIDER_TEST / MODEL_NAME_TEST)
+   * Headers: Authorization: Bearer <ADMIN_TOKEN> (spends tokens on every call)
+   */
+  app.get('/test-openai', requireAdminToken, async (req, res) => {
+    try {
+      const response = await pingModel('test');
+    
+      res.json({
+        version: API_VERSION,
+        success: true,
+        message: response.message,
+        model: response.model,
+        provider: response.provider
+      });
+    } catch (error) {
+      log.error('OpenAI test error:', error);
+      sendError(res, toModelError(error), 'Model provider test failed', { success: false });
+    }
+  });
+
+  // Error handling middleware (also invalid JSON and oversized bodies from express.json)
+  app.use((error, req, res, next) => {
+    log.error('Unhandled error:', error);
+    sendError(res, error);
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    sendError(res, new NotFoundError('ENDPOINT_NOT_FOUND', 'Endpoint not found'));
+  });
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+  getDefaultConfig
+};
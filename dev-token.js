@@ -0,0 +1,32 @@
+/**
+ * Print a dev token for local development (DEV_MODE). Run with:
+ *   npm run dev:token -- <uid>             # valid for 24 hours
+ *   npm run dev:token -- <uid> <seconds>   # custom lifetime
+ *
+ * Send it as `Authorization: Bearer <token>`; the API only accepts it when
+ * DEV_MODE=true and DEV_TOKEN_SECRET matches.
+ */
+
+require('dotenv').config();
+
+const { getConfig } = require('./utils/config');
+const { createDevToken } = require('./utils/devToken');
+
+function main() {
+  const [uid, seconds] = process.argv.slice(2);
+  if (!uid) {
+    console.error('Usage: npm run dev:token -- <uid> [seconds]');
+    process.exit(1);
+  }
+
+  const { dev } = getConfig();
+  if (!dev.enabled) {
+    console.error('ERROR: DEV_MODE is not enabled, the API would reject this token');
+    process.exit(1);
+  }
+
+  const expiresInSeconds = seconds ? parseInt(seconds) : undefined;
+  console.log(createDevToken(uid, dev.tokenSecret, { expiresInSeconds }));
+}
+
+main();
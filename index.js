@@ -1,1137 +1,118 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
-const admin = require('firebase-admin');
-const OpenAI = require('openai');
-require('dotenv').config();
-
-// Import collector services
-const { processCollectorItems, processCollectorItem, getCollectorStats, cleanItemForResponse, cleanItemsForResponse } = require('./services/collectorService');
-const { enrichVinylWithExtraInfo } = require('./services/discogsService');
-const { enrichWineWithExtraInfo } = require('./services/vivinoService');
-const { enrichBookWithExtraInfo } = require('./services/booksService');
-const { enrichPokemonWithExtraInfo } = require('./services/pokemonService');
-const { enrichArtworkWithExtraInfo } = require('./services/artService');
-const { registerAssistantWebhook } = require('./services/assistantWebhook');
-
-// Initialize Express app
-const app = express();
-const PORT = process.env.PORT || 3000;
-const API_VERSION = '1.1.0';
-
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Initialize Firebase Admin
-const serviceAccount = {
-  type: "service_account",
-  project_id: process.env.FIREBASE_PROJECT_ID,
-  private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-  private_key: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n'),
-  client_email: process.env.FIREBASE_CLIENT_EMAIL,
-  client_id: process.env.FIREBASE_CLIENT_ID,
-  auth_uri: process.env.FIREBASE_AUTH_URI,
-  token_uri: process.env.FIREBASE_TOKEN_URI,
-  auth_provider_x509_cert_url: process.env.FIREBASE_AUTH_PROVIDER_X509_CERT_URL,
-  client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL
-};
-
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount)
-});
-
-// Middleware
-app.use(helmet());
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use(limiter);
-
-/**
- * Middleware to verify Firebase ID token
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
- */
-const verifyFirebaseToken = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'No valid authorization header found' });
-    }
-
-    const idToken = authHeader.split('Bearer ')[1];
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    
-    req.user = decodedToken;
-    next();
-  } catch (error) {
-    console.error('Firebase token verification failed:', error);
-    return res.status(401).json({ error: 'Invalid or expired token' });
-  }
-};
-
-// Register Assistant webhook
-registerAssistantWebhook(app, admin);
-
-/**
- * Extract file path from Firebase Storage URL
- * @param {string} imageUrl - Firebase Storage URL
- * @returns {string} File path in Firebase Storage
- */
-const extractFilePathFromUrl = (imageUrl) => {
-  try {
-    // Firebase Storage URL format: https://firebasestorage.googleapis.com/v0/b/PROJECT_ID/o/PATH%2FTO%2FFILE?alt=media&token=...
-    const url = new URL(imageUrl);
-    const pathMatch = url.pathname.match(/\/o\/(.+)/);
-    if (pathMatch) {
-      // Decode the URL-encoded path
-      return decodeURIComponent(pathMatch[1]);
-    }
-    throw new Error('Could not extract file path from URL');
-  } catch (error) {
-    console.error('Error extracting file path:', error);
-    throw new Error('Invalid Firebase Storage URL format');
-  }
-};
-
 /**
- * Delete image from Firebase Storage
- * @param {string} filePath - File path in Firebase Storage
- * @returns {boolean} Success status
+ * Track My Home API entry point
+ *
+ * Validates the configuration (utils/config.js), initializes Firebase Admin
+ * and builds the app with createApp() (see app.js). Run directly
+ * (`node index.js`, nodemon, pm2) it starts listening on PORT; imported
+ * (Vercel) it only exports the app. An invalid configuration stops the
+ * process at startup with every problem logged.
+ *
+ * Firebase credentials:
+ * - FIREBASE_PRIVATE_KEY (+ FIREBASE_PROJECT_ID, FIREBASE_CLIENT_EMAIL, ...): service account
+ * - Firebase emulators (FIREBASE_AUTH_EMULATOR_HOST / FIREBASE_STORAGE_EMULATOR_HOST):
+ *   no credentials, project FIREBASE_PROJECT_ID (default "demo-track-my-home")
+ * - otherwise: Application Default Credentials (GOOGLE_APPLICATION_CREDENTIALS,
+ *   Cloud Functions / Cloud Run service account)
  */
-const deleteImageFromFirebase = async (filePath) => {
-  try {
-    const bucket = admin.storage().bucket();
-    await bucket.file(filePath).delete();
-    console.log(`Successfully deleted image: ${filePath}`);
-    return true;
-  } catch (error) {
-    console.error('Error deleting image from Firebase Storage:', error);
-    // Don't throw error here, just log it - we don't want to fail the whole request
-    return false;
-  }
-};
-
-/**
- * Download image from URL and convert to base64
- * @param {string} imageUrl - URL of the image to download
- * @returns {Object} { base64: string, filePath: string }
- */
-const downloadAndEncodeImage = async (imageUrl) => {
-  try {
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch image: ${response.statusText}`);
-    }
-    
-    const buffer = await response.arrayBuffer();
-    const base64 = Buffer.from(buffer).toString('base64');
-    const filePath = extractFilePathFromUrl(imageUrl);
-    
-    return { base64, filePath };
-  } catch (error) {
-    console.error('Error downloading image:', error);
-    
-    if (error.message.includes('fetch')) {
-      throw new Error(`Failed to download image from URL: ${error.message}`);
-    } else if (error.message.includes('arrayBuffer')) {
-      throw new Error('Failed to convert image to buffer');
-    } else {
-      throw new Error(`Image processing error: ${error.message}`);
-    }
-  }
-};
+require('dotenv').config();
 
-/**
- * Get image dimensions from base64 image
- * @param {string} base64Image - Base64 encoded image
- * @returns {Object} Image dimensions {width, height}
- */
-const getImageDimensions = (base64Image) => {
-  try {
-    // Create a buffer from base64
-    const buffer = Buffer.from(base64Image, 'base64');
-    
-    // Simple check for common image formats to get dimensions
-    // This is a basic implementation - for production, consider using a proper image library
-    let width = 1920; // Default fallback
-    let height = 1080; // Default fallback
-    
-    // For JPEG, we can try to extract dimensions from the header
-    if (buffer[0] === 0xFF && buffer[1] === 0xD8) { // JPEG signature
-      let i = 2;
-      while (i < buffer.length - 1) {
-        if (buffer[i] === 0xFF && buffer[i + 1] === 0xC0) { // SOF0 marker
-          height = (buffer[i + 5] << 8) | buffer[i + 6];
-          width = (buffer[i + 7] << 8) | buffer[i + 8];
-          break;
-        }
-        i++;
-      }
-    }
-    
-    return { width, height };
-  } catch (error) {
-    console.warn('Could not determine image dimensions, using defaults:', error.message);
-    return { width: 1920, height: 1080 }; // Default fallback
-  }
-};
+const admin = require('firebase-admin');
+const { createApp } = require('./app');
+const { createLogger } = require('./utils/logger');
+const { getConfig, describeConfig, ConfigError } = require('./utils/config');
 
-// bbox support removed; normalization helper deleted
+const log = createLogger('API');
 
-/**
- * Compress image to reduce token usage
- * @param {string} base64Image - Base64 encoded image
- * @param {number} maxWidth - Maximum width (default: 1024)
- * @param {number} maxHeight - Maximum height (default: 1024)
- * @returns {string} Compressed base64 image
- */
-const compressImage = async (base64Image, maxWidth = 1024, maxHeight = 1024) => {
-  try {
-    // For now, we'll use a simple approach to reduce image size
-    // In production, you might want to use a proper image processing library like sharp
-    const buffer = Buffer.from(base64Image, 'base64');
-    
-    // Check if image is already small enough
-    const { width, height } = getImageDimensions(base64Image);
-    
-    if (width <= maxWidth && height <= maxHeight) {
-      console.log(`Image already within size limits: ${width}x${height}`);
-      return base64Image;
-    }
-    
-    // Calculate new dimensions while maintaining aspect ratio
-    const aspectRatio = width / height;
-    let newWidth = maxWidth;
-    let newHeight = maxHeight;
-    
-    if (aspectRatio > 1) {
-      // Landscape image
-      newHeight = Math.round(maxWidth / aspectRatio);
-    } else {
-      // Portrait image
-      newWidth = Math.round(maxHeight * aspectRatio);
-    }
-    
-    console.log(`Compressing image from ${width}x${height} to ${newWidth}x${newHeight}`);
-    
-    // For now, return the original image with a warning
-    // In a real implementation, you would resize the image here
-    console.warn('Image compression not implemented - using original image');
-    return base64Image;
-    
-  } catch (error) {
-    console.error('Error compressing image:', error);
-    return base64Image; // Return original if compression fails
-  }
-};
+// "demo-" projects never reach production Firebase, even when an emulator is missing
+const EMULATOR_PROJECT_ID = 'demo-track-my-home';
 
 /**
- * Process image with OpenAI Vision API
- * @param {string} base64Image - Base64 encoded image
- * @param {string} language - Language for the output (default: 'en' for English)
- * @param {Array<string>} userTags - Optional array of user tags for classification
- * @returns {Object} OpenAI response with detected items and token usage
+ * Validate the configuration and log the enabled integrations and warnings
+ * @returns {Object} The validated config
+ * @throws {ConfigError} When the configuration is invalid (after logging every problem)
  */
-const processImageWithOpenAI = async (base64Image, language = 'en', userTags = []) => {
-  // Compress image to reduce token usage
-  const compressedImage = await compressImage(base64Image, 1024, 1024);
-  
-  // Get image dimensions
-  const { width: imageWidth, height: imageHeight } = getImageDimensions(compressedImage);
-  
-  // Merge user tags with system tags
-  const { mergeTagsWithSystem } = require('./utils/tagMatcher');
-  const allTags = mergeTagsWithSystem(userTags);
-  
-  // Log tags info
-  console.log('[Tags] User provided:', userTags.length, 'tags -', userTags.join(', ') || 'none');
-  console.log('[Tags] Merged with system:', allTags.length, 'tags -', allTags.join(', '));
-  
-  // Create tags instruction for AI
-  const tagsInstruction = allTags.length > 0
-    ? `\n- Available tags: ${allTags.join(', ')}\n- Assign relevant tags to each item using semantic matching (e.g., "bottle" → "wine", "LP" → "vinyl")\n- Add assigned tags to the "tags" array field`
-    : '';
-  
-  // Determine language instruction
-  let languageInstruction = '';
-  if (language && language !== 'en') {
-    const languageNames = {
-      'nl': 'Dutch',
-      'fr': 'French',
-      'de': 'German',
-      'es': 'Spanish',
-      'it': 'Italian',
-      'pt': 'Portuguese'
-    };
-    const languageName = languageNames[language.toLowerCase()] || language;
-    languageInstruction = `\n- IMPORTANT: All text fields (name and description) MUST be in ${languageName}.`;
-  }
-  
+const loadValidatedConfig = () => {
+  let config;
   try {
-    const response = await openai.responses.create({
-      model: "gpt-4o",
-      input: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "input_text",
-              text: `You are an expert in visually analyzing household scenes, with special attention to collectible items. Return ONLY a JSON object with an 'items' array. For each clearly visible and identifiable household item, include:\n\n{\n  \"items\": [\n    {\n      \"name\": \"Item name\",\n      \"description\": \"Brief description\",\n      \"estimated_value\": 25.50,\n      \"quantity\": 1,\n      \"accuracy\": 0.95,\n      \"item_type\": \"wine\" | \"vinyl\" | \"book\" | \"pokemon\" | \"art\" | \"general\",\n      \"tags\": [\"relevant\", \"tags\", \"here\"],\n      \"collector_details\": {\n        \"winery\": \"Château Name\" or null,\n        \"vintage\": 2015 or null,\n        \"wine_name\": \"Full wine name\" or null,\n        \"artist\": \"Artist Name\" or null,\n        \"album\": \"Album Title\" or null,\n        \"release_year\": 1973 or null,\n        \"title\": \"Book Title\" or null,\n        \"author\": \"Author Name\" or null,\n        \"isbn\": \"9780123456789\" or null,\n        \"card_name\": \"Charizard\" or null,\n        \"set_name\": \"Base Set\" or null,\n        \"card_number\": \"4/102\" or null,\n        \"hp\": \"120\" or null,\n        \"artwork_title\": \"Starry Night\" or null,\n        \"artwork_artist\": \"Vincent van Gogh\" or null,\n        \"year_created\": \"1889\" or null\n      },\n      \"followup_questions\": [\n        {\n          \"field\": \"catalog_number\",\n          \"question\": \"What is the catalog number on the record label?\",\n          \"priority\": \"high\"\n        }\n      ]\n    }\n  ]\n}\n\nStrict rules:\n- Output must be ONLY a JSON object with key 'items' (no prose).\n- Prices in euros as numbers (no currency symbol).\n- accuracy: 0.0–1.0\n- Do NOT include any bounding boxes or coordinates.\n- item_type: Use "wine" for wine bottles, "vinyl" for vinyl records/LPs, "book" for books/novels/cookbooks, "pokemon" for Pokémon TCG trading cards, "art" for paintings/prints/posters/framed artworks, "general" for other items.\n- tags: Array of relevant tags assigned to this item${tagsInstruction}\n- collector_details: ALWAYS include this object with ALL fields (set unused ones to null).\n  - For WINE: set winery, vintage, wine_name (set others to null)\n  - For VINYL: ALWAYS set artist, album, and release_year to null. A dedicated image recognition service (Google Vision reverse image search) will identify the vinyl from the cover image. DO NOT attempt to identify the artist, album, or year — not even if text is clearly visible on the cover. Your ONLY job for vinyl is to classify (item_type: "vinyl"), describe the physical item, and estimate its condition/value.\n  - For BOOK: set title and author from the cover. Include isbn ONLY if clearly visible on the back cover. Set all non-book fields to null.\n  - For POKEMON: set card_name (the Pokémon name, top-left of the card), set_name (from the set symbol or text), card_number (bottom-right, e.g. "4/102"), and hp (if visible). Set all non-Pokémon fields to null.\n  - For ART: ALWAYS set artwork_title, artwork_artist, and year_created to null. A dedicated image recognition service (Google Vision reverse image search) will identify the artwork from the image. DO NOT guess — even if a signature is visible. Your ONLY job for art is to classify (item_type: "art"), describe the physical piece (frame, medium, size), and estimate condition/value.\n  - For GENERAL: set ALL fields to null\n- followup_questions: Array of questions to ask the user for better identification.\n  - Each question has: field, question, priority\n  - field: one of "catalog_number", "barcode", "vintage_year", "serial_number", "model_number", "condition", "isbn", "card_number", "set_name", "artist_name", "artwork_title"\n  - question: The question text (in the same language as name/description)\n  - priority: "high", "medium", or "low"\n  - For VINYL: ALWAYS return an empty array. Identification is handled by Google Vision — do not ask any questions.\n  - For ART: ALWAYS return an empty array. Identification is handled by Google Vision — do not ask any questions.\n  - For WINE: ask for barcode and/or vintage_year if not clearly readable\n  - For BOOK: ask for isbn if not clearly readable\n  - For POKEMON: ask for card_number (e.g. 4/102) or set_name if not clearly visible\n  - For GENERAL: ask for serial_number or model_number if helpful\n  - Only include questions when extra info would SIGNIFICANTLY improve identification\n  - If confident (accuracy >= 0.85), return an empty array${languageInstruction}\n- For VINYL items specifically: keep the "name" and "description" generic. Use names like "Vinyl Record" and descriptions focused on physical condition (sleeve wear, color variant if visible, double LP, gatefold, etc.) — do NOT speculate about artist/album/year in the description.\n- For ART items specifically: keep the "name" and "description" generic. Use names like "Framed Artwork" or "Art Print" and descriptions focused on the physical piece (frame style/material, approximate size, medium if obvious, condition) — do NOT speculate about title/artist/year in the description.\n\nAnalyze this image (dimensions: ${imageWidth}x${imageHeight} pixels) and return the JSON object.`
-            },
-            {
-              type: "input_image",
-              image_url: `data:image/jpeg;base64,${compressedImage}`
-            }
-          ]
-        }
-      ],
-      text: {
-        format: {
-          type: "json_schema",
-          name: "items_response",
-          schema: {
-            type: "object",
-            properties: {
-              items: {
-                type: "array",
-                items: {
-                  type: "object",
-                  required: [
-                    "name",
-                    "description",
-                    "estimated_value",
-                    "quantity",
-                    "accuracy",
-                    "item_type",
-                    "tags",
-                    "collector_details",
-                    "followup_questions"
-                  ],
-                  properties: {
-                    name: { type: "string" },
-                    description: { type: "string" },
-                    estimated_value: { type: "number" },
-                    quantity: { type: "integer", minimum: 1 },
-                    accuracy: { type: "number", minimum: 0, maximum: 1 },
-                    item_type: { type: "string", enum: ["wine", "vinyl", "book", "pokemon", "art", "general"] },
-                    tags: {
-                      type: "array",
-                      items: { type: "string" }
-                    },
-                    collector_details: {
-                      type: "object",
-                      properties: {
-                        winery: { type: ["string", "null"] },
-                        vintage: { type: ["integer", "null"] },
-                        wine_name: { type: ["string", "null"] },
-                        artist: { type: ["string", "null"] },
-                        album: { type: ["string", "null"] },
-                        release_year: { type: ["integer", "null"] },
-                        title: { type: ["string", "null"] },
-                        author: { type: ["string", "null"] },
-                        isbn: { type: ["string", "null"] },
-                        card_name: { type: ["string", "null"] },
-                        set_name: { type: ["string", "null"] },
-                        card_number: { type: ["string", "null"] },
-                        hp: { type: ["string", "null"] },
-                        artwork_title: { type: ["string", "null"] },
-                        artwork_artist: { type: ["string", "null"] },
-                        year_created: { type: ["string", "null"] }
-                      },
-                      required: [
-                        "winery", "vintage", "wine_name",
-                        "artist", "album", "release_year",
-                        "title", "author", "isbn",
-                        "card_name", "set_name", "card_number", "hp",
-                        "artwork_title", "artwork_artist", "year_created"
-                      ],
-                      additionalProperties: false
-                    },
-                    followup_questions: {
-                      type: "array",
-                      items: {
-                        type: "object",
-                        properties: {
-                          field: { type: "string", enum: ["catalog_number", "barcode", "vintage_year", "serial_number", "model_number", "condition", "isbn", "card_number", "set_name", "artist_name", "artwork_title"] },
-                          question: { type: "string" },
-                          priority: { type: "string", enum: ["high", "medium", "low"] }
-                        },
-                        required: ["field", "question", "priority"],
-                        additionalProperties: false
-                      }
-                    }
-                  },
-                  additionalProperties: false
-                }
-              }
-            },
-            required: ["items"],
-            additionalProperties: false
-          },
-          strict: true
-        }
-      },
-      max_output_tokens: 10000
-    });
-
-    // format: {
-    //   type: "json_schema",
-    //   name: "math_response",
-    //   schema: {
-    //     type: "object",
-    //     properties: {
-    //       steps: {
-    //         type: "array",
-    //         items: {
-    //           type: "object",
-    //           properties: {
-    //             explanation: {
-    //               type: "string"
-    //             },
-    //             output: {
-    //               type: "string"
-    //             },
-    //           },
-    //           required: ["explanation", "output"],
-    //           additionalProperties: false,
-    //         },
-    //       },
-    //       final_answer: {
-    //         type: "string"
-    //       },
-    //     },
-    //     required: ["steps", "final_answer"],
-    //     additionalProperties: false,
-    //   },
-    //   strict: true,
-    // }
-
-    const content = response.output_text || "";
-    
-    // Clean possible code fences to improve JSON parsing robustness
-    const contentClean = content
-      .replace(/^```json\s*/i, '')
-      .replace(/^```\s*/i, '')
-      .replace(/\s*```\s*$/i, '')
-      .trim();
-    
-    console.log('[OpenAI] Response length:', contentClean.length, 'characters');
-    console.log('[OpenAI] First 200 chars:', contentClean.substring(0, 200));
-    
-    // Extract token usage information (Responses API: input_tokens/output_tokens)
-    const tokenUsage = response.usage || {};
-    const promptTokens = tokenUsage.input_tokens || tokenUsage.prompt_tokens || 0;
-    const completionTokens = tokenUsage.output_tokens || tokenUsage.completion_tokens || 0;
-    const totalTokens = tokenUsage.total_tokens || (promptTokens + completionTokens);
-    
-    // Log detailed token usage
-    const estimatedImageTokens = Math.ceil((imageWidth * imageHeight) / 768);
-    
-    console.log('Token usage details:', {
-      prompt_tokens: promptTokens,
-      completion_tokens: completionTokens,
-      total_tokens: totalTokens,
-      image_dimensions: `${imageWidth}x${imageHeight}`,
-      estimated_image_tokens: estimatedImageTokens
-    });
-    
-    // Warn if token usage is high
-    if (totalTokens > 15000) {
-      console.warn(`High token usage detected: ${totalTokens} tokens. Consider using smaller images.`);
-    }
-    
-    // Try to extract JSON from the response
-    const jsonMatch = contentClean.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      try {
-        const parsed = JSON.parse(jsonMatch[0]);
-        const rawItems = Array.isArray(parsed?.items) ? parsed.items : [];
-        const items = rawItems;
-        
-        console.log(`[OpenAI] Successfully parsed JSON with ${items.length} items`);
-        
-        return {
-          items: items,
-          token_usage: {
-            // Keep backward compatible fields
-            prompt_tokens: promptTokens,
-            completion_tokens: completionTokens,
-            total_tokens: totalTokens,
-            // Also expose new fields
-            input_tokens: promptTokens,
-            output_tokens: completionTokens
-          },
-          warnings: totalTokens > 15000 ? [`High token usage: ${totalTokens} tokens. Consider using smaller images to reduce costs.`] : []
-        };
-      } catch (parseError) {
-        console.error('[OpenAI] JSON parse error for extracted JSON:', parseError.message);
-        console.error('[OpenAI] Attempted to parse:', jsonMatch[0].substring(0, 500));
-        throw new Error(`Invalid JSON format in OpenAI response: ${parseError.message}`);
-      }
-    }
-    
-    // If no JSON found with regex, try to parse the entire response
-    try {
-      const parsed = JSON.parse(contentClean);
-      const rawItems = Array.isArray(parsed?.items) ? parsed.items : [];
-      const items = rawItems;
-      
-      console.log(`[OpenAI] Successfully parsed full content with ${items.length} items`);
-      
-      return {
-        items: items,
-        token_usage: {
-          prompt_tokens: promptTokens,
-          completion_tokens: completionTokens,
-          total_tokens: totalTokens,
-          input_tokens: promptTokens,
-          output_tokens: completionTokens
-        },
-        warnings: totalTokens > 15000 ? [`High token usage: ${totalTokens} tokens. Consider using smaller images to reduce costs.`] : []
-      };
-    } catch (parseError) {
-      console.error('[OpenAI] JSON parse error for full content:', parseError.message);
-      console.error('[OpenAI] Full raw content (first 1000 chars):', contentClean.substring(0, 1000));
-      console.error('[OpenAI] Content ends with:', contentClean.substring(contentClean.length - 100));
-      throw new Error(`OpenAI response is not valid JSON: ${parseError.message}. Response preview: ${contentClean.substring(0, 200)}`);
-    }
+    config = getConfig();
   } catch (error) {
-    console.error('OpenAI API error:', error);
-    
-    // Log more specific error details
-    if (error.response) {
-      console.error('OpenAI API response error:', error.response.data);
-      throw new Error(`OpenAI API error: ${error.response.data.error?.message || error.response.statusText}`);
-    } else if (error.request) {
-      console.error('OpenAI API request error:', error.request);
-      throw new Error('OpenAI API request failed - no response received');
-    } else {
-      console.error('OpenAI API setup error:', error.message);
-      throw new Error(`OpenAI API error: ${error.message}`);
+    if (error instanceof ConfigError) {
+      log.error('Invalid configuration:');
+      error.problems.forEach(problem => log.error(`  - ${problem}`));
     }
+    throw error;
   }
-};
-
-/**
- * Process single item with OpenAI Vision API
- * @param {string} base64Image - Base64 encoded image
- * @param {string|null} itemDescription - Optional description of the item to focus on
- * @param {string} language - Language for the output (default: 'en' for English)
- * @param {Array<string>} userTags - Optional array of user tags for classification
- * @param {string} userTips - Optional recognition hints (sentences/words)
- * @returns {Object} OpenAI response with single item details and token usage
- */
-const processSingleItemWithOpenAI = async (base64Image, itemDescription = null, language = 'en', userTags = [], userTips = '') => {
-  // Compress image to reduce token usage
-  const compressedImage = await compressImage(base64Image, 1024, 1024);
-  
-  // Get image dimensions
-  const { width: imageWidth, height: imageHeight } = getImageDimensions(compressedImage);
-  
-  // Merge user tags with system tags
-  const { mergeTagsWithSystem } = require('./utils/tagMatcher');
-  const allTags = mergeTagsWithSystem(userTags);
-  
-  // Log tags info
-  console.log('[Tags Single] User provided:', userTags.length, 'tags -', userTags.join(', ') || 'none');
-  console.log('[Tags Single] Merged with system:', allTags.length, 'tags -', allTags.join(', '));
-  
-  // Create tags instruction for AI
-  const tagsInstruction = allTags.length > 0
-    ? `\n- Available tags: ${allTags.join(', ')}\n- Assign relevant tags to this item using semantic matching (e.g., "bottle" → "wine", "LP" → "vinyl")\n- Add assigned tags to the "tags" array field`
-    : '';
-
-  // Add optional recognition hints (tips) to help identification
-  const tipsInstruction = userTips && userTips.trim().length > 0
-    ? `\n- Recognition hints from user (use these to identify the item): ${userTips.trim()}`
-    : '';
-  
-  // Determine language instruction
-  let languageInstruction = '';
-  if (language && language !== 'en') {
-    const languageNames = {
-      'nl': 'Dutch',
-      'fr': 'French',
-      'de': 'German',
-      'es': 'Spanish',
-      'it': 'Italian',
-      'pt': 'Portuguese'
-    };
-    const languageName = languageNames[language.toLowerCase()] || language;
-    languageInstruction = `\n- IMPORTANT: All text fields (name and description) MUST be in ${languageName}.`;
-  }
-  
-  // Create prompt based on whether item description is provided
-  let promptText;
-  if (itemDescription) {
-    promptText = `You are an expert in visually analyzing household items, with special attention to collectible items. Focus ONLY on this item: "${itemDescription}". Return ONLY a JSON object with a single 'item' object:\n\n{\n  "item": {\n    "name": "Item name",\n    "description": "Detailed description including: condition (Good/Excellent/Fair/Poor), brand (if visible), model (if identifiable), and any other relevant details",\n    "estimated_value": 25.50,\n    "quantity": 1,\n    "accuracy": 0.95,\n    "item_type": "wine" | "vinyl" | "book" | "pokemon" | "art" | "general",\n    "tags": [\"relevant\", \"tags\"],\n    "collector_details": {\n      "winery": "Château Name" or null,\n      "vintage": 2015 or null,\n      "wine_name": "Full wine name" or null,\n      "artist": "Artist Name" or null,\n      "album": "Album Title" or null,\n      "release_year": 1973 or null,\n      "title": "Book Title" or null,\n      "author": "Author Name" or null,\n      "isbn": "9780123456789" or null,\n      "card_name": "Charizard" or null,\n      "set_name": "Base Set" or null,\n      "card_number": "4/102" or null,\n      "hp": "120" or null,\n      "artwork_title": "Starry Night" or null,\n      "artwork_artist": "Vincent van Gogh" or null,\n      "year_created": "1889" or null\n    },\n    "followup_questions": [\n      {\n        "field": "catalog_number",\n        "question": "What is the catalog number on the record label?",\n        "priority": "high"\n      }\n    ]\n  }\n}\n\nStrict rules:\n- Output must be ONLY a JSON object with key 'item' (no prose).\n- Focus exclusively on "${itemDescription}".\n- Prices in euros as numbers (no currency symbol).\n- accuracy: 0.0–1.0 (confidence in identification).\n- If the item is not found or unclear, set accuracy to 0 and provide best estimate.\n- Include ALL details (condition, brand, model, materials, etc.) in the description field.\n- Make the description comprehensive and detailed.\n- item_type: Use "wine" for wine bottles, "vinyl" for vinyl records/LPs, "book" for books/novels/cookbooks, "pokemon" for Pokémon TCG trading cards, "art" for paintings/prints/posters/framed artworks, "general" for other items.\n- tags: Array of relevant tags assigned to this item${tagsInstruction}${tipsInstruction}\n- collector_details: ALWAYS include this object with ALL fields (set unused ones to null).\n  - For WINE: set winery, vintage, wine_name (set others to null)\n  - For VINYL: ALWAYS set artist, album, and release_year to null. A dedicated image recognition service (Google Vision reverse image search) will identify the vinyl from the cover image. DO NOT attempt to identify the artist, album, or year — not even if text is clearly visible on the cover. Your ONLY job for vinyl is to classify (item_type: "vinyl"), describe the physical item, and estimate its condition/value.\n  - For BOOK: set title and author from the cover. Include isbn ONLY if clearly visible on the back cover. Set all non-book fields to null.\n  - For POKEMON: set card_name (the Pokémon name, top-left of the card), set_name (from the set symbol or text), card_number (bottom-right, e.g. "4/102"), and hp (if visible). Set all non-Pokémon fields to null.\n  - For ART: ALWAYS set artwork_title, artwork_artist, and year_created to null. A dedicated image recognition service (Google Vision reverse image search) will identify the artwork from the image. DO NOT guess — even if a signature is visible. Your ONLY job for art is to classify (item_type: "art"), describe the physical piece (frame, medium, size), and estimate condition/value.\n  - For GENERAL: set ALL fields to null\n- followup_questions: Array of questions to ask the user for better identification.\n  - Each question has: field, question, priority\n  - field: one of "catalog_number", "barcode", "vintage_year", "serial_number", "model_number", "condition", "isbn", "card_number", "set_name", "artist_name", "artwork_title"\n  - question: The question text (in the same language as name/description)\n  - priority: "high", "medium", or "low"\n  - For VINYL: ALWAYS return an empty array. Identification is handled by Google Vision — do not ask any questions.\n  - For ART: ALWAYS return an empty array. Identification is handled by Google Vision — do not ask any questions.\n  - For WINE: ask for barcode and/or vintage_year if not clearly readable\n  - For BOOK: ask for isbn if not clearly readable\n  - For POKEMON: ask for card_number (e.g. 4/102) or set_name if not clearly visible\n  - For GENERAL: ask for serial_number or model_number if helpful\n  - Only include questions when extra info would SIGNIFICANTLY improve identification\n  - If confident (accuracy >= 0.85), return an empty array${languageInstruction}\n- For VINYL items specifically: keep the "name" and "description" generic. Use names like "Vinyl Record" and descriptions focused on physical condition (sleeve wear, color variant if visible, double LP, gatefold, etc.) — do NOT speculate about artist/album/year in the description.\n- For ART items specifically: keep the "name" and "description" generic. Use names like "Framed Artwork" or "Art Print" and descriptions focused on the physical piece (frame style/material, approximate size, medium if obvious, condition) — do NOT speculate about title/artist/year in the description.\n\nAnalyze this image (dimensions: ${imageWidth}x${imageHeight} pixels) and return the JSON object.`;
-  } else {
-    promptText = `You are an expert in visually analyzing household items, with special attention to collectible items. Identify and analyze the MOST PROMINENT or VALUABLE item in this image. Return ONLY a JSON object with a single 'item' object:\n\n{\n  "item": {\n    "name": "Item name",\n    "description": "Detailed description including: condition (Good/Excellent/Fair/Poor), brand (if visible), model (if identifiable), and any other relevant details",\n    "estimated_value": 25.50,\n    "quantity": 1,\n    "accuracy": 0.95,\n    "item_type": "wine" | "vinyl" | "book" | "pokemon" | "art" | "general",\n    "tags": [\"relevant\", \"tags\"],\n    "collector_details": {\n      "winery": "Château Name" or null,\n      "vintage": 2015 or null,\n      "wine_name": "Full wine name" or null,\n      "artist": "Artist Name" or null,\n      "album": "Album Title" or null,\n      "release_year": 1973 or null,\n      "title": "Book Title" or null,\n      "author": "Author Name" or null,\n      "isbn": "9780123456789" or null,\n      "card_name": "Charizard" or null,\n      "set_name": "Base Set" or null,\n      "card_number": "4/102" or null,\n      "hp": "120" or null,\n      "artwork_title": "Starry Night" or null,\n      "artwork_artist": "Vincent van Gogh" or null,\n      "year_created": "1889" or null\n    },\n    "followup_questions": [\n      {\n        "field": "catalog_number",\n        "question": "What is the catalog number on the record label?",\n        "priority": "high"\n      }\n    ]\n  }\n}\n\nStrict rules:\n- Output must be ONLY a JSON object with key 'item' (no prose).\n- Choose the most prominent, valuable, or significant item in the image.\n- Prices in euros as numbers (no currency symbol).\n- accuracy: 0.0–1.0 (confidence in identification).\n- Include ALL details (condition, brand, model, materials, etc.) in the description field.\n- Make the description comprehensive and detailed.\n- item_type: Use "wine" for wine bottles, "vinyl" for vinyl records/LPs, "book" for books/novels/cookbooks, "pokemon" for Pokémon TCG trading cards, "art" for paintings/prints/posters/framed artworks, "general" for other items.\n- tags: Array of relevant tags assigned to this item${tagsInstruction}${tipsInstruction}\n- collector_details: ALWAYS include this object with ALL fields (set unused ones to null).\n  - For WINE: set winery, vintage, wine_name (set others to null)\n  - For VINYL: ALWAYS set artist, album, and release_year to null. A dedicated image recognition service (Google Vision reverse image search) will identify the vinyl from the cover image. DO NOT attempt to identify the artist, album, or year — not even if text is clearly visible on the cover. Your ONLY job for vinyl is to classify (item_type: "vinyl"), describe the physical item, and estimate its condition/value.\n  - For BOOK: set title and author from the cover. Include isbn ONLY if clearly visible on the back cover. Set all non-book fields to null.\n  - For POKEMON: set card_name (the Pokémon name, top-left of the card), set_name (from the set symbol or text), card_number (bottom-right, e.g. "4/102"), and hp (if visible). Set all non-Pokémon fields to null.\n  - For ART: ALWAYS set artwork_title, artwork_artist, and year_created to null. A dedicated image recognition service (Google Vision reverse image search) will identify the artwork from the image. DO NOT guess — even if a signature is visible. Your ONLY job for art is to classify (item_type: "art"), describe the physical piece (frame, medium, size), and estimate condition/value.\n  - For GENERAL: set ALL fields to null\n- followup_questions: Array of questions to ask the user for better identification.\n  - Each question has: field, question, priority\n  - field: one of "catalog_number", "barcode", "vintage_year", "serial_number", "model_number", "condition", "isbn", "card_number", "set_name", "artist_name", "artwork_title"\n  - question: The question text (in the same language as name/description)\n  - priority: "high", "medium", or "low"\n  - For VINYL: ALWAYS return an empty array. Identification is handled by Google Vision — do not ask any questions.\n  - For ART: ALWAYS return an empty array. Identification is handled by Google Vision — do not ask any questions.\n  - For WINE: ask for barcode and/or vintage_year if not clearly readable\n  - For BOOK: ask for isbn if not clearly readable\n  - For POKEMON: ask for card_number (e.g. 4/102) or set_name if not clearly visible\n  - For GENERAL: ask for serial_number or model_number if helpful\n  - Only include questions when extra info would SIGNIFICANTLY improve identification\n  - If confident (accuracy >= 0.85), return an empty array${languageInstruction}\n- For VINYL items specifically: keep the "name" and "description" generic. Use names like "Vinyl Record" and descriptions focused on physical condition (sleeve wear, color variant if visible, double LP, gatefold, etc.) — do NOT speculate about artist/album/year in the description.\n- For ART items specifically: keep the "name" and "description" generic. Use names like "Framed Artwork" or "Art Print" and descriptions focused on the physical piece (frame style/material, approximate size, medium if obvious, condition) — do NOT speculate about title/artist/year in the description.\n\nAnalyze this image (dimensions: ${imageWidth}x${imageHeight} pixels) and return the JSON object.`;
-  }
-  
-  try {
-    const response = await openai.responses.create({
-      model: "gpt-4o",
-      input: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "input_text",
-              text: promptText
-            },
-            {
-              type: "input_image",
-              image_url: `data:image/jpeg;base64,${compressedImage}`
-            }
-          ]
-        }
-      ],
-      text: {
-        format: {
-          type: "json_schema",
-          name: "single_item_response",
-          schema: {
-            type: "object",
-            properties: {
-              item: {
-                type: "object",
-                required: [
-                  "name",
-                  "description",
-                  "estimated_value",
-                  "quantity",
-                  "accuracy",
-                  "item_type",
-                  "tags",
-                  "collector_details",
-                  "followup_questions"
-                ],
-                properties: {
-                  name: { type: "string" },
-                  description: { type: "string" },
-                  estimated_value: { type: "number" },
-                  quantity: { type: "integer", minimum: 1 },
-                  accuracy: { type: "number", minimum: 0, maximum: 1 },
-                  item_type: { type: "string", enum: ["wine", "vinyl", "book", "pokemon", "art", "general"] },
-                  tags: {
-                    type: "array",
-                    items: { type: "string" }
-                  },
-                  collector_details: {
-                    type: "object",
-                    properties: {
-                      winery: { type: ["string", "null"] },
-                      vintage: { type: ["integer", "null"] },
-                      wine_name: { type: ["string", "null"] },
-                      artist: { type: ["string", "null"] },
-                      album: { type: ["string", "null"] },
-                      release_year: { type: ["integer", "null"] },
-                      title: { type: ["string", "null"] },
-                      author: { type: ["string", "null"] },
-                      isbn: { type: ["string", "null"] },
-                      card_name: { type: ["string", "null"] },
-                      set_name: { type: ["string", "null"] },
-                      card_number: { type: ["string", "null"] },
-                      hp: { type: ["string", "null"] },
-                      artwork_title: { type: ["string", "null"] },
-                      artwork_artist: { type: ["string", "null"] },
-                      year_created: { type: ["string", "null"] }
-                    },
-                    required: [
-                      "winery", "vintage", "wine_name",
-                      "artist", "album", "release_year",
-                      "title", "author", "isbn",
-                      "card_name", "set_name", "card_number", "hp",
-                      "artwork_title", "artwork_artist", "year_created"
-                    ],
-                    additionalProperties: false
-                  },
-                  followup_questions: {
-                    type: "array",
-                    items: {
-                      type: "object",
-                      properties: {
-                        field: { type: "string", enum: ["catalog_number", "barcode", "vintage_year", "serial_number", "model_number", "condition", "isbn", "card_number", "set_name", "artist_name", "artwork_title"] },
-                        question: { type: "string" },
-                        priority: { type: "string", enum: ["high", "medium", "low"] }
-                      },
-                      required: ["field", "question", "priority"],
-                      additionalProperties: false
-                    }
-                  }
-                },
-                additionalProperties: false
-              }
-            },
-            required: ["item"],
-            additionalProperties: false
-          },
-          strict: true
-        }
-      },
-      max_output_tokens: 10000
-    });
 
-    const content = response.output_text || "";
-    
-    // Clean possible code fences
-    const contentClean = content
-      .replace(/^```json\s*/i, '')
-      .replace(/^```\s*/i, '')
-      .replace(/\s*```\s*$/i, '')
-      .trim();
-    
-    console.log('[OpenAI Single] Response length:', contentClean.length, 'characters');
-    console.log('[OpenAI Single] First 200 chars:', contentClean.substring(0, 200));
-    
-    // Extract token usage information
-    const tokenUsage = response.usage || {};
-    const promptTokens = tokenUsage.input_tokens || tokenUsage.prompt_tokens || 0;
-    const completionTokens = tokenUsage.output_tokens || tokenUsage.completion_tokens || 0;
-    const totalTokens = tokenUsage.total_tokens || (promptTokens + completionTokens);
-    
-    // Log detailed token usage
-    const estimatedImageTokens = Math.ceil((imageWidth * imageHeight) / 768);
-    
-    console.log('Token usage details:', {
-      prompt_tokens: promptTokens,
-      completion_tokens: completionTokens,
-      total_tokens: totalTokens,
-      image_dimensions: `${imageWidth}x${imageHeight}`,
-      estimated_image_tokens: estimatedImageTokens
-    });
-    
-    // Warn if token usage is high
-    if (totalTokens > 15000) {
-      console.warn(`High token usage detected: ${totalTokens} tokens. Consider using smaller images.`);
-    }
-    
-    // Parse JSON response
-    const jsonMatch = contentClean.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      try {
-        const parsed = JSON.parse(jsonMatch[0]);
-        if (!parsed.item) {
-          throw new Error('Response missing "item" field');
-        }
-        
-        console.log('[OpenAI Single] Successfully parsed JSON');
-        
-        return {
-          item: parsed.item,
-          token_usage: {
-            prompt_tokens: promptTokens,
-            completion_tokens: completionTokens,
-            total_tokens: totalTokens,
-            input_tokens: promptTokens,
-            output_tokens: completionTokens
-          },
-          warnings: totalTokens > 15000 ? [`High token usage: ${totalTokens} tokens. Consider using smaller images to reduce costs.`] : []
-        };
-      } catch (parseError) {
-        console.error('[OpenAI Single] JSON parse error:', parseError.message);
-        console.error('[OpenAI Single] Attempted to parse:', jsonMatch[0].substring(0, 500));
-        throw new Error(`Invalid JSON format in OpenAI response: ${parseError.message}`);
-      }
-    }
-    
-    // Try to parse entire response
-    try {
-      const parsed = JSON.parse(contentClean);
-      if (!parsed.item) {
-        throw new Error('Response missing "item" field');
-      }
-      
-      console.log('[OpenAI Single] Successfully parsed full content');
-      
-      return {
-        item: parsed.item,
-        token_usage: {
-          prompt_tokens: promptTokens,
-          completion_tokens: completionTokens,
-          total_tokens: totalTokens,
-          input_tokens: promptTokens,
-          output_tokens: completionTokens
-        },
-        warnings: totalTokens > 15000 ? [`High token usage: ${totalTokens} tokens. Consider using smaller images to reduce costs.`] : []
-      };
-    } catch (parseError) {
-      console.error('[OpenAI Single] JSON parse error for full content:', parseError.message);
-      console.error('[OpenAI Single] Full raw content (first 1000 chars):', contentClean.substring(0, 1000));
-      console.error('[OpenAI Single] Content ends with:', contentClean.substring(contentClean.length - 100));
-      throw new Error(`OpenAI response is not valid JSON: ${parseError.message}. Response preview: ${contentClean.substring(0, 200)}`);
-    }
-  } catch (error) {
-    console.error('OpenAI API error:', error);
-    
-    if (error.response) {
-      console.error('OpenAI API response error:', error.response.data);
-      throw new Error(`OpenAI API error: ${error.response.data.error?.message || error.response.statusText}`);
-    } else if (error.request) {
-      console.error('OpenAI API request error:', error.request);
-      throw new Error('OpenAI API request failed - no response received');
-    } else {
-      console.error('OpenAI API setup error:', error.message);
-      throw new Error(`OpenAI API error: ${error.message}`);
-    }
-  }
+  const integrations = Object.entries(config.integrations);
+  const enabled = integrations.filter(([, integration]) => integration.enabled).map(([name]) => name);
+  const disabled = integrations.filter(([, integration]) => !integration.enabled).map(([name]) => name);
+  log.info(`Integrations enabled: ${enabled.join(', ') || 'none'}; disabled: ${disabled.join(', ') || 'none'}`);
+  // Integrations switched on by their flag but missing credentials
+  config.warnings.forEach(warning => log.warn(warning));
+  log.debug('Configuration', describeConfig(config));
+  return config;
 };
 
 /**
- * POST /process - Process image and detect household items
- * Body: { "image_url": "string", "user_id": "string", "language": "string (optional, default: 'en')" }
- * Headers: Authorization: Bearer <Firebase_ID_Token>
- */
-app.post('/process', verifyFirebaseToken, async (req, res) => {
-  const startTime = Date.now();
-  
-  try {
-    const { image_url, user_id, language, tags } = req.body;
-    
-    // Validate input
-    if (!image_url || !user_id) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: image_url and user_id are required' 
-      });
-    }
-
-    // Validate user_id matches the authenticated user
-    if (req.user.uid !== user_id) {
-      return res.status(403).json({ 
-        error: 'User ID does not match authenticated user' 
-      });
-    }
-
-    const requestedLanguage = language || 'en';
-    const userTags = Array.isArray(tags) ? tags : [];
-    
-    console.log(`Processing image for user ${user_id} in language: ${requestedLanguage}`);
-    if (userTags.length > 0) {
-      console.log(`[Tags] User provided ${userTags.length} tags:`, userTags);
-    }
-
-    // Download and encode image
-    const { base64: base64Image, filePath } = await downloadAndEncodeImage(image_url);
-    
-    // Process with OpenAI Vision
-    const result = await processImageWithOpenAI(base64Image, requestedLanguage, userTags);
-    
-    // Attach base64 image to items so Vision fallback can use it for unrecognised vinyl
-    const itemsWithImage = result.items.map(item => ({ ...item, _base64Image: base64Image }));
-    
-    // Enrich collector items with external API data
-    const enrichedItemsRaw = await processCollectorItems(itemsWithImage);
-    
-    // Strip internal fields (e.g. _base64Image) before sending response
-    const enrichedItems = cleanItemsForResponse(enrichedItemsRaw);
-    
-    // Get collector statistics
-    const collectorStats = getCollectorStats(enrichedItems);
-    
-    // Delete image from Firebase Storage after processing
-    const deleteSuccess = await deleteImageFromFirebase(filePath);
-    
-    const processingTime = (Date.now() - startTime) / 1000;
-    
-    const allFollowupQuestions = [];
-    enrichedItems.forEach((item, index) => {
-      if (item.followup_questions && item.followup_questions.length > 0) {
-        item.followup_questions.forEach(q => {
-          allFollowupQuestions.push({ ...q, item_index: index });
-        });
-      }
-    });
-    
-    res.json({
-      version: API_VERSION,
-      items: enrichedItems,
-      token_usage: result.token_usage,
-      warnings: result.warnings || [],
-      processing_time: processingTime,
-      user_id: user_id,
-      image_deleted: deleteSuccess,
-      collector_stats: collectorStats,
-      followup_questions: allFollowupQuestions,
-      has_followup: allFollowupQuestions.length > 0
-    });
-
-  } catch (error) {
-    console.error('Error processing image:', error);
-    const processingTime = (Date.now() - startTime) / 1000;
-    
-    res.status(500).json({
-      version: API_VERSION,
-      error: 'Failed to process image',
-      processing_time: processingTime,
-      details: error.message
-    });
-  }
-});
-
-/**
- * POST /process-single - Process image and analyze a single specific item
- * Body: { "image_url": "string", "user_id": "string", "item_name": "string (optional)", "language": "string (optional, default: 'en')" }
- * Headers: Authorization: Bearer <Firebase_ID_Token>
- */
-app.post('/process-single', verifyFirebaseToken, async (req, res) => {
-  const startTime = Date.now();
-  
-  try {
-    const { image_url, user_id, item_name, language, tags, tips } = req.body;
-    
-    // Validate input - item_name, language, and tags are optional
-    if (!image_url || !user_id) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: image_url and user_id are required' 
-      });
-    }
-
-    // Validate user_id matches the authenticated user
-    if (req.user.uid !== user_id) {
-      return res.status(403).json({ 
-        error: 'User ID does not match authenticated user' 
-      });
-    }
-
-    const requestedLanguage = language || 'en';
-    const userTags = Array.isArray(tags) ? tags : [];
-    const userTips = typeof tips === 'string' ? tips.trim() : '';
-    
-    if (item_name) {
-      console.log(`Processing single item "${item_name}" for user ${user_id} in language: ${requestedLanguage}`);
-    } else {
-      console.log(`Processing most prominent item for user ${user_id} in language: ${requestedLanguage}`);
-    }
-    
-    if (userTags.length > 0) {
-      console.log(`[Tags] User provided ${userTags.length} tags:`, userTags);
-    }
-    if (userTips) {
-      console.log(`[Tips] User provided hints: ${userTips}`);
-    }
-
-    // Download and encode image
-    const { base64: base64Image, filePath } = await downloadAndEncodeImage(image_url);
-    
-    // Process with OpenAI Vision - single item focus
-    const result = await processSingleItemWithOpenAI(base64Image, item_name, requestedLanguage, userTags, userTips);
-    
-    // Attach base64 image so Vision fallback can use it for unrecognised vinyl
-    const itemWithImage = { ...result.item, _base64Image: base64Image };
-    
-    // Enrich collector item with external API data
-    const enrichedItemRaw = await processCollectorItem(itemWithImage);
-    
-    // Strip internal fields (e.g. _base64Image) before sending response
-    const enrichedItem = cleanItemForResponse(enrichedItemRaw);
-    
-    // Delete image from Firebase Storage after processing
-    const deleteSuccess = await deleteImageFromFirebase(filePath);
-    
-    const processingTime = (Date.now() - startTime) / 1000;
-    
-    const itemFollowup = enrichedItem.followup_questions || [];
-    
-    const response = {
-      version: API_VERSION,
-      item: enrichedItem,
-      token_usage: result.token_usage,
-      warnings: result.warnings || [],
-      processing_time: processingTime,
-      user_id: user_id,
-      image_deleted: deleteSuccess,
-      followup_questions: itemFollowup,
-      has_followup: itemFollowup.length > 0
-    };
-    
-    // Only include searched_for if item_name was provided
-    if (item_name) {
-      response.searched_for = item_name;
-    }
-    
-    res.json(response);
-
-  } catch (error) {
-    console.error('Error processing single item:', error);
-    const processingTime = (Date.now() - startTime) / 1000;
-    
-    res.status(500).json({
-      version: API_VERSION,
-      error: 'Failed to process single item',
-      processing_time: processingTime,
-      details: error.message
-    });
-  }
-});
-
-/**
- * POST /enrich - Re-enrich an item using extra info provided by the user (follow-up)
- * Body: { "user_id": "string", "item_type": "wine"|"vinyl"|"book"|"pokemon"|"art", "collector_details": {}, "extra_info": { "catalog_number": "CBS 85224", "isbn": "9780...", "card_number": "4/102", ... } }
- * Headers: Authorization: Bearer <Firebase_ID_Token>
+ * Initialize the default Firebase Admin app
+ * @param {Object} firebase - Firebase settings (config.firebase)
+ * @returns {Object} The firebase-admin module
  */
-app.post('/enrich', verifyFirebaseToken, async (req, res) => {
-  const startTime = Date.now();
-
-  try {
-    const { user_id, item_type, collector_details, extra_info } = req.body;
-
-    if (!user_id || !item_type || !extra_info) {
-      return res.status(400).json({
-        error: 'Missing required fields: user_id, item_type, and extra_info are required'
-      });
-    }
-
-    if (req.user.uid !== user_id) {
-      return res.status(403).json({
-        error: 'User ID does not match authenticated user'
-      });
-    }
-
-    if (!['wine', 'vinyl', 'book', 'pokemon', 'art'].includes(item_type)) {
-      return res.status(400).json({
-        error: 'item_type must be "wine", "vinyl", "book", "pokemon" or "art"'
-      });
-    }
-
-    console.log(`[Enrich] Re-enriching ${item_type} for user ${user_id} with extra info:`, extra_info);
-
-    let enrichResult;
-
-    if (item_type === 'vinyl') {
-      enrichResult = await enrichVinylWithExtraInfo(collector_details || {}, extra_info);
-    } else if (item_type === 'wine') {
-      enrichResult = await enrichWineWithExtraInfo(collector_details || {}, extra_info);
-    } else if (item_type === 'book') {
-      enrichResult = await enrichBookWithExtraInfo(collector_details || {}, extra_info);
-    } else if (item_type === 'pokemon') {
-      enrichResult = await enrichPokemonWithExtraInfo(collector_details || {}, extra_info);
-    } else if (item_type === 'art') {
-      enrichResult = await enrichArtworkWithExtraInfo(collector_details || {}, extra_info);
-    }
-
-    const processingTime = (Date.now() - startTime) / 1000;
-
-    res.json({
-      version: API_VERSION,
-      item_type: item_type,
-      collector_category: enrichResult.collector_category,
-      collector_data: enrichResult.collector_data,
-      collector_warning: enrichResult.collector_warning || null,
-      processing_time: processingTime,
-      user_id: user_id
-    });
-
-  } catch (error) {
-    console.error('Error enriching item:', error);
-    const processingTime = (Date.now() - startTime) / 1000;
-
-    res.status(500).json({
-      version: API_VERSION,
-      error: 'Failed to enrich item',
-      processing_time: processingTime,
-      details: error.message
+const initializeFirebaseAdmin = (firebase) => {
+  if (admin.apps.length > 0) return admin;
+  const storageBucket = firebase.storageBucket || undefined;
+
+  if (!firebase.privateKey && (firebase.authEmulatorHost || firebase.storageEmulatorHost)) {
+    const projectId = firebase.projectId || EMULATOR_PROJECT_ID;
+    log.info(`Using the Firebase emulators for project ${projectId} (auth: ${firebase.authEmulatorHost || 'none'}, storage: ${firebase.storageEmulatorHost || 'none'})`);
+    admin.initializeApp({
+      projectId,
+      storageBucket: storageBucket || `${projectId}.appspot.com`
     });
+    return admin;
   }
-});
-
-/**
- * GET /health - Health check endpoint
- */
-app.get('/health', (req, res) => {
-  res.json({ 
-    version: API_VERSION,
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    service: 'Track My Home API'
-  });
-});
-
-/**
- * GET / - Root endpoint
- */
-app.get('/', (req, res) => {
-  res.json({
-    message: 'Track My Home API',
-    version: API_VERSION,
-    endpoints: {
-      'POST /assistant/webhook': 'Google Assistant Actions Builder webhook',
-      'POST /process': 'Process image and detect all household items',
-      'POST /process-single': 'Process image and analyze a specific item',
-      'POST /enrich': 'Re-enrich item with user-provided extra info (catalog number, barcode, etc.)',
-      'GET /health': 'Health check',
-      'GET /test-openai': 'Test OpenAI API connection'
-    }
-  });
-});
 
-/**
- * GET /test-openai - Test OpenAI API connection
- */
-app.get('/test-openai', async (req, res) => {
-  try {
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "user",
-          content: "Say 'Hello from Track My Home API'"
-        }
-      ],
-      max_tokens: 10
-    });
-    
-    res.json({
-      version: API_VERSION,
-      success: true,
-      message: response.choices[0].message.content,
-      model: response.model
-    });
-  } catch (error) {
-    console.error('OpenAI test error:', error);
-    res.status(500).json({
-      version: API_VERSION,
-      success: false,
-      error: error.message,
-      details: error.response?.data || 'No additional details'
+  if (!firebase.privateKey) {
+    log.warn('FIREBASE_PRIVATE_KEY is not set, using Application Default Credentials');
+    admin.initializeApp({
+      credential: admin.credential.applicationDefault(),
+      projectId: firebase.projectId,
+      storageBucket
     });
+    return admin;
   }
-});
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Unhandled error:', error);
-  res.status(500).json({
-    version: API_VERSION,
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+  const serviceAccount = {
+    type: "service_account",
+    project_id: firebase.projectId,
+    private_key_id: firebase.privateKeyId,
+    private_key: firebase.privateKey.replace(/\\n/g, '\n'),
+    client_email: firebase.clientEmail,
+    client_id: firebase.clientId,
+    auth_uri: firebase.authUri,
+    token_uri: firebase.tokenUri,
+    auth_provider_x509_cert_url: firebase.authProviderCertUrl,
+    client_x509_cert_url: firebase.clientCertUrl
+  };
+
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    storageBucket
   });
-});
+  return admin;
+};
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ 
-    version: API_VERSION,
-    error: 'Endpoint not found' 
-  });
-});
+const config = loadValidatedConfig();
+const app = createApp({ admin: initializeFirebaseAdmin(config.firebase) });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Track My Home API running on port ${PORT}`);
-  console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-});
+if (require.main === module) {
+  const PORT = config.server.port;
+  app.listen(PORT, () => {
+    log.info(`🚀 Track My Home API running on port ${PORT}`);
+    log.info(`📝 Environment: ${config.server.nodeEnv}`);
+    log.info(`🔗 Health check: http://localhost:${PORT}/health`);
+  });
+}
 
-module.exports = app; 
\ No newline at end of file
+module.exports = app;
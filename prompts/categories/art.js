@@ -0,0 +1,21 @@
+/**
+ * Art category definition for the item detection prompt
+ *
+ * Title/artist/year are identified by Google Vision reverse image search,
+ * so the model must leave them empty and never ask follow-up questions.
+ */
+
+module.exports = {
+  id: 'art',
+  label: 'ART',
+  itemTypeRule: 'paintings/prints/posters/framed artworks',
+  fields: {
+    artwork_title: { type: 'string', example: 'Starry Night' },
+    artwork_artist: { type: 'string', example: 'Vincent van Gogh' },
+    year_created: { type: 'string', example: '1889' }
+  },
+  detailsRule: 'ALWAYS set artwork_title, artwork_artist, and year_created to null. A dedicated image recognition service (Google Vision reverse image search) will identify the artwork from the image. DO NOT guess — even if a signature is visible. Your ONLY job for art is to classify (item_type: "art"), describe the physical piece (frame, medium, size), and estimate condition/value.',
+  followupFields: ['artwork_title', 'artist_name'],
+  followupRule: 'ALWAYS return an empty array. Identification is handled by Google Vision — do not ask any questions.',
+  itemRule: 'keep the "name" and "description" generic. Use names like "Framed Artwork" or "Art Print" and descriptions focused on the physical piece (frame style/material, approximate size, medium if obvious, condition) — do NOT speculate about title/artist/year in the description.'
+};
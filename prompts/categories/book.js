@@ -0,0 +1,18 @@
+/**
+ * Book category definition for the item detection prompt
+ */
+
+module.exports = {
+  id: 'book',
+  label: 'BOOK',
+  itemTypeRule: 'books/novels/cookbooks',
+  fields: {
+    title: { type: 'string', example: 'Book Title' },
+    author: { type: 'string', example: 'Author Name' },
+    isbn: { type: 'string', example: '9780123456789' }
+  },
+  detailsRule: 'set title and author from the cover. Include isbn ONLY if clearly visible on the back cover. Set all non-book fields to null.',
+  followupFields: ['isbn'],
+  followupRule: 'ask for isbn if not clearly readable',
+  itemRule: null
+};
@@ -0,0 +1,15 @@
+/**
+ * Fallback category for everything that is not a collector item.
+ * Always listed last in the prompt; has no collector_details fields.
+ */
+
+module.exports = {
+  id: 'general',
+  label: 'GENERAL',
+  itemTypeRule: 'other items',
+  fields: {},
+  detailsRule: 'set ALL fields to null',
+  followupFields: ['serial_number', 'model_number', 'condition'],
+  followupRule: 'ask for serial_number or model_number if helpful',
+  itemRule: null
+};
@@ -0,0 +1,19 @@
+/**
+ * Pokémon TCG category definition for the item detection prompt
+ */
+
+module.exports = {
+  id: 'pokemon',
+  label: 'POKEMON',
+  itemTypeRule: 'Pokémon TCG trading cards',
+  fields: {
+    card_name: { type: 'string', example: 'Charizard' },
+    set_name: { type: 'string', example: 'Base Set' },
+    card_number: { type: 'string', example: '4/102' },
+    hp: { type: 'string', example: '120' }
+  },
+  detailsRule: 'set card_name (the Pokémon name, top-left of the card), set_name (from the set symbol or text), card_number (bottom-right, e.g. "4/102"), and hp (if visible). Set all non-Pokémon fields to null.',
+  followupFields: ['card_number', 'set_name'],
+  followupRule: 'ask for card_number (e.g. 4/102) or set_name if not clearly visible',
+  itemRule: null
+};
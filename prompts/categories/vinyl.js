@@ -0,0 +1,21 @@
+/**
+ * Vinyl category definition for the item detection prompt
+ *
+ * Artist/album/year are identified by Google Vision reverse image search,
+ * so the model must leave them empty and never ask follow-up questions.
+ */
+
+module.exports = {
+  id: 'vinyl',
+  label: 'VINYL',
+  itemTypeRule: 'vinyl records/LPs',
+  fields: {
+    artist: { type: 'string', example: 'Artist Name' },
+    album: { type: 'string', example: 'Album Title' },
+    release_year: { type: 'integer', example: 1973 }
+  },
+  detailsRule: 'ALWAYS set artist, album, and release_year to null. A dedicated image recognition service (Google Vision reverse image search) will identify the vinyl from the cover image. DO NOT attempt to identify the artist, album, or year — not even if text is clearly visible on the cover. Your ONLY job for vinyl is to classify (item_type: "vinyl"), describe the physical item, and estimate its condition/value.',
+  followupFields: ['catalog_number', 'artist_name'],
+  followupRule: 'ALWAYS return an empty array. Identification is handled by Google Vision — do not ask any questions.',
+  itemRule: 'keep the "name" and "description" generic. Use names like "Vinyl Record" and descriptions focused on physical condition (sleeve wear, color variant if visible, double LP, gatefold, etc.) — do NOT speculate about artist/album/year in the description.'
+};
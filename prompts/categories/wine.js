@@ -0,0 +1,18 @@
+/**
+ * Wine category definition for the item detection prompt
+ */
+
+module.exports = {
+  id: 'wine',
+  label: 'WINE',
+  itemTypeRule: 'wine bottles',
+  fields: {
+    winery: { type: 'string', example: 'Château Name' },
+    vintage: { type: 'integer', example: 2015 },
+    wine_name: { type: 'string', example: 'Full wine name' }
+  },
+  detailsRule: 'set winery, vintage, wine_name (set others to null)',
+  followupFields: ['barcode', 'vintage_year'],
+  followupRule: 'ask for barcode and/or vintage_year if not clearly readable',
+  itemRule: null
+};
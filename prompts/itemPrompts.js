@@ -0,0 +1,356 @@
+/**
+ * Item Detection Prompt Registry
+ *
+ * Builds the instruction prompt and the strict JSON schema for item detection
+ * from per-category definitions in ./categories. Adding a collector_details
+ * field or a follow-up field to a category updates the prompt example, the
+ * rules and the schema of both /process and /process-single at once.
+ *
+ * Modes:
+ * - "items": all items in a scene (/process), schema items_response
+ * - "single": one item, by name or the most prominent one (/process-single),
+ *   schema single_item_response
+ *
+ * Every built prompt carries a version "<mode>@<PROMPT_VERSION>+<hash>". The
+ * hash covers the category definitions and templates, so any edit changes the
+ * reported version even if PROMPT_VERSION is not bumped.
+ */
+
+const crypto = require('crypto');
+const { GRID_CELLS } = require('../utils/itemRegion');
+
+// Bump when the wording of the templates below changes
+const PROMPT_VERSION = '2.1.0';
+
+// Order matters: it is the order of item_type values, rules and schema fields
+const CATEGORIES = [
+  require('./categories/wine'),
+  require('./categories/vinyl'),
+  require('./categories/book'),
+  require('./categories/pokemon'),
+  require('./categories/art'),
+  require('./categories/general')
+];
+
+const LANGUAGE_NAMES = {
+  'nl': 'Dutch',
+  'fr': 'French',
+  'de': 'German',
+  'es': 'Spanish',
+  'it': 'Italian',
+  'pt': 'Portuguese'
+};
+
+const MODES = {
+  items: {
+    schemaName: 'items_response',
+    rootKey: 'items',
+    exampleDescription: 'Brief description',
+    exampleTags: ['relevant', 'tags', 'here'],
+    tagsTarget: 'each item'
+  },
+  single: {
+    schemaName: 'single_item_response',
+    rootKey: 'item',
+    exampleDescription: 'Detailed description including: condition (Good/Excellent/Fair/Poor), brand (if visible), model (if identifiable), and any other relevant details',
+    exampleTags: ['relevant', 'tags'],
+    tagsTarget: 'this item'
+  }
+};
+
+/**
+ * All collector_details fields across categories, in category order
+ * @returns {Array<[string, Object]>} [fieldName, { type, example }]
+ */
+function getCollectorFields() {
+  return CATEGORIES.flatMap(category => Object.entries(category.fields));
+}
+
+/**
+ * All allowed follow-up question fields (deduplicated, in category order)
+ * @param {string} categoryId - Only the fields of this category (optional)
+ * @returns {Array<string>}
+ */
+function getFollowupFields(categoryId) {
+  const categories = categoryId ? CATEGORIES.filter(category => category.id === categoryId) : CATEGORIES;
+  return Array.from(new Set(categories.flatMap(category => category.followupFields)));
+}
+
+/**
+ * Item type values for the item_type enum
+ * @returns {Array<string>}
+ */
+function getItemTypes() {
+  return CATEGORIES.map(category => category.id);
+}
+
+/**
+ * Build the JSON schema of a single detected item
+ * @returns {Object} JSON schema
+ */
+function buildItemSchema() {
+  const collectorFields = getCollectorFields();
+
+  return {
+    type: 'object',
+    required: [
+      'name',
+      'description',
+      'estimated_value',
+      'quantity',
+      'accuracy',
+      'item_type',
+      'tags',
+      'collector_details',
+      'followup_questions',
+      'region'
+    ],
+    properties: {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      estimated_value: { type: 'number' },
+      quantity: { type: 'integer', minimum: 1 },
+      accuracy: { type: 'number', minimum: 0, maximum: 1 },
+      item_type: { type: 'string', enum: getItemTypes() },
+      tags: {
+        type: 'array',
+        items: { type: 'string' }
+      },
+      collector_details: {
+        type: 'object',
+        properties: Object.fromEntries(collectorFields.map(([name, field]) => [name, { type: [field.type, 'null'] }])),
+        required: collectorFields.map(([name]) => name),
+        additionalProperties: false
+      },
+      followup_questions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', enum: getFollowupFields() },
+            question: { type: 'string' },
+            priority: { type: 'string', enum: ['high', 'medium', 'low'] }
+          },
+          required: ['field', 'question', 'priority'],
+          additionalProperties: false
+        }
+      },
+      region: {
+        type: ['object', 'null'],
+        properties: {
+          grid_cell: { type: ['string', 'null'], enum: [...GRID_CELLS, null] },
+          box: {
+            type: ['object', 'null'],
+            properties: {
+              x_min: { type: 'number' },
+              y_min: { type: 'number' },
+              x_max: { type: 'number' },
+              y_max: { type: 'number' }
+            },
+            required: ['x_min', 'y_min', 'x_max', 'y_max'],
+            additionalProperties: false
+          }
+        },
+        required: ['grid_cell', 'box'],
+        additionalProperties: false
+      }
+    },
+    additionalProperties: false
+  };
+}
+
+/**
+ * Build the response schema for a mode
+ * @param {string} mode - 'items' | 'single'
+ * @returns {Object} JSON schema
+ */
+function buildResponseSchema(mode) {
+  const { rootKey } = MODES[mode];
+  const itemSchema = buildItemSchema();
+
+  return {
+    type: 'object',
+    properties: {
+      [rootKey]: mode === 'items' ? { type: 'array', items: itemSchema } : itemSchema
+    },
+    required: [rootKey],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Build the example JSON shown in the prompt (not strict JSON: item_type lists the options)
+ * @param {string} mode
+ * @returns {string}
+ */
+function buildExample(mode) {
+  const { rootKey, exampleDescription, exampleTags } = MODES[mode];
+  const pad = mode === 'items' ? '      ' : '    ';
+
+  const collectorLines = getCollectorFields().map(([name, field]) => `${pad}  "${name}": ${JSON.stringify(field.example)} or null`);
+
+  const itemLines = [
+    `${pad}"name": "Item name",`,
+    `${pad}"description": "${exampleDescription}",`,
+    `${pad}"estimated_value": 25.50,`,
+    `${pad}"quantity": 1,`,
+    `${pad}"accuracy": 0.95,`,
+    `${pad}"item_type": ${getItemTypes().map(t => `"${t}"`).join(' | ')},`,
+    `${pad}"tags": ${JSON.stringify(exampleTags).replace(/,/g, ', ')},`,
+    `${pad}"collector_details": {`,
+    collectorLines.join(',\n'),
+    `${pad}},`,
+    `${pad}"followup_questions": [`,
+    `${pad}  {`,
+    `${pad}    "field": "catalog_number",`,
+    `${pad}    "question": "What is the catalog number on the record label?",`,
+    `${pad}    "priority": "high"`,
+    `${pad}  }`,
+    `${pad}],`,
+    `${pad}"region": { "grid_cell": "B2", "box": { "x_min": 0.35, "y_min": 0.2, "x_max": 0.6, "y_max": 0.75 } }`
+  ].join('\n');
+
+  if (mode === 'items') {
+    return `{\n  "${rootKey}": [\n    {\n${itemLines}\n    }\n  ]\n}`;
+  }
+  return `{\n  "${rootKey}": {\n${itemLines}\n  }\n}`;
+}
+
+/**
+ * Opening sentence and mode-specific rules
+ * @param {string} mode
+ * @param {string|null} itemDescription - Item to focus on (single mode only)
+ * @returns {Object} { intro, rules }
+ */
+function buildModeText(mode, itemDescription) {
+  if (mode === 'items') {
+    return {
+      intro: "You are an expert in visually analyzing household scenes, with special attention to collectible items. Return ONLY a JSON object with an 'items' array. For each clearly visible and identifiable household item, include:",
+      rules: [
+        "Output must be ONLY a JSON object with key 'items' (no prose).",
+        'Prices in euros as numbers (no currency symbol).',
+        'accuracy: 0.0–1.0'
+      ]
+    };
+  }
+
+  const focus = itemDescription
+    ? `Focus ONLY on this item: "${itemDescription}".`
+    : 'Identify and analyze the MOST PROMINENT or VALUABLE item in this image.';
+
+  return {
+    intro: `You are an expert in visually analyzing household items, with special attention to collectible items. ${focus} Return ONLY a JSON object with a single 'item' object:`,
+    rules: [
+      "Output must be ONLY a JSON object with key 'item' (no prose).",
+      itemDescription
+        ? `Focus exclusively on "${itemDescription}".`
+        : 'Choose the most prominent, valuable, or significant item in the image.',
+      'Prices in euros as numbers (no currency symbol).',
+      'accuracy: 0.0–1.0 (confidence in identification).',
+      ...(itemDescription ? ['If the item is not found or unclear, set accuracy to 0 and provide best estimate.'] : []),
+      'Include ALL details (condition, brand, model, materials, etc.) in the description field.',
+      'Make the description comprehensive and detailed.'
+    ]
+  };
+}
+
+/**
+ * Language instruction for non-English output
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function buildLanguageInstruction(language) {
+  if (!language || language === 'en') return '';
+  const languageName = LANGUAGE_NAMES[language.toLowerCase()] || language;
+  return `\n- IMPORTANT: All text fields (name and description) MUST be in ${languageName}.`;
+}
+
+// Version per mode: PROMPT_VERSION plus a hash of everything the prompt is built from
+const definitionHash = crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ CATEGORIES, MODES, LANGUAGE_NAMES, example: buildExample('items'), rules: buildModeText('single', 'x') }))
+  .digest('hex')
+  .slice(0, 8);
+
+/**
+ * Prompt version reported in responses
+ * @param {string} mode - 'items' | 'single'
+ * @returns {string} e.g. "items@2.0.0+1a2b3c4d"
+ */
+function getPromptVersion(mode) {
+  return `${mode}@${PROMPT_VERSION}+${definitionHash}`;
+}
+
+/**
+ * Build prompt, schema and version for item detection
+ * @param {Object} options
+ * @param {string} options.mode - 'items' | 'single'
+ * @param {Array<string>} options.tags - Merged user + system tags
+ * @param {string} options.language - Output language code
+ * @param {string} options.tips - Recognition hints from the user (single mode)
+ * @param {string|null} options.itemDescription - Item to focus on (single mode)
+ * @param {string} options.dimensionsHint - e.g. " (dimensions: 1024x768 pixels)"
+ * @returns {Object} { prompt, schemaName, schema, version }
+ */
+function buildItemPrompt({ mode, tags = [], language = 'en', tips = '', itemDescription = null, dimensionsHint = '' }) {
+  const modeConfig = MODES[mode];
+  if (!modeConfig) {
+    throw new Error(`Unknown prompt mode "${mode}"`);
+  }
+
+  const { intro, rules } = buildModeText(mode, itemDescription);
+
+  const tagsInstruction = tags.length > 0
+    ? `\n- Available tags: ${tags.join(', ')}\n- Assign relevant tags to ${modeConfig.tagsTarget} using semantic matching (e.g., "bottle" → "wine", "LP" → "vinyl")\n- Add assigned tags to the "tags" array field`
+    : '';
+  const tipsInstruction = tips && tips.trim().length > 0
+    ? `\n- Recognition hints from user (use these to identify the item): ${tips.trim()}`
+    : '';
+
+  const collectors = CATEGORIES.filter(category => category.id !== 'general');
+  const itemTypeRule = CATEGORIES
+    .map(category => `"${category.id}" for ${category.itemTypeRule}`)
+    .join(', ');
+
+  const lines = [
+    ...rules.map(rule => `- ${rule}`),
+    `- item_type: Use ${itemTypeRule}.`,
+    `- tags: Array of relevant tags assigned to this item${tagsInstruction}${tipsInstruction}`,
+    '- collector_details: ALWAYS include this object with ALL fields (set unused ones to null).',
+    ...CATEGORIES.map(category => `  - For ${category.label}: ${category.detailsRule}`),
+    '- followup_questions: Array of questions to ask the user for better identification.',
+    '  - Each question has: field, question, priority',
+    `  - field: one of ${getFollowupFields().map(f => `"${f}"`).join(', ')}`,
+    '  - question: The question text (in the same language as name/description)',
+    '  - priority: "high", "medium", or "low"',
+    ...CATEGORIES.map(category => `  - For ${category.label}: ${category.followupRule}`),
+    '  - Only include questions when extra info would SIGNIFICANTLY improve identification',
+    `  - If confident (accuracy >= 0.85), return an empty array${buildLanguageInstruction(language)}`,
+    '- region: Where the item is in the image, coarse is fine.',
+    '  - grid_cell: cell of a 3x3 grid containing the center of the item: columns A, B, C from left to right, rows 1, 2, 3 from top to bottom ("B2" is the center)',
+    '  - box: x_min, y_min, x_max, y_max as fractions 0.0–1.0 of the image width and height (0,0 is the top-left corner), or null if unsure',
+    '  - Set region to null only if the item has no single location (e.g. it fills the whole image)',
+    ...collectors
+      .filter(category => category.itemRule)
+      .map(category => `- For ${category.label} items specifically: ${category.itemRule}`)
+  ];
+
+  const prompt = `${intro}\n\n${buildExample(mode)}\n\nStrict rules:\n${lines.join('\n')}\n\nAnalyze this image${dimensionsHint} and return the JSON object.`;
+
+  return {
+    prompt,
+    schemaName: modeConfig.schemaName,
+    schema: buildResponseSchema(mode),
+    version: getPromptVersion(mode)
+  };
+}
+
+module.exports = {
+  PROMPT_VERSION,
+  buildItemPrompt,
+  buildItemSchema,
+  getPromptVersion,
+  getCollectorFields,
+  getFollowupFields,
+  getItemTypes
+};
@@ -0,0 +1,499 @@
+/**
+ * API Specification
+ *
+ * OpenAPI 3.1 document for the public routes, served at GET /openapi.json and
+ * used to validate request bodies before a route handler runs. The /enrich
+ * `item_type` values and their allowed `extra_info` keys come from the
+ * collector registry, so a new collector shows up here automatically.
+ *
+ * Bodies arrive as JSON, as multipart form fields or as query parameters (raw
+ * image uploads). Form fields and query parameters are strings, so they are
+ * validated with coercion ("true" -> true, "a,b" -> ["a", "b"]).
+ */
+
+const { getCollectors } = require('./collectorRegistry');
+const { getFollowupFields } = require('../prompts/itemPrompts');
+const { GRID_CELLS } = require('../utils/itemRegion');
+const { validateSchema } = require('../utils/schemaValidator');
+
+// ISO 639 language code with an optional region, e.g. "nl" or "nl-BE"
+const LANGUAGE_PATTERN = '^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})?$';
+
+const FIELDS = {
+  user_id: { type: 'string', minLength: 1, maxLength: 128, description: 'Firebase uid of the authenticated user' },
+  image_url: { type: 'string', format: 'uri', maxLength: 2048, description: 'Firebase Storage download URL' },
+  language: { type: 'string', pattern: LANGUAGE_PATTERN, default: 'en', description: 'Output language of names and descriptions' },
+  tags: {
+    type: 'array',
+    maxItems: 50,
+    items: { type: 'string', minLength: 1, maxLength: 50 },
+    description: 'User tags; form fields and query parameters may use a JSON array or a comma-separated list'
+  },
+  retain_image: { type: 'boolean', default: false, description: 'Archive the image instead of deleting it' },
+  async: { type: 'boolean', default: false, description: 'Answer 202 with a job id and process in the background' },
+  callback_url: { type: 'string', format: 'uri', maxLength: 2048, description: 'HTTPS URL that receives the job result (requires async)' },
+  item_name: { type: 'string', maxLength: 200, description: 'Item to analyze; omitted = most prominent item' },
+  tips: { type: 'string', maxLength: 1000, description: 'Hints for the model, e.g. "the brand is on the back"' },
+  image_urls: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', format: 'uri', maxLength: 2048 },
+    description: 'Firebase Storage download URLs of photos of one shelf or room (at most BATCH_MAX_IMAGES)'
+  }
+};
+
+const PROCESS_FIELDS = ['user_id', 'language', 'tags', 'retain_image', 'async', 'callback_url'];
+const PROCESS_SINGLE_FIELDS = [...PROCESS_FIELDS, 'item_name', 'tips'];
+// /process-stream answers on the open connection: no async jobs or callbacks
+const PROCESS_STREAM_FIELDS = PROCESS_FIELDS.filter(name => name !== 'async' && name !== 'callback_url');
+const PROCESS_BATCH_FIELDS = ['image_urls', 'user_id', 'language', 'tags', 'retain_image'];
+
+const pick = (names) => Object.fromEntries(names.map(name => [name, FIELDS[name]]));
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const errorResponse = (description) => ({ description, content: jsonContent(ref('Error')) });
+
+/**
+ * Request body of /process-style routes: JSON, multipart upload or raw image
+ * @param {string} jsonSchema - Schema name for the JSON body
+ * @param {string} uploadSchema - Schema name for the form fields
+ * @returns {Object}
+ */
+function imageRequestBody(jsonSchema, uploadSchema) {
+  return {
+    required: true,
+    content: {
+      'application/json': { schema: ref(jsonSchema) },
+      'multipart/form-data': {
+        schema: {
+          allOf: [ref(uploadSchema)],
+          properties: { image: { type: 'string', format: 'binary', description: 'Image file (max MAX_IMAGE_BYTES)' } },
+          required: ['image']
+        }
+      },
+      'image/*': {
+        schema: { type: 'string', format: 'binary' },
+        description: `Raw image bytes; the other fields (${uploadSchema}) are query parameters`
+      }
+    }
+  };
+}
+
+/**
+ * Allowed /enrich extra_info fields of a collector: the fields its enricher
+ * uses plus every follow-up field the prompt may ask the user for, so an
+ * answer to any follow-up question can be sent back as is
+ * @param {Object} collector - Registered collector
+ * @returns {Object} JSON schema properties
+ */
+function buildExtraInfoProperties(collector) {
+  const descriptions = { ...collector.extraInfoFields };
+  getFollowupFields(collector.name).forEach(field => {
+    if (!descriptions[field]) descriptions[field] = `Answer to the follow-up question for ${field}`;
+  });
+
+  return Object.fromEntries(Object.entries(descriptions).map(([field, description]) => [
+    field,
+    { type: ['string', 'number'], maxLength: 200, description }
+  ]));
+}
+
+/**
+ * Per-collector /enrich request schemas, derived from the collector registry
+ * @returns {Object} { schemas: { EnrichWineRequest, ... }, mapping: { wine: '#/components/schemas/EnrichWineRequest', ... } }
+ */
+function buildEnrichSchemas() {
+  const schemas = {};
+  const mapping = {};
+
+  getCollectors().forEach(collector => {
+    const schemaName = `Enrich${collector.name.charAt(0).toUpperCase()}${collector.name.slice(1)}Request`;
+    schemas[schemaName] = {
+      type: 'object',
+      required: ['user_id', 'item_type', 'extra_info'],
+      properties: {
+        user_id: FIELDS.user_id,
+        item_type: { type: 'string', enum: [collector.name] },
+        collector_details: { type: 'object', description: 'collector_details of the item as returned by /process' },
+        extra_info: {
+          type: 'object',
+          additionalProperties: false,
+          properties: buildExtraInfoProperties(collector)
+        }
+      }
+    };
+    mapping[collector.name] = `#/components/schemas/${schemaName}`;
+  });
+
+  return { schemas, mapping };
+}
+
+/**
+ * Build the OpenAPI document (without the API version, see getOpenApiDocument)
+ * @returns {Object}
+ */
+function buildOpenApiDocument() {
+  const enrich = buildEnrichSchemas();
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Track My Home API',
+      description: 'Detects household items and collectibles in photos and enriches them with external data.'
+    },
+    components: {
+      securitySchemes: {
+        firebaseIdToken: { type: 'http', scheme: 'bearer', description: 'Firebase ID token' }
+      },
+      schemas: {
+        ProcessRequest: { type: 'object', required: ['user_id', 'image_url'], properties: { image_url: FIELDS.image_url, ...pick(PROCESS_FIELDS) } },
+        ProcessUploadFields: { type: 'object', required: ['user_id'], properties: { image_url: FIELDS.image_url, ...pick(PROCESS_FIELDS) } },
+        ProcessStreamRequest: { type: 'object', required: ['user_id', 'image_url'], additionalProperties: false, properties: { image_url: FIELDS.image_url, ...pick(PROCESS_STREAM_FIELDS) } },
+        ProcessStreamUploadFields: { type: 'object', required: ['user_id'], additionalProperties: false, properties: { image_url: FIELDS.image_url, ...pick(PROCESS_STREAM_FIELDS) } },
+        ProcessSingleRequest: { type: 'object', required: ['user_id', 'image_url'], properties: { image_url: FIELDS.image_url, ...pick(PROCESS_SINGLE_FIELDS) } },
+        ProcessSingleUploadFields: { type: 'object', required: ['user_id'], properties: { image_url: FIELDS.image_url, ...pick(PROCESS_SINGLE_FIELDS) } },
+        ProcessBatchRequest: { type: 'object', required: ['user_id', 'image_urls'], properties: pick(PROCESS_BATCH_FIELDS) },
+        EnrichRequest: {
+          oneOf: Object.values(enrich.mapping).map(target => ({ $ref: target })),
+          discriminator: { propertyName: 'item_type', mapping: enrich.mapping }
+        },
+        ...enrich.schemas,
+        AssistantWebhookRequest: {
+          type: 'object',
+          description: 'Actions Builder or Dialogflow webhook request; only the fields used are described',
+          properties: {
+            handler: { type: 'object', properties: { name: { type: 'string' } } },
+            intent: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                params: {
+                  type: 'object',
+                  properties: {
+                    itemName: {
+                      type: 'object',
+                      properties: {
+                        original: { type: 'string', maxLength: 200 },
+                        resolved: { type: 'string', maxLength: 200 },
+                        value: { type: 'string', maxLength: 200 }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            session: { type: 'object', properties: { id: { type: 'string' }, languageCode: { type: 'string' } } },
+            user: { type: 'object', properties: { locale: { type: 'string' } } },
+            queryResult: {
+              type: 'object',
+              properties: { parameters: { type: 'object', properties: { itemName: { type: 'string', maxLength: 200 } } } }
+            }
+          }
+        },
+        Item: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            estimated_value: { type: 'number' },
+            quantity: { type: 'integer' },
+            accuracy: { type: 'number' },
+            item_type: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            collector_category: { type: ['string', 'null'] },
+            collector_data: { type: ['object', 'null'] },
+            region: {
+              type: ['object', 'null'],
+              description: 'Where the item is in the photo; box values are fractions 0–1 of the image, origin top-left',
+              properties: {
+                box: {
+                  type: 'object',
+                  properties: { x: { type: 'number' }, y: { type: 'number' }, width: { type: 'number' }, height: { type: 'number' } }
+                },
+                grid_cell: { type: 'string', enum: GRID_CELLS },
+                source: { type: 'string', enum: ['box', 'grid'] }
+              }
+            },
+            followup_questions: { type: 'array', items: { type: 'object' } },
+            source_images: {
+              type: 'array',
+              description: '/process-batch only: the photos the (merged) item was found on',
+              items: {
+                type: 'object',
+                properties: { image_index: { type: 'integer' }, item_index: { type: 'integer' }, region: { type: ['object', 'null'] } }
+              }
+            }
+          }
+        },
+        ProcessResponse: {
+          type: 'object',
+          properties: {
+            version: { type: 'string' },
+            items: { type: 'array', items: ref('Item') },
+            token_usage: { type: 'object' },
+            prompt_version: { type: 'string' },
+            warnings: { type: 'array', items: { type: 'string' } },
+            processing_time: { type: 'number' },
+            collector_stats: { type: 'object' },
+            followup_questions: { type: 'array', items: { type: 'object' } },
+            has_followup: { type: 'boolean' }
+          }
+        },
+        ProcessSingleResponse: {
+          type: 'object',
+          properties: {
+            version: { type: 'string' },
+            item: ref('Item'),
+            token_usage: { type: 'object' },
+            prompt_version: { type: 'string' },
+            warnings: { type: 'array', items: { type: 'string' } },
+            processing_time: { type: 'number' },
+            searched_for: { type: 'string' }
+          }
+        },
+        ProcessBatchResponse: {
+          type: 'object',
+          properties: {
+            version: { type: 'string' },
+            items: { type: 'array', items: ref('Item') },
+            images: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  image_index: { type: 'integer' },
+                  image_url: { type: 'string' },
+                  status: { type: 'string', enum: ['ok', 'failed'] },
+                  item_count: { type: 'integer' },
+                  code: { type: 'string' },
+                  error: { type: 'string' },
+                  retryable: { type: 'boolean' }
+                }
+              }
+            },
+            duplicates_merged: { type: 'integer' },
+            token_usage: { type: 'object' },
+            prompt_version: { type: 'string' },
+            warnings: { type: 'array', items: { type: 'string' } },
+            processing_time: { type: 'number' },
+            collector_stats: { type: 'object' },
+            followup_questions: { type: 'array', items: { type: 'object' } },
+            has_followup: { type: 'boolean' }
+          }
+        },
+        EnrichResponse: {
+          type: 'object',
+          properties: {
+            version: { type: 'string' },
+            item_type: { type: 'string' },
+            collector_data: { type: ['object', 'null'] },
+            collector_warning: { type: 'string' },
+            processing_time: { type: 'number' }
+          }
+        },
+        AssistantWebhookResponse: { type: 'object', description: 'Actions Builder prompt or Dialogflow fulfillment response' },
+        HealthResponse: {
+          type: 'object',
+          properties: {
+            version: { type: 'string' },
+            status: { type: 'string', enum: ['OK'] },
+            timestamp: { type: 'string', format: 'date-time' },
+            service: { type: 'string' }
+          }
+        },
+        ValidationErrorDetail: {
+          type: 'object',
+          properties: { field: { type: 'string' }, message: { type: 'string' } }
+        },
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            version: { type: 'string' },
+            error: { type: 'string' },
+            code: { type: 'string', description: 'Stable machine-readable code, e.g. IMAGE_TOO_LARGE or MODEL_TIMEOUT' },
+            details: { type: 'string' },
+            retryable: { type: 'boolean', description: 'true: retry the same request later; false: change the request (or take a new photo)' },
+            retry_after: { type: 'integer', description: 'Seconds to wait before retrying (also sent as Retry-After)' },
+            validation_errors: { type: 'array', items: ref('ValidationErrorDetail') }
+          }
+        }
+      }
+    },
+    paths: {
+      '/process': {
+        post: {
+          operationId: 'process',
+          summary: 'Detect all household items in an image',
+          security: [{ firebaseIdToken: [] }],
+          requestBody: imageRequestBody('ProcessRequest', 'ProcessUploadFields'),
+          responses: {
+            200: { description: 'Detected and enriched items', content: jsonContent(ref('ProcessResponse')) },
+            202: { description: 'Job queued (async: true)' },
+            400: errorResponse('Invalid request'),
+            401: errorResponse('Missing or invalid Firebase token'),
+            403: errorResponse('user_id does not match the token'),
+            413: errorResponse('Image too large'),
+            415: errorResponse('Not a supported image format'),
+            422: errorResponse('The model could not use the image'),
+            429: errorResponse('Quota exceeded or model rate limited'),
+            502: errorResponse('Model or image storage failed (retryable)'),
+            503: errorResponse('Model provider unavailable'),
+            504: errorResponse('Image download or model call timed out')
+          }
+        }
+      },
+      '/process-stream': {
+        post: {
+          operationId: 'processStream',
+          summary: 'Same as /process, with progress streamed as Server-Sent Events',
+          security: [{ firebaseIdToken: [] }],
+          requestBody: imageRequestBody('ProcessStreamRequest', 'ProcessStreamUploadFields'),
+          responses: {
+            200: { description: 'stage, detected, item, done and error events', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+            400: errorResponse('Invalid request (async and callback_url are not supported)'),
+            401: errorResponse('Missing or invalid Firebase token'),
+            403: errorResponse('user_id does not match the token'),
+            413: errorResponse('Image too large'),
+            415: errorResponse('Not a supported image format'),
+            429: errorResponse('Quota exceeded')
+          }
+        }
+      },
+      '/process-single': {
+        post: {
+          operationId: 'processSingle',
+          summary: 'Analyze a single (named or most prominent) item in an image',
+          security: [{ firebaseIdToken: [] }],
+          requestBody: imageRequestBody('ProcessSingleRequest', 'ProcessSingleUploadFields'),
+          responses: {
+            200: { description: 'Analyzed and enriched item', content: jsonContent(ref('ProcessSingleResponse')) },
+            202: { description: 'Job queued (async: true)' },
+            400: errorResponse('Invalid request'),
+            401: errorResponse('Missing or invalid Firebase token'),
+            403: errorResponse('user_id does not match the token'),
+            413: errorResponse('Image too large'),
+            415: errorResponse('Not a supported image format'),
+            422: errorResponse('The model could not use the image'),
+            429: errorResponse('Quota exceeded or model rate limited'),
+            502: errorResponse('Model or image storage failed (retryable)'),
+            503: errorResponse('Model provider unavailable'),
+            504: errorResponse('Image download or model call timed out')
+          }
+        }
+      },
+      '/process-batch': {
+        post: {
+          operationId: 'processBatch',
+          summary: 'Process several photos of one shelf or room into a single merged item list',
+          security: [{ firebaseIdToken: [] }],
+          requestBody: { required: true, content: jsonContent(ref('ProcessBatchRequest')) },
+          responses: {
+            200: { description: 'Merged items of all photos that succeeded', content: jsonContent(ref('ProcessBatchResponse')) },
+            400: errorResponse('Invalid request or too many images'),
+            401: errorResponse('Missing or invalid Firebase token'),
+            403: errorResponse('user_id does not match the token'),
+            429: errorResponse('Quota exceeded'),
+            502: errorResponse('No image in the batch could be processed')
+          }
+        }
+      },
+      '/enrich': {
+        post: {
+          operationId: 'enrich',
+          summary: 'Re-enrich a collector item with extra info from the user',
+          security: [{ firebaseIdToken: [] }],
+          requestBody: { required: true, content: jsonContent(ref('EnrichRequest')) },
+          responses: {
+            200: { description: 'Enrichment result', content: jsonContent(ref('EnrichResponse')) },
+            400: errorResponse('Invalid request'),
+            401: errorResponse('Missing or invalid Firebase token'),
+            403: errorResponse('user_id does not match the token'),
+            429: errorResponse('Quota exceeded or model rate limited'),
+            503: errorResponse('Model provider or enrichment source unavailable')
+          }
+        }
+      },
+      '/assistant/webhook': {
+        post: {
+          operationId: 'assistantWebhook',
+          summary: 'Google Assistant / Dialogflow webhook: where is my item?',
+          description: 'Authorization: Bearer <Identity Platform ID token> (account linking); without it the webhook answers that access is missing',
+          requestBody: { required: true, content: jsonContent(ref('AssistantWebhookRequest')) },
+          responses: {
+            200: { description: 'Spoken answer', content: jsonContent(ref('AssistantWebhookResponse')) },
+            400: errorResponse('Invalid request')
+          }
+        }
+      },
+      '/health': {
+        get: {
+          operationId: 'health',
+          summary: 'Liveness check',
+          responses: {
+            200: { description: 'Process is up', content: jsonContent(ref('HealthResponse')) }
+          }
+        }
+      }
+    }
+  };
+}
+
+// Request body schema per operation: JSON bodies and form fields / query parameters
+const REQUEST_SCHEMAS = {
+  process: { json: 'ProcessRequest', form: 'ProcessUploadFields' },
+  processStream: { json: 'ProcessStreamRequest', form: 'ProcessStreamUploadFields' },
+  processSingle: { json: 'ProcessSingleRequest', form: 'ProcessSingleUploadFields' },
+  processBatch: { json: 'ProcessBatchRequest' },
+  enrich: { json: 'EnrichRequest' },
+  assistantWebhook: { json: 'AssistantWebhookRequest' }
+};
+
+let cachedDocument = null;
+
+/**
+ * Built once; the collector registry is complete before the first request
+ * @returns {Object}
+ */
+function getDocument() {
+  if (!cachedDocument) {
+    cachedDocument = buildOpenApiDocument();
+  }
+  return cachedDocument;
+}
+
+/**
+ * The OpenAPI document
+ * @param {string} version - API version
+ * @returns {Object}
+ */
+function getOpenApiDocument(version) {
+  const document = getDocument();
+  return { ...document, info: { ...document.info, version } };
+}
+
+/**
+ * Validate a request body against the schema of an operation
+ * @param {string} operationId - process, processStream, processSingle, processBatch, enrich or assistantWebhook
+ * @param {Object} body - Request body (or form fields / query parameters)
+ * @param {Object} options
+ * @param {boolean} options.form - Body consists of form fields or query parameters (strings)
+ * @returns {Object} { valid, errors: Array<{ field, message }>, value } (value with form strings coerced)
+ */
+function validateRequestBody(operationId, body, { form = false } = {}) {
+  const schemas = REQUEST_SCHEMAS[operationId];
+  if (!schemas) {
+    throw new Error(`No request schema for operation "${operationId}"`);
+  }
+
+  const schemaName = form && schemas.form ? schemas.form : schemas.json;
+  return validateSchema(body, { $ref: `#/components/schemas/${schemaName}` }, { root: getDocument(), coerce: form });
+}
+
+module.exports = {
+  getOpenApiDocument,
+  validateRequestBody
+};
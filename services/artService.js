@@ -12,6 +12,16 @@
  * - Wikipedia REST summary:       https://en.wikipedia.org/api/rest_v1/
  */
 
+const { registerCollector } = require('./collectorRegistry');
+const { cachedLookup } = require('./cacheService');
+const { outboundFetch } = require('./httpClient');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Art');
+const metLog = log.child('Met');
+const aicLog = log.child('AIC');
+const wikiLog = log.child('Wiki');
+
 const MET_API_BASE = 'https://collectionapi.metmuseum.org/public/collection/v1';
 const AIC_API_BASE = 'https://api.artic.edu/api/v1';
 const WIKIPEDIA_REST = 'https://en.wikipedia.org/api/rest_v1';
@@ -19,41 +29,41 @@ const WIKIPEDIA_API = 'https://en.wikipedia.org/w/api.php';
 const USER_AGENT = 'TrackMyHomeAPI/1.0 +https://trackmyhome.app';
 
 /**
- * Search the Metropolitan Museum of Art collection.
+ * Query the Metropolitan Museum of Art collection (uncached).
  * @param {string} title
  * @param {string|null} artist
  * @returns {Promise<Object|null>}
  */
-async function searchMetMuseum(title, artist = null) {
+async function fetchMetMuseum(title, artist = null) {
   try {
     if (!title && !artist) return null;
 
     const q = [title, artist].filter(Boolean).join(' ');
     const searchUrl = `${MET_API_BASE}/search?hasImages=true&q=${encodeURIComponent(q)}`;
 
-    console.log(`[Art/Met] Searching: "${q}"`);
+    metLog.info(`Searching: "${q}"`);
 
-    const searchResp = await fetch(searchUrl, {
+    const searchResp = await outboundFetch(searchUrl, {
       method: 'GET',
       headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
       timeout: 5000
     });
 
     if (!searchResp.ok) {
-      console.error(`[Art/Met] Search error: ${searchResp.status}`);
+      metLog.error(`Search error: ${searchResp.status}`);
       return null;
     }
 
     const searchData = await searchResp.json();
     if (!searchData.objectIDs || searchData.objectIDs.length === 0) {
-      console.log('[Art/Met] No results');
+      metLog.info('No results');
       return null;
     }
 
     // Try the first few IDs until we find one that actually matches (Met search is very loose)
     const candidates = searchData.objectIDs.slice(0, 5);
     for (const objectId of candidates) {
-      const objResp = await fetch(`${MET_API_BASE}/objects/${objectId}`, {
+      const objResp = await outboundFetch(`${MET_API_BASE}/objects/${objectId}`, {
         method: 'GET',
         headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
         timeout: 5000
@@ -68,7 +78,7 @@ async function searchMetMuseum(title, artist = null) {
         if (!nameLower.includes(artist.toLowerCase())) continue;
       }
 
-      console.log(`[Art/Met] Found: "${obj.title}" by ${obj.artistDisplayName} (ID: ${obj.objectID})`);
+      metLog.info(`Found: "${obj.title}" by ${obj.artistDisplayName} (ID: ${obj.objectID})`);
 
       return {
         title: obj.title || title,
@@ -89,14 +99,25 @@ async function searchMetMuseum(title, artist = null) {
       };
     }
 
-    console.log('[Art/Met] No candidates matched the artist');
+    metLog.info('No candidates matched the artist');
     return null;
   } catch (error) {
-    console.error('[Art/Met] Search error:', error.message);
+    metLog.error('Search error:', error.message);
     return null;
   }
 }
 
+/**
+ * Search the Metropolitan Museum of Art collection.
+ * @param {string} title
+ * @param {string|null} artist
+ * @returns {Promise<Object|null>}
+ */
+async function searchMetMuseum(title, artist = null) {
+  if (!title && !artist) return null;
+  return cachedLookup('met_museum', [title, artist], () => fetchMetMuseum(title, artist));
+}
+
 /**
  * Search the Art Institute of Chicago collection.
  * @param {string} title
@@ -116,22 +137,22 @@ async function searchArtInstituteChicago(title, artist = null) {
     ].join(',');
     const url = `${AIC_API_BASE}/artworks/search?q=${encodeURIComponent(q)}&limit=5&fields=${encodeURIComponent(fields)}`;
 
-    console.log(`[Art/AIC] Searching: "${q}"`);
+    aicLog.info(`Searching: "${q}"`);
 
-    const resp = await fetch(url, {
+    const resp = await outboundFetch(url, {
       method: 'GET',
       headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
       timeout: 5000
     });
 
     if (!resp.ok) {
-      console.error(`[Art/AIC] Search error: ${resp.status}`);
+      aicLog.error(`Search error: ${resp.status}`);
       return null;
     }
 
     const data = await resp.json();
     if (!data.data || data.data.length === 0) {
-      console.log('[Art/AIC] No results');
+      aicLog.info('No results');
       return null;
     }
 
@@ -148,7 +169,7 @@ async function searchArtInstituteChicago(title, artist = null) {
       ? `${iiifBase}/${artwork.image_id}/full/843,/0/default.jpg`
       : null;
 
-    console.log(`[Art/AIC] Found: "${artwork.title}" by ${artwork.artist_title || artwork.artist_display} (ID: ${artwork.id})`);
+    aicLog.info(`Found: "${artwork.title}" by ${artwork.artist_title || artwork.artist_display} (ID: ${artwork.id})`);
 
     return {
       title: artwork.title || title,
@@ -168,7 +189,7 @@ async function searchArtInstituteChicago(title, artist = null) {
       wikipedia_url: null
     };
   } catch (error) {
-    console.error('[Art/AIC] Search error:', error.message);
+    aicLog.error('Search error:', error.message);
     return null;
   }
 }
@@ -186,42 +207,42 @@ async function searchWikipedia(title, artist = null) {
     const q = [title, artist].filter(Boolean).join(' ');
     const searchUrl = `${WIKIPEDIA_API}?action=query&list=search&srsearch=${encodeURIComponent(q)}&format=json&srlimit=1&origin=*`;
 
-    console.log(`[Art/Wiki] Searching: "${q}"`);
+    wikiLog.info(`Searching: "${q}"`);
 
-    const searchResp = await fetch(searchUrl, {
+    const searchResp = await outboundFetch(searchUrl, {
       method: 'GET',
       headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
       timeout: 5000
     });
 
     if (!searchResp.ok) {
-      console.error(`[Art/Wiki] Search error: ${searchResp.status}`);
+      wikiLog.error(`Search error: ${searchResp.status}`);
       return null;
     }
 
     const searchData = await searchResp.json();
     const topHit = searchData.query?.search?.[0];
     if (!topHit) {
-      console.log('[Art/Wiki] No results');
+      wikiLog.info('No results');
       return null;
     }
 
     const pageTitle = topHit.title;
     const summaryUrl = `${WIKIPEDIA_REST}/page/summary/${encodeURIComponent(pageTitle)}`;
-    const summaryResp = await fetch(summaryUrl, {
+    const summaryResp = await outboundFetch(summaryUrl, {
       method: 'GET',
       headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
       timeout: 5000
     });
 
     if (!summaryResp.ok) {
-      console.error(`[Art/Wiki] Summary error: ${summaryResp.status}`);
+      wikiLog.error(`Summary error: ${summaryResp.status}`);
       return null;
     }
 
     const summary = await summaryResp.json();
 
-    console.log(`[Art/Wiki] Found Wikipedia article: "${summary.title}"`);
+    wikiLog.info(`Found Wikipedia article: "${summary.title}"`);
 
     return {
       title: summary.title || title,
@@ -241,7 +262,7 @@ async function searchWikipedia(title, artist = null) {
       wikipedia_url: summary.content_urls?.desktop?.page || null
     };
   } catch (error) {
-    console.error('[Art/Wiki] Search error:', error.message);
+    wikiLog.error('Search error:', error.message);
     return null;
   }
 }
@@ -330,7 +351,7 @@ async function enrichArtworkItem(item) {
     // DEFENSIVE: ignore GPT-4o guesses — Vision handles art identification
     if (item.collector_details) {
       if (item.collector_details.artwork_title || item.collector_details.artwork_artist) {
-        console.log(`[Art] Ignoring GPT-4o artwork guess (${item.collector_details.artwork_artist} - ${item.collector_details.artwork_title}) — Vision handles identification`);
+        log.info(`Ignoring GPT-4o artwork guess (${item.collector_details.artwork_artist} - ${item.collector_details.artwork_title}) — Vision handles identification`);
       }
       item.collector_details.artwork_title = null;
       item.collector_details.artwork_artist = null;
@@ -345,7 +366,7 @@ async function enrichArtworkItem(item) {
 
     // --- PRIMARY: Google Vision WEB_DETECTION ---
     if (item._base64Image) {
-      console.log('[Art] Running Google Vision WEB_DETECTION as primary identifier...');
+      log.info('Running Google Vision WEB_DETECTION as primary identifier...');
       const { identifyArtworkFromImage } = require('./googleVisionService');
       const visionResult = await identifyArtworkFromImage(item._base64Image);
 
@@ -354,17 +375,17 @@ async function enrichArtworkItem(item) {
         artist = visionResult.artist;
         wikipediaUrl = visionResult.wikipedia_url;
         source = 'vision';
-        console.log(`[Art] Vision identified: "${title}" by "${artist}"`);
+        log.info(`Vision identified: "${title}" by "${artist}"`);
       } else {
-        console.log('[Art] Vision could not identify the artwork');
+        log.info('Vision could not identify the artwork');
       }
     } else {
-      console.log('[Art] No image available for Vision — skipping primary identification');
+      log.info('No image available for Vision — skipping primary identification');
     }
 
     // --- Vision failed: ask user for artist/title ---
     if (!title && !artist) {
-      console.log('[Art] Vision could not identify the artwork — asking user');
+      log.info('Vision could not identify the artwork — asking user');
       return {
         ...item,
         collector_category: 'art',
@@ -377,7 +398,7 @@ async function enrichArtworkItem(item) {
     }
 
     // --- Query museum APIs in order ---
-    console.log(`[Art] Enriching with: title="${title}", artist="${artist}" (source: ${source})`);
+    log.info(`Enriching with: title="${title}", artist="${artist}" (source: ${source})`);
 
     let artData = await searchMetMuseum(title, artist);
     if (!artData) {
@@ -409,7 +430,7 @@ async function enrichArtworkItem(item) {
     }
 
     if (!artData) {
-      console.log('[Art] No data found in any source');
+      log.info('No data found in any source');
       return {
         ...item,
         collector_category: 'art',
@@ -430,7 +451,7 @@ async function enrichArtworkItem(item) {
       _base64Image: undefined
     };
   } catch (error) {
-    console.error('[Art] Enrichment error:', error.message);
+    log.error('Enrichment error:', error.message);
     return {
       ...item,
       collector_category: 'art',
@@ -471,7 +492,7 @@ async function enrichArtworkWithExtraInfo(collectorDetails, extraInfo) {
       collector_warning: artData ? undefined : 'Artwork not found even with extra info'
     };
   } catch (error) {
-    console.error('[Art] Extra info enrichment error:', error.message);
+    log.error('Extra info enrichment error:', error.message);
     return {
       collector_category: 'art',
       collector_data: null,
@@ -480,6 +501,19 @@ async function enrichArtworkWithExtraInfo(collectorDetails, extraInfo) {
   }
 }
 
+registerCollector({
+  name: 'art',
+  tags: ['art', 'kunst', 'kunstwerk', 'schilderij', 'painting', 'print', 'artwork', 'poster'],
+  enrich: enrichArtworkItem,
+  enrichWithExtraInfo: enrichArtworkWithExtraInfo,
+  statsKey: 'art_items',
+  source: 'Vision + museum APIs',
+  extraInfoFields: {
+    artist_name: 'Artist',
+    artwork_title: 'Title of the artwork'
+  }
+});
+
 module.exports = {
   searchMetMuseum,
   searchArtInstituteChicago,
@@ -1,3 +1,8 @@
+const { createLogger } = require('../utils/logger');
+const { verifyIdToken } = require('./authService');
+
+const log = createLogger('Assistant');
+
 /**
  * Verify Identity Platform access token (Firebase ID token)
  * @param {Object} req - Express request object
@@ -12,9 +17,9 @@ const verifyAssistantAccessToken = async (req, admin) => {
     }
 
     const idToken = authHeader.split('Bearer ')[1];
-    return await admin.auth().verifyIdToken(idToken);
+    return await verifyIdToken(admin, idToken);
   } catch (error) {
-    console.error('Assistant token verification failed:', error);
+    log.error('Token verification failed:', error);
     return null;
   }
 };
@@ -111,7 +116,7 @@ const findItemsByName = async (admin, itemName, limit = 10) => {
     return prefixSnap.docs.map((doc) => ({ id: doc.id, data: doc.data() }));
   } catch (error) {
     if (error?.code === 9) {
-      console.warn('Assistant prefix search failed (missing index). Skipping prefix lookup.');
+      log.warn('Prefix search failed (missing index). Skipping prefix lookup.');
       return [];
     }
     throw error;
@@ -122,8 +127,9 @@ const findItemsByName = async (admin, itemName, limit = 10) => {
  * Register Assistant webhook route
  * @param {Object} app - Express app
  * @param {Object} admin - Firebase Admin SDK
+ * @param {Function} validateBody - Middleware that validates the request body
  */
-const registerAssistantWebhook = (app, admin) => {
+const registerAssistantWebhook = (app, admin, validateBody) => {
   /**
    * POST /assistant/webhook - Actions Builder webhook (read-only)
    * Headers: Authorization: Bearer <IdentityPlatform_ID_Token>
@@ -143,7 +149,7 @@ const registerAssistantWebhook = (app, admin) => {
    *   }
    * }
    */
-  app.post('/assistant/webhook', async (req, res) => {
+  app.post('/assistant/webhook', validateBody, async (req, res) => {
     const locale = getAssistantLocale(req.body);
     const templates = assistantTemplates[locale];
     const isDialogflow = Boolean(req.body?.queryResult);
@@ -219,7 +225,7 @@ const registerAssistantWebhook = (app, admin) => {
 
       return respond(templates.multiple_matches(itemName, accessible.length, list));
     } catch (error) {
-      console.error('Assistant webhook error:', error);
+      log.error('Webhook error:', error);
       const fallback = locale === 'nl' ? 'Er ging iets mis.' : 'Something went wrong.';
       return res.status(500).json(isDialogflow ? buildDialogflowResponse(fallback) : buildAssistantResponse(fallback));
     }
@@ -0,0 +1,31 @@
+/**
+ * Auth Service
+ *
+ * Verifies the ID token of a request. Normally that is a Firebase ID token,
+ * checked by firebase-admin (against the Auth emulator when
+ * FIREBASE_AUTH_EMULATOR_HOST is set). In DEV_MODE signed dev tokens
+ * (utils/devToken.js) are accepted as well, so the API can be used locally
+ * without any Firebase project.
+ */
+
+const { getConfig } = require('../utils/config');
+const { isDevToken, verifyDevToken } = require('../utils/devToken');
+
+/**
+ * Verify an ID token
+ * @param {Object} admin - Firebase Admin SDK
+ * @param {string} idToken
+ * @returns {Promise<Object>} Decoded token ({ uid, ... })
+ * @throws When the token is invalid or expired
+ */
+async function verifyIdToken(admin, idToken) {
+  const { dev } = getConfig();
+  if (dev.enabled && isDevToken(idToken)) {
+    return verifyDevToken(idToken, dev.tokenSecret);
+  }
+  return admin.auth().verifyIdToken(idToken);
+}
+
+module.exports = {
+  verifyIdToken
+};
@@ -8,6 +8,13 @@
  *   `https://openlibrary.org/search.json?q=...` (no API key required)
  */
 
+const { registerCollector } = require('./collectorRegistry');
+const { cachedLookup } = require('./cacheService');
+const { outboundFetch } = require('./httpClient');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Books');
+
 const GOOGLE_BOOKS_BASE = 'https://www.googleapis.com/books/v1/volumes';
 const OPEN_LIBRARY_BASE = 'https://openlibrary.org/search.json';
 const OPEN_LIBRARY_COVERS = 'https://covers.openlibrary.org/b';
@@ -207,7 +214,7 @@ function pickBestGoogleBooksVolume(volumes, searchTitle, searchAuthor) {
       best = v;
     }
   }
-  console.log(`[Books] Picked best Google Books match with score ${bestScore}: "${best.volumeInfo?.title}"`);
+  log.info(`Picked best Google Books match with score ${bestScore}: "${best.volumeInfo?.title}"`);
   return best;
 }
 
@@ -233,7 +240,7 @@ function pickBestOpenLibraryDoc(docs, searchTitle, searchAuthor) {
       best = d;
     }
   }
-  console.log(`[Books] Picked best Open Library match with score ${bestScore}: "${best.title}"`);
+  log.info(`Picked best Open Library match with score ${bestScore}: "${best.title}"`);
   return best;
 }
 
@@ -259,42 +266,53 @@ function mergeBookData(primary, secondary) {
 }
 
 /**
- * Search Google Books by ISBN.
+ * Fetch a Google Books volume by ISBN (uncached).
  * @param {string} isbn
  * @returns {Promise<Object|null>}
  */
-async function searchBookByIsbn(isbn) {
+async function fetchBookByIsbn(isbn) {
   try {
     const cleanIsbn = String(isbn).replace(/[^0-9Xx]/g, '');
     if (!cleanIsbn) return null;
 
     const url = `${GOOGLE_BOOKS_BASE}?q=isbn:${encodeURIComponent(cleanIsbn)}&maxResults=1`;
-    console.log(`[Books] Google Books ISBN search: ${cleanIsbn}`);
+    log.info(`Google Books ISBN search: ${cleanIsbn}`);
 
-    const response = await fetch(url, {
+    const response = await outboundFetch(url, {
       method: 'GET',
       headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
       timeout: 5000
     });
 
     if (!response.ok) {
-      console.error(`[Books] Google Books ISBN error: ${response.status}`);
+      log.error(`Google Books ISBN error: ${response.status}`);
       return null;
     }
 
     const data = await response.json();
     if (!data.items || data.items.length === 0) {
-      console.log('[Books] No Google Books results for ISBN');
+      log.info('No Google Books results for ISBN');
       return null;
     }
 
     return formatGoogleBooksVolume(data.items[0]);
   } catch (error) {
-    console.error('[Books] Google Books ISBN search error:', error.message);
+    log.error('Google Books ISBN search error:', error.message);
     return null;
   }
 }
 
+/**
+ * Search Google Books by ISBN.
+ * @param {string} isbn
+ * @returns {Promise<Object|null>}
+ */
+async function searchBookByIsbn(isbn) {
+  const cleanIsbn = String(isbn).replace(/[^0-9Xx]/g, '');
+  if (!cleanIsbn) return null;
+  return cachedLookup('books_isbn', cleanIsbn, () => fetchBookByIsbn(cleanIsbn));
+}
+
 /**
  * Search Google Books by title/author.
  * @param {string} title
@@ -314,30 +332,30 @@ async function searchBookByQuery(title, author = null) {
     // Google Books sometimes ranks box sets or series-entries above the canonical
     // single volume, so we can't just blindly take the top result.
     const url = `${GOOGLE_BOOKS_BASE}?q=${encodeURIComponent(q)}&maxResults=10&orderBy=relevance`;
-    console.log(`[Books] Google Books query search: "${q}"`);
+    log.info(`Google Books query search: "${q}"`);
 
-    const response = await fetch(url, {
+    const response = await outboundFetch(url, {
       method: 'GET',
       headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
       timeout: 5000
     });
 
     if (!response.ok) {
-      console.error(`[Books] Google Books query error: ${response.status}`);
+      log.error(`Google Books query error: ${response.status}`);
       return null;
     }
 
     const data = await response.json();
     if (!data.items || data.items.length === 0) {
-      console.log('[Books] No Google Books results for query');
+      log.info('No Google Books results for query');
       return null;
     }
 
-    console.log(`[Books] Google Books returned ${data.items.length} candidates`);
+    log.info(`Google Books returned ${data.items.length} candidates`);
     const best = pickBestGoogleBooksVolume(data.items, title, author);
     return formatGoogleBooksVolume(best);
   } catch (error) {
-    console.error('[Books] Google Books query search error:', error.message);
+    log.error('Google Books query search error:', error.message);
     return null;
   }
 }
@@ -364,30 +382,30 @@ async function searchBookOpenLibrary(title, author = null, isbn = null) {
     }
 
     const url = `${OPEN_LIBRARY_BASE}?${params.toString()}`;
-    console.log(`[Books] Open Library search: ${url}`);
+    log.info(`Open Library search: ${url}`);
 
-    const response = await fetch(url, {
+    const response = await outboundFetch(url, {
       method: 'GET',
       headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
       timeout: 5000
     });
 
     if (!response.ok) {
-      console.error(`[Books] Open Library error: ${response.status}`);
+      log.error(`Open Library error: ${response.status}`);
       return null;
     }
 
     const data = await response.json();
     if (!data.docs || data.docs.length === 0) {
-      console.log('[Books] No Open Library results');
+      log.info('No Open Library results');
       return null;
     }
 
-    console.log(`[Books] Open Library returned ${data.docs.length} candidates`);
+    log.info(`Open Library returned ${data.docs.length} candidates`);
     const best = isbn ? data.docs[0] : pickBestOpenLibraryDoc(data.docs, title, author);
     return formatOpenLibraryDoc(best);
   } catch (error) {
-    console.error('[Books] Open Library search error:', error.message);
+    log.error('Open Library search error:', error.message);
     return null;
   }
 }
@@ -466,7 +484,7 @@ async function enrichBookItem(item) {
     const isbn = details.isbn || null;
 
     if (!title && !author && !isbn) {
-      console.log('[Books] No identifying details provided, skipping enrichment');
+      log.info('No identifying details provided, skipping enrichment');
       return {
         ...item,
         collector_category: 'book',
@@ -477,7 +495,7 @@ async function enrichBookItem(item) {
       };
     }
 
-    console.log(`[Books] Enriching: title="${title}", author="${author}", isbn="${isbn}"`);
+    log.info(`Enriching: title="${title}", author="${author}", isbn="${isbn}"`);
 
     let googleData = null;
     if (isbn) {
@@ -492,7 +510,7 @@ async function enrichBookItem(item) {
     const merged = mergeBookData(googleData, openLibraryData);
 
     if (!merged) {
-      console.log('[Books] No data found in Google Books or Open Library');
+      log.info('No data found in Google Books or Open Library');
       return {
         ...item,
         collector_category: 'book',
@@ -503,7 +521,7 @@ async function enrichBookItem(item) {
       };
     }
 
-    console.log(`[Books] Enriched: ${merged.title} by ${(merged.authors || []).join(', ')}`);
+    log.info(`Enriched: ${merged.title} by ${(merged.authors || []).join(', ')}`);
     const enrichedItem = applyBookDataToItem(item, merged);
 
     return {
@@ -513,7 +531,7 @@ async function enrichBookItem(item) {
       _base64Image: undefined
     };
   } catch (error) {
-    console.error('[Books] Enrichment error:', error.message);
+    log.error('Enrichment error:', error.message);
     return {
       ...item,
       collector_category: 'book',
@@ -559,7 +577,7 @@ async function enrichBookWithExtraInfo(collectorDetails, extraInfo) {
       collector_warning: merged ? undefined : 'Book not found even with extra info'
     };
   } catch (error) {
-    console.error('[Books] Extra info enrichment error:', error.message);
+    log.error('Extra info enrichment error:', error.message);
     return {
       collector_category: 'book',
       collector_data: null,
@@ -568,7 +586,22 @@ async function enrichBookWithExtraInfo(collectorDetails, extraInfo) {
   }
 }
 
+registerCollector({
+  name: 'book',
+  tags: ['book', 'boek', 'livre', 'libro', 'buch', 'novel', 'roman'],
+  enrich: enrichBookItem,
+  enrichWithExtraInfo: enrichBookWithExtraInfo,
+  statsKey: 'book_items',
+  source: 'Google Books + Open Library',
+  extraInfoFields: {
+    isbn: 'ISBN-10 or ISBN-13 from the back cover',
+    artwork_title: 'Book title',
+    artist_name: 'Author'
+  }
+});
+
 module.exports = {
+  scoreBookMatch,
   searchBookByIsbn,
   searchBookByQuery,
   searchBookOpenLibrary,
@@ -0,0 +1,254 @@
+/**
+ * Enrichment Cache Service
+ *
+ * Caches external lookups (Discogs, Google Books, pokemontcg.io, Met Museum,
+ * Google Vision) so the same album, book or card is not fetched on every request.
+ * Entries are keyed by source plus a normalized query (or an image hash) and
+ * expire after a TTL per source: short for price data, long for metadata.
+ *
+ * Backends (CACHE_BACKEND):
+ * - "memory" (default): in-process LRU with at most CACHE_MAX_ENTRIES entries (default 1000)
+ * - "firestore": documents in the CACHE_COLLECTION collection (default "enrichment_cache").
+ *   Each document has an `expire_at` timestamp, usable as a Firestore TTL policy field.
+ * - "none": caching disabled
+ *
+ * TTL per source in seconds: CACHE_TTL_<SOURCE>, e.g. CACHE_TTL_DISCOGS_PRICING=3600.
+ *
+ * Lookups made while enriching an item are recorded with trackCacheLookups(),
+ * so hits and misses can be reported per item.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLogger } = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+
+const log = createLogger('Cache');
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// Default TTL per source (seconds)
+const DEFAULT_TTLS = {
+  discogs_search: 7 * DAY,
+  discogs_release: 30 * DAY,
+  discogs_pricing: 6 * HOUR,
+  books_isbn: 30 * DAY,
+  pokemon_cards: 6 * HOUR, // includes TCGPlayer/CardMarket prices
+  met_museum: 30 * DAY,
+  vision_web: 30 * DAY
+};
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+const lookupTracker = new AsyncLocalStorage();
+
+/**
+ * In-memory LRU cache
+ */
+class MemoryCacheBackend {
+  constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Move to the end: Map iteration order is the LRU order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return JSON.parse(entry.value);
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Firestore-backed cache
+ */
+class FirestoreCacheBackend {
+  constructor(db, collection) {
+    this.name = 'firestore';
+    this.collection = db.collection(collection);
+  }
+
+  // Cache keys contain slashes and arbitrary text; document ids must not
+  docId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  async get(key) {
+    const doc = await this.collection.doc(this.docId(key)).get();
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    const expireAt = data.expire_at && data.expire_at.toMillis ? data.expire_at.toMillis() : Date.parse(data.expire_at);
+    if (!expireAt || expireAt <= Date.now()) return null;
+
+    return JSON.parse(data.value);
+  }
+
+  async set(key, value, ttlSeconds) {
+    // Stored as a JSON string: Firestore rejects undefined values and nested arrays
+    await this.collection.doc(this.docId(key)).set({
+      key,
+      value: JSON.stringify(value),
+      expire_at: new Date(Date.now() + ttlSeconds * 1000)
+    });
+  }
+}
+
+let backend = new MemoryCacheBackend();
+
+/**
+ * Configure the cache backend from CACHE_BACKEND. Until this is called the
+ * in-memory LRU is used.
+ * @param {Object} admin - Firebase Admin SDK (needed for "firestore")
+ * @returns {Object|null} Active backend, or null when caching is disabled
+ */
+function configureCache(admin) {
+  const { backend: type, collection, maxEntries } = getConfig().cache;
+
+  if (type === 'none') {
+    log.info('Enrichment cache disabled');
+    backend = null;
+  } else if (type === 'firestore') {
+    log.info(`Using Firestore cache (collection: ${collection})`);
+    backend = new FirestoreCacheBackend(admin.firestore(), collection);
+  } else {
+    backend = new MemoryCacheBackend(maxEntries);
+  }
+
+  return backend;
+}
+
+/**
+ * TTL for a source: CACHE_TTL_<SOURCE> or the built-in default
+ * @param {string} source
+ * @returns {number} Seconds
+ */
+function getCacheTtl(source) {
+  const configured = getConfig().cache.ttlSeconds[source];
+  if (configured !== undefined) return configured;
+  return DEFAULT_TTLS[source] || DAY;
+}
+
+/**
+ * Build a cache key from query parts: trimmed, lowercased, whitespace collapsed
+ * @param {string} source
+ * @param {Array<*>|*} parts - Query parts (null/undefined become empty)
+ * @returns {string} e.g. "discogs_search:pink floyd|the wall|"
+ */
+function buildCacheKey(source, parts) {
+  const normalized = (Array.isArray(parts) ? parts : [parts])
+    .map(part => (part === null || part === undefined ? '' : String(part)).trim().toLowerCase().replace(/\s+/g, ' '));
+  return `${source}:${normalized.join('|')}`;
+}
+
+/**
+ * Hash image data for use as a cache key part
+ * @param {string} base64Image
+ * @returns {string} sha256 hex
+ */
+function hashImage(base64Image) {
+  return crypto.createHash('sha256').update(base64Image || '').digest('hex');
+}
+
+/**
+ * Record a lookup in the current tracking context (if any)
+ * @param {string} source
+ * @param {boolean} hit
+ */
+function recordLookup(source, hit) {
+  const lookups = lookupTracker.getStore();
+  if (lookups) lookups.push({ source, hit });
+}
+
+/**
+ * Return a cached value or call the fetcher and cache its result.
+ * Cache errors never fail the lookup; they are logged and treated as a miss.
+ * @param {string} source - Source name, determines the TTL (e.g. 'discogs_release')
+ * @param {Array<*>|*} keyParts - Query parts, normalized into the key
+ * @param {Function} fetcher - async () => value
+ * @param {Object} options
+ * @param {Function} options.isCacheable - (value) => boolean; default: not null/undefined
+ * @returns {Promise<*>} Value
+ */
+async function cachedLookup(source, keyParts, fetcher, { isCacheable = value => value !== null && value !== undefined } = {}) {
+  const ttl = getCacheTtl(source);
+  if (!backend || ttl <= 0) {
+    return fetcher();
+  }
+
+  const key = buildCacheKey(source, keyParts);
+
+  try {
+    const cached = await backend.get(key);
+    if (cached !== null) {
+      log.info(`Hit ${key}`);
+      recordLookup(source, true);
+      return cached;
+    }
+  } catch (error) {
+    log.warn(`Read failed for ${source}:`, error.message);
+  }
+
+  recordLookup(source, false);
+  const value = await fetcher();
+
+  if (isCacheable(value)) {
+    try {
+      await backend.set(key, value, ttl);
+    } catch (error) {
+      log.warn(`Write failed for ${source}:`, error.message);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Run a function and collect the cache lookups it makes
+ * @param {Function} fn - async () => result
+ * @returns {Promise<Object>} { result, cache: { hits, misses, lookups } | null }
+ */
+async function trackCacheLookups(fn) {
+  const lookups = [];
+  const result = await lookupTracker.run(lookups, fn);
+
+  if (lookups.length === 0) {
+    return { result, cache: null };
+  }
+
+  const hits = lookups.filter(lookup => lookup.hit).length;
+  return {
+    result,
+    cache: { hits, misses: lookups.length - hits, lookups }
+  };
+}
+
+module.exports = {
+  configureCache,
+  cachedLookup,
+  trackCacheLookups,
+  buildCacheKey,
+  hashImage,
+  getCacheTtl,
+  MemoryCacheBackend,
+  FirestoreCacheBackend
+};
@@ -0,0 +1,116 @@
+/**
+ * Collector Registry
+ *
+ * Every collector category (wine, vinyl, ...) registers itself here from its
+ * own service module with:
+ * - name: category id, also the collector_category and /enrich item_type value
+ * - tags: system tags that route an item to this category
+ * - enrich(item): enrichment during /process, /process-single and /process-batch
+ * - enrichWithExtraInfo(collectorDetails, extraInfo): re-enrichment for /enrich
+ * - statsKey: counter name in collector_stats (e.g. "wine_items")
+ * - source: data sources, used in log messages
+ * - extraInfoFields: { field: description } accepted in /enrich extra_info
+ *   (the follow-up question fields of the category)
+ *
+ * Tag routing, the legacy item_type fallback, collector_stats, /enrich
+ * validation and the /enrich part of the OpenAPI document are all derived
+ * from this registry. Registration order is the
+ * routing priority when an item has tags of several categories.
+ */
+
+// Service modules that register a built-in collector when loaded
+const BUILT_IN_COLLECTORS = [
+  './vivinoService',
+  './discogsService',
+  './booksService',
+  './pokemonService',
+  './artService'
+];
+
+const collectors = new Map();
+let builtInsLoaded = false;
+
+/**
+ * Load the built-in collector modules once (lazily, to avoid require cycles)
+ */
+function loadBuiltInCollectors() {
+  if (builtInsLoaded) return;
+  builtInsLoaded = true;
+  BUILT_IN_COLLECTORS.forEach(modulePath => require(modulePath));
+}
+
+/**
+ * Register a collector category
+ * @param {Object} collector
+ * @param {string} collector.name - Category id, e.g. 'wine'
+ * @param {Array<string>} collector.tags - System tags (matched case-insensitively)
+ * @param {Function} collector.enrich - async (item) => enriched item
+ * @param {Function} collector.enrichWithExtraInfo - async (collectorDetails, extraInfo) => { collector_category, collector_data, collector_warning? }
+ * @param {string} collector.statsKey - Counter name in collector_stats
+ * @param {string} collector.source - Data sources for log messages
+ * @param {Object} collector.extraInfoFields - { field: description } accepted in /enrich extra_info
+ */
+function registerCollector({ name, tags, enrich, enrichWithExtraInfo, statsKey, source, extraInfoFields }) {
+  if (!name || typeof enrich !== 'function' || typeof enrichWithExtraInfo !== 'function') {
+    throw new Error('A collector needs a name, an enrich function and an enrichWithExtraInfo function');
+  }
+
+  collectors.set(name, {
+    name,
+    tags: (tags || []).map(tag => tag.toLowerCase()),
+    enrich,
+    enrichWithExtraInfo,
+    statsKey: statsKey || `${name}_items`,
+    source: source || name,
+    extraInfoFields: extraInfoFields || {}
+  });
+}
+
+/**
+ * All registered collectors, in registration order
+ * @returns {Array<Object>}
+ */
+function getCollectors() {
+  loadBuiltInCollectors();
+  return Array.from(collectors.values());
+}
+
+/**
+ * Get a collector by name
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function getCollector(name) {
+  loadBuiltInCollectors();
+  return collectors.get(name) || null;
+}
+
+/**
+ * Names of all registered collectors
+ * @returns {Array<string>}
+ */
+function getCollectorNames() {
+  return getCollectors().map(collector => collector.name);
+}
+
+/**
+ * Find the first collector with a system tag in the given tags
+ * @param {Array<string>} tags
+ * @returns {Object|null}
+ */
+function findCollectorByTags(tags) {
+  if (!Array.isArray(tags) || tags.length === 0) {
+    return null;
+  }
+
+  const lowerTags = tags.filter(tag => typeof tag === 'string').map(tag => tag.toLowerCase());
+  return getCollectors().find(collector => lowerTags.some(tag => collector.tags.includes(tag))) || null;
+}
+
+module.exports = {
+  registerCollector,
+  getCollectors,
+  getCollector,
+  getCollectorNames,
+  findCollectorByTags
+};
@@ -1,85 +1,72 @@
-const { enrichWineItem } = require('./vivinoService');
-const { enrichVinylItem } = require('./discogsService');
-const { enrichBookItem } = require('./booksService');
-const { enrichPokemonItem } = require('./pokemonService');
-const { enrichArtworkItem } = require('./artService');
+const { getCollector, getCollectors, findCollectorByTags } = require('./collectorRegistry');
+const { trackCacheLookups } = require('./cacheService');
+const { trackSourceFailures } = require('./httpClient');
+const { recordIdentificationSource } = require('./metricsService');
+const { cropImageRegion } = require('./imageCropper');
+const { createLogger } = require('../utils/logger');
+const { toApiError } = require('../utils/errors');
+const { isIntegrationEnabled } = require('../utils/config');
+
+const log = createLogger('Collector');
 
 /**
  * Central Collector Service
  * 
- * Orchestrates the enrichment of collector items with data from external APIs
+ * Orchestrates the enrichment of collector items with data from external APIs.
+ * Categories and their enrichers come from the collector registry (collectorRegistry.js).
  */
 
 /**
- * Process a single item and enrich if it's a collector item
+ * Result fields for a collector whose integration is disabled (FEATURE_* flag
+ * or missing credentials, see utils/config.js). The item keeps its category
+ * but gets no collector data.
+ * @param {string} name - Collector name
+ * @returns {Object} { collector_category, collector_data, collector_warning, collector_error }
+ */
+function disabledCollectorResult(name) {
+  return {
+    collector_category: name,
+    collector_data: null,
+    collector_warning: `${name} enrichment is disabled`,
+    collector_error: { code: 'ENRICHER_DISABLED', retryable: false }
+  };
+}
+
+/**
+ * Route an item to its collector and enrich it
  * @param {Object} item - Item from OpenAI response
  * @returns {Promise<Object>} Enriched item
  */
-async function processCollectorItem(item) {
+async function routeCollectorItem(item) {
   try {
-    const { getEnrichmentType } = require('../utils/tagMatcher');
-    
     // Check tags first (new tag-based system)
     const tags = item.tags || [];
-    const enrichmentType = getEnrichmentType(tags);
+    const tagCollector = findCollectorByTags(tags);
     
-    console.log(`[Collector] Processing item: ${item.name} (tags: ${tags.join(', ') || 'none'})`);
+    log.info(`Processing item: ${item.name} (tags: ${tags.join(', ') || 'none'})`);
     
     // Route based on tags
-    if (enrichmentType === 'wine') {
-      console.log(`[Collector] Detected wine via tags, enriching with wine data`);
-      return await enrichWineItem(item);
-    }
-    
-    if (enrichmentType === 'vinyl') {
-      console.log(`[Collector] Detected vinyl via tags, enriching with Discogs`);
-      return await enrichVinylItem(item);
-    }
-
-    if (enrichmentType === 'book') {
-      console.log(`[Collector] Detected book via tags, enriching with Google Books + Open Library`);
-      return await enrichBookItem(item);
-    }
-
-    if (enrichmentType === 'pokemon') {
-      console.log(`[Collector] Detected Pokémon card via tags, enriching with pokemontcg.io`);
-      return await enrichPokemonItem(item);
-    }
-
-    if (enrichmentType === 'art') {
-      console.log(`[Collector] Detected artwork via tags, enriching with Vision + museum APIs`);
-      return await enrichArtworkItem(item);
+    if (tagCollector) {
+      if (!isIntegrationEnabled(tagCollector.name)) {
+        return { ...item, ...disabledCollectorResult(tagCollector.name) };
+      }
+      log.info(`Detected ${tagCollector.name} via tags, enriching with ${tagCollector.source}`);
+      return await tagCollector.enrich(item);
     }
 
     // Fallback: check old item_type for backwards compatibility
-    if (item.item_type === 'wine') {
-      console.log(`[Collector] Detected wine via item_type (legacy), enriching with wine data`);
-      return await enrichWineItem(item);
-    }
-    
-    if (item.item_type === 'vinyl') {
-      console.log(`[Collector] Detected vinyl via item_type (legacy), enriching with Discogs`);
-      return await enrichVinylItem(item);
-    }
-
-    if (item.item_type === 'book') {
-      console.log(`[Collector] Detected book via item_type (legacy), enriching with Google Books`);
-      return await enrichBookItem(item);
-    }
-
-    if (item.item_type === 'pokemon') {
-      console.log(`[Collector] Detected Pokémon via item_type (legacy), enriching with pokemontcg.io`);
-      return await enrichPokemonItem(item);
-    }
-
-    if (item.item_type === 'art') {
-      console.log(`[Collector] Detected artwork via item_type (legacy), enriching with Vision + museum APIs`);
-      return await enrichArtworkItem(item);
+    const legacyCollector = item.item_type ? getCollector(item.item_type) : null;
+    if (legacyCollector) {
+      if (!isIntegrationEnabled(legacyCollector.name)) {
+        return { ...item, ...disabledCollectorResult(legacyCollector.name) };
+      }
+      log.info(`Detected ${legacyCollector.name} via item_type (legacy), enriching with ${legacyCollector.source}`);
+      return await legacyCollector.enrich(item);
     }
     
     // Item has custom tags but no enrichment available
     if (tags.length > 0) {
-      console.log(`[Collector] Item has tags but no enrichment available: ${tags.join(', ')}`);
+      log.info(`Item has tags but no enrichment available: ${tags.join(', ')}`);
       return {
         ...item,
         collector_category: null
@@ -93,37 +80,136 @@ async function processCollectorItem(item) {
     };
 
   } catch (error) {
-    console.error('[Collector] Error processing item:', error.message);
-    
+    log.error('Error processing item:', error);
+    const apiError = toApiError(error);
+
     // Return item with error but don't fail the whole request
     return {
       ...item,
       collector_category: null,
-      collector_warning: `Failed to enrich item: ${error.message}`
+      collector_warning: `Failed to enrich item: ${apiError.message}`,
+      collector_error: { code: apiError.code, retryable: apiError.retryable }
     };
   }
 }
 
+/**
+ * Run an enrichment and attach cache and source availability reporting:
+ * - `collector_cache`: cache hits/misses of the external lookups
+ * - `collector_unavailable`: sources that could not be reached ({ source, reason })
+ * If no collector data was found and a source was unavailable, the warning says
+ * so instead of reporting "not found", and `collector_error` is
+ * { code: 'SOURCE_UNAVAILABLE', retryable: true }.
+ * The item's identification_source (if any) is counted in the metrics.
+ * @param {Function} enrich - async () => enrichment result
+ * @returns {Promise<Object>} Result with reporting fields
+ */
+async function runTrackedEnrichment(enrich) {
+  const { result: { result, cache }, failures } = await trackSourceFailures(() => trackCacheLookups(enrich));
+  if (result && result.identification_source) {
+    recordIdentificationSource(result.collector_category, result.identification_source);
+  }
+  const tracked = cache ? { ...result, collector_cache: cache } : result;
+
+  if (failures.length === 0) {
+    return tracked;
+  }
+
+  const unavailable = Array.from(new Map(failures.map(failure => [failure.source, failure])).values());
+  const sources = unavailable.map(failure => failure.source).join(', ');
+
+  return {
+    ...tracked,
+    collector_unavailable: unavailable,
+    ...(tracked.collector_data ? {} : {
+      collector_warning: `Source unavailable: ${sources}. Please try again later.`,
+      collector_error: { code: 'SOURCE_UNAVAILABLE', retryable: true }
+    })
+  };
+}
+
+/**
+ * Process a single item and enrich if it's a collector item
+ * @param {Object} item - Item from OpenAI response
+ * @returns {Promise<Object>} Enriched item
+ */
+async function processCollectorItem(item) {
+  return runTrackedEnrichment(() => routeCollectorItem(item));
+}
+
+/**
+ * Re-enrich a collector item with extra info from the user (/enrich)
+ * @param {string} itemType - Registered collector name
+ * @param {Object} collectorDetails - Original collector_details
+ * @param {Object} extraInfo - User-provided extra info
+ * @returns {Promise<Object|null>} { collector_category, collector_data, collector_warning?, ... } or null for an unknown item type
+ */
+async function reEnrichCollectorItem(itemType, collectorDetails, extraInfo) {
+  const collector = getCollector(itemType);
+  if (!collector) {
+    return null;
+  }
+  if (!isIntegrationEnabled(collector.name)) {
+    return disabledCollectorResult(collector.name);
+  }
+  return runTrackedEnrichment(() => collector.enrichWithExtraInfo(collectorDetails || {}, extraInfo));
+}
+
+/**
+ * Attach the image enrichers look at (`_base64Image`) to detected items.
+ * Collector items with a region get a crop of that region, so Google Vision
+ * identifies the record or artwork instead of the whole scene; other items
+ * (and items whose region cannot be cropped) get the full photo.
+ * @param {Array<Object>} items - Validated items (with `region`)
+ * @param {string} base64Image - Original photo
+ * @returns {Promise<Array<Object>>} Items with `_base64Image`
+ */
+async function attachItemImages(items, base64Image) {
+  return Promise.all(items.map(async (item) => {
+    const collector = findCollectorByTags(item.tags || []) || (item.item_type ? getCollector(item.item_type) : null);
+    if (!collector || !item.region || !isIntegrationEnabled(collector.name)) {
+      return { ...item, _base64Image: base64Image };
+    }
+
+    const crop = await cropImageRegion(base64Image, item.region);
+    if (crop) {
+      log.info(`Cropped ${item.name} (${collector.name}) to region ${item.region.grid_cell}: ${crop.width}x${crop.height}`);
+    }
+    return { ...item, _base64Image: crop ? crop.base64 : base64Image };
+  }));
+}
+
 /**
  * Process multiple items
  * @param {Array<Object>} items - Array of items from OpenAI
+ * @param {Function} onItemEnriched - Optional (enrichedItem, index) => void, called as soon as each item resolves
  * @returns {Promise<Array<Object>>} Array of enriched items
  */
-async function processCollectorItems(items) {
+async function processCollectorItems(items, onItemEnriched = null) {
   if (!Array.isArray(items) || items.length === 0) {
     return items;
   }
 
-  console.log(`[Collector] Processing ${items.length} items for collector enrichment`);
+  log.info(`Processing ${items.length} items for collector enrichment`);
 
   // Process all items in parallel for better performance
   const enrichedItems = await Promise.all(
-    items.map(item => processCollectorItem(item))
+    items.map(async (item, index) => {
+      const enrichedItem = await processCollectorItem(item);
+      if (onItemEnriched) {
+        try {
+          onItemEnriched(enrichedItem, index);
+        } catch (error) {
+          log.error('onItemEnriched listener failed:', error.message);
+        }
+      }
+      return enrichedItem;
+    })
   );
 
   // Count collector items found
   const collectorCount = enrichedItems.filter(item => item.collector_category !== null).length;
-  console.log(`[Collector] Found ${collectorCount} collector items out of ${items.length} total items`);
+  log.info(`Found ${collectorCount} collector items out of ${items.length} total items`);
 
   return enrichedItems;
 }
@@ -134,15 +220,14 @@ async function processCollectorItems(items) {
  * @returns {Object} Statistics about collector items
  */
 function getCollectorStats(items) {
+  const collectors = getCollectors();
+  const categoryCounters = Object.fromEntries(collectors.map(collector => [collector.statsKey, 0]));
+
   if (!Array.isArray(items) || items.length === 0) {
     return {
       total_items: 0,
       collector_items: 0,
-      wine_items: 0,
-      vinyl_items: 0,
-      book_items: 0,
-      pokemon_items: 0,
-      art_items: 0,
+      ...categoryCounters,
       general_items: 0
     };
   }
@@ -150,31 +235,16 @@ function getCollectorStats(items) {
   const stats = {
     total_items: items.length,
     collector_items: 0,
-    wine_items: 0,
-    vinyl_items: 0,
-    book_items: 0,
-    pokemon_items: 0,
-    art_items: 0,
+    ...categoryCounters,
     general_items: 0,
     enrichment_failures: 0
   };
 
   items.forEach(item => {
-    if (item.collector_category === 'wine') {
-      stats.collector_items++;
-      stats.wine_items++;
-    } else if (item.collector_category === 'vinyl') {
-      stats.collector_items++;
-      stats.vinyl_items++;
-    } else if (item.collector_category === 'book') {
-      stats.collector_items++;
-      stats.book_items++;
-    } else if (item.collector_category === 'pokemon') {
-      stats.collector_items++;
-      stats.pokemon_items++;
-    } else if (item.collector_category === 'art') {
+    const collector = item.collector_category ? collectors.find(c => c.name === item.collector_category) : null;
+    if (collector) {
       stats.collector_items++;
-      stats.art_items++;
+      stats[collector.statsKey]++;
     } else {
       stats.general_items++;
     }
@@ -207,7 +277,9 @@ function cleanItemsForResponse(items) {
 }
 
 module.exports = {
+  attachItemImages,
   processCollectorItem,
+  reEnrichCollectorItem,
   processCollectorItems,
   getCollectorStats,
   cleanItemForResponse,
@@ -12,6 +12,14 @@
  * For simple database queries, Consumer Key and Secret are sufficient
  */
 
+const { registerCollector } = require('./collectorRegistry');
+const { cachedLookup } = require('./cacheService');
+const { outboundFetch } = require('./httpClient');
+const { createLogger } = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+
+const log = createLogger('Discogs');
+
 const DISCOGS_API_BASE = 'https://api.discogs.com';
 const USER_AGENT = 'TrackMyHomeAPI/1.0 +https://trackmyhome.app';
 
@@ -26,116 +34,124 @@ function buildDiscogsUrl(uri) {
 }
 
 /**
- * Search for vinyl/record on Discogs
+ * Run the Discogs database search: strict artist/title query first, then a simple text query
  * @param {string} artist - Artist name
  * @param {string} album - Album title
  * @param {number} releaseYear - Optional release year
- * @returns {Promise<Object|null>} Vinyl data or null if not found
+ * @param {string} consumerKey - Consumer Key
+ * @param {string} consumerSecret - Consumer Secret
+ * @returns {Promise<Object|null>} Best search result or null if not found
  */
-async function searchVinyl(artist, album, releaseYear = null) {
-  try {
-    // Using Consumer Key and Consumer Secret (OAuth credentials)
-    const consumerKey = process.env.DISCOGS_API_KEY;
-    const consumerSecret = process.env.DISCOGS_API_SECRET;
+async function findTopSearchResult(artist, album, releaseYear, consumerKey, consumerSecret) {
+  // Build search query - try strict format first
+  let searchQuery = `artist:"${artist}" release_title:"${album}"`;
+  if (releaseYear) {
+    searchQuery += ` year:${releaseYear}`;
+  }
+  
+  log.info(`Searching for: ${artist} - ${album}`);
+  log.info(`Search query (strict): "${searchQuery}"`);
+  
+  // Build URL with Consumer Key and Secret for authentication
+  const url = `${DISCOGS_API_BASE}/database/search?q=${encodeURIComponent(searchQuery)}&type=release&format=vinyl&key=${consumerKey}&secret=${consumerSecret}`;
+  log.debug(`Request URL: ${url}`); // key and secret are redacted by the logger
+  
+  const response = await outboundFetch(url, {
+    method: 'GET',
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'application/json',
+    },
+    timeout: 5000 // 5 second timeout
+  });
+
+  log.debug(`Response status: ${response.status}`);
+
+  if (!response.ok) {
+    log.error(`API error: ${response.status} ${response.statusText}`);
     
-    // Check if API credentials are configured
-    if (!consumerKey || !consumerSecret) {
-      console.warn('[Discogs] Consumer Key/Secret not configured. Set DISCOGS_API_KEY and DISCOGS_API_SECRET in .env');
-      return null;
+    // Try to log error body
+    try {
+      const errorBody = await response.text();
+      log.error(`Error body: ${errorBody}`);
+    } catch (e) {
+      // Ignore
     }
+    
+    return null;
+  }
 
-    // Build search query - try strict format first
-    let searchQuery = `artist:"${artist}" release_title:"${album}"`;
-    if (releaseYear) {
-      searchQuery += ` year:${releaseYear}`;
-    }
+  const data = await response.json();
+  
+  log.info(`Found ${data.results?.length || 0} results (strict search)`);
+  
+  // If no results with strict search, try a simpler search
+  if (!data.results || data.results.length === 0) {
+    log.info('No results with strict search, trying simple search...');
     
-    console.log(`[Discogs] Searching for: ${artist} - ${album}`);
-    console.log(`[Discogs] Search query (strict): "${searchQuery}"`);
+    // Simple search: just artist and album name
+    const simpleQuery = `${artist} ${album}`;
+    const simpleUrl = `${DISCOGS_API_BASE}/database/search?q=${encodeURIComponent(simpleQuery)}&type=release&format=vinyl&key=${consumerKey}&secret=${consumerSecret}`;
     
-    // Build URL with Consumer Key and Secret for authentication
-    const url = `${DISCOGS_API_BASE}/database/search?q=${encodeURIComponent(searchQuery)}&type=release&format=vinyl&key=${consumerKey}&secret=${consumerSecret}`;
-    console.log(`[Discogs] Full URL: ${url.replace(consumerKey, 'KEY').replace(consumerSecret, 'SECRET')}`);
+    log.info(`Simple query: "${simpleQuery}"`);
     
-    const response = await fetch(url, {
+    const simpleResponse = await outboundFetch(simpleUrl, {
       method: 'GET',
       headers: {
         'User-Agent': USER_AGENT,
         'Accept': 'application/json',
       },
-      timeout: 5000 // 5 second timeout
+      timeout: 5000
     });
-
-    console.log(`[Discogs] Response status: ${response.status}`);
-
-    if (!response.ok) {
-      console.error(`[Discogs] API error: ${response.status} ${response.statusText}`);
-      
-      // Handle rate limiting
-      if (response.status === 429) {
-        console.error('[Discogs] Rate limit exceeded');
-      }
+    
+    if (simpleResponse.ok) {
+      const simpleData = await simpleResponse.json();
+      log.info(`Found ${simpleData.results?.length || 0} results (simple search)`);
       
-      // Try to log error body
-      try {
-        const errorBody = await response.text();
-        console.error(`[Discogs] Error body: ${errorBody}`);
-      } catch (e) {
-        // Ignore
+      if (simpleData.results && simpleData.results.length > 0) {
+        // Use simple search results
+        return simpleData.results[0];
       }
-      
-      return null;
     }
-
-    const data = await response.json();
     
-    console.log(`[Discogs] Found ${data.results?.length || 0} results (strict search)`);
+    log.info('No results found even with simple search');
+    return null;
+  }
+
+  // Get the first (best) match
+  return data.results[0];
+}
+
+/**
+ * Search for vinyl/record on Discogs
+ * @param {string} artist - Artist name
+ * @param {string} album - Album title
+ * @param {number} releaseYear - Optional release year
+ * @returns {Promise<Object|null>} Vinyl data or null if not found
+ */
+async function searchVinyl(artist, album, releaseYear = null) {
+  try {
+    // Using Consumer Key and Consumer Secret (OAuth credentials)
+    const consumerKey = getConfig().discogs.apiKey;
+    const consumerSecret = getConfig().discogs.apiSecret;
     
-    // If no results with strict search, try a simpler search
-    if (!data.results || data.results.length === 0) {
-      console.log('[Discogs] No results with strict search, trying simple search...');
-      
-      // Simple search: just artist and album name
-      const simpleQuery = `${artist} ${album}`;
-      const simpleUrl = `${DISCOGS_API_BASE}/database/search?q=${encodeURIComponent(simpleQuery)}&type=release&format=vinyl&key=${consumerKey}&secret=${consumerSecret}`;
-      
-      console.log(`[Discogs] Simple query: "${simpleQuery}"`);
-      
-      const simpleResponse = await fetch(simpleUrl, {
-        method: 'GET',
-        headers: {
-          'User-Agent': USER_AGENT,
-          'Accept': 'application/json',
-        },
-        timeout: 5000
-      });
-      
-      if (simpleResponse.ok) {
-        const simpleData = await simpleResponse.json();
-        console.log(`[Discogs] Found ${simpleData.results?.length || 0} results (simple search)`);
-        
-        if (simpleData.results && simpleData.results.length > 0) {
-          // Use simple search results
-          const topResult = simpleData.results[0];
-          console.log(`[Discogs] Top result: ${topResult.title} (ID: ${topResult.id})`);
-          
-          const detailedData = await getDetailedRelease(topResult.id, consumerKey, consumerSecret);
-          
-          if (!detailedData) {
-            return formatSearchResult(topResult);
-          }
-          
-          return detailedData;
-        }
-      }
-      
-      console.log('[Discogs] No results found even with simple search');
+    // Check if API credentials are configured
+    if (!consumerKey || !consumerSecret) {
+      log.warn('Consumer Key/Secret not configured. Set DISCOGS_API_KEY and DISCOGS_API_SECRET in .env');
       return null;
     }
 
-    // Get the first (best) match
-    const topResult = data.results[0];
-    console.log(`[Discogs] Top result: ${topResult.title} (ID: ${topResult.id})`);
+    const topResult = await cachedLookup(
+      'discogs_search',
+      [artist, album, releaseYear],
+      () => findTopSearchResult(artist, album, releaseYear, consumerKey, consumerSecret)
+    );
+
+    if (!topResult) {
+      return null;
+    }
+
+    log.info(`Top result: ${topResult.title} (ID: ${topResult.id})`);
 
     // Get detailed information about the release
     const detailedData = await getDetailedRelease(topResult.id, consumerKey, consumerSecret);
@@ -148,13 +164,61 @@ async function searchVinyl(artist, album, releaseYear = null) {
     return detailedData;
 
   } catch (error) {
-    console.error('[Discogs] Search error:', error.message);
+    log.error('Search error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch release metadata (without marketplace pricing)
+ * @param {number} releaseId - Discogs release ID
+ * @param {string} consumerKey - Consumer Key
+ * @param {string} consumerSecret - Consumer Secret
+ * @returns {Promise<Object|null>} Release metadata
+ */
+async function fetchReleaseMetadata(releaseId, consumerKey, consumerSecret) {
+  const url = `${DISCOGS_API_BASE}/releases/${releaseId}?key=${consumerKey}&secret=${consumerSecret}`;
+  
+  const response = await outboundFetch(url, {
+    method: 'GET',
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'application/json',
+    },
+    timeout: 5000
+  });
+
+  if (!response.ok) {
+    log.error(`Release details error: ${response.status}`);
     return null;
   }
+
+  const data = await response.json();
+
+  return {
+    discogs_url: buildDiscogsUrl(data.uri),
+    discogs_id: data.id,
+    artist: formatArtists(data.artists),
+    album: data.title,
+    release_year: data.year || null,
+    label: formatLabels(data.labels),
+    catalog_number: formatCatalogNumbers(data.labels),
+    genres: data.genres || [],
+    styles: data.styles || [],
+    format: formatFormats(data.formats),
+    country: data.country || 'Unknown',
+    tracklist: data.tracklist?.length || 0,
+    discogs_rating: data.community?.rating?.average || null,
+    discogs_votes: data.community?.rating?.count || 0,
+    discogs_have: data.community?.have || 0,
+    discogs_want: data.community?.want || 0,
+    image_url: data.images?.[0]?.uri || null
+  };
 }
 
 /**
- * Get detailed release information
+ * Get detailed release information.
+ * Metadata and pricing are cached separately (pricing with a much shorter TTL).
  * @param {number} releaseId - Discogs release ID
  * @param {string} consumerKey - Consumer Key
  * @param {string} consumerSecret - Consumer Secret
@@ -162,54 +226,36 @@ async function searchVinyl(artist, album, releaseYear = null) {
  */
 async function getDetailedRelease(releaseId, consumerKey, consumerSecret) {
   try {
-    const url = `${DISCOGS_API_BASE}/releases/${releaseId}?key=${consumerKey}&secret=${consumerSecret}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'User-Agent': USER_AGENT,
-        'Accept': 'application/json',
-      },
-      timeout: 5000
-    });
+    const metadata = await cachedLookup(
+      'discogs_release',
+      releaseId,
+      () => fetchReleaseMetadata(releaseId, consumerKey, consumerSecret)
+    );
 
-    if (!response.ok) {
-      console.error(`[Discogs] Release details error: ${response.status}`);
+    if (!metadata) {
       return null;
     }
 
-    const data = await response.json();
-    
     // Extract pricing information if available
-    const pricing = await getReleasePricing(releaseId, consumerKey, consumerSecret);
+    const pricing = await cachedLookup(
+      'discogs_pricing',
+      releaseId,
+      () => getReleasePricing(releaseId, consumerKey, consumerSecret),
+      // Only successful lookups include discogs_num_for_sale; don't cache the empty fallback
+      { isCacheable: value => value && value.discogs_num_for_sale !== undefined }
+    );
 
     const vinylData = {
-      discogs_url: buildDiscogsUrl(data.uri),
-      discogs_id: data.id,
-      artist: formatArtists(data.artists),
-      album: data.title,
-      release_year: data.year || null,
-      label: formatLabels(data.labels),
-      catalog_number: formatCatalogNumbers(data.labels),
-      genres: data.genres || [],
-      styles: data.styles || [],
-      format: formatFormats(data.formats),
-      country: data.country || 'Unknown',
-      tracklist: data.tracklist?.length || 0,
-      discogs_rating: data.community?.rating?.average || null,
-      discogs_votes: data.community?.rating?.count || 0,
-      discogs_have: data.community?.have || 0,
-      discogs_want: data.community?.want || 0,
-      image_url: data.images?.[0]?.uri || null,
+      ...metadata,
       ...pricing
     };
 
-    console.log(`[Discogs] Found vinyl: ${vinylData.artist} - ${vinylData.album} (${vinylData.release_year})`);
+    log.info(`Found vinyl: ${vinylData.artist} - ${vinylData.album} (${vinylData.release_year})`);
     
     return vinylData;
 
   } catch (error) {
-    console.error('[Discogs] Release details error:', error.message);
+    log.error('Release details error:', error.message);
     return null;
   }
 }
@@ -226,7 +272,7 @@ async function getReleasePricing(releaseId, consumerKey, consumerSecret) {
     // Marketplace statistics endpoint
     const url = `${DISCOGS_API_BASE}/marketplace/stats/${releaseId}?curr=EUR&key=${consumerKey}&secret=${consumerSecret}`;
     
-    const response = await fetch(url, {
+    const response = await outboundFetch(url, {
       method: 'GET',
       headers: {
         'User-Agent': USER_AGENT,
@@ -255,7 +301,7 @@ async function getReleasePricing(releaseId, consumerKey, consumerSecret) {
     };
 
   } catch (error) {
-    console.log('[Discogs] Pricing not available:', error.message);
+    log.info('Pricing not available:', error.message);
     return {
       discogs_avg_price: null,
       discogs_min_price: null,
@@ -350,45 +396,45 @@ function formatFormats(formats) {
  */
 async function searchVinylByCatalogNumber(catalogNumber, artist = null) {
   try {
-    const consumerKey = process.env.DISCOGS_API_KEY;
-    const consumerSecret = process.env.DISCOGS_API_SECRET;
+    const consumerKey = getConfig().discogs.apiKey;
+    const consumerSecret = getConfig().discogs.apiSecret;
 
     if (!consumerKey || !consumerSecret) {
-      console.warn('[Discogs] Consumer Key/Secret not configured');
+      log.warn('Consumer Key/Secret not configured');
       return null;
     }
 
-    console.log(`[Discogs] Searching by catalog number: ${catalogNumber}`);
+    log.info(`Searching by catalog number: ${catalogNumber}`);
 
     let url = `${DISCOGS_API_BASE}/database/search?catno=${encodeURIComponent(catalogNumber)}&type=release&key=${consumerKey}&secret=${consumerSecret}`;
     if (artist) {
       url += `&artist=${encodeURIComponent(artist)}`;
     }
 
-    const response = await fetch(url, {
+    const response = await outboundFetch(url, {
       method: 'GET',
       headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
       timeout: 5000
     });
 
     if (!response.ok) {
-      console.error(`[Discogs] Catalog search error: ${response.status}`);
+      log.error(`Catalog search error: ${response.status}`);
       return null;
     }
 
     const data = await response.json();
-    console.log(`[Discogs] Catalog search found ${data.results?.length || 0} results`);
+    log.info(`Catalog search found ${data.results?.length || 0} results`);
 
     if (!data.results || data.results.length === 0) return null;
 
     const topResult = data.results[0];
-    console.log(`[Discogs] Catalog match: ${topResult.title} (ID: ${topResult.id})`);
+    log.info(`Catalog match: ${topResult.title} (ID: ${topResult.id})`);
 
     const detailedData = await getDetailedRelease(topResult.id, consumerKey, consumerSecret);
     return detailedData || formatSearchResult(topResult);
 
   } catch (error) {
-    console.error('[Discogs] Catalog search error:', error.message);
+    log.error('Catalog search error:', error.message);
     return null;
   }
 }
@@ -400,42 +446,42 @@ async function searchVinylByCatalogNumber(catalogNumber, artist = null) {
  */
 async function searchVinylByBarcode(barcode) {
   try {
-    const consumerKey = process.env.DISCOGS_API_KEY;
-    const consumerSecret = process.env.DISCOGS_API_SECRET;
+    const consumerKey = getConfig().discogs.apiKey;
+    const consumerSecret = getConfig().discogs.apiSecret;
 
     if (!consumerKey || !consumerSecret) {
-      console.warn('[Discogs] Consumer Key/Secret not configured');
+      log.warn('Consumer Key/Secret not configured');
       return null;
     }
 
-    console.log(`[Discogs] Searching by barcode: ${barcode}`);
+    log.info(`Searching by barcode: ${barcode}`);
 
     const url = `${DISCOGS_API_BASE}/database/search?barcode=${encodeURIComponent(barcode)}&type=release&key=${consumerKey}&secret=${consumerSecret}`;
 
-    const response = await fetch(url, {
+    const response = await outboundFetch(url, {
       method: 'GET',
       headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
       timeout: 5000
     });
 
     if (!response.ok) {
-      console.error(`[Discogs] Barcode search error: ${response.status}`);
+      log.error(`Barcode search error: ${response.status}`);
       return null;
     }
 
     const data = await response.json();
-    console.log(`[Discogs] Barcode search found ${data.results?.length || 0} results`);
+    log.info(`Barcode search found ${data.results?.length || 0} results`);
 
     if (!data.results || data.results.length === 0) return null;
 
     const topResult = data.results[0];
-    console.log(`[Discogs] Barcode match: ${topResult.title} (ID: ${topResult.id})`);
+    log.info(`Barcode match: ${topResult.title} (ID: ${topResult.id})`);
 
     const detailedData = await getDetailedRelease(topResult.id, consumerKey, consumerSecret);
     return detailedData || formatSearchResult(topResult);
 
   } catch (error) {
-    console.error('[Discogs] Barcode search error:', error.message);
+    log.error('Barcode search error:', error.message);
     return null;
   }
 }
@@ -476,7 +522,7 @@ async function enrichVinylWithExtraInfo(collectorDetails, extraInfo) {
     };
 
   } catch (error) {
-    console.error('[Discogs] Extra info enrichment error:', error.message);
+    log.error('Extra info enrichment error:', error.message);
     return {
       collector_category: 'vinyl',
       collector_data: null,
@@ -503,7 +549,7 @@ async function enrichVinylItem(item) {
     // Vision handles all vinyl identification. GPT-4o only classifies + describes condition.
     if (item.collector_details) {
       if (item.collector_details.artist || item.collector_details.album || item.collector_details.release_year) {
-        console.log(`[Discogs] Ignoring GPT-4o vinyl guess (${item.collector_details.artist} - ${item.collector_details.album}) — Vision handles identification`);
+        log.info(`Ignoring GPT-4o vinyl guess (${item.collector_details.artist} - ${item.collector_details.album}) — Vision handles identification`);
       }
       item.collector_details.artist = null;
       item.collector_details.album = null;
@@ -520,7 +566,7 @@ async function enrichVinylItem(item) {
 
     // --- PRIMARY: Google Vision WEB_DETECTION (reverse image search) ---
     if (item._base64Image) {
-      console.log('[Discogs] Vinyl detected — running Google Vision WEB_DETECTION as primary identifier...');
+      log.info('Vinyl detected — running Google Vision WEB_DETECTION as primary identifier...');
       const { identifyVinylFromImage } = require('./googleVisionService');
       const visionResult = await identifyVinylFromImage(item._base64Image);
 
@@ -530,20 +576,20 @@ async function enrichVinylItem(item) {
         releaseYear = visionResult.release_year;
         discogsReleaseIdFromVision = visionResult.discogs_release_id || null;
         source = 'vision';
-        console.log(`[Discogs] Vision identified: ${artist} - ${album}${discogsReleaseIdFromVision ? ` [direct release ID: ${discogsReleaseIdFromVision}]` : ''}`);
+        log.info(`Vision identified: ${artist} - ${album}${discogsReleaseIdFromVision ? ` [direct release ID: ${discogsReleaseIdFromVision}]` : ''}`);
       } else {
-        console.log('[Discogs] Vision could not identify the vinyl');
+        log.info('Vision could not identify the vinyl');
       }
     } else {
-      console.log('[Discogs] No image available for Vision — skipping primary identification');
+      log.info('No image available for Vision — skipping primary identification');
     }
 
     // --- FAST PATH: direct Discogs release lookup via Vision's matching pages ---
     if (discogsReleaseIdFromVision) {
-      const consumerKey = process.env.DISCOGS_API_KEY;
-      const consumerSecret = process.env.DISCOGS_API_SECRET;
+      const consumerKey = getConfig().discogs.apiKey;
+      const consumerSecret = getConfig().discogs.apiSecret;
       if (consumerKey && consumerSecret) {
-        console.log(`[Discogs] Using direct release lookup for ID ${discogsReleaseIdFromVision}`);
+        log.info(`Using direct release lookup for ID ${discogsReleaseIdFromVision}`);
         const directData = await getDetailedRelease(discogsReleaseIdFromVision, consumerKey, consumerSecret);
         if (directData) {
           const enrichedItem = applyCollectorDataToItem(item, directData);
@@ -560,7 +606,7 @@ async function enrichVinylItem(item) {
 
     // --- VISION FAILED: ask the user for catalog number / barcode ---
     if (!artist && !album) {
-      console.log('[Discogs] Vision could not identify the vinyl — asking user for catalog number / barcode');
+      log.info('Vision could not identify the vinyl — asking user for catalog number / barcode');
 
       const fallbackQuestions = buildVinylFallbackQuestions(item);
 
@@ -576,12 +622,12 @@ async function enrichVinylItem(item) {
     }
 
     // --- Discogs search with identified artist/album ---
-    console.log(`[Discogs] Enriching vinyl: Artist="${artist}", Album="${album}", Year=${releaseYear} (source: ${source})`);
+    log.info(`Enriching vinyl: Artist="${artist}", Album="${album}", Year=${releaseYear} (source: ${source})`);
     
     const discogsData = await searchVinyl(artist, album, releaseYear);
 
     if (!discogsData) {
-      console.log('[Discogs] No Discogs data found for vinyl');
+      log.info('No Discogs data found for vinyl');
       return {
         ...item,
         collector_category: 'vinyl',
@@ -603,7 +649,7 @@ async function enrichVinylItem(item) {
     };
 
   } catch (error) {
-    console.error('[Discogs] Enrichment error:', error.message);
+    log.error('Enrichment error:', error.message);
     return {
       ...item,
       collector_category: 'vinyl',
@@ -703,6 +749,19 @@ function buildVinylFallbackQuestions(item) {
   return [...existing, ...fallback];
 }
 
+registerCollector({
+  name: 'vinyl',
+  tags: ['vinyl', 'plaat', 'lp', 'record', 'album', 'schijf'],
+  enrich: enrichVinylItem,
+  enrichWithExtraInfo: enrichVinylWithExtraInfo,
+  statsKey: 'vinyl_items',
+  source: 'Discogs',
+  extraInfoFields: {
+    catalog_number: 'Catalog number from the label or spine (e.g. "CBS 85224")',
+    barcode: 'Barcode number from the sleeve'
+  }
+});
+
 module.exports = {
   searchVinyl,
   searchVinylByCatalogNumber,
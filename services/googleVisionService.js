@@ -6,23 +6,27 @@
  * 
  * Requires GOOGLE_CLOUD_API_KEY in .env
  * Enable "Cloud Vision API" in Google Cloud Console for the same project as Firebase.
+ * FEATURE_VISION=false turns identification off (callers fall back to the model's details).
  */
 
+const { cachedLookup, hashImage } = require('./cacheService');
+const { outboundFetch } = require('./httpClient');
+const { recordVisionCall } = require('./usageService');
+const { createLogger } = require('../utils/logger');
+const { getConfig, isIntegrationEnabled } = require('../utils/config');
+
+const log = createLogger('Vision');
+
 const VISION_API_BASE = 'https://vision.googleapis.com/v1/images:annotate';
 
 /**
- * Perform web detection on a base64 image using Google Cloud Vision API.
+ * Call Google Cloud Vision WEB_DETECTION for a base64 image (uncached).
  * Returns best-guess labels, web entities, and pages with matching images.
  * @param {string} base64Image - Base64 encoded image (no data: prefix)
  * @returns {Promise<Object|null>} Web detection results or null on failure
  */
-async function detectWebEntities(base64Image) {
-  const apiKey = process.env.GOOGLE_CLOUD_API_KEY;
-
-  if (!apiKey) {
-    console.warn('[Vision] GOOGLE_CLOUD_API_KEY not configured — skipping web detection fallback');
-    return null;
-  }
+async function fetchWebDetection(base64Image) {
+  const apiKey = getConfig().googleVision.apiKey;
 
   try {
     const url = `${VISION_API_BASE}?key=${apiKey}`;
@@ -36,9 +40,9 @@ async function detectWebEntities(base64Image) {
       ]
     };
 
-    console.log('[Vision] Sending image to Google Cloud Vision WEB_DETECTION...');
+    log.info('Sending image to Google Cloud Vision WEB_DETECTION...');
 
-    const response = await fetch(url, {
+    const response = await outboundFetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(body)
@@ -46,27 +50,46 @@ async function detectWebEntities(base64Image) {
 
     if (!response.ok) {
       const errorBody = await response.text().catch(() => '');
-      console.error(`[Vision] API error: ${response.status} ${response.statusText}`, errorBody);
+      log.error(`API error: ${response.status} ${response.statusText}`, errorBody);
       return null;
     }
 
+    // Billed per processed request, so only successful calls are counted
+    recordVisionCall();
+
     const data = await response.json();
     const webDetection = data.responses?.[0]?.webDetection;
 
     if (!webDetection) {
-      console.log('[Vision] No web detection results');
+      log.info('No web detection results');
       return null;
     }
 
-    console.log('[Vision] Best guess labels:', webDetection.bestGuessLabels?.map(l => l.label).join(', ') || 'none');
-    console.log('[Vision] Web entities:', webDetection.webEntities?.slice(0, 5).map(e => `${e.description} (${e.score?.toFixed(2)})`).join(', ') || 'none');
+    log.info('Best guess labels:', webDetection.bestGuessLabels?.map(l => l.label).join(', ') || 'none');
+    log.info('Web entities:', webDetection.webEntities?.slice(0, 5).map(e => `${e.description} (${e.score?.toFixed(2)})`).join(', ') || 'none');
 
     return webDetection;
 
   } catch (error) {
-    console.error('[Vision] Web detection error:', error.message);
+    log.error('Web detection error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Perform web detection on a base64 image using Google Cloud Vision API.
+ * Returns best-guess labels, web entities, and pages with matching images.
+ * @param {string} base64Image - Base64 encoded image (no data: prefix)
+ * @returns {Promise<Object|null>} Web detection results or null on failure
+ */
+async function detectWebEntities(base64Image) {
+  if (!isIntegrationEnabled('vision')) {
+    log.info(`Skipping web detection: vision integration ${getConfig().integrations.vision.reason}`);
     return null;
   }
+
+  // Keyed by image hash: the same photo (e.g. a retried request) is only sent once
+  return cachedLookup('vision_web', hashImage(base64Image), () => fetchWebDetection(base64Image));
 }
 
 // Generic music-related terms that are NOT artist/album names
@@ -122,8 +145,8 @@ function extractVinylInfoFromWebDetection(webDetection) {
   const entities = Array.from(entityMap.values())
     .sort((a, b) => (b.score || 0) - (a.score || 0));
 
-  console.log(`[Vision] Parsing vinyl info from best guess: "${bestGuess}"`);
-  console.log(`[Vision] Filtered entities: ${entities.slice(0, 5).map(e => e.description).join(', ')}`);
+  log.info(`Parsing vinyl info from best guess: "${bestGuess}"`);
+  log.info(`Filtered entities: ${entities.slice(0, 5).map(e => e.description).join(', ')}`);
 
   // Strongest signal: a direct Discogs release URL in matching pages
   const discogsPage = (webDetection.pagesWithMatchingImages || [])
@@ -131,7 +154,7 @@ function extractVinylInfoFromWebDetection(webDetection) {
   const discogsReleaseId = discogsPage ? extractDiscogsReleaseId(discogsPage.url) : null;
 
   if (discogsReleaseId) {
-    console.log(`[Vision] Found direct Discogs release ID: ${discogsReleaseId}`);
+    log.info(`Found direct Discogs release ID: ${discogsReleaseId}`);
   }
 
   let artist = null;
@@ -201,7 +224,7 @@ function extractVinylInfoFromWebDetection(webDetection) {
   }
 
   if (!artist && !album && !discogsReleaseId) {
-    console.log('[Vision] Could not extract vinyl info from web detection');
+    log.info('Could not extract vinyl info from web detection');
     return null;
   }
 
@@ -215,7 +238,7 @@ function extractVinylInfoFromWebDetection(webDetection) {
     confidence: entities[0]?.score || 0.5
   };
 
-  console.log(`[Vision] Extracted vinyl info: ${result.artist} - ${result.album} (${result.release_year || 'unknown year'})${discogsReleaseId ? ` [Discogs ID: ${discogsReleaseId}]` : ''}`);
+  log.info(`Extracted vinyl info: ${result.artist} - ${result.album} (${result.release_year || 'unknown year'})${discogsReleaseId ? ` [Discogs ID: ${discogsReleaseId}]` : ''}`);
 
   return result;
 }
@@ -268,8 +291,8 @@ function extractArtworkInfoFromWebDetection(webDetection) {
   const entities = Array.from(entityMap.values())
     .sort((a, b) => (b.score || 0) - (a.score || 0));
 
-  console.log(`[Vision] Parsing artwork info from best guess: "${bestGuess}"`);
-  console.log(`[Vision] Filtered art entities: ${entities.slice(0, 5).map(e => e.description).join(', ')}`);
+  log.info(`Parsing artwork info from best guess: "${bestGuess}"`);
+  log.info(`Filtered art entities: ${entities.slice(0, 5).map(e => e.description).join(', ')}`);
 
   // Strong signal: Wikipedia page about the artwork in matching pages
   const wikipediaPage = (webDetection.pagesWithMatchingImages || [])
@@ -311,7 +334,7 @@ function extractArtworkInfoFromWebDetection(webDetection) {
   }
 
   if (!title && !artist && !wikipediaUrl) {
-    console.log('[Vision] Could not extract artwork info from web detection');
+    log.info('Could not extract artwork info from web detection');
     return null;
   }
 
@@ -323,7 +346,7 @@ function extractArtworkInfoFromWebDetection(webDetection) {
     confidence: entities[0]?.score || 0.5
   };
 
-  console.log(`[Vision] Extracted artwork info: "${result.title}" by "${result.artist}"${wikipediaUrl ? ' [Wikipedia match]' : ''}`);
+  log.info(`Extracted artwork info: "${result.title}" by "${result.artist}"${wikipediaUrl ? ' [Wikipedia match]' : ''}`);
 
   return result;
 }
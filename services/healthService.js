@@ -0,0 +1,218 @@
+/**
+ * Health Service
+ *
+ * Readiness checks behind GET /ready. Every dependency reports whether it is
+ * configured, its status and the probe latency:
+ * - model: model provider of the process route (model lookup, no tokens spent)
+ * - firebase: Firebase Admin credentials (fetches an access token)
+ * - google_vision: integration enabled (no request: Vision calls are billed)
+ * - discogs: vinyl integration enabled and credentials accepted by the Discogs API
+ * - google_books, open_library, pokemontcg, met_museum, art_institute: one small API request
+ *
+ * Results are cached for READY_CACHE_TTL_MS (default 60000), so frequent
+ * readiness polls do not hit the external APIs. Probes time out after
+ * READY_CHECK_TIMEOUT_MS (default 5000). Probes use plain fetch instead of
+ * the outbound HTTP client, so a failing probe never opens that host's circuit
+ * breaker or spends its rate-limit tokens meant for real enrichment calls.
+ *
+ * The model and Firebase are required: if one of them fails the service is
+ * "not_ready". Failing or unconfigured enrichment sources only make it "degraded".
+ */
+
+const { probeModel, getRouteConfig } = require('./modelProvider');
+const { getConfig } = require('../utils/config');
+
+const USER_AGENT = 'TrackMyHome/1.0 +https://trackmyhome.app';
+
+const checkCache = new Map();
+
+/**
+ * Probe an external API with a single request (no retries)
+ * @param {string} url
+ * @param {Object} headers
+ * @returns {Promise<void>} Rejects on a non-2xx response or when unreachable
+ */
+async function probeUrl(url, headers = {}) {
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json', ...headers },
+    signal: AbortSignal.timeout(getConfig().server.readyCheckTimeoutMs)
+  });
+  // Drain the body so the connection can be reused
+  await response.arrayBuffer().catch(() => {});
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Whether the Firebase Admin app is initialized (service account, Application
+ * Default Credentials or the emulators, see index.js)
+ * @param {Object} admin - Firebase Admin SDK
+ * @returns {boolean}
+ */
+function isFirebaseInitialized(admin) {
+  try {
+    return Boolean(admin && admin.app());
+  } catch (error) {
+    // admin.app() throws when initializeApp() was never called
+    return false;
+  }
+}
+
+/**
+ * Readiness checks: { name: { required, isConfigured(admin), probe(admin) } }
+ * probe is optional; without it a configured dependency is "ok".
+ */
+const CHECKS = {
+  model: {
+    required: true,
+    isConfigured: () => {
+      const { provider } = getRouteConfig('process');
+      const { model } = getConfig();
+      if (provider === 'openai') return Boolean(model.openaiApiKey);
+      if (provider === 'openai-compatible') return Boolean(model.compatibleBaseUrl);
+      return true;
+    },
+    probe: async () => {
+      const { provider, model } = await probeModel('process');
+      return { provider, model };
+    }
+  },
+  firebase: {
+    required: true,
+    // Service account, Application Default Credentials (no project id needed) or
+    // the emulators: an initialized app is configured, the probe checks the credentials
+    isConfigured: (admin) => isFirebaseInitialized(admin),
+    probe: async (admin) => {
+      const { authEmulatorHost } = getConfig().firebase;
+      // The emulators need no credentials
+      if (authEmulatorHost) {
+        return { project_id: admin.app().options.projectId, emulator: authEmulatorHost };
+      }
+      await admin.app().options.credential.getAccessToken();
+      return { project_id: admin.app().options.projectId || getConfig().firebase.projectId || null };
+    }
+  },
+  google_vision: {
+    required: false,
+    isConfigured: () => getConfig().integrations.vision.enabled
+  },
+  discogs: {
+    required: false,
+    isConfigured: () => getConfig().integrations.vinyl.enabled,
+    probe: () => {
+      const { apiKey, apiSecret } = getConfig().discogs;
+      return probeUrl(`https://api.discogs.com/database/search?q=test&per_page=1&key=${apiKey}&secret=${apiSecret}`);
+    }
+  },
+  google_books: {
+    required: false,
+    isConfigured: () => true,
+    probe: () => probeUrl('https://www.googleapis.com/books/v1/volumes?q=isbn:9780140328721&maxResults=1')
+  },
+  open_library: {
+    required: false,
+    isConfigured: () => true,
+    probe: () => probeUrl('https://openlibrary.org/search.json?isbn=9780140328721&limit=1&fields=key')
+  },
+  pokemontcg: {
+    required: false,
+    isConfigured: () => true,
+    probe: () => {
+      const { apiKey } = getConfig().pokemontcg;
+      return probeUrl('https://api.pokemontcg.io/v2/sets?pageSize=1', apiKey ? { 'X-Api-Key': apiKey } : {});
+    }
+  },
+  met_museum: {
+    required: false,
+    isConfigured: () => true,
+    probe: () => probeUrl('https://collectionapi.metmuseum.org/public/collection/v1/objects/436535')
+  },
+  art_institute: {
+    required: false,
+    isConfigured: () => true,
+    probe: () => probeUrl('https://api.artic.edu/api/v1/artworks?limit=1&fields=id')
+  }
+};
+
+/**
+ * Run one check
+ * @param {string} name
+ * @param {Object} admin - Firebase Admin SDK
+ * @returns {Promise<Object>} { status, configured, required, latency_ms, checked_at, error?, details? }
+ */
+async function runCheck(name, admin) {
+  const check = CHECKS[name];
+  const result = {
+    status: 'ok',
+    configured: check.isConfigured(admin),
+    required: check.required,
+    latency_ms: null,
+    checked_at: new Date().toISOString()
+  };
+
+  if (!result.configured) {
+    return { ...result, status: 'not_configured' };
+  }
+  if (!check.probe) {
+    return result;
+  }
+
+  const startTime = Date.now();
+  try {
+    const details = await Promise.race([
+      check.probe(admin),
+      new Promise((resolve, reject) => setTimeout(() => reject(new Error('timeout')), getConfig().server.readyCheckTimeoutMs).unref())
+    ]);
+    return { ...result, latency_ms: Date.now() - startTime, ...(details ? { details } : {}) };
+  } catch (error) {
+    return { ...result, status: 'error', latency_ms: Date.now() - startTime, error: error.message };
+  }
+}
+
+/**
+ * Run a check or return its cached result. Concurrent callers share one probe.
+ * @param {string} name
+ * @param {Object} admin
+ * @returns {Promise<Object>} Check result with `cached`
+ */
+async function getCheckResult(name, admin) {
+  const cached = checkCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    const result = await cached.promise;
+    return { ...result, cached: cached.settled };
+  }
+
+  const entry = { promise: runCheck(name, admin), settled: false, expiresAt: Infinity };
+  checkCache.set(name, entry);
+  const result = await entry.promise;
+  entry.settled = true;
+  entry.expiresAt = Date.now() + getConfig().server.readyCacheTtlMs;
+  return { ...result, cached: false };
+}
+
+/**
+ * Check all dependencies
+ * @param {Object} admin - Firebase Admin SDK
+ * @returns {Promise<Object>} { status: 'ready' | 'degraded' | 'not_ready', checks }
+ */
+async function checkReadiness(admin) {
+  const names = Object.keys(CHECKS);
+  const results = await Promise.all(names.map(name => getCheckResult(name, admin)));
+  const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+  const failed = Object.values(checks).filter(check => check.status !== 'ok');
+  let status = 'ready';
+  if (failed.some(check => check.required)) {
+    status = 'not_ready';
+  } else if (failed.length > 0) {
+    status = 'degraded';
+  }
+
+  return { status, checks };
+}
+
+module.exports = {
+  checkReadiness
+};
@@ -0,0 +1,287 @@
+/**
+ * Outbound HTTP Client
+ *
+ * Shared fetch wrapper for all external enrichment APIs (Discogs, Google Books,
+ * Open Library, pokemontcg.io, Google Vision, museum APIs, Wikipedia):
+ * - Per-host token bucket, so bursts of items stay under each API's rate limit
+ * - Real request timeouts (AbortSignal), `timeout` option in ms
+ * - Retry with exponential backoff on network errors, timeouts, 429 and 5xx,
+ *   honoring `Retry-After` (which also pauses the whole host)
+ * - Per-host circuit breaker: after OUTBOUND_BREAKER_THRESHOLD failed requests
+ *   the host is skipped for OUTBOUND_BREAKER_COOLDOWN_MS, then one probe is allowed
+ *
+ * Responses other than 429/5xx (including 404) are returned as-is. When a source
+ * cannot be reached, a SourceUnavailableError is thrown instead, so callers can
+ * tell "source unavailable" apart from "no match". Failures made while enriching
+ * an item are recorded with trackSourceFailures().
+ *
+ * Configuration:
+ * - OUTBOUND_RATE_LIMITS: per-host requests/minute, e.g. "api.discogs.com=60,api.pokemontcg.io=120"
+ * - OUTBOUND_TIMEOUT_MS (default 10000), OUTBOUND_RETRIES (default 2)
+ * - OUTBOUND_MAX_WAIT_MS (default 10000): longest wait for a rate-limit slot or Retry-After
+ * - OUTBOUND_BREAKER_THRESHOLD (default 5), OUTBOUND_BREAKER_COOLDOWN_MS (default 30000)
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { observeExternalRequest, recordExternalSourceError } = require('./metricsService');
+const { createLogger } = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+const { ServiceUnavailableError } = require('../utils/errors');
+
+const log = createLogger('HTTP');
+
+// Known hosts: display name and requests per minute
+const HOST_DEFAULTS = {
+  'api.discogs.com': { source: 'Discogs', ratePerMinute: 60 },
+  'api.pokemontcg.io': { source: 'pokemontcg.io', ratePerMinute: 30 },
+  'www.googleapis.com': { source: 'Google Books', ratePerMinute: 100 },
+  'openlibrary.org': { source: 'Open Library', ratePerMinute: 60 },
+  'vision.googleapis.com': { source: 'Google Vision', ratePerMinute: 600 },
+  'collectionapi.metmuseum.org': { source: 'Met Museum', ratePerMinute: 600 },
+  'api.artic.edu': { source: 'Art Institute of Chicago', ratePerMinute: 60 },
+  'en.wikipedia.org': { source: 'Wikipedia', ratePerMinute: 200 }
+};
+
+const DEFAULT_RATE_PER_MINUTE = 60;
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const BACKOFF_BASE_MS = 500;
+
+const failureTracker = new AsyncLocalStorage();
+const hosts = new Map();
+
+/**
+ * Thrown when an external source cannot be reached (timeout, network error,
+ * rate limited, server error or open circuit). Answered as a retryable 503.
+ */
+class SourceUnavailableError extends ServiceUnavailableError {
+  /**
+   * @param {string} source - Display name, e.g. 'Discogs'
+   * @param {string} reason - e.g. 'HTTP 429', 'timeout after 5000ms', 'circuit open'
+   * @param {Object} details - { host, upstreamStatus, retryAfterMs }
+   */
+  constructor(source, reason, { host = null, upstreamStatus = null, retryAfterMs = null } = {}) {
+    super('SOURCE_UNAVAILABLE', `${source} unavailable: ${reason}`, { retryAfterMs });
+    this.name = 'SourceUnavailableError';
+    this.source = source;
+    this.reason = reason;
+    this.host = host;
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+/**
+ * Token bucket plus circuit breaker state for one host (created on first use)
+ * @param {string} host
+ * @returns {Object}
+ */
+function getHostState(host) {
+  if (!hosts.has(host)) {
+    const defaults = HOST_DEFAULTS[host] || {};
+    const ratePerMinute = getConfig().outbound.rateLimits[host] || defaults.ratePerMinute || DEFAULT_RATE_PER_MINUTE;
+    // Allow a burst of ~10 seconds worth of requests
+    const capacity = Math.max(1, Math.ceil(ratePerMinute / 6));
+
+    hosts.set(host, {
+      source: defaults.source || host,
+      capacity,
+      refillPerMs: ratePerMinute / 60000,
+      tokens: capacity,
+      lastRefill: Date.now(),
+      pausedUntil: 0,
+      consecutiveFailures: 0,
+      openUntil: 0,
+      probeInFlight: false
+    });
+  }
+  return hosts.get(host);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reserve a token for the host, waiting if the bucket is empty or the host is paused
+ * @param {string} host
+ * @param {Object} state
+ */
+async function acquireToken(host, state) {
+  const now = Date.now();
+  state.tokens = Math.min(state.capacity, state.tokens + (now - state.lastRefill) * state.refillPerMs);
+  state.lastRefill = now;
+
+  // Reserve the token now (tokens may go negative) so concurrent callers queue up in order
+  state.tokens -= 1;
+  const waitForToken = state.tokens >= 0 ? 0 : -state.tokens / state.refillPerMs;
+  const waitMs = Math.max(waitForToken, state.pausedUntil - now);
+
+  if (waitMs > getConfig().outbound.maxWaitMs) {
+    state.tokens += 1;
+    // Not a host failure: release a half-open probe so the next request can probe instead
+    state.probeInFlight = false;
+    throw new SourceUnavailableError(state.source, 'rate limited', { host, retryAfterMs: Math.ceil(waitMs) });
+  }
+
+  if (waitMs > 0) {
+    log.info(`${state.source}: waiting ${Math.ceil(waitMs)}ms for rate limit`);
+    await sleep(waitMs);
+  }
+}
+
+/**
+ * Check the circuit breaker before a request
+ * @param {string} host
+ * @param {Object} state
+ */
+function checkCircuit(host, state) {
+  if (state.openUntil === 0) return;
+
+  if (Date.now() < state.openUntil || state.probeInFlight) {
+    throw new SourceUnavailableError(state.source, 'circuit open', { host, retryAfterMs: Math.max(0, state.openUntil - Date.now()) });
+  }
+
+  // Cooldown over: half-open, let this single request probe the host
+  state.probeInFlight = true;
+  log.info(`${state.source}: circuit half-open, probing`);
+}
+
+function recordSuccess(state) {
+  if (state.openUntil !== 0) {
+    log.info(`${state.source}: circuit closed`);
+  }
+  state.consecutiveFailures = 0;
+  state.openUntil = 0;
+  state.probeInFlight = false;
+}
+
+function recordFailure(state) {
+  state.consecutiveFailures++;
+  const wasProbe = state.probeInFlight;
+  state.probeInFlight = false;
+
+  if (wasProbe || state.consecutiveFailures >= getConfig().outbound.breakerThreshold) {
+    const cooldownMs = getConfig().outbound.breakerCooldownMs;
+    state.openUntil = Date.now() + cooldownMs;
+    log.warn(`${state.source}: circuit open for ${cooldownMs}ms after ${state.consecutiveFailures} failures`);
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} header
+ * @returns {number|null} Milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Short failure kind for metrics: http_<status>, timeout, network_error, circuit_open or rate_limited
+ * @param {SourceUnavailableError} error
+ * @returns {string}
+ */
+function getFailureKind(error) {
+  if (error.upstreamStatus) return `http_${error.upstreamStatus}`;
+  if (error.reason.startsWith('timeout')) return 'timeout';
+  if (error.reason.startsWith('network error')) return 'network_error';
+  return error.reason.replace(/\s+/g, '_');
+}
+
+/**
+ * Record a failure in the current tracking context (if any) and in the metrics
+ * @param {SourceUnavailableError} error
+ */
+function recordSourceFailure(error) {
+  recordExternalSourceError(error.source, getFailureKind(error));
+  const failures = failureTracker.getStore();
+  if (failures) failures.push({ source: error.source, reason: error.reason });
+}
+
+/**
+ * fetch() with rate limiting, timeout, retry and circuit breaker
+ * @param {string} url
+ * @param {Object} options - fetch options plus `timeout` (ms) and `retries`
+ * @returns {Promise<Response>} Response (never 429/5xx)
+ * @throws {SourceUnavailableError}
+ */
+async function outboundFetch(url, options = {}) {
+  const { timeout, retries, ...fetchOptions } = options;
+  const host = new URL(url).host.toLowerCase();
+  const state = getHostState(host);
+  const timeoutMs = timeout || getConfig().outbound.timeoutMs;
+  const maxRetries = retries !== undefined ? retries : getConfig().outbound.retries;
+  const maxWaitMs = getConfig().outbound.maxWaitMs;
+
+  try {
+    checkCircuit(host, state);
+
+    let lastError = null;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      await acquireToken(host, state);
+
+      let retryAfterMs = null;
+      const attemptStart = Date.now();
+      try {
+        const response = await fetch(url, { ...fetchOptions, signal: AbortSignal.timeout(timeoutMs) });
+        observeExternalRequest({ source: state.source, status: response.status, seconds: (Date.now() - attemptStart) / 1000 });
+
+        if (!RETRYABLE_STATUSES.includes(response.status)) {
+          recordSuccess(state);
+          return response;
+        }
+
+        retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        if (response.status === 429 && retryAfterMs !== null) {
+          state.pausedUntil = Math.max(state.pausedUntil, Date.now() + retryAfterMs);
+        }
+        lastError = new SourceUnavailableError(state.source, `HTTP ${response.status}`, { host, upstreamStatus: response.status, retryAfterMs });
+        // Drain the body so the connection can be reused
+        await response.arrayBuffer().catch(() => {});
+      } catch (error) {
+        const timedOut = error.name === 'TimeoutError';
+        observeExternalRequest({ source: state.source, status: timedOut ? 'timeout' : 'network_error', seconds: (Date.now() - attemptStart) / 1000 });
+        const reason = timedOut ? `timeout after ${timeoutMs}ms` : `network error (${error.cause?.code || error.message})`;
+        lastError = new SourceUnavailableError(state.source, reason, { host });
+      }
+
+      if (attempt === maxRetries) break;
+
+      const backoffMs = retryAfterMs !== null ? retryAfterMs : BACKOFF_BASE_MS * 2 ** attempt + Math.random() * 100;
+      if (backoffMs > maxWaitMs) {
+        log.warn(`${state.source}: Retry-After ${Math.ceil(backoffMs)}ms exceeds limit, giving up`);
+        break;
+      }
+      log.warn(`${state.source}: ${lastError.reason}, retry ${attempt + 1}/${maxRetries} in ${Math.ceil(backoffMs)}ms`);
+      await sleep(backoffMs);
+    }
+
+    recordFailure(state);
+    throw lastError;
+  } catch (error) {
+    if (error instanceof SourceUnavailableError) {
+      log.error(`${error.message}`);
+      recordSourceFailure(error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run a function and collect the sources that were unavailable during it
+ * @param {Function} fn - async () => result
+ * @returns {Promise<Object>} { result, failures: Array<{ source, reason }> }
+ */
+async function trackSourceFailures(fn) {
+  const failures = [];
+  const result = await failureTracker.run(failures, fn);
+  return { result, failures };
+}
+
+module.exports = {
+  outboundFetch,
+  trackSourceFailures,
+  parseRetryAfter,
+  SourceUnavailableError
+};
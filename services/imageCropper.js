@@ -0,0 +1,71 @@
+/**
+ * Image Cropper Service
+ *
+ * Cuts the region of a detected item (utils/itemRegion) out of the original
+ * photo, so enrichers that look at the image (Google Vision for vinyl and art)
+ * see the item instead of the whole shelf.
+ *
+ * - The photo is auto-rotated by its EXIF orientation first: regions refer to
+ *   the image as the model saw it
+ * - The box is padded by CROP_PADDING on every side, since coarse regions
+ *   (especially grid cells) tend to cut the item off
+ * - No crop is made when it would cover almost the whole photo or be too small
+ *   to recognize anything; callers then keep using the full photo
+ */
+
+const sharp = require('sharp');
+const { getConfig } = require('../utils/config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Crop');
+
+// Padding as a fraction of the box size
+const CROP_PADDING = 0.1;
+// A crop covering more than this fraction of the photo is not worth it
+const MAX_CROP_AREA = 0.8;
+const MIN_CROP_PIXELS = 64;
+
+/**
+ * Crop the region of an item out of a photo
+ * @param {string} base64Image - Original photo (base64)
+ * @param {Object} region - Normalized region { box: { x, y, width, height } }
+ * @returns {Promise<Object|null>} { base64, width, height } as JPEG, or null when no useful crop can be made
+ */
+async function cropImageRegion(base64Image, region) {
+  if (!region || !region.box || !base64Image) return null;
+
+  try {
+    const buffer = Buffer.from(base64Image, 'base64');
+    const metadata = await sharp(buffer).metadata();
+    // EXIF orientations 5-8 are rotated by 90°, so the displayed size is swapped
+    const rotated = metadata.orientation >= 5;
+    const imageWidth = rotated ? metadata.height : metadata.width;
+    const imageHeight = rotated ? metadata.width : metadata.height;
+
+    const { x, y, width, height } = region.box;
+    const left = Math.max(0, Math.floor((x - width * CROP_PADDING) * imageWidth));
+    const top = Math.max(0, Math.floor((y - height * CROP_PADDING) * imageHeight));
+    const right = Math.min(imageWidth, Math.ceil((x + width * (1 + CROP_PADDING)) * imageWidth));
+    const bottom = Math.min(imageHeight, Math.ceil((y + height * (1 + CROP_PADDING)) * imageHeight));
+    const cropWidth = right - left;
+    const cropHeight = bottom - top;
+
+    if (cropWidth < MIN_CROP_PIXELS || cropHeight < MIN_CROP_PIXELS) return null;
+    if ((cropWidth * cropHeight) / (imageWidth * imageHeight) > MAX_CROP_AREA) return null;
+
+    const cropped = await sharp(buffer)
+      .rotate()
+      .extract({ left, top, width: cropWidth, height: cropHeight })
+      .jpeg({ quality: getConfig().images.jpegQuality })
+      .toBuffer();
+
+    return { base64: cropped.toString('base64'), width: cropWidth, height: cropHeight };
+  } catch (error) {
+    log.warn('Could not crop item region, using the full image:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  cropImageRegion
+};
@@ -0,0 +1,332 @@
+/**
+ * Image Downloader Service
+ *
+ * Fetches user images from cloud storage with the guard rails a public
+ * endpoint needs:
+ * - Only https URLs on allowlisted storage hosts are fetched
+ * - Hard timeout on the whole download (connect + body)
+ * - Body is streamed and aborted as soon as it exceeds the byte cap
+ * - Content-Type and magic bytes must identify a supported image format
+ *
+ * For local development:
+ * - URLs of the Storage emulator (FIREBASE_STORAGE_EMULATOR_HOST) may use http
+ * - In DEV_MODE, file:// URLs and local paths are read from DEV_IMAGE_DIR
+ *   (default: the working directory); files outside it are refused
+ *
+ * Configuration (all optional, validated by utils/config.js):
+ * - ALLOWED_IMAGE_HOSTS: comma-separated host list
+ *   (default: firebasestorage.googleapis.com, storage.googleapis.com)
+ * - MAX_IMAGE_BYTES: maximum image size in bytes (default: 15 MB)
+ * - IMAGE_DOWNLOAD_TIMEOUT_MS: download timeout in ms (default: 10000)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { detectImageMimeType } = require('../utils/imageHeader');
+const { createLogger } = require('../utils/logger');
+const { ApiError } = require('../utils/errors');
+const { getConfig } = require('../utils/config');
+
+const log = createLogger('Download');
+const uploadLog = createLogger('Upload');
+
+/**
+ * Error raised for download and upload failures that map to a specific HTTP status.
+ * Retryable when the status is 502 or 504 (storage failure or timeout).
+ */
+class ImageDownloadError extends ApiError {
+  /**
+   * @param {string} code - Stable machine-readable code (e.g. 'IMAGE_TOO_LARGE')
+   * @param {string} message - Human-readable message
+   * @param {number} status - HTTP status to return to the client
+   */
+  constructor(code, message, status) {
+    super(code, message, { status });
+    this.name = 'ImageDownloadError';
+  }
+}
+
+function getAllowedHosts() {
+  return getConfig().images.allowedHosts;
+}
+
+function getMaxImageBytes() {
+  return getConfig().images.maxBytes;
+}
+
+function getTimeoutMs() {
+  return getConfig().images.downloadTimeoutMs;
+}
+
+/**
+ * Extract file path from a Firebase / Google Cloud Storage URL
+ * Supported formats:
+ * - https://firebasestorage.googleapis.com/v0/b/BUCKET/o/PATH%2FTO%2FFILE?alt=media&token=...
+ * - https://storage.googleapis.com/BUCKET/PATH/TO/FILE
+ * @param {string} imageUrl - Storage URL
+ * @returns {string} File path in the bucket
+ */
+function extractFilePathFromUrl(imageUrl) {
+  let url;
+  try {
+    url = new URL(imageUrl);
+  } catch (error) {
+    throw new ImageDownloadError('INVALID_IMAGE_URL', 'image_url is not a valid URL', 400);
+  }
+
+  const firebaseMatch = url.pathname.match(/\/o\/(.+)/);
+  if (firebaseMatch) {
+    // Decode the URL-encoded path
+    return decodeURIComponent(firebaseMatch[1]);
+  }
+
+  if (url.hostname === 'storage.googleapis.com') {
+    const gcsMatch = url.pathname.match(/^\/[^/]+\/(.+)$/);
+    if (gcsMatch) return decodeURIComponent(gcsMatch[1]);
+  }
+
+  throw new ImageDownloadError('INVALID_IMAGE_URL', 'Could not extract file path from storage URL', 400);
+}
+
+/**
+ * Whether a URL points at the Storage emulator (http or https, any path)
+ * @param {URL} url
+ * @returns {boolean}
+ */
+function isStorageEmulatorUrl(url) {
+  const emulatorHost = getConfig().firebase.storageEmulatorHost;
+  return Boolean(emulatorHost) && ['http:', 'https:'].includes(url.protocol) && url.host === emulatorHost.toLowerCase();
+}
+
+/**
+ * In DEV_MODE, turn a local path (relative to DEV_IMAGE_DIR) into a file:// URL,
+ * so it passes the image_url validation. Other values are returned unchanged.
+ * @param {string} imageUrl
+ * @returns {string}
+ */
+function resolveLocalImageUrl(imageUrl) {
+  const { dev } = getConfig();
+  if (!dev.enabled || typeof imageUrl !== 'string' || !imageUrl || /^[a-z][a-z0-9+.-]*:/i.test(imageUrl)) {
+    return imageUrl;
+  }
+  return pathToFileURL(path.resolve(dev.imageDir, imageUrl)).href;
+}
+
+/**
+ * Read a local image (DEV_MODE only) from a file:// URL inside DEV_IMAGE_DIR
+ * @param {string} fileUrl
+ * @returns {Promise<Object>} { base64, filePath, mimeType, bytes } — filePath is null, nothing is stored
+ */
+async function loadLocalImage(fileUrl) {
+  const imageDir = path.resolve(getConfig().dev.imageDir);
+  let localPath;
+  try {
+    localPath = fileURLToPath(fileUrl);
+  } catch (error) {
+    throw new ImageDownloadError('INVALID_IMAGE_URL', 'image_url is not a valid file URL', 400);
+  }
+
+  const relativePath = path.relative(imageDir, localPath);
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    throw new ImageDownloadError('HOST_NOT_ALLOWED', `Local images must be inside DEV_IMAGE_DIR (${imageDir})`, 400);
+  }
+
+  let buffer;
+  try {
+    const maxBytes = getMaxImageBytes();
+    const { size } = await fs.promises.stat(localPath);
+    if (size > maxBytes) {
+      throw new ImageDownloadError('IMAGE_TOO_LARGE', `Image exceeds the maximum size of ${maxBytes} bytes`, 413);
+    }
+    buffer = await fs.promises.readFile(localPath);
+  } catch (error) {
+    if (error instanceof ImageDownloadError) throw error;
+    throw new ImageDownloadError('IMAGE_NOT_FOUND', `Local image could not be read: ${error.code || error.message}`, 400);
+  }
+
+  const mimeType = detectImageMimeType(buffer);
+  if (!mimeType) {
+    throw new ImageDownloadError('UNSUPPORTED_MEDIA', 'File is not a supported image (JPEG, PNG, WebP, GIF, HEIC or AVIF)', 415);
+  }
+
+  log.info(`Read ${buffer.length} bytes (${mimeType}) from ${localPath}`);
+
+  return {
+    base64: buffer.toString('base64'),
+    filePath: null,
+    mimeType,
+    bytes: buffer.length
+  };
+}
+
+/**
+ * Validate an image URL against the protocol and host allowlist.
+ * @param {string} imageUrl
+ * @returns {URL} Parsed URL
+ */
+function validateImageUrl(imageUrl) {
+  let url;
+  try {
+    url = new URL(imageUrl);
+  } catch (error) {
+    throw new ImageDownloadError('INVALID_IMAGE_URL', 'image_url is not a valid URL', 400);
+  }
+
+  if (isStorageEmulatorUrl(url)) {
+    return url;
+  }
+
+  if (url.protocol !== 'https:') {
+    throw new ImageDownloadError('INVALID_IMAGE_URL', 'image_url must use https', 400);
+  }
+
+  const allowedHosts = getAllowedHosts();
+  if (!allowedHosts.includes(url.hostname.toLowerCase())) {
+    throw new ImageDownloadError('HOST_NOT_ALLOWED', `Images can only be fetched from: ${allowedHosts.join(', ')}`, 400);
+  }
+
+  return url;
+}
+
+/**
+ * Read a fetch response body into a Buffer, aborting once maxBytes is exceeded.
+ * @param {Response} response
+ * @param {number} maxBytes
+ * @param {AbortController} controller
+ * @returns {Promise<Buffer>}
+ */
+async function readBodyWithLimit(response, maxBytes, controller) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    received += value.length;
+    if (received > maxBytes) {
+      controller.abort();
+      throw new ImageDownloadError('IMAGE_TOO_LARGE', `Image exceeds the maximum size of ${maxBytes} bytes`, 413);
+    }
+    chunks.push(value);
+  }
+
+  return Buffer.concat(chunks.map(c => Buffer.from(c)), received);
+}
+
+/**
+ * Download image from an allowlisted storage URL and convert to base64
+ * (in DEV_MODE local paths and file:// URLs are read from disk instead)
+ * @param {string} imageUrl - URL of the image to download
+ * @returns {Promise<Object>} { base64, filePath, mimeType, bytes }
+ */
+async function downloadAndEncodeImage(imageUrl) {
+  if (getConfig().dev.enabled) {
+    const resolvedUrl = resolveLocalImageUrl(imageUrl);
+    if (resolvedUrl.startsWith('file:')) return loadLocalImage(resolvedUrl);
+  }
+
+  validateImageUrl(imageUrl);
+  const filePath = extractFilePathFromUrl(imageUrl);
+
+  const maxBytes = getMaxImageBytes();
+  const timeoutMs = getTimeoutMs();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    // Redirects could point at a host outside the allowlist, so refuse them
+    const response = await fetch(imageUrl, { signal: controller.signal, redirect: 'error' });
+
+    if (!response.ok) {
+      await response.body?.cancel().catch(() => {});
+      if (response.status === 403 || response.status === 404) {
+        throw new ImageDownloadError('IMAGE_NOT_FOUND', `Image could not be fetched: ${response.status} ${response.statusText}`, 400);
+      }
+      throw new ImageDownloadError('IMAGE_DOWNLOAD_FAILED', `Storage returned ${response.status} ${response.statusText}`, 502);
+    }
+
+    const contentLength = parseInt(response.headers.get('content-length'));
+    if (contentLength > maxBytes) {
+      controller.abort();
+      throw new ImageDownloadError('IMAGE_TOO_LARGE', `Image exceeds the maximum size of ${maxBytes} bytes`, 413);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').toLowerCase();
+    if (contentType && !contentType.startsWith('image/') && !contentType.startsWith('application/octet-stream')) {
+      controller.abort();
+      throw new ImageDownloadError('UNSUPPORTED_MEDIA', `Unsupported content type: ${contentType}`, 415);
+    }
+
+    const buffer = await readBodyWithLimit(response, maxBytes, controller);
+
+    const mimeType = detectImageMimeType(buffer);
+    if (!mimeType) {
+      throw new ImageDownloadError('UNSUPPORTED_MEDIA', 'File is not a supported image (JPEG, PNG, WebP, GIF, HEIC or AVIF)', 415);
+    }
+
+    log.info(`Fetched ${buffer.length} bytes (${mimeType}) for ${filePath}`);
+
+    return {
+      base64: buffer.toString('base64'),
+      filePath,
+      mimeType,
+      bytes: buffer.length
+    };
+  } catch (error) {
+    if (error instanceof ImageDownloadError) throw error;
+
+    if (error.name === 'AbortError') {
+      log.error(`Timed out after ${timeoutMs}ms`);
+      throw new ImageDownloadError('IMAGE_DOWNLOAD_TIMEOUT', `Image download timed out after ${timeoutMs}ms`, 504);
+    }
+
+    log.error('Error downloading image:', error.message);
+    // The raw fetch message is logged, not returned to the client
+    throw new ImageDownloadError('IMAGE_DOWNLOAD_FAILED', 'Failed to download image from storage', 502);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Validate and encode an image that was uploaded directly (multipart or raw body)
+ * @param {Buffer} buffer - Uploaded image bytes
+ * @returns {Object} { base64, filePath, mimeType, bytes } — filePath is null, nothing is stored
+ */
+function loadUploadedImage(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new ImageDownloadError('INVALID_UPLOAD', 'Uploaded image is empty', 400);
+  }
+
+  const maxBytes = getMaxImageBytes();
+  if (buffer.length > maxBytes) {
+    throw new ImageDownloadError('IMAGE_TOO_LARGE', `Image exceeds the maximum size of ${maxBytes} bytes`, 413);
+  }
+
+  const mimeType = detectImageMimeType(buffer);
+  if (!mimeType) {
+    throw new ImageDownloadError('UNSUPPORTED_MEDIA', 'File is not a supported image (JPEG, PNG, WebP, GIF, HEIC or AVIF)', 415);
+  }
+
+  uploadLog.info(`Received ${buffer.length} bytes (${mimeType})`);
+
+  return {
+    base64: buffer.toString('base64'),
+    filePath: null,
+    mimeType,
+    bytes: buffer.length
+  };
+}
+
+module.exports = {
+  ImageDownloadError,
+  downloadAndEncodeImage,
+  loadUploadedImage,
+  resolveLocalImageUrl,
+  getMaxImageBytes,
+  extractFilePathFromUrl,
+  validateImageUrl
+};
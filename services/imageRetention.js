@@ -0,0 +1,150 @@
+/**
+ * Image Retention Service
+ *
+ * Decides what happens to the uploaded photo in Firebase Storage once the
+ * analysis is done. Some users keep the original as insurance evidence, so
+ * deletion is no longer unconditional.
+ *
+ * Server-side policy (IMAGE_RETENTION_POLICY):
+ * - "delete" (default): delete the image immediately
+ * - "delay": keep the image for IMAGE_RETENTION_DAYS days (default 30). The
+ *   deletion date is written to the object's customTime; a bucket lifecycle
+ *   rule with condition `daysSinceCustomTime: 0` performs the actual delete.
+ * - "archive": move the image under IMAGE_ARCHIVE_PREFIX (default "archive/")
+ *
+ * A request with `retain_image: true` always archives, regardless of policy.
+ */
+
+const { createLogger } = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+
+const log = createLogger('Retention');
+
+/**
+ * Read the configured retention policy (validated by utils/config.js)
+ * @returns {string} 'delete' | 'delay' | 'archive'
+ */
+function getRetentionPolicy() {
+  return getConfig().images.retentionPolicy;
+}
+
+function getRetentionDays() {
+  return getConfig().images.retentionDays;
+}
+
+function getArchivePrefix() {
+  return getConfig().images.archivePrefix;
+}
+
+/**
+ * Delete image from Firebase Storage
+ * @param {Object} admin - Firebase Admin SDK
+ * @param {string} filePath - File path in Firebase Storage
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteImageFromFirebase(admin, filePath) {
+  try {
+    const bucket = admin.storage().bucket();
+    await bucket.file(filePath).delete();
+    log.info(`Deleted image: ${filePath}`);
+    return true;
+  } catch (error) {
+    log.error('Error deleting image from Firebase Storage:', error.message);
+    // Don't throw error here, just log it - we don't want to fail the whole request
+    return false;
+  }
+}
+
+/**
+ * Move image to the archive prefix in the same bucket
+ * @param {Object} admin - Firebase Admin SDK
+ * @param {string} filePath - File path in Firebase Storage
+ * @returns {Promise<string|null>} New path, or null on failure
+ */
+async function archiveImage(admin, filePath) {
+  const prefix = getArchivePrefix();
+  if (filePath.startsWith(prefix)) return filePath;
+
+  const archivePath = `${prefix}${filePath}`;
+  try {
+    const bucket = admin.storage().bucket();
+    await bucket.file(filePath).move(archivePath);
+    log.info(`Archived image: ${filePath} -> ${archivePath}`);
+    return archivePath;
+  } catch (error) {
+    log.error('Error archiving image:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Schedule deletion by setting the object's customTime to the deletion date
+ * @param {Object} admin - Firebase Admin SDK
+ * @param {string} filePath - File path in Firebase Storage
+ * @param {number} days - Days to keep the image
+ * @returns {Promise<string|null>} ISO deletion date, or null on failure
+ */
+async function scheduleImageDeletion(admin, filePath, days) {
+  const deleteAfter = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  try {
+    const bucket = admin.storage().bucket();
+    await bucket.file(filePath).setMetadata({ customTime: deleteAfter });
+    log.info(`Scheduled deletion of ${filePath} after ${deleteAfter}`);
+    return deleteAfter;
+  } catch (error) {
+    log.error('Error scheduling image deletion:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Apply the retention policy to an analysed image
+ * @param {Object} admin - Firebase Admin SDK
+ * @param {string|null} filePath - File path in Firebase Storage (null for direct uploads)
+ * @param {Object} options - { retainImage: boolean }
+ * @returns {Promise<Object>} { policy, action, storage_path, delete_after, deleted }
+ *   action is one of 'deleted', 'scheduled_delete', 'archived', 'not_stored' or 'failed'
+ */
+async function applyImageRetention(admin, filePath, { retainImage = false } = {}) {
+  if (!filePath) {
+    return { policy: null, action: 'not_stored', storage_path: null, delete_after: null, deleted: false };
+  }
+
+  const policy = retainImage ? 'archive' : getRetentionPolicy();
+
+  if (policy === 'archive') {
+    const archivePath = await archiveImage(admin, filePath);
+    return {
+      policy,
+      action: archivePath ? 'archived' : 'failed',
+      storage_path: archivePath || filePath,
+      delete_after: null,
+      deleted: false
+    };
+  }
+
+  if (policy === 'delay') {
+    const deleteAfter = await scheduleImageDeletion(admin, filePath, getRetentionDays());
+    return {
+      policy,
+      action: deleteAfter ? 'scheduled_delete' : 'failed',
+      storage_path: filePath,
+      delete_after: deleteAfter,
+      deleted: false
+    };
+  }
+
+  const deleted = await deleteImageFromFirebase(admin, filePath);
+  return {
+    policy,
+    action: deleted ? 'deleted' : 'failed',
+    storage_path: deleted ? null : filePath,
+    delete_after: null,
+    deleted
+  };
+}
+
+module.exports = {
+  applyImageRetention,
+  deleteImageFromFirebase
+};
@@ -0,0 +1,329 @@
+/**
+ * Item Extraction Service
+ *
+ * Turns model output into validated items without failing the request on
+ * bad output:
+ * - Code fences and surrounding prose are stripped before parsing
+ * - Truncated output (max_output_tokens reached or unparseable JSON): complete
+ *   items are salvaged and ONE continuation call asks for the remaining items
+ * - Well-formed JSON with the wrong shape: ONE text-only repair call
+ * - Every item is validated and normalized (utils/itemValidator)
+ * Provider errors (network, auth) still throw a ModelError; output problems only
+ * produce warnings, unless nothing usable is left and the follow-up call failed
+ * too (MODEL_OUTPUT_INVALID, 502).
+ */
+
+const { generateJson, ModelError } = require('./modelProvider');
+const { validateItem, validateItems } = require('../utils/itemValidator');
+const { getCollectorFields } = require('../prompts/itemPrompts');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('Extraction');
+
+const REPAIR_INPUT_LIMIT = 20000;
+
+/**
+ * Remove markdown code fences around a JSON answer
+ * @param {string} text
+ * @returns {string}
+ */
+function stripCodeFences(text) {
+  return (text || '')
+    .replace(/^```json\s*/i, '')
+    .replace(/^```\s*/i, '')
+    .replace(/\s*```\s*$/i, '')
+    .trim();
+}
+
+/**
+ * Parse JSON, falling back to the outermost {...} when the model added prose
+ * @param {string} text
+ * @returns {*} Parsed value, or null
+ */
+function parseJsonLoose(text) {
+  const clean = stripCodeFences(text);
+  try {
+    return JSON.parse(clean);
+  } catch (error) {
+    const match = clean.match(/\{[\s\S]*\}/);
+    if (!match) return null;
+    try {
+      return JSON.parse(match[0]);
+    } catch (innerError) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Recover the complete objects of a JSON array from (possibly truncated) text,
+ * e.g. the first 7 items of `{"items":[{...},{...},...,{"name":"Lam`
+ * @param {string} text
+ * @param {string} key - Array property name
+ * @returns {Array<Object>}
+ */
+function salvageArrayObjects(text, key = 'items') {
+  const clean = stripCodeFences(text);
+  const keyMatch = clean.match(new RegExp(`"${key}"\\s*:\\s*\\[`));
+  if (!keyMatch) return [];
+
+  const objects = [];
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let objectStart = -1;
+
+  for (let i = keyMatch.index + keyMatch[0].length; i < clean.length; i++) {
+    const char = clean[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) objectStart = i;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0 && objectStart >= 0) {
+        try {
+          objects.push(JSON.parse(clean.slice(objectStart, i + 1)));
+        } catch (error) {
+          // Skip an unparseable object, keep scanning for the next one
+        }
+        objectStart = -1;
+      }
+    } else if (char === ']' && depth === 0) {
+      break;
+    }
+  }
+
+  return objects;
+}
+
+/**
+ * Add token usage of a follow-up call
+ * @param {Object} total
+ * @param {Object} usage
+ * @returns {Object}
+ */
+function addUsage(total, usage = {}) {
+  return {
+    input_tokens: total.input_tokens + (usage.input_tokens || 0),
+    output_tokens: total.output_tokens + (usage.output_tokens || 0),
+    total_tokens: total.total_tokens + (usage.total_tokens || 0)
+  };
+}
+
+/**
+ * Text-only call that rewrites malformed output into the schema
+ * @param {string} route
+ * @param {Object} request - Original generateJson request
+ * @param {string} text - Malformed model output
+ * @returns {Promise<Object>} generateJson result
+ */
+function requestRepair(route, request, text) {
+  return generateJson(route, {
+    prompt: `The following model output should be a JSON object matching the given schema, but it is malformed or has the wrong structure. Return ONLY the corrected JSON object. Keep all information; do not invent new items.\n\n${text.slice(0, REPAIR_INPUT_LIMIT)}`,
+    image: null,
+    schemaName: request.schemaName,
+    schema: request.schema,
+    maxOutputTokens: request.maxOutputTokens
+  });
+}
+
+/**
+ * Call the model and return validated items (multi-item detection)
+ * @param {string} route - Model route, e.g. 'process'
+ * @param {Object} request - generateJson request (prompt, image, schemaName, schema, maxOutputTokens)
+ * @returns {Promise<Object>} { items, usage, model, provider, model_calls, warnings, raw_length }
+ */
+async function extractItems(route, request) {
+  const response = await generateJson(route, request);
+  let usage = addUsage({ input_tokens: 0, output_tokens: 0, total_tokens: 0 }, response.usage);
+  let modelCalls = 1;
+  const warnings = [];
+  let rawItems;
+
+  const parsed = parseJsonLoose(response.text);
+  log.info(`${route}: ${(response.text || '').length} characters${response.truncated ? ' (truncated)' : ''}`);
+
+  if (parsed && Array.isArray(parsed.items) && !response.truncated) {
+    rawItems = parsed.items;
+  } else if (response.truncated || !parsed) {
+    // Output hit the token limit: keep every complete item, then ask once for the rest
+    const salvaged = parsed && Array.isArray(parsed.items) ? parsed.items : salvageArrayObjects(response.text, 'items');
+    warnings.push(`Model output was cut off; recovered ${salvaged.length} complete items`);
+    log.warn(`Truncated output, salvaged ${salvaged.length} items, requesting continuation`);
+
+    const knownNames = salvaged.map(item => item && item.name).filter(name => typeof name === 'string');
+    rawItems = salvaged;
+
+    try {
+      const continuation = await generateJson(route, {
+        ...request,
+        prompt: `${request.prompt}\n\nIMPORTANT: A previous answer was cut off at the output limit.${knownNames.length > 0 ? ` These items were already returned: ${knownNames.join('; ')}.` : ''} Return ONLY the items that are not in that list, with short descriptions.`
+      });
+      modelCalls++;
+      usage = addUsage(usage, continuation.usage);
+
+      const continuationParsed = parseJsonLoose(continuation.text);
+      const extraItems = continuationParsed && Array.isArray(continuationParsed.items)
+        ? continuationParsed.items
+        : salvageArrayObjects(continuation.text, 'items');
+
+      const known = new Set(knownNames.map(name => name.toLowerCase()));
+      const newItems = extraItems.filter(item => !(item && typeof item.name === 'string' && known.has(item.name.toLowerCase())));
+      rawItems = [...salvaged, ...newItems];
+
+      warnings.push(`Continuation call returned ${newItems.length} additional items`);
+      if (continuation.truncated) {
+        warnings.push('Continuation output was also cut off; some items may be missing');
+      }
+    } catch (error) {
+      log.error('Continuation call failed:', error);
+      if (salvaged.length === 0) {
+        throw new ModelError('MODEL_OUTPUT_INVALID', 'The model output could not be read', { status: 502, cause: error });
+      }
+      warnings.push(`Continuation call failed: ${error.message}`);
+    }
+  } else {
+    // Valid JSON with the wrong structure (e.g. a bare array or a single item)
+    if (Array.isArray(parsed)) {
+      rawItems = parsed;
+    } else if (parsed.item && typeof parsed.item === 'object') {
+      rawItems = [parsed.item];
+    } else {
+      log.warn('Output has no items array, requesting repair');
+      try {
+        const repair = await requestRepair(route, request, response.text);
+        modelCalls++;
+        usage = addUsage(usage, repair.usage);
+        const repaired = parseJsonLoose(repair.text);
+        rawItems = repaired && Array.isArray(repaired.items) ? repaired.items : [];
+        warnings.push(`Model output had no items array; repair call returned ${rawItems.length} items`);
+      } catch (error) {
+        log.error('Repair call failed:', error);
+        throw new ModelError('MODEL_OUTPUT_INVALID', 'The model output could not be read', { status: 502, cause: error });
+      }
+    }
+  }
+
+  const validation = validateItems(rawItems);
+  warnings.push(...validation.warnings);
+  if (validation.dropped > 0) {
+    log.warn(`Dropped ${validation.dropped} malformed items`);
+  }
+
+  return {
+    items: validation.items,
+    usage,
+    model: response.model,
+    provider: response.provider,
+    model_calls: modelCalls,
+    warnings,
+    raw_length: (response.text || '').length
+  };
+}
+
+/**
+ * Placeholder returned when no valid item could be extracted
+ * @param {string|null} name
+ * @returns {Object}
+ */
+function buildPlaceholderItem(name) {
+  return {
+    name: name || 'Unidentified item',
+    description: '',
+    estimated_value: 0,
+    quantity: 1,
+    accuracy: 0,
+    item_type: 'general',
+    tags: [],
+    collector_details: Object.fromEntries(getCollectorFields().map(([field]) => [field, null])),
+    followup_questions: [],
+    region: null
+  };
+}
+
+/**
+ * Pick and validate the item from a parsed single-item response
+ * @param {*} parsed
+ * @returns {Object} { item, warnings }
+ */
+function validateSingleOutput(parsed) {
+  if (!parsed || typeof parsed !== 'object') return { item: null, warnings: [] };
+  // Accept { item: {...} } and, leniently, a bare item object
+  const candidate = parsed.item && typeof parsed.item === 'object' ? parsed.item : (parsed.name ? parsed : null);
+  if (!candidate) return { item: null, warnings: ['Model output has no "item" field'] };
+  return validateItem(candidate, 0);
+}
+
+/**
+ * Call the model and return one validated item (single-item analysis)
+ * @param {string} route - Model route, e.g. 'process-single'
+ * @param {Object} request - generateJson request
+ * @param {string|null} fallbackName - Name for the placeholder item if everything fails
+ * @returns {Promise<Object>} { item, usage, model, provider, model_calls, warnings, raw_length }
+ */
+async function extractSingleItem(route, request, fallbackName = null) {
+  const response = await generateJson(route, request);
+  let usage = addUsage({ input_tokens: 0, output_tokens: 0, total_tokens: 0 }, response.usage);
+  let modelCalls = 1;
+  const warnings = [];
+
+  log.info(`${route}: ${(response.text || '').length} characters${response.truncated ? ' (truncated)' : ''}`);
+
+  let result = response.truncated ? { item: null, warnings: [] } : validateSingleOutput(parseJsonLoose(response.text));
+
+  if (!result.item) {
+    // One retry with the image, asking for a shorter answer so it fits the output limit
+    const reason = response.truncated ? 'was cut off' : 'was invalid';
+    log.warn(`Single item output ${reason}, retrying once`);
+    warnings.push(`Model output ${reason}; retried once`, ...result.warnings);
+
+    try {
+      const retry = await generateJson(route, {
+        ...request,
+        prompt: `${request.prompt}\n\nIMPORTANT: A previous answer ${reason}. Return ONLY the JSON object and keep the description under 80 words.`
+      });
+      modelCalls++;
+      usage = addUsage(usage, retry.usage);
+      result = retry.truncated ? { item: null, warnings: [] } : validateSingleOutput(parseJsonLoose(retry.text));
+    } catch (error) {
+      log.error('Retry call failed:', error.message);
+      warnings.push(`Retry call failed: ${error.message}`);
+      result = { item: null, warnings: [] };
+    }
+  }
+
+  warnings.push(...result.warnings);
+  let item = result.item;
+  if (!item) {
+    warnings.push('No valid item could be extracted; returning a placeholder with accuracy 0');
+    item = buildPlaceholderItem(fallbackName);
+  }
+
+  return {
+    item,
+    usage,
+    model: response.model,
+    provider: response.provider,
+    model_calls: modelCalls,
+    warnings,
+    raw_length: (response.text || '').length
+  };
+}
+
+module.exports = {
+  extractItems,
+  extractSingleItem,
+  parseJsonLoose,
+  salvageArrayObjects,
+  stripCodeFences
+};
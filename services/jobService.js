@@ -0,0 +1,383 @@
+/**
+ * Job Service
+ *
+ * Runs long /process pipelines in the background for `async: true` requests.
+ * The client gets a job id immediately and either polls GET /jobs/:id or
+ * receives a signed callback when the job finishes.
+ *
+ * Job stores (JOB_STORE):
+ * - "memory" (default): in-process Map, jobs expire after JOB_TTL_MS (default 24h).
+ *   Only suitable for a single long-running instance (local dev, pm2).
+ * - "firestore": documents in the JOB_COLLECTION collection (default "processing_jobs")
+ *
+ * Callbacks are POSTed as JSON with the headers
+ *   X-TrackMyHome-Timestamp: <unix seconds>
+ *   X-TrackMyHome-Signature: sha256=<hex HMAC of "<timestamp>.<body>" with JOB_CALLBACK_SECRET>
+ *
+ * Callback URLs are client-supplied, so they may not point into the server's
+ * own network: with CALLBACK_ALLOWED_HOSTS set only those hosts are accepted,
+ * otherwise loopback, private, link-local and internal hosts are refused, both
+ * when the job is created and (after DNS resolution) before each delivery. The
+ * delivery connects to the address that was checked, so a host that resolves
+ * differently on a second lookup (DNS rebinding) cannot redirect it.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent } = require('undici');
+const { createLogger, getRequestId } = require('../utils/logger');
+const { toApiError } = require('../utils/errors');
+const { getConfig } = require('../utils/config');
+
+const log = createLogger('Jobs');
+
+const DEFAULT_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+const CALLBACK_TIMEOUT_MS = 5000;
+const CALLBACK_ATTEMPTS = 3;
+
+// Addresses a callback must never reach: "this" network, private, CGNAT,
+// loopback, link-local (incl. cloud metadata 169.254.169.254) and unique local
+const BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+  .forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Names that only resolve inside the server's network (e.g. metadata.google.internal)
+const INTERNAL_HOSTNAME = /(^|\.)(localhost|internal|local)$/;
+
+/**
+ * In-memory job store
+ */
+class MemoryJobStore {
+  constructor(ttlMs = DEFAULT_JOB_TTL_MS) {
+    this.ttlMs = ttlMs;
+    this.jobs = new Map();
+  }
+
+  async save(job) {
+    this.prune();
+    this.jobs.set(job.id, JSON.parse(JSON.stringify(job)));
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? JSON.parse(JSON.stringify(job)) : null;
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, job] of this.jobs) {
+      if (Date.parse(job.created_at) < cutoff) this.jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Firestore-backed job store
+ */
+class FirestoreJobStore {
+  constructor(db, collection) {
+    this.collection = db.collection(collection);
+  }
+
+  async save(job) {
+    // Firestore rejects undefined values; a JSON round-trip drops them
+    await this.collection.doc(job.id).set(JSON.parse(JSON.stringify(job)));
+  }
+
+  async get(id) {
+    const doc = await this.collection.doc(id).get();
+    return doc.exists ? doc.data() : null;
+  }
+}
+
+/**
+ * Create the job store configured by JOB_STORE
+ * @param {Object} admin - Firebase Admin SDK
+ * @returns {MemoryJobStore|FirestoreJobStore}
+ */
+function createJobStore(admin) {
+  const { store, collection, ttlMs } = getConfig().jobs;
+
+  if (store === 'firestore') {
+    log.info(`Using Firestore job store (collection: ${collection})`);
+    return new FirestoreJobStore(admin.firestore(), collection);
+  }
+
+  return new MemoryJobStore(ttlMs);
+}
+
+/**
+ * Whether an IP address is in the server's own network
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  if (family !== 6) return false;
+
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1, normalized by URL to ::ffff:7f00:1)
+  const mapped = address.toLowerCase().match(/^::ffff:(?:([\d.]+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    const ipv4 = mapped[1] || [mapped[2], mapped[3]].flatMap(group => {
+      const value = parseInt(group, 16);
+      return [value >> 8, value & 0xff];
+    }).join('.');
+    return isBlockedAddress(ipv4);
+  }
+  return BLOCKED_ADDRESSES.check(address, 'ipv6');
+}
+
+/**
+ * Validate a client-supplied callback URL.
+ * @param {string} callbackUrl
+ * @returns {string|null} Error message, or null if the URL is acceptable
+ */
+function validateCallbackUrl(callbackUrl) {
+  const { callbackSecret, callbackAllowedHosts } = getConfig().jobs;
+  if (!callbackSecret) {
+    return 'callback_url is not available: JOB_CALLBACK_SECRET is not configured on the server';
+  }
+
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (error) {
+    return 'callback_url is not a valid URL';
+  }
+  if (url.protocol !== 'https:') return 'callback_url must use https';
+
+  // URL keeps IPv6 hosts in brackets and lowercases names
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (callbackAllowedHosts.length > 0) {
+    return callbackAllowedHosts.includes(hostname) ? null : `callback_url host is not allowed (allowed: ${callbackAllowedHosts.join(', ')})`;
+  }
+  if (INTERNAL_HOSTNAME.test(hostname) || isBlockedAddress(hostname)) {
+    return 'callback_url must not point to a local, private or internal address';
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a callback host right before delivering, so a public name pointing
+ * to a private address is refused too. Allowlisted hosts (CALLBACK_ALLOWED_HOSTS)
+ * are trusted.
+ * @param {string} callbackUrl
+ * @returns {Promise<Object>} { error } when refused, otherwise { address, family } to connect to
+ */
+async function resolveCallbackTarget(callbackUrl) {
+  const urlError = validateCallbackUrl(callbackUrl);
+  if (urlError) return { error: urlError };
+
+  const hostname = new URL(callbackUrl).hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(hostname);
+  if (family) return { address: hostname, family };
+
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  if (getConfig().jobs.callbackAllowedHosts.length === 0) {
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) return { error: `callback_url host resolves to a private address (${blocked.address})` };
+  }
+  return addresses[0];
+}
+
+/**
+ * undici dispatcher that connects to the checked address whatever the host
+ * name resolves to now; TLS still verifies the certificate against the name
+ * @param {Object} target - { address, family } from resolveCallbackTarget
+ * @returns {Agent}
+ */
+function createPinnedDispatcher({ address, family }) {
+  return new Agent({
+    connect: {
+      lookup: (hostname, options, callback) => (options && options.all
+        ? callback(null, [{ address, family }])
+        : callback(null, address, family))
+    }
+  });
+}
+
+/**
+ * Sign a callback body with the shared secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} secret - JOB_CALLBACK_SECRET
+ * @returns {string} "sha256=<hex>"
+ */
+function signCallbackPayload(body, timestamp, secret) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * POST the finished job to the callback URL, retrying on failure
+ * @param {string} callbackUrl
+ * @param {Object} payload
+ * @returns {Promise<Object>} { delivered, attempts, status } plus `error` when the target was refused
+ */
+async function sendJobCallback(callbackUrl, payload) {
+  const body = JSON.stringify(payload);
+  let lastStatus = null;
+
+  for (let attempt = 1; attempt <= CALLBACK_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let dispatcher = null;
+    try {
+      const target = await resolveCallbackTarget(callbackUrl);
+      if (target.error) {
+        log.warn(`Callback for job ${payload.job_id} refused: ${target.error}`);
+        return { delivered: false, attempts: attempt, status: null, error: target.error };
+      }
+
+      dispatcher = createPinnedDispatcher(target);
+      const response = await fetch(callbackUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-TrackMyHome-Timestamp': String(timestamp),
+          'X-TrackMyHome-Signature': signCallbackPayload(body, timestamp, getConfig().jobs.callbackSecret)
+        },
+        body,
+        // A redirect would leave the checked address
+        redirect: 'error',
+        signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS),
+        dispatcher
+      });
+      lastStatus = response.status;
+      await response.body?.cancel().catch(() => {});
+
+      if (response.ok) {
+        log.info(`Callback delivered for job ${payload.job_id} (attempt ${attempt})`);
+        return { delivered: true, attempts: attempt, status: lastStatus };
+      }
+      log.warn(`Callback for job ${payload.job_id} returned ${response.status} (attempt ${attempt})`);
+    } catch (error) {
+      log.warn(`Callback for job ${payload.job_id} failed (attempt ${attempt}):`, error.message);
+    } finally {
+      if (dispatcher) dispatcher.close().catch(() => {});
+    }
+
+    if (attempt < CALLBACK_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+    }
+  }
+
+  return { delivered: false, attempts: CALLBACK_ATTEMPTS, status: lastStatus };
+}
+
+/**
+ * Create a new queued job
+ * @param {Object} store - Job store
+ * @param {Object} params - { type, userId, stages: Array<string>, callbackUrl }
+ * @returns {Promise<Object>} The stored job
+ */
+async function createJob(store, { type, userId, stages, callbackUrl = null }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    user_id: userId,
+    // Request that queued the job; its log lines carry the same request_id
+    request_id: getRequestId(),
+    status: 'queued',
+    stages: Object.fromEntries(stages.map(name => [name, { status: 'pending', started_at: null, finished_at: null }])),
+    result: null,
+    error: null,
+    callback: callbackUrl ? { url: callbackUrl, delivered: false, attempts: 0 } : null,
+    created_at: now,
+    updated_at: now
+  };
+
+  await store.save(job);
+  return job;
+}
+
+/**
+ * Run a job in the background. `task` receives a progress(stage, status) function
+ * and resolves with the job result; errors are stored on the job.
+ * Never rejects, so it can be started without awaiting.
+ * @param {Object} store - Job store
+ * @param {Object} job - Job created by createJob
+ * @param {Function} task - async (progress) => result
+ * @returns {Promise<void>}
+ */
+async function runJob(store, job, task) {
+  // Saves are chained so a slow progress write can never overwrite a later state
+  let pendingSave = Promise.resolve();
+  const save = () => {
+    job.updated_at = new Date().toISOString();
+    const snapshot = JSON.parse(JSON.stringify(job));
+    pendingSave = pendingSave.then(() => store.save(snapshot)).catch(error => {
+      log.error(`Failed to save job ${job.id}:`, error.message);
+    });
+    return pendingSave;
+  };
+
+  const progress = (stage, status) => {
+    const entry = job.stages[stage] || (job.stages[stage] = { status: 'pending', started_at: null, finished_at: null });
+    entry.status = status;
+    if (status === 'running') entry.started_at = new Date().toISOString();
+    if (status === 'done' || status === 'failed') entry.finished_at = new Date().toISOString();
+    save();
+  };
+
+  job.status = 'running';
+  await save();
+
+  try {
+    job.result = await task(progress);
+    job.status = 'succeeded';
+  } catch (error) {
+    log.error(`Job ${job.id} failed:`, error);
+    const apiError = toApiError(error);
+    job.status = 'failed';
+    job.error = {
+      code: apiError.code,
+      status: apiError.status,
+      message: apiError.message,
+      retryable: apiError.retryable
+    };
+  }
+
+  await save();
+
+  if (job.callback) {
+    const delivery = await sendJobCallback(job.callback.url, {
+      job_id: job.id,
+      status: job.status,
+      result: job.result,
+      error: job.error
+    });
+    job.callback = { ...job.callback, ...delivery };
+    await save();
+  }
+}
+
+/**
+ * Strip internal fields before returning a job to the client
+ * @param {Object} job
+ * @returns {Object}
+ */
+function formatJobForResponse(job) {
+  const { user_id, ...publicJob } = job;
+  if (publicJob.callback) {
+    publicJob.callback = { delivered: publicJob.callback.delivered, attempts: publicJob.callback.attempts };
+  }
+  return publicJob;
+}
+
+module.exports = {
+  MemoryJobStore,
+  FirestoreJobStore,
+  createJobStore,
+  createJob,
+  runJob,
+  validateCallbackUrl,
+  signCallbackPayload,
+  sendJobCallback,
+  formatJobForResponse
+};
@@ -0,0 +1,227 @@
+/**
+ * Metrics Service
+ *
+ * In-process counters and histograms, exposed in the Prometheus text format
+ * on GET /metrics:
+ * - http_request_duration_seconds{method, route, status}: request latency per route
+ * - pipeline_stage_duration_seconds{stage, status}: download, analyze, enrich and retention (delete) stages
+ * - model_call_duration_seconds{route, provider, model, status} and model_tokens_total{provider, model, type}
+ * - external_requests_total{source, status} and external_request_duration_seconds{source}:
+ *   every request to an external API (one per attempt), status is the HTTP status, "timeout" or "network_error"
+ * - external_source_errors_total{source, reason}: sources that could not be reached after retries
+ *   (http_429, http_5xx, timeout, network_error, circuit_open, rate_limited)
+ * - identification_source_total{category, source}: how collector items were identified
+ *   ("vision", "vision_direct_release", "none", ...)
+ *
+ * Metrics are per process; with several instances Prometheus scrapes each one.
+ * GET /metrics requires METRICS_TOKEN (see isMetricsRequestAuthorized).
+ */
+
+const { matchesBearerToken } = require('../utils/bearerToken');
+const { getConfig } = require('../utils/config');
+
+// Seconds; covers fast cache hits up to slow multi-item pipelines
+const DURATION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+
+const metrics = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Label values in a fixed order, so the same labels always map to the same series
+ * @param {Array<string>} labelNames
+ * @param {Object} labels
+ * @returns {Object}
+ */
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined || labels[name] === null ? '' : String(labels[name])]));
+}
+
+/**
+ * Monotonic counter with labels
+ */
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    metrics.push(this);
+  }
+
+  inc(labels = {}, value = 1) {
+    const picked = pickLabels(this.labelNames, labels);
+    const key = JSON.stringify(picked);
+    const series = this.series.get(key) || { labels: picked, value: 0 };
+    series.value += value;
+    this.series.set(key, series);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    this.series.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+    return lines;
+  }
+}
+
+/**
+ * Histogram with labels and cumulative buckets
+ */
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+    metrics.push(this);
+  }
+
+  observe(labels = {}, value) {
+    const picked = pickLabels(this.labelNames, labels);
+    const key = JSON.stringify(picked);
+    const series = this.series.get(key) || { labels: picked, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+    this.series.set(key, series);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+const httpRequestDuration = new Histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route', 'status']);
+const stageDuration = new Histogram('pipeline_stage_duration_seconds', 'Duration of image pipeline stages', ['stage', 'status']);
+const modelCallDuration = new Histogram('model_call_duration_seconds', 'Duration of model calls', ['route', 'provider', 'model', 'status']);
+const modelTokens = new Counter('model_tokens_total', 'Model tokens used', ['provider', 'model', 'type']);
+const externalRequests = new Counter('external_requests_total', 'Requests to external APIs, per attempt', ['source', 'status']);
+const externalRequestDuration = new Histogram('external_request_duration_seconds', 'Latency of requests to external APIs', ['source']);
+const externalSourceErrors = new Counter('external_source_errors_total', 'External sources that could not be reached after retries', ['source', 'reason']);
+const identificationSources = new Counter('identification_source_total', 'How collector items were identified', ['category', 'source']);
+
+/**
+ * Record a finished HTTP request
+ * @param {Object} params - { method, route, status, seconds }
+ */
+function observeHttpRequest({ method, route, status, seconds }) {
+  httpRequestDuration.observe({ method, route, status }, seconds);
+}
+
+/**
+ * Record a pipeline stage
+ * @param {string} stage - download | analyze | enrich | retention
+ * @param {string} status - ok | error
+ * @param {number} seconds
+ */
+function observeStage(stage, status, seconds) {
+  stageDuration.observe({ stage, status }, seconds);
+}
+
+/**
+ * Record a model call and its tokens
+ * @param {Object} params - { route, provider, model, status, seconds, usage: { input_tokens, output_tokens } }
+ */
+function observeModelCall({ route, provider, model, status, seconds, usage = null }) {
+  modelCallDuration.observe({ route, provider, model, status }, seconds);
+  if (usage) {
+    modelTokens.inc({ provider, model, type: 'input' }, usage.input_tokens || 0);
+    modelTokens.inc({ provider, model, type: 'output' }, usage.output_tokens || 0);
+  }
+}
+
+/**
+ * Record one request (attempt) to an external API
+ * @param {Object} params - { source, status, seconds } (status: HTTP status, 'timeout' or 'network_error')
+ */
+function observeExternalRequest({ source, status, seconds }) {
+  externalRequests.inc({ source, status });
+  externalRequestDuration.observe({ source }, seconds);
+}
+
+/**
+ * Record an external source that could not be reached
+ * @param {string} source
+ * @param {string} reason - e.g. 'http_503', 'timeout', 'circuit_open'
+ */
+function recordExternalSourceError(source, reason) {
+  externalSourceErrors.inc({ source, reason });
+}
+
+/**
+ * Record how a collector item was identified
+ * @param {string} category - e.g. 'vinyl'
+ * @param {string} source - e.g. 'vision', 'vision_direct_release', 'none'
+ */
+function recordIdentificationSource(category, source) {
+  identificationSources.inc({ category, source });
+}
+
+/**
+ * All metrics in the Prometheus text exposition format
+ * @returns {string}
+ */
+function renderMetrics() {
+  const memory = process.memoryUsage();
+  const lines = [
+    '# HELP process_uptime_seconds Process uptime',
+    '# TYPE process_uptime_seconds gauge',
+    `process_uptime_seconds ${process.uptime()}`,
+    '# HELP process_resident_memory_bytes Resident memory size',
+    '# TYPE process_resident_memory_bytes gauge',
+    `process_resident_memory_bytes ${memory.rss}`
+  ];
+  metrics.forEach(metric => lines.push(...metric.render()));
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Whether metrics are enabled (METRICS_TOKEN is set)
+ * @returns {boolean}
+ */
+function isMetricsEnabled() {
+  return Boolean(getConfig().server.metricsToken);
+}
+
+/**
+ * Check the `Authorization: Bearer <METRICS_TOKEN>` header of a /metrics request
+ * @param {string} authHeader
+ * @returns {boolean}
+ */
+function isMetricsRequestAuthorized(authHeader) {
+  return matchesBearerToken(authHeader, getConfig().server.metricsToken);
+}
+
+module.exports = {
+  observeHttpRequest,
+  observeStage,
+  observeModelCall,
+  observeExternalRequest,
+  recordExternalSourceError,
+  recordIdentificationSource,
+  renderMetrics,
+  isMetricsEnabled,
+  isMetricsRequestAuthorized,
+  Counter,
+  Histogram
+};
@@ -0,0 +1,429 @@
+/**
+ * Model Provider Service
+ *
+ * Single entry point for every language/vision model call. Call sites pass a
+ * route name, a prompt, an optional image and a JSON schema; which provider,
+ * model and structured-output strategy is used is configured per route.
+ *
+ * Routes: process, process-single, wine, test
+ *
+ * Providers:
+ * - "openai" (default): OpenAI Responses API
+ * - "openai-compatible": Chat Completions API on any OpenAI-compatible server
+ *   (Ollama, LM Studio, vLLM, ...), configured with OPENAI_COMPATIBLE_BASE_URL
+ *   and optionally OPENAI_COMPATIBLE_API_KEY
+ * - "fixture": deterministic canned responses for tests and offline development,
+ *   read from MODEL_FIXTURES_DIR/<schemaName>.json with built-in defaults
+ *
+ * Configuration (global, overridable per route with a _<ROUTE> suffix,
+ * e.g. MODEL_PROVIDER_WINE, MODEL_NAME_PROCESS_SINGLE; validated by utils/config.js):
+ * - MODEL_PROVIDER: provider name
+ * - MODEL_NAME: model name (defaults: gpt-4o, wine: gpt-4o-mini)
+ * - MODEL_OUTPUT_MODE: structured-output strategy
+ *   - "json_schema" (default): strict schema enforced by the server
+ *   - "json_object": JSON mode, schema described in the prompt
+ *   - "prompt": no server-side enforcement, schema described in the prompt
+ *
+ * Provider failures are thrown as a ModelError with a stable code:
+ * MODEL_TIMEOUT (504), MODEL_RATE_LIMITED (429), MODEL_UNAVAILABLE (503),
+ * IMAGE_REJECTED (422: the provider could not use the image) or MODEL_ERROR (502).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OpenAI = require('openai');
+const { recordModelUsage } = require('./usageService');
+const { observeModelCall } = require('./metricsService');
+const { createLogger } = require('../utils/logger');
+const { ApiError } = require('../utils/errors');
+const { getConfig } = require('../utils/config');
+
+const log = createLogger('Model');
+
+const providerFactories = {};
+const providerCache = new Map();
+
+/**
+ * Error raised when a model call fails; the provider's own message is kept as `cause`
+ */
+class ModelError extends ApiError {
+  /**
+   * @param {string} code - Stable machine-readable code (e.g. 'MODEL_TIMEOUT')
+   * @param {string} message - Human-readable message
+   * @param {Object} options - { status, retryable, retryAfterMs, cause }
+   */
+  constructor(code, message, options = {}) {
+    super(code, message, options);
+    this.name = 'ModelError';
+  }
+}
+
+/**
+ * Classify a provider (OpenAI SDK) error. Detection uses names and statuses
+ * instead of instanceof, so it also works for errors of other SDK instances.
+ * @param {Error} error
+ * @returns {ModelError}
+ */
+function toModelError(error) {
+  if (error instanceof ApiError) return error;
+
+  const type = error.constructor && error.constructor.name;
+  const status = typeof error.status === 'number' ? error.status : null;
+
+  if (type === 'APIConnectionTimeoutError' || error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return new ModelError('MODEL_TIMEOUT', 'The model did not respond in time', { status: 504, cause: error });
+  }
+  if (type === 'APIConnectionError' || (!status && error.cause)) {
+    return new ModelError('MODEL_UNAVAILABLE', 'The model provider could not be reached', { status: 503, cause: error });
+  }
+  if (status === 429) {
+    // insufficient_quota is a billing problem: retrying does not help
+    if (error.code === 'insufficient_quota') {
+      return new ModelError('MODEL_UNAVAILABLE', 'The model provider quota is exhausted', { status: 503, retryable: false, cause: error });
+    }
+    const retryAfter = Number(error.headers && error.headers['retry-after']);
+    return new ModelError('MODEL_RATE_LIMITED', 'The model provider is rate limiting requests', {
+      status: 429,
+      retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null,
+      cause: error
+    });
+  }
+  if (status === 401 || status === 403) {
+    return new ModelError('MODEL_UNAVAILABLE', 'The model provider rejected the API credentials', { status: 503, retryable: false, cause: error });
+  }
+  if (status === 400 && /image/i.test(`${error.code || ''} ${error.param || ''} ${error.message || ''}`)) {
+    return new ModelError('IMAGE_REJECTED', 'The model could not process this image; try another photo', { status: 422, cause: error });
+  }
+  if (status !== null && status < 500) {
+    return new ModelError('MODEL_ERROR', 'The model provider rejected the request', { status: 502, retryable: false, cause: error });
+  }
+  return new ModelError('MODEL_ERROR', 'The model provider returned an error', { status: 502, cause: error });
+}
+
+/**
+ * Resolve provider, model and output mode for a route (see utils/config.js)
+ * @param {string} route - process, process-single, wine or test
+ * @returns {Object} { provider, model, outputMode }
+ */
+function getRouteConfig(route) {
+  const routeConfig = getConfig().model.routes[route];
+  if (!routeConfig) {
+    throw new Error(`Unknown model route "${route}". Available: ${Object.keys(getConfig().model.routes).join(', ')}`);
+  }
+  return routeConfig;
+}
+
+/**
+ * Append the JSON schema to a prompt for output modes without server-side enforcement
+ * @param {string} prompt
+ * @param {Object|null} schema
+ * @returns {string}
+ */
+function withSchemaInstruction(prompt, schema) {
+  if (!schema) return prompt;
+  return `${prompt}\n\nRespond with ONLY a JSON object that validates against this JSON schema:\n${JSON.stringify(schema)}`;
+}
+
+/**
+ * Normalize usage objects of both APIs to input/output/total tokens
+ * @param {Object} usage
+ * @returns {Object} { input_tokens, output_tokens, total_tokens }
+ */
+function normalizeUsage(usage = {}) {
+  const inputTokens = usage.input_tokens || usage.prompt_tokens || 0;
+  const outputTokens = usage.output_tokens || usage.completion_tokens || 0;
+  return {
+    input_tokens: inputTokens,
+    output_tokens: outputTokens,
+    total_tokens: usage.total_tokens || inputTokens + outputTokens
+  };
+}
+
+/**
+ * OpenAI Responses API provider
+ * @param {Object} options - { client } or { apiKey }
+ * @returns {Object} Provider
+ */
+function createOpenAIProvider({ client, apiKey = getConfig().model.openaiApiKey } = {}) {
+  const openai = client || new OpenAI({ apiKey });
+
+  return {
+    name: 'openai',
+
+    async generateJson({ model, outputMode, prompt, image, schemaName, schema, maxOutputTokens }) {
+      const content = [{
+        type: 'input_text',
+        text: outputMode === 'json_schema' ? prompt : withSchemaInstruction(prompt, schema)
+      }];
+      if (image) {
+        content.push({ type: 'input_image', image_url: `data:${image.mimeType};base64,${image.base64}` });
+      }
+
+      const request = {
+        model,
+        input: [{ role: 'user', content }],
+        max_output_tokens: maxOutputTokens
+      };
+      if (outputMode === 'json_schema' && schema) {
+        request.text = { format: { type: 'json_schema', name: schemaName, schema, strict: true } };
+      } else if (outputMode === 'json_object') {
+        request.text = { format: { type: 'json_object' } };
+      }
+
+      const response = await openai.responses.create(request);
+      return {
+        text: response.output_text || '',
+        usage: normalizeUsage(response.usage),
+        model: response.model || model,
+        provider: 'openai',
+        truncated: response.status === 'incomplete'
+      };
+    },
+
+    // Model lookup: checks key and model access without spending tokens
+    async probe({ model }) {
+      const response = await openai.models.retrieve(model);
+      return { model: response.id || model };
+    },
+
+    async ping({ model }) {
+      const response = await openai.chat.completions.create({
+        model,
+        messages: [{ role: 'user', content: "Say 'Hello from Track My Home API'" }],
+        max_tokens: 10
+      });
+      return { message: response.choices[0].message.content, model: response.model };
+    }
+  };
+}
+
+/**
+ * Chat Completions provider for OpenAI-compatible servers
+ * @param {Object} options - { baseURL, apiKey }
+ * @returns {Object} Provider
+ */
+function createOpenAICompatibleProvider({
+  baseURL = getConfig().model.compatibleBaseUrl,
+  apiKey = getConfig().model.compatibleApiKey
+} = {}) {
+  if (!baseURL) {
+    throw new Error('OPENAI_COMPATIBLE_BASE_URL is required for the openai-compatible provider');
+  }
+  // Local servers usually ignore the key, but the SDK requires a non-empty value
+  const client = new OpenAI({ baseURL, apiKey: apiKey || 'not-needed' });
+
+  return {
+    name: 'openai-compatible',
+
+    async generateJson({ model, outputMode, prompt, image, schemaName, schema, maxOutputTokens }) {
+      const text = outputMode === 'json_schema' ? prompt : withSchemaInstruction(prompt, schema);
+      const content = image
+        ? [{ type: 'text', text }, { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.base64}` } }]
+        : text;
+
+      const request = {
+        model,
+        messages: [{ role: 'user', content }],
+        max_tokens: maxOutputTokens
+      };
+      if (outputMode === 'json_schema' && schema) {
+        request.response_format = { type: 'json_schema', json_schema: { name: schemaName, schema, strict: true } };
+      } else if (outputMode === 'json_object') {
+        request.response_format = { type: 'json_object' };
+      }
+
+      const response = await client.chat.completions.create(request);
+      const choice = response.choices?.[0] || {};
+      return {
+        text: choice.message?.content || '',
+        usage: normalizeUsage(response.usage),
+        model: response.model || model,
+        provider: 'openai-compatible',
+        truncated: choice.finish_reason === 'length'
+      };
+    },
+
+    async probe({ model }) {
+      const response = await client.models.list();
+      const available = (response.data || []).map(entry => entry.id);
+      if (available.length > 0 && !available.includes(model)) {
+        throw new Error(`Model "${model}" is not available on ${baseURL}`);
+      }
+      return { model };
+    },
+
+    async ping({ model }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages: [{ role: 'user', content: "Say 'Hello from Track My Home API'" }],
+        max_tokens: 10
+      });
+      return { message: response.choices[0].message.content, model: response.model || model };
+    }
+  };
+}
+
+// Built-in fixture responses, keyed by schema name
+const DEFAULT_FIXTURES = {
+  items_response: {
+    items: [{
+      name: 'Fixture Lamp',
+      description: 'Deterministic fixture item',
+      estimated_value: 25,
+      quantity: 1,
+      accuracy: 0.9,
+      item_type: 'general',
+      tags: [],
+      collector_details: {
+        winery: null, vintage: null, wine_name: null,
+        artist: null, album: null, release_year: null,
+        title: null, author: null, isbn: null,
+        card_name: null, set_name: null, card_number: null, hp: null,
+        artwork_title: null, artwork_artist: null, year_created: null
+      },
+      followup_questions: [],
+      region: { grid_cell: 'B2', box: null }
+    }]
+  },
+  wine_details: {
+    grape_variety: 'Cabernet Sauvignon, Merlot',
+    region: 'Bordeaux',
+    country: 'France',
+    wine_type: 'Red wine',
+    food_pairing: ['Beef', 'Lamb', 'Aged cheese'],
+    estimated_rating: 4.0
+  }
+};
+DEFAULT_FIXTURES.single_item_response = { item: DEFAULT_FIXTURES.items_response.items[0] };
+
+/**
+ * Deterministic fixture provider. Returns MODEL_FIXTURES_DIR/<schemaName>.json
+ * when present, otherwise a built-in default; never touches the network.
+ * @param {Object} options - { fixturesDir }
+ * @returns {Object} Provider
+ */
+function createFixtureProvider({ fixturesDir = getConfig().model.fixturesDir } = {}) {
+  const loadFixture = (schemaName) => {
+    if (fixturesDir) {
+      const file = path.resolve(fixturesDir, `${schemaName}.json`);
+      if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    if (DEFAULT_FIXTURES[schemaName]) return DEFAULT_FIXTURES[schemaName];
+    throw new Error(`No fixture available for schema "${schemaName}"`);
+  };
+
+  return {
+    name: 'fixture',
+
+    async generateJson({ model, schemaName }) {
+      const text = JSON.stringify(loadFixture(schemaName));
+      return {
+        text,
+        usage: { input_tokens: 0, output_tokens: 0, total_tokens: 0 },
+        model: `fixture:${model}`,
+        provider: 'fixture',
+        truncated: false
+      };
+    },
+
+    async probe({ model }) {
+      return { model: `fixture:${model}` };
+    },
+
+    async ping({ model }) {
+      return { message: 'Hello from Track My Home API', model: `fixture:${model}` };
+    }
+  };
+}
+
+/**
+ * Register a provider factory under a name usable in MODEL_PROVIDER
+ * @param {string} name
+ * @param {Function} factory - () => provider with generateJson, ping and optionally probe
+ */
+function registerModelProvider(name, factory) {
+  providerFactories[name] = factory;
+  providerCache.delete(name);
+}
+
+registerModelProvider('openai', createOpenAIProvider);
+registerModelProvider('openai-compatible', createOpenAICompatibleProvider);
+registerModelProvider('fixture', createFixtureProvider);
+
+/**
+ * Get (and cache) the provider instance by name
+ * @param {string} name
+ * @returns {Object} Provider
+ */
+function getProvider(name) {
+  if (!providerCache.has(name)) {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown model provider "${name}". Available: ${Object.keys(providerFactories).join(', ')}`);
+    }
+    providerCache.set(name, factory());
+  }
+  return providerCache.get(name);
+}
+
+/**
+ * Generate a JSON response for a route
+ * @param {string} route - process, process-single, wine or test
+ * @param {Object} request - { prompt, image: { base64, mimeType } | null, schemaName, schema, maxOutputTokens }
+ * @returns {Promise<Object>} { text, usage, model, provider, truncated }
+ */
+async function generateJson(route, request) {
+  const { provider: providerName, model, outputMode } = getRouteConfig(route);
+  const provider = getProvider(providerName);
+  log.info(`${route}: ${provider.name}/${model} (${outputMode})`);
+  const startTime = Date.now();
+  let response;
+  try {
+    response = await provider.generateJson({ ...request, model, outputMode });
+  } catch (error) {
+    observeModelCall({ route, provider: provider.name, model, status: 'error', seconds: (Date.now() - startTime) / 1000 });
+    throw toModelError(error);
+  }
+  observeModelCall({ route, provider: provider.name, model, status: 'ok', seconds: (Date.now() - startTime) / 1000, usage: response.usage });
+  // Counted towards the user's token quota when called inside accountUsage()
+  recordModelUsage(response.usage);
+  return response;
+}
+
+/**
+ * Send a minimal request to check the provider connection for a route
+ * @param {string} route - Defaults to 'test'
+ * @returns {Promise<Object>} { message, model, provider }
+ */
+async function pingModel(route = 'test') {
+  const { provider: providerName, model } = getRouteConfig(route);
+  const provider = getProvider(providerName);
+  const result = await provider.ping({ model });
+  return { ...result, provider: provider.name };
+}
+
+/**
+ * Check that the provider for a route is reachable without generating output
+ * (model lookup). Providers without a probe() are only instantiated.
+ * @param {string} route - Defaults to 'process'
+ * @returns {Promise<Object>} { model, provider }
+ */
+async function probeModel(route = 'process') {
+  const { provider: providerName, model } = getRouteConfig(route);
+  const provider = getProvider(providerName);
+  const result = provider.probe ? await provider.probe({ model }) : { model };
+  return { ...result, provider: provider.name };
+}
+
+module.exports = {
+  generateJson,
+  pingModel,
+  probeModel,
+  getRouteConfig,
+  registerModelProvider,
+  createOpenAIProvider,
+  createOpenAICompatibleProvider,
+  createFixtureProvider,
+  ModelError,
+  toModelError
+};
@@ -11,6 +11,14 @@
  * Market prices are returned for TCGPlayer (USD) and CardMarket (EUR).
  */
 
+const { registerCollector } = require('./collectorRegistry');
+const { cachedLookup } = require('./cacheService');
+const { outboundFetch } = require('./httpClient');
+const { createLogger } = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+
+const log = createLogger('Pokemon');
+
 const POKEMON_API_BASE = 'https://api.pokemontcg.io/v2';
 const USER_AGENT = 'TrackMyHomeAPI/1.0 +https://trackmyhome.app';
 
@@ -22,7 +30,7 @@ function buildHeaders() {
     'User-Agent': USER_AGENT,
     'Accept': 'application/json'
   };
-  const apiKey = process.env.POKEMONTCG_API_KEY;
+  const apiKey = getConfig().pokemontcg.apiKey;
   if (apiKey) {
     headers['X-Api-Key'] = apiKey;
   }
@@ -128,13 +136,13 @@ function formatCard(card) {
 }
 
 /**
- * Search for a Pokémon card on pokemontcg.io.
+ * Query pokemontcg.io for a Pokémon card (uncached).
  * @param {string|null} cardName
  * @param {string|null} setName
  * @param {string|null} cardNumber - The number on the card (e.g. "4" or "4/102")
  * @returns {Promise<Object|null>}
  */
-async function searchPokemonCard(cardName, setName = null, cardNumber = null) {
+async function fetchPokemonCard(cardName, setName = null, cardNumber = null) {
   try {
     const queryParts = [];
 
@@ -147,42 +155,54 @@ async function searchPokemonCard(cardName, setName = null, cardNumber = null) {
     }
 
     if (queryParts.length === 0) {
-      console.log('[Pokemon] No search criteria provided');
+      log.info('No search criteria provided');
       return null;
     }
 
     const q = queryParts.join(' ');
     const url = `${POKEMON_API_BASE}/cards?q=${encodeURIComponent(q)}&pageSize=10`;
 
-    console.log(`[Pokemon] Search: q="${q}"`);
+    log.info(`Search: q="${q}"`);
 
-    const response = await fetch(url, {
+    const response = await outboundFetch(url, {
       method: 'GET',
       headers: buildHeaders(),
       timeout: 5000
     });
 
     if (!response.ok) {
-      console.error(`[Pokemon] API error: ${response.status} ${response.statusText}`);
-      if (response.status === 429) {
-        console.error('[Pokemon] Rate limit exceeded');
-      }
+      log.error(`API error: ${response.status} ${response.statusText}`);
       return null;
     }
 
     const data = await response.json();
-    console.log(`[Pokemon] Found ${data.data?.length || 0} matching cards`);
+    log.info(`Found ${data.data?.length || 0} matching cards`);
 
     if (!data.data || data.data.length === 0) return null;
 
     const best = pickBestCard(data.data);
     return formatCard(best);
   } catch (error) {
-    console.error('[Pokemon] Search error:', error.message);
+    log.error('Search error:', error.message);
     return null;
   }
 }
 
+/**
+ * Search for a Pokémon card on pokemontcg.io.
+ * @param {string|null} cardName
+ * @param {string|null} setName
+ * @param {string|null} cardNumber - The number on the card (e.g. "4" or "4/102")
+ * @returns {Promise<Object|null>}
+ */
+async function searchPokemonCard(cardName, setName = null, cardNumber = null) {
+  return cachedLookup(
+    'pokemon_cards',
+    [cardName, setName, cardNumber],
+    () => fetchPokemonCard(cardName, setName, cardNumber)
+  );
+}
+
 /**
  * Apply Pokémon collector_data to top-level item fields.
  * - name => "{cardName} ({setName} #{number})"
@@ -276,7 +296,7 @@ async function enrichPokemonItem(item) {
     const cardNumber = details.card_number || null;
 
     if (!cardName && !cardNumber) {
-      console.log('[Pokemon] No card name or number, skipping enrichment');
+      log.info('No card name or number, skipping enrichment');
       return {
         ...item,
         collector_category: 'pokemon',
@@ -287,24 +307,24 @@ async function enrichPokemonItem(item) {
       };
     }
 
-    console.log(`[Pokemon] Enriching: name="${cardName}", set="${setName}", number="${cardNumber}"`);
+    log.info(`Enriching: name="${cardName}", set="${setName}", number="${cardNumber}"`);
 
     let cardData = await searchPokemonCard(cardName, setName, cardNumber);
 
     // Retry without set name if no result (set names are noisy)
     if (!cardData && setName && cardName) {
-      console.log('[Pokemon] Retry without set name');
+      log.info('Retry without set name');
       cardData = await searchPokemonCard(cardName, null, cardNumber);
     }
 
     // Retry with just card name
     if (!cardData && cardName) {
-      console.log('[Pokemon] Retry with just card name');
+      log.info('Retry with just card name');
       cardData = await searchPokemonCard(cardName, null, null);
     }
 
     if (!cardData) {
-      console.log('[Pokemon] No data found');
+      log.info('No data found');
       return {
         ...item,
         collector_category: 'pokemon',
@@ -315,7 +335,7 @@ async function enrichPokemonItem(item) {
       };
     }
 
-    console.log(`[Pokemon] Enriched: ${cardData.card_name} (${cardData.set_name} #${cardData.number})`);
+    log.info(`Enriched: ${cardData.card_name} (${cardData.set_name} #${cardData.number})`);
     const enrichedItem = applyPokemonDataToItem(item, cardData);
 
     return {
@@ -325,7 +345,7 @@ async function enrichPokemonItem(item) {
       _base64Image: undefined
     };
   } catch (error) {
-    console.error('[Pokemon] Enrichment error:', error.message);
+    log.error('Enrichment error:', error.message);
     return {
       ...item,
       collector_category: 'pokemon',
@@ -361,7 +381,7 @@ async function enrichPokemonWithExtraInfo(collectorDetails, extraInfo) {
       collector_warning: cardData ? undefined : 'Pokémon card not found even with extra info'
     };
   } catch (error) {
-    console.error('[Pokemon] Extra info enrichment error:', error.message);
+    log.error('Extra info enrichment error:', error.message);
     return {
       collector_category: 'pokemon',
       collector_data: null,
@@ -370,7 +390,21 @@ async function enrichPokemonWithExtraInfo(collectorDetails, extraInfo) {
   }
 }
 
+registerCollector({
+  name: 'pokemon',
+  tags: ['pokemon', 'pokémon', 'pokemonkaart', 'pokemon card', 'tcg', 'trading card'],
+  enrich: enrichPokemonItem,
+  enrichWithExtraInfo: enrichPokemonWithExtraInfo,
+  statsKey: 'pokemon_items',
+  source: 'pokemontcg.io',
+  extraInfoFields: {
+    card_number: 'Card number from the bottom of the card (e.g. "4/102")',
+    set_name: 'Set name'
+  }
+});
+
 module.exports = {
+  extractTcgPlayerMarket,
   searchPokemonCard,
   enrichPokemonItem,
   enrichPokemonWithExtraInfo,
@@ -0,0 +1,266 @@
+/**
+ * Usage Service
+ *
+ * Per-user (Firebase uid) usage accounting and quotas.
+ *
+ * Every model call (generateJson, including wine enrichment) and every Google
+ * Vision request made inside accountUsage() is counted and stored per user,
+ * per UTC day and per UTC month:
+ *   images, requests, input_tokens, output_tokens, total_tokens, model_calls,
+ *   vision_calls, estimated_cost_usd
+ *
+ * Quotas (0 disables a quota):
+ * - QUOTA_IMAGES_PER_DAY (default 100): analysed images per UTC day
+ * - QUOTA_TOKENS_PER_MONTH (default 2000000): model tokens per UTC month.
+ *   Checked before a request starts, so the request that crosses the limit
+ *   still completes.
+ *
+ * Cost estimate (USD): COST_INPUT_PER_MTOK (default 2.50), COST_OUTPUT_PER_MTOK
+ * (default 10.00) per million tokens and COST_VISION_PER_CALL (default 0.0035).
+ *
+ * Usage stores (USAGE_STORE):
+ * - "memory" (default): in-process Map, lost on restart
+ * - "firestore": USAGE_COLLECTION/{uid}/periods/{YYYY-MM-DD | YYYY-MM}
+ *   (collection default "usage"), updated with atomic increments
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLogger } = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+
+const log = createLogger('Usage');
+
+const COUNTERS = ['images', 'requests', 'input_tokens', 'output_tokens', 'total_tokens', 'model_calls', 'vision_calls', 'estimated_cost_usd'];
+
+const usageContext = new AsyncLocalStorage();
+
+function emptyCounters() {
+  return Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+}
+
+/**
+ * In-memory usage store
+ */
+class MemoryUsageStore {
+  constructor() {
+    this.periods = new Map();
+  }
+
+  async increment(uid, periods, delta) {
+    periods.forEach(period => {
+      const key = `${uid}:${period}`;
+      const counters = this.periods.get(key) || emptyCounters();
+      COUNTERS.forEach(counter => { counters[counter] += delta[counter] || 0; });
+      this.periods.set(key, counters);
+    });
+  }
+
+  async get(uid, period) {
+    return { ...emptyCounters(), ...this.periods.get(`${uid}:${period}`) };
+  }
+}
+
+/**
+ * Firestore-backed usage store
+ */
+class FirestoreUsageStore {
+  constructor(admin, collection) {
+    this.admin = admin;
+    this.collection = admin.firestore().collection(collection);
+  }
+
+  periodDoc(uid, period) {
+    return this.collection.doc(uid).collection('periods').doc(period);
+  }
+
+  async increment(uid, periods, delta) {
+    const { FieldValue } = this.admin.firestore;
+    const update = { updated_at: new Date().toISOString() };
+    COUNTERS.forEach(counter => {
+      if (delta[counter]) update[counter] = FieldValue.increment(delta[counter]);
+    });
+
+    await Promise.all(periods.map(period => this.periodDoc(uid, period).set(update, { merge: true })));
+  }
+
+  async get(uid, period) {
+    const doc = await this.periodDoc(uid, period).get();
+    const data = doc.exists ? doc.data() : {};
+    return Object.fromEntries(COUNTERS.map(counter => [counter, data[counter] || 0]));
+  }
+}
+
+/**
+ * Create the usage store configured by USAGE_STORE
+ * @param {Object} admin - Firebase Admin SDK
+ * @returns {MemoryUsageStore|FirestoreUsageStore}
+ */
+function createUsageStore(admin) {
+  const { store, collection } = getConfig().usage;
+
+  if (store === 'firestore') {
+    log.info(`Using Firestore usage store (collection: ${collection})`);
+    return new FirestoreUsageStore(admin, collection);
+  }
+
+  return new MemoryUsageStore();
+}
+
+/**
+ * Current UTC day and month periods with their reset times
+ * @param {Date} now
+ * @returns {Object} { day, month, dayResetsAt, monthResetsAt }
+ */
+function getPeriods(now = new Date()) {
+  const iso = now.toISOString();
+  return {
+    day: iso.slice(0, 10),
+    month: iso.slice(0, 7),
+    dayResetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString(),
+    monthResetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString()
+  };
+}
+
+/**
+ * Configured quota limits
+ * @returns {Object} { imagesPerDay, tokensPerMonth } (null = unlimited)
+ */
+function getQuotaLimits() {
+  const { imagesPerDay, tokensPerMonth } = getConfig().usage;
+  return {
+    imagesPerDay: imagesPerDay > 0 ? imagesPerDay : null,
+    tokensPerMonth: tokensPerMonth > 0 ? tokensPerMonth : null
+  };
+}
+
+/**
+ * Estimated cost of a usage delta in USD
+ * @param {Object} usage - { input_tokens, output_tokens, vision_calls }
+ * @returns {number}
+ */
+function estimateCost(usage) {
+  const { costInputPerMtok, costOutputPerMtok, costVisionPerCall } = getConfig().usage;
+  const cost = (usage.input_tokens || 0) / 1e6 * costInputPerMtok
+    + (usage.output_tokens || 0) / 1e6 * costOutputPerMtok
+    + (usage.vision_calls || 0) * costVisionPerCall;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+function buildQuota(limit, used, resetsAt) {
+  return {
+    limit,
+    used,
+    remaining: limit === null ? null : Math.max(0, limit - used),
+    resets_at: resetsAt
+  };
+}
+
+/**
+ * Current consumption and remaining allowance of a user
+ * @param {Object} store - Usage store
+ * @param {string} uid
+ * @returns {Promise<Object>} { day, month, quotas }
+ */
+async function getUsageSummary(store, uid) {
+  const periods = getPeriods();
+  const limits = getQuotaLimits();
+  const [day, month] = await Promise.all([store.get(uid, periods.day), store.get(uid, periods.month)]);
+  // Summed floats drift (0.1 + 0.2); report whole micro-dollars
+  [day, month].forEach(counters => { counters.estimated_cost_usd = Math.round(counters.estimated_cost_usd * 1e6) / 1e6; });
+
+  return {
+    day: { period: periods.day, ...day, resets_at: periods.dayResetsAt },
+    month: { period: periods.month, ...month, resets_at: periods.monthResetsAt },
+    quotas: {
+      images_per_day: buildQuota(limits.imagesPerDay, day.images, periods.dayResetsAt),
+      tokens_per_month: buildQuota(limits.tokensPerMonth, month.total_tokens, periods.monthResetsAt)
+    }
+  };
+}
+
+/**
+ * Check whether a user may start a request for the given number of images
+ * @param {Object} store - Usage store
+ * @param {string} uid
+ * @param {number} images - Images the request will analyse
+ * @returns {Promise<Object|null>} Breach { quota, limit, used, requested, remaining, resets_at }, or null when allowed
+ */
+async function checkQuota(store, uid, images = 1) {
+  const { quotas } = await getUsageSummary(store, uid);
+
+  const imagesQuota = quotas.images_per_day;
+  if (imagesQuota.limit !== null && imagesQuota.used + images > imagesQuota.limit) {
+    return { quota: 'images_per_day', requested: images, ...imagesQuota };
+  }
+
+  const tokensQuota = quotas.tokens_per_month;
+  if (tokensQuota.limit !== null && tokensQuota.used >= tokensQuota.limit) {
+    return { quota: 'tokens_per_month', ...tokensQuota };
+  }
+
+  return null;
+}
+
+/**
+ * Count a model call in the current accounting context (if any)
+ * @param {Object} usage - { input_tokens, output_tokens, total_tokens }
+ */
+function recordModelUsage(usage = {}) {
+  const counters = usageContext.getStore();
+  if (!counters) return;
+  counters.model_calls++;
+  counters.input_tokens += usage.input_tokens || 0;
+  counters.output_tokens += usage.output_tokens || 0;
+  counters.total_tokens += usage.total_tokens || 0;
+}
+
+/**
+ * Count a Google Vision request in the current accounting context (if any)
+ */
+function recordVisionCall() {
+  const counters = usageContext.getStore();
+  if (counters) counters.vision_calls++;
+}
+
+/**
+ * Run a request and store the model and Vision usage it caused for the user.
+ * Usage is stored even when fn throws, since the tokens were spent anyway.
+ * @param {Object} store - Usage store
+ * @param {string} uid
+ * @param {number} images - Images analysed (only counted if a model call was made)
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of fn
+ */
+async function accountUsage(store, uid, images, fn) {
+  const counters = emptyCounters();
+  try {
+    return await usageContext.run(counters, fn);
+  } finally {
+    if (counters.model_calls > 0 || counters.vision_calls > 0) {
+      const periods = getPeriods();
+      const delta = {
+        ...counters,
+        images: counters.model_calls > 0 ? images : 0,
+        requests: 1,
+        estimated_cost_usd: estimateCost(counters)
+      };
+      try {
+        await store.increment(uid, [periods.day, periods.month], delta);
+      } catch (error) {
+        log.error(`Failed to store usage for ${uid}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = {
+  createUsageStore,
+  accountUsage,
+  checkQuota,
+  getUsageSummary,
+  recordModelUsage,
+  recordVisionCall,
+  estimateCost,
+  MemoryUsageStore,
+  FirestoreUsageStore
+};
@@ -6,9 +6,11 @@
  * keeping the main vision prompt small and cheap for non-wine items.
  */
 
-const OpenAI = require('openai');
+const { generateJson } = require('./modelProvider');
+const { registerCollector } = require('./collectorRegistry');
+const { createLogger } = require('../utils/logger');
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const log = createLogger('Wine');
 
 const VIVINO_SEARCH_BASE = 'https://www.vivino.com/search/wines';
 
@@ -34,50 +36,37 @@ function buildVivinoSearchUrl(wineName, vintage) {
 async function fetchWineDetails(wineName, winery, vintage) {
   const wineQuery = [wineName, winery, vintage].filter(Boolean).join(', ');
 
-  console.log(`[Wine] Fetching details via text-only GPT-4o for: ${wineQuery}`);
+  log.info(`Fetching details via text-only model call for: ${wineQuery}`);
 
   try {
-    const response = await openai.responses.create({
-      model: 'gpt-4o-mini',
-      input: [
-        {
-          role: 'user',
-          content: `You are a wine expert. Given the following wine, return detailed information as JSON.\n\nWine: ${wineQuery}\n\nReturn ONLY a JSON object (no prose) with these fields:\n- grape_variety (string): primary grape varieties, e.g. "Cabernet Sauvignon, Merlot"\n- region (string): wine region, e.g. "Margaux, Bordeaux"\n- country (string): country of origin\n- wine_type (string): one of "Red wine", "White wine", "Rosé wine", "Sparkling wine", "Dessert wine", "Fortified wine"\n- food_pairing (array of strings): 3-5 food pairing suggestions\n- estimated_rating (number): estimated Vivino-style rating 0.0-5.0 based on your knowledge, or null if unknown`
-        }
-      ],
-      text: {
-        format: {
-          type: 'json_schema',
-          name: 'wine_details',
-          schema: {
-            type: 'object',
-            properties: {
-              grape_variety: { type: ['string', 'null'] },
-              region: { type: ['string', 'null'] },
-              country: { type: ['string', 'null'] },
-              wine_type: { type: ['string', 'null'] },
-              food_pairing: { type: 'array', items: { type: 'string' } },
-              estimated_rating: { type: ['number', 'null'] }
-            },
-            required: ['grape_variety', 'region', 'country', 'wine_type', 'food_pairing', 'estimated_rating'],
-            additionalProperties: false
-          },
-          strict: true
-        }
+    const response = await generateJson('wine', {
+      prompt: `You are a wine expert. Given the following wine, return detailed information as JSON.\n\nWine: ${wineQuery}\n\nReturn ONLY a JSON object (no prose) with these fields:\n- grape_variety (string): primary grape varieties, e.g. "Cabernet Sauvignon, Merlot"\n- region (string): wine region, e.g. "Margaux, Bordeaux"\n- country (string): country of origin\n- wine_type (string): one of "Red wine", "White wine", "Rosé wine", "Sparkling wine", "Dessert wine", "Fortified wine"\n- food_pairing (array of strings): 3-5 food pairing suggestions\n- estimated_rating (number): estimated Vivino-style rating 0.0-5.0 based on your knowledge, or null if unknown`,
+      image: null,
+      schemaName: 'wine_details',
+      schema: {
+        type: 'object',
+        properties: {
+          grape_variety: { type: ['string', 'null'] },
+          region: { type: ['string', 'null'] },
+          country: { type: ['string', 'null'] },
+          wine_type: { type: ['string', 'null'] },
+          food_pairing: { type: 'array', items: { type: 'string' } },
+          estimated_rating: { type: ['number', 'null'] }
+        },
+        required: ['grape_variety', 'region', 'country', 'wine_type', 'food_pairing', 'estimated_rating'],
+        additionalProperties: false
       },
-      max_output_tokens: 500
+      maxOutputTokens: 500
     });
 
-    const content = (response.output_text || '').trim();
+    const content = (response.text || '').trim();
     const parsed = JSON.parse(content);
 
-    const usage = response.usage || {};
-    const totalTokens = usage.total_tokens || ((usage.input_tokens || 0) + (usage.output_tokens || 0));
-    console.log(`[Wine] GPT-4o-mini enrichment used ${totalTokens} tokens`);
+    log.info(`${response.model} enrichment used ${response.usage.total_tokens} tokens`);
 
     return parsed;
   } catch (error) {
-    console.error('[Wine] Text enrichment failed:', error.message);
+    log.error('Text enrichment failed:', error.message);
     return null;
   }
 }
@@ -89,7 +78,7 @@ async function fetchWineDetails(wineName, winery, vintage) {
  */
 async function enrichWineItem(item) {
   if (!item.collector_details || !item.collector_details.wine_name) {
-    console.log('[Wine] No wine details provided, skipping enrichment');
+    log.info('No wine details provided, skipping enrichment');
     return {
       ...item,
       collector_category: 'wine',
@@ -114,7 +103,7 @@ async function enrichWineItem(item) {
     vivino_search_url: buildVivinoSearchUrl(wine_name, vintage)
   };
 
-  console.log(`[Wine] Enriched: ${collectorData.winery} - ${collectorData.wine_name} (${collectorData.vintage})`);
+  log.info(`Enriched: ${collectorData.winery} - ${collectorData.wine_name} (${collectorData.vintage})`);
 
   return {
     ...item,
@@ -157,7 +146,7 @@ async function enrichWineWithExtraInfo(collectorDetails, extraInfo) {
     vivino_search_url: buildVivinoSearchUrl(wineName, vintage)
   };
 
-  console.log(`[Wine] Re-enriched with extra info: ${collectorData.wine_name} (${collectorData.vintage})`);
+  log.info(`Re-enriched with extra info: ${collectorData.wine_name} (${collectorData.vintage})`);
 
   return {
     collector_category: 'wine',
@@ -165,6 +154,18 @@ async function enrichWineWithExtraInfo(collectorDetails, extraInfo) {
   };
 }
 
+registerCollector({
+  name: 'wine',
+  tags: ['wine', 'wijn', 'vin', 'vino', 'wein'],
+  enrich: enrichWineItem,
+  enrichWithExtraInfo: enrichWineWithExtraInfo,
+  statsKey: 'wine_items',
+  source: 'wine data',
+  extraInfoFields: {
+    vintage_year: 'Vintage year from the label'
+  }
+});
+
 module.exports = {
   enrichWineItem,
   enrichWineWithExtraInfo
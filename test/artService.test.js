@@ -0,0 +1,139 @@
+require('./helpers/env');
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFetch } = require('./helpers/fakeFetch');
+const {
+  searchMetMuseum,
+  searchArtInstituteChicago,
+  searchWikipedia,
+  enrichArtworkItem,
+  enrichArtworkWithExtraInfo
+} = require('../services/artService');
+
+const MET_SEARCH = /^https:\/\/collectionapi\.metmuseum\.org\/public\/collection\/v1\/search\?hasImages=true&q=/;
+const MET_OBJECT = id => new RegExp(`^https://collectionapi\\.metmuseum\\.org/public/collection/v1/objects/${id}$`);
+const AIC_SEARCH = /^https:\/\/api\.artic\.edu\/api\/v1\/artworks\/search\?q=/;
+const WIKIPEDIA_SEARCH = /^https:\/\/en\.wikipedia\.org\/w\/api\.php\?action=query&list=search&srsearch=/;
+const WIKIPEDIA_SUMMARY = /^https:\/\/en\.wikipedia\.org\/api\/rest_v1\/page\/summary\/The%20Starry%20Night$/;
+const VISION_URL = /^https:\/\/vision\.googleapis\.com\/v1\/images:annotate\?/;
+
+const NOTHING_IN_MUSEUMS = [
+  { url: MET_SEARCH, fixture: 'met/search-empty.json' },
+  { url: AIC_SEARCH, fixture: 'aic/search-empty.json' }
+];
+
+describe('museum and Wikipedia lookups', () => {
+  let fetchStub;
+
+  afterEach(() => fetchStub.restore());
+
+  it('skips Met objects by another artist', async () => {
+    fetchStub = installFakeFetch([
+      { url: MET_SEARCH, fixture: 'met/search-wheat-field.json' },
+      { url: MET_OBJECT(459123), fixture: 'met/object-459123.json' },
+      { url: MET_OBJECT(436535), fixture: 'met/object-436535.json' }
+    ]);
+
+    const artwork = await searchMetMuseum('Wheat Field', 'Van Gogh');
+
+    assert.equal(fetchStub.calls.length, 3);
+    assert.deepEqual(artwork, {
+      title: 'Wheat Field with Cypresses',
+      artist: 'Vincent van Gogh',
+      artist_nationality: 'Dutch',
+      artist_lifespan: '1853–1890',
+      date_created: '1889',
+      medium: 'Oil on canvas',
+      dimensions: '28 7/8 × 36 3/4 in. (73.2 × 93.4 cm)',
+      classification: 'Paintings',
+      museum: 'The Metropolitan Museum of Art',
+      museum_url: 'https://www.metmuseum.org/art/collection/search/436535',
+      image_url: 'https://images.metmuseum.org/CRDImages/ep/original/DT1567.jpg',
+      description: 'Purchase, The Annenberg Foundation Gift, 1993',
+      country: null,
+      source: 'met_museum',
+      wikipedia_url: null
+    });
+    assert.deepEqual(fetchStub.unmatched, []);
+  });
+
+  it('returns null when the Met has no objects', async () => {
+    fetchStub = installFakeFetch([{ url: MET_SEARCH, fixture: 'met/search-empty.json' }]);
+
+    assert.equal(await searchMetMuseum('Unknown Painting', null), null);
+  });
+
+  it('prefers the Art Institute result by the requested artist and builds the IIIF image URL', async () => {
+    fetchStub = installFakeFetch([{ url: AIC_SEARCH, fixture: 'aic/search-starry-night.json' }]);
+
+    const artwork = await searchArtInstituteChicago('Bedroom', 'Vincent van Gogh');
+
+    assert.equal(artwork.title, 'The Bedroom');
+    assert.equal(artwork.artist, 'Vincent van Gogh');
+    assert.equal(artwork.museum_url, 'https://www.artic.edu/artworks/28560');
+    assert.equal(artwork.image_url, 'https://www.artic.edu/iiif/2/25c31d8d-21a4-9ea1-1d73-6a2eca4dda7e/full/843,/0/default.jpg');
+    assert.equal(artwork.source, 'art_institute_chicago');
+  });
+
+  it('uses the summary of the top Wikipedia hit', async () => {
+    fetchStub = installFakeFetch([
+      { url: WIKIPEDIA_SEARCH, fixture: 'wikipedia/search-the-starry-night.json' },
+      { url: WIKIPEDIA_SUMMARY, fixture: 'wikipedia/summary-the-starry-night.json' }
+    ]);
+
+    const artwork = await searchWikipedia('The Starry Night', 'Vincent van Gogh');
+
+    assert.equal(artwork.title, 'The Starry Night');
+    assert.equal(artwork.artist, 'Vincent van Gogh');
+    assert.equal(artwork.wikipedia_url, 'https://en.wikipedia.org/wiki/The_Starry_Night');
+    assert.match(artwork.description, /^The Starry Night is an oil-on-canvas painting/);
+    assert.equal(artwork.source, 'wikipedia');
+    assert.deepEqual(fetchStub.unmatched, []);
+  });
+});
+
+describe('enrichArtworkItem', () => {
+  let fetchStub;
+
+  afterEach(() => fetchStub.restore());
+
+  it('identifies the artwork with Vision and falls back from the museums to Wikipedia', async () => {
+    fetchStub = installFakeFetch([
+      { method: 'POST', url: VISION_URL, fixture: 'vision/web-detection-starry-night.json' },
+      ...NOTHING_IN_MUSEUMS,
+      { url: WIKIPEDIA_SEARCH, fixture: 'wikipedia/search-the-starry-night.json' },
+      { url: WIKIPEDIA_SUMMARY, fixture: 'wikipedia/summary-the-starry-night.json' }
+    ]);
+
+    const item = await enrichArtworkItem({
+      name: 'Painting',
+      tags: ['art'],
+      estimated_value: 40,
+      collector_details: { artwork_title: 'Sunflowers', artwork_artist: 'Claude Monet', year_created: null },
+      followup_questions: [],
+      _base64Image: 'c3RhcnJ5'
+    });
+
+    assert.equal(item.collector_category, 'art');
+    assert.equal(item.identification_source, 'vision');
+    assert.equal(item.collector_data.source, 'wikipedia');
+    assert.equal(item.collector_data.title, 'The Starry Night');
+    assert.equal(new URL(fetchStub.callsTo('collectionapi.metmuseum.org')[0].url).searchParams.get('q'), 'the starry night vincent van gogh');
+    assert.deepEqual(fetchStub.unmatched, []);
+  });
+
+  it('re-enriches with the artist and title from extra_info', async () => {
+    fetchStub = installFakeFetch([
+      { url: MET_SEARCH, fixture: 'met/search-wheat-field.json' },
+      { url: MET_OBJECT(459123), fixture: 'met/object-459123.json' }
+    ]);
+
+    const result = await enrichArtworkWithExtraInfo({}, { artist_name: 'Camille Pissarro', artwork_title: 'Wheat Field with Reapers' });
+
+    assert.equal(result.collector_category, 'art');
+    assert.equal(result.collector_data.artist, 'Camille Pissarro');
+    assert.equal(result.collector_data.artist_lifespan, '1830–1903');
+    assert.equal(result.collector_warning, undefined);
+  });
+});
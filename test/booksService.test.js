@@ -0,0 +1,157 @@
+require('./helpers/env');
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFetch } = require('./helpers/fakeFetch');
+const {
+  scoreBookMatch,
+  searchBookByIsbn,
+  searchBookByQuery,
+  searchBookOpenLibrary,
+  enrichBookItem,
+  enrichBookWithExtraInfo
+} = require('../services/booksService');
+
+const GOOGLE_BOOKS_ISBN = /^https:\/\/www\.googleapis\.com\/books\/v1\/volumes\?q=isbn:9780261103344&/;
+const GOOGLE_BOOKS_QUERY = /^https:\/\/www\.googleapis\.com\/books\/v1\/volumes\?q=intitle/;
+const OPEN_LIBRARY_ISBN = /^https:\/\/openlibrary\.org\/search\.json\?isbn=9780261103344&/;
+const OPEN_LIBRARY_QUERY = /^https:\/\/openlibrary\.org\/search\.json\?title=/;
+
+describe('scoreBookMatch', () => {
+  it('ranks exact titles over subtitles, prefixes and partial matches', () => {
+    assert.equal(scoreBookMatch('The Hobbit', [], 0, 'The Hobbit', null), 100);
+    assert.equal(scoreBookMatch('The Hobbit: Or There and Back Again', [], 0, 'the hobbit', null), 60);
+    assert.equal(scoreBookMatch('The Hobbit Companion', [], 0, 'The Hobbit', null), 30);
+    assert.equal(scoreBookMatch('Annotated The Hobbit', [], 0, 'The Hobbit', null), 10);
+  });
+
+  it('penalizes box sets and collections', () => {
+    const boxSet = scoreBookMatch('J.R.R. Tolkien 4-Book Boxed Set: The Hobbit and The Lord of the Rings', ['J.R.R. Tolkien'], 5820, 'The Hobbit', 'J.R.R. Tolkien');
+    const canonical = scoreBookMatch('The Hobbit', ['J.R.R. Tolkien'], 3412, 'The Hobbit', 'J.R.R. Tolkien');
+    assert.ok(boxSet < 0);
+    assert.ok(scoreBookMatch('Harry Potter Box Set', [], 0, 'Harry Potter', null) < 0);
+    assert.ok(canonical > boxSet);
+  });
+
+  it('penalizes a trailing series volume number', () => {
+    assert.equal(scoreBookMatch('A Court of Thorns and Roses 7', [], 0, 'A Court of Thorns and Roses', null), 30 - 150);
+  });
+
+  it('penalizes much longer titles without a subtitle separator', () => {
+    assert.equal(scoreBookMatch('Dune Messiah and the Children of Dune', [], 0, 'Dune', null), 30 - 30);
+  });
+
+  it('adds bonuses for many ratings and a matching author', () => {
+    assert.equal(scoreBookMatch('The Hobbit', ['J.R.R. Tolkien'], 3412, 'The Hobbit', 'Tolkien'), 100 + 20 + 15);
+    assert.equal(scoreBookMatch('The Hobbit', ['J.R.R. Tolkien'], 500, 'The Hobbit', 'Pratchett'), 100 + 10);
+    assert.equal(scoreBookMatch('The Hobbit', [], 50, 'The Hobbit', null), 100 + 5);
+    assert.equal(scoreBookMatch('The Hobbit', [], '5000', 'The Hobbit', null), 100);
+  });
+
+  it('rejects candidates without a title', () => {
+    assert.equal(scoreBookMatch('', ['J.R.R. Tolkien'], 5000, 'The Hobbit', 'Tolkien'), -1000);
+    assert.equal(scoreBookMatch(null, [], 0, 'The Hobbit', null), -1000);
+  });
+});
+
+describe('Google Books and Open Library lookups', () => {
+  let fetchStub;
+
+  afterEach(() => fetchStub.restore());
+
+  it('looks up a book by ISBN on Google Books', async () => {
+    fetchStub = installFakeFetch([{ url: GOOGLE_BOOKS_ISBN, fixture: 'google-books/isbn-the-hobbit.json' }]);
+
+    const book = await searchBookByIsbn('978-0-261-10334-4');
+
+    assert.equal(book.title, 'The Hobbit');
+    assert.equal(book.subtitle, 'Or There and Back Again');
+    assert.deepEqual(book.authors, ['J.R.R. Tolkien']);
+    assert.equal(book.isbn_10, '0261103342');
+    assert.equal(book.isbn_13, '9780261103344');
+    assert.equal(book.list_price, 9.99);
+    assert.equal(book.list_price_currency, 'EUR');
+    assert.equal(book.google_books_url, 'https://books.google.com/books?id=pD6arNyKyi8C');
+    assert.deepEqual(fetchStub.unmatched, []);
+  });
+
+  it('picks the canonical volume over box sets and adaptations', async () => {
+    fetchStub = installFakeFetch([{ url: GOOGLE_BOOKS_QUERY, fixture: 'google-books/query-the-hobbit.json' }]);
+
+    const book = await searchBookByQuery('The Hobbit', 'J.R.R. Tolkien');
+
+    assert.equal(book.google_books_id, 'pD6arNyKyi8C');
+    assert.equal(new URL(fetchStub.calls[0].url).searchParams.get('q'), 'intitle:The Hobbit+inauthor:J.R.R. Tolkien');
+  });
+
+  it('returns null when Google Books has no results', async () => {
+    fetchStub = installFakeFetch([{ url: GOOGLE_BOOKS_QUERY, fixture: 'google-books/empty.json' }]);
+
+    assert.equal(await searchBookByQuery('Nonexistent Title', null), null);
+  });
+
+  it('picks the best Open Library doc for a title search', async () => {
+    fetchStub = installFakeFetch([{ url: OPEN_LIBRARY_QUERY, fixture: 'open-library/search-the-hobbit.json' }]);
+
+    const book = await searchBookOpenLibrary('The Hobbit', 'J.R.R. Tolkien');
+
+    assert.equal(book.title, 'The Hobbit');
+    assert.equal(book.published_date, '1937');
+    assert.equal(book.isbn_13, '9780261103344');
+    assert.equal(book.cover_image_url, 'https://covers.openlibrary.org/b/id/14627509-L.jpg');
+    assert.equal(book.open_library_url, 'https://openlibrary.org/works/OL27482W');
+    assert.equal(new URL(fetchStub.calls[0].url).searchParams.get('limit'), '10');
+  });
+});
+
+describe('enrichBookItem', () => {
+  let fetchStub;
+
+  afterEach(() => fetchStub.restore());
+
+  it('merges Google Books and Open Library data into the item', async () => {
+    fetchStub = installFakeFetch([
+      { url: GOOGLE_BOOKS_ISBN, fixture: 'google-books/isbn-the-hobbit.json' },
+      { url: OPEN_LIBRARY_ISBN, fixture: 'open-library/search-isbn-the-hobbit.json' }
+    ]);
+
+    const item = await enrichBookItem({
+      name: 'Book',
+      tags: ['book'],
+      estimated_value: 8,
+      collector_details: { title: 'The Hobbit', author: 'J.R.R. Tolkien', isbn: '9780261103344' },
+      followup_questions: []
+    });
+
+    assert.equal(item.collector_category, 'book');
+    assert.equal(item.collector_data.google_books_id, 'pD6arNyKyi8C');
+    assert.equal(item.collector_data.open_library_url, 'https://openlibrary.org/works/OL27482W');
+    assert.equal(item.collector_warning, undefined);
+    assert.match(item.name, /The Hobbit/);
+    assert.deepEqual(fetchStub.unmatched, []);
+  });
+
+  it('asks follow-up questions when nothing identifies the book', async () => {
+    fetchStub = installFakeFetch([]);
+
+    const item = await enrichBookItem({ name: 'Book', tags: ['book'], collector_details: {}, followup_questions: [] });
+
+    assert.equal(item.collector_data, null);
+    assert.equal(item.collector_warning, 'Insufficient book details for enrichment');
+    assert.ok(item.followup_questions.some(question => question.field === 'isbn'));
+    assert.equal(fetchStub.calls.length, 0);
+  });
+
+  it('re-enriches with the ISBN from extra_info', async () => {
+    fetchStub = installFakeFetch([
+      { url: GOOGLE_BOOKS_ISBN, fixture: 'google-books/isbn-the-hobbit.json' },
+      { url: OPEN_LIBRARY_ISBN, fixture: 'open-library/empty.json' }
+    ]);
+
+    const result = await enrichBookWithExtraInfo({ title: null, author: null }, { isbn: '9780261103344' });
+
+    assert.equal(result.collector_category, 'book');
+    assert.equal(result.collector_data.isbn_13, '9780261103344');
+    assert.equal(result.collector_data.open_library_url, null);
+  });
+});
@@ -0,0 +1,29 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBooleanFlag } = require('../utils/booleanFlag');
+const { validateRequestBody } = require('../services/apiSpec');
+
+describe('parseBooleanFlag', () => {
+  it('accepts true, "true" and "1"', () => {
+    assert.equal(parseBooleanFlag(true), true);
+    assert.equal(parseBooleanFlag('true'), true);
+    assert.equal(parseBooleanFlag('1'), true);
+  });
+
+  it('treats everything else as false', () => {
+    [false, 'false', '0', undefined, null, 'yes', 1, 'TRUE'].forEach(value => {
+      assert.equal(parseBooleanFlag(value), false, String(value));
+    });
+  });
+
+  it('agrees with the form field coercion of the request schemas', () => {
+    ['true', '1', 'false', '0'].forEach(value => {
+      const { valid, value: body } = validateRequestBody('process', { user_id: 'user-1', retain_image: value, async: value }, { form: true });
+      assert.equal(valid, true);
+      assert.equal(body.retain_image, parseBooleanFlag(value));
+      assert.equal(body.async, parseBooleanFlag(value));
+    });
+  });
+});
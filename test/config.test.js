@@ -0,0 +1,170 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig, describeConfig, ConfigError } = require('../utils/config');
+
+const BASE_ENV = {
+  OPENAI_API_KEY: 'sk-test',
+  GOOGLE_CLOUD_API_KEY: 'vision-key',
+  DISCOGS_API_KEY: 'discogs-key',
+  DISCOGS_API_SECRET: 'discogs-secret'
+};
+
+const loadProblems = (env) => {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    assert.ok(error instanceof ConfigError);
+    return error.problems;
+  }
+  assert.fail('expected a ConfigError');
+};
+
+describe('loadConfig', () => {
+  it('applies the defaults', () => {
+    const config = loadConfig(BASE_ENV);
+
+    assert.equal(config.server.port, 3000);
+    assert.equal(config.images.maxBytes, 15 * 1024 * 1024);
+    assert.deepEqual(config.images.allowedHosts, ['firebasestorage.googleapis.com', 'storage.googleapis.com']);
+    assert.equal(config.images.retentionPolicy, 'delete');
+    assert.equal(config.jobs.store, 'memory');
+    assert.deepEqual(config.model.routes.wine, { provider: 'openai', model: 'gpt-4o-mini', outputMode: 'json_schema' });
+    assert.deepEqual(config.warnings, []);
+    assert.ok(Object.isFrozen(config.images));
+  });
+
+  it('types and normalizes values', () => {
+    const config = loadConfig({
+      ...BASE_ENV,
+      MAX_IMAGE_BYTES: ' 2048 ',
+      ALLOWED_IMAGE_HOSTS: 'Example.com, cdn.example.com',
+      IMAGE_ARCHIVE_PREFIX: 'kept',
+      JOB_STORE: 'Firestore',
+      OUTBOUND_RATE_LIMITS: 'api.discogs.com=60, API.pokemontcg.io=30',
+      COST_VISION_PER_CALL: '0.0015'
+    });
+
+    assert.equal(config.images.maxBytes, 2048);
+    assert.deepEqual(config.images.allowedHosts, ['example.com', 'cdn.example.com']);
+    assert.equal(config.images.archivePrefix, 'kept/');
+    assert.equal(config.jobs.store, 'firestore');
+    assert.deepEqual(config.outbound.rateLimits, { 'api.discogs.com': 60, 'api.pokemontcg.io': 30 });
+    assert.equal(config.usage.costVisionPerCall, 0.0015);
+  });
+
+  it('reports every malformed value at once', () => {
+    const problems = loadProblems({
+      ...BASE_ENV,
+      MAX_IMAGE_BYTES: '15MB',
+      CACHE_BACKEND: 'redis',
+      IMAGE_JPEG_QUALITY: '120',
+      FEATURE_WINE: 'maybe',
+      OUTBOUND_RATE_LIMITS: 'api.discogs.com=fast',
+      OPENAI_COMPATIBLE_BASE_URL: 'localhost:11434'
+    });
+
+    assert.deepEqual(problems.sort(), [
+      'IMAGE_JPEG_QUALITY must be at most 100, got 120',
+      'MAX_IMAGE_BYTES must be an integer, got "15MB"',
+      'CACHE_BACKEND must be one of memory, firestore, none, got "redis"',
+      'OUTBOUND_RATE_LIMITS must be a list of host=requestsPerMinute, got "api.discogs.com=fast"',
+      'OPENAI_COMPATIBLE_BASE_URL must be an http(s) URL, got "localhost:11434"',
+      'FEATURE_WINE must be true or false, got "maybe"'
+    ].sort());
+  });
+
+  it('resolves per-route model settings', () => {
+    const config = loadConfig({
+      ...BASE_ENV,
+      MODEL_NAME: 'gpt-4.1',
+      MODEL_NAME_WINE: 'gpt-4.1-mini',
+      MODEL_PROVIDER_PROCESS_SINGLE: 'openai-compatible',
+      OPENAI_COMPATIBLE_BASE_URL: 'http://localhost:11434/v1'
+    });
+
+    assert.equal(config.model.routes.process.model, 'gpt-4.1');
+    assert.equal(config.model.routes.wine.model, 'gpt-4.1-mini');
+    assert.equal(config.model.routes['process-single'].provider, 'openai-compatible');
+    assert.equal(config.model.routes.process.provider, 'openai');
+  });
+
+  it('requires the key of every provider a route uses', () => {
+    const problems = loadProblems({ MODEL_PROVIDER_WINE: 'openai-compatible' });
+
+    assert.ok(problems.includes('OPENAI_API_KEY is required: route process uses the openai provider'));
+    assert.ok(problems.includes('OPENAI_COMPATIBLE_BASE_URL is required: route wine uses the openai-compatible provider'));
+  });
+
+  it('rejects unknown output modes', () => {
+    assert.deepEqual(loadProblems({ ...BASE_ENV, MODEL_OUTPUT_MODE_TEST: 'xml' }), [
+      'MODEL_OUTPUT_MODE for route test must be one of json_schema, json_object, prompt, got "xml"'
+    ]);
+  });
+
+  it('collects cache TTLs per source', () => {
+    const config = loadConfig({ ...BASE_ENV, CACHE_TTL_DISCOGS_PRICING: '3600', CACHE_TTL_MET: '0' });
+
+    assert.deepEqual(config.cache.ttlSeconds, { discogs_pricing: 3600, met: 0 });
+    assert.deepEqual(loadProblems({ ...BASE_ENV, CACHE_TTL_MET: 'a week' }), ['CACHE_TTL_MET must be an integer, got "a week"']);
+  });
+});
+
+describe('integrations', () => {
+  it('disables an enricher by feature flag without a warning', () => {
+    const config = loadConfig({ ...BASE_ENV, FEATURE_POKEMON: 'false', FEATURE_VISION: 'off' });
+
+    assert.deepEqual(config.integrations.pokemon, { enabled: false, reason: 'disabled by FEATURE_POKEMON' });
+    assert.equal(config.integrations.vision.enabled, false);
+    assert.equal(config.integrations.book.enabled, true);
+    assert.deepEqual(config.warnings, []);
+  });
+
+  it('disables an enricher with missing credentials and warns', () => {
+    const config = loadConfig({ OPENAI_API_KEY: 'sk-test', DISCOGS_API_KEY: 'discogs-key' });
+
+    assert.deepEqual(config.integrations.vinyl, { enabled: false, reason: 'DISCOGS_API_SECRET not set' });
+    assert.deepEqual(config.integrations.vision, { enabled: false, reason: 'GOOGLE_CLOUD_API_KEY not set' });
+    assert.deepEqual(config.warnings, [
+      'vinyl integration disabled: DISCOGS_API_SECRET not set',
+      'vision integration disabled: GOOGLE_CLOUD_API_KEY not set'
+    ]);
+  });
+});
+
+describe('dev mode', () => {
+  it('defaults the model routes to the fixture provider', () => {
+    const config = loadConfig({ DEV_MODE: 'true', DEV_TOKEN_SECRET: 'local-dev-secret', MODEL_PROVIDER_WINE: 'openai', OPENAI_API_KEY: 'sk-test' });
+
+    assert.equal(config.dev.enabled, true);
+    assert.equal(config.model.routes.process.provider, 'fixture');
+    assert.equal(config.model.routes.wine.provider, 'openai');
+    assert.ok(config.warnings.includes('DEV_MODE is enabled: dev tokens and local images are accepted'));
+  });
+
+  it('requires a token secret and is refused in production', () => {
+    assert.deepEqual(loadProblems({ ...BASE_ENV, DEV_MODE: 'true' }), ['DEV_TOKEN_SECRET is required when DEV_MODE is enabled']);
+    assert.deepEqual(loadProblems({
+      ...BASE_ENV,
+      NODE_ENV: 'production',
+      DEV_MODE: 'true',
+      DEV_TOKEN_SECRET: 'local-dev-secret',
+      FIREBASE_AUTH_EMULATOR_HOST: '127.0.0.1:9099'
+    }), [
+      'DEV_MODE must not be enabled when NODE_ENV is production',
+      'FIREBASE_AUTH_EMULATOR_HOST must not be set when NODE_ENV is production'
+    ]);
+  });
+});
+
+describe('describeConfig', () => {
+  it('hides secrets', () => {
+    const description = describeConfig(loadConfig({ ...BASE_ENV, PORT: '8080' }));
+
+    assert.equal(description.PORT, 8080);
+    assert.equal(description.OPENAI_API_KEY, '[set]');
+    assert.equal(description.ADMIN_TOKEN, null);
+    assert.doesNotMatch(JSON.stringify(description), /sk-test|discogs-secret/);
+  });
+});
@@ -0,0 +1,39 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDevToken, verifyDevToken, isDevToken } = require('../utils/devToken');
+
+const SECRET = 'local-dev-secret';
+const NOW = Date.parse('2026-10-19T10:00:00Z');
+
+describe('dev tokens', () => {
+  it('round-trips the uid', () => {
+    const token = createDevToken('user-1', SECRET, { now: NOW });
+
+    assert.ok(isDevToken(token));
+    assert.deepEqual(verifyDevToken(token, SECRET, { now: NOW }), {
+      uid: 'user-1',
+      user_id: 'user-1',
+      iat: NOW / 1000,
+      exp: NOW / 1000 + 24 * 60 * 60,
+      firebase: { sign_in_provider: 'dev' }
+    });
+  });
+
+  it('rejects another secret and a changed payload', () => {
+    const token = createDevToken('user-1', SECRET, { now: NOW });
+    const [prefix, , signature] = token.split('.');
+    const forged = `${prefix}.${Buffer.from(JSON.stringify({ uid: 'user-2', iat: 0, exp: 9999999999 })).toString('base64url')}.${signature}`;
+
+    assert.throws(() => verifyDevToken(token, 'other-secret', { now: NOW }), { code: 'auth/argument-error' });
+    assert.throws(() => verifyDevToken(forged, SECRET, { now: NOW }), { code: 'auth/argument-error' });
+    assert.throws(() => verifyDevToken('test-token:user-1', SECRET, { now: NOW }), { code: 'auth/argument-error' });
+  });
+
+  it('rejects an expired token', () => {
+    const token = createDevToken('user-1', SECRET, { expiresInSeconds: 60, now: NOW });
+
+    assert.throws(() => verifyDevToken(token, SECRET, { now: NOW + 61 * 1000 }), { code: 'auth/id-token-expired' });
+  });
+});
@@ -0,0 +1,164 @@
+require('./helpers/env');
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFetch } = require('./helpers/fakeFetch');
+const { resetConfig } = require('../utils/config');
+const { searchVinyl, enrichVinylItem, enrichVinylWithExtraInfo } = require('../services/discogsService');
+
+const SEARCH_URL = /^https:\/\/api\.discogs\.com\/database\/search\?/;
+const RELEASE_URL = /^https:\/\/api\.discogs\.com\/releases\/2344707\?/;
+const STATS_URL = /^https:\/\/api\.discogs\.com\/marketplace\/stats\/2344707\?curr=EUR&/;
+const VISION_URL = /^https:\/\/vision\.googleapis\.com\/v1\/images:annotate\?/;
+
+const RELEASE_ROUTES = [
+  { url: RELEASE_URL, fixture: 'discogs/release-abbey-road.json' },
+  { url: STATS_URL, fixture: 'discogs/marketplace-stats-abbey-road.json' }
+];
+
+/**
+ * Search parameter `name` of a recorded request
+ * @param {Object} call
+ * @param {string} name
+ */
+const searchParam = (call, name) => new URL(call.url).searchParams.get(name);
+
+describe('Discogs lookups', () => {
+  let fetchStub;
+
+  afterEach(() => fetchStub.restore());
+
+  it('searches strictly, then loads the release and its marketplace stats', async () => {
+    fetchStub = installFakeFetch([{ url: SEARCH_URL, fixture: 'discogs/search-abbey-road.json' }, ...RELEASE_ROUTES]);
+
+    const vinyl = await searchVinyl('The Beatles', 'Abbey Road', 1969);
+
+    assert.equal(searchParam(fetchStub.calls[0], 'q'), 'artist:"The Beatles" release_title:"Abbey Road" year:1969');
+    assert.equal(searchParam(fetchStub.calls[0], 'key'), 'test-discogs-key');
+    assert.match(fetchStub.calls[0].headers['User-Agent'], /^TrackMyHomeAPI\/1\.0 /);
+    assert.deepEqual(vinyl, {
+      discogs_url: 'https://www.discogs.com/release/2344707-The-Beatles-Abbey-Road',
+      discogs_id: 2344707,
+      artist: 'The Beatles',
+      album: 'Abbey Road',
+      release_year: 1969,
+      label: 'Apple Records',
+      catalog_number: 'PCS 7088',
+      genres: ['Rock', 'Pop'],
+      styles: ['Pop Rock'],
+      format: 'Vinyl, LP, Album, Stereo',
+      country: 'UK',
+      tracklist: 8,
+      discogs_rating: 4.71,
+      discogs_votes: 912,
+      discogs_have: 9742,
+      discogs_want: 3125,
+      image_url: 'https://i.discogs.com/abbey-road-600.jpeg',
+      discogs_avg_price: 74.99,
+      discogs_min_price: 74.99,
+      discogs_max_price: null,
+      discogs_currency: 'EUR',
+      discogs_num_for_sale: 38
+    });
+    assert.deepEqual(fetchStub.unmatched, []);
+  });
+
+  it('falls back to a simple text search without strict results', async () => {
+    fetchStub = installFakeFetch([
+      { url: /^https:\/\/api\.discogs\.com\/database\/search\?q=artist/, fixture: 'discogs/search-empty.json' },
+      { url: SEARCH_URL, fixture: 'discogs/search-abbey-road.json' },
+      ...RELEASE_ROUTES
+    ]);
+
+    const vinyl = await searchVinyl('Beatles', 'Abbey Road');
+
+    assert.equal(searchParam(fetchStub.calls[1], 'q'), 'Beatles Abbey Road');
+    assert.equal(vinyl.discogs_id, 2344707);
+  });
+
+  it('uses the search result when the release details fail', async () => {
+    fetchStub = installFakeFetch([
+      { url: SEARCH_URL, fixture: 'discogs/search-abbey-road.json' },
+      { url: RELEASE_URL, status: 404, body: { message: 'Release not found.' } }
+    ]);
+
+    const vinyl = await searchVinyl('The Beatles', 'Abbey Road');
+
+    assert.equal(vinyl.discogs_id, 2344707);
+    assert.equal(vinyl.artist, 'The Beatles');
+    assert.equal(vinyl.catalog_number, 'PCS 7088');
+  });
+
+  it('skips Discogs without credentials', async () => {
+    fetchStub = installFakeFetch([]);
+    delete process.env.DISCOGS_API_KEY;
+    resetConfig();
+    try {
+      assert.equal(await searchVinyl('The Beatles', 'Abbey Road'), null);
+      assert.equal(fetchStub.calls.length, 0);
+    } finally {
+      process.env.DISCOGS_API_KEY = 'test-discogs-key';
+      resetConfig();
+    }
+  });
+
+  it('re-enriches by catalog number', async () => {
+    fetchStub = installFakeFetch([{ url: SEARCH_URL, fixture: 'discogs/search-abbey-road.json' }, ...RELEASE_ROUTES]);
+
+    const result = await enrichVinylWithExtraInfo({ artist: 'The Beatles' }, { catalog_number: 'PCS 7088' });
+
+    assert.equal(searchParam(fetchStub.calls[0], 'catno'), 'PCS 7088');
+    assert.equal(searchParam(fetchStub.calls[0], 'artist'), 'The Beatles');
+    assert.equal(result.collector_category, 'vinyl');
+    assert.equal(result.collector_data.discogs_id, 2344707);
+  });
+});
+
+describe('enrichVinylItem', () => {
+  let fetchStub;
+
+  afterEach(() => fetchStub.restore());
+
+  it('identifies the record with Vision and loads the matched release directly', async () => {
+    fetchStub = installFakeFetch([
+      { method: 'POST', url: VISION_URL, fixture: 'vision/web-detection-abbey-road.json' },
+      ...RELEASE_ROUTES
+    ]);
+
+    const item = await enrichVinylItem({
+      name: 'Vinyl Record',
+      tags: ['vinyl'],
+      estimated_value: 30,
+      collector_details: { artist: 'The Beatles', album: 'Let It Be', release_year: 1970 },
+      followup_questions: [{ field: 'artist', question: 'Who is the artist?', priority: 'high' }],
+      _base64Image: 'aW1hZ2U='
+    });
+
+    assert.equal(item.identification_source, 'vision_direct_release');
+    assert.equal(item.name, 'The Beatles - Abbey Road');
+    assert.deepEqual(item.collector_details, { artist: 'The Beatles', album: 'Abbey Road', release_year: 1969 });
+    assert.equal(item.estimated_value, 75);
+    assert.deepEqual(item.tags, ['vinyl', 'rock', 'pop', 'pop rock']);
+    assert.deepEqual(item.followup_questions, []);
+    assert.equal(item._base64Image, undefined);
+    assert.equal(fetchStub.callsTo('api.discogs.com').some(call => call.url.includes('/database/search')), false);
+    assert.deepEqual(fetchStub.unmatched, []);
+  });
+
+  it('asks for the catalog number or barcode when Vision finds nothing', async () => {
+    fetchStub = installFakeFetch([{ method: 'POST', url: VISION_URL, fixture: 'vision/web-detection-no-match.json' }]);
+
+    const item = await enrichVinylItem({
+      name: 'Vinyl Record',
+      tags: ['vinyl'],
+      collector_details: { artist: 'Made Up Band', album: 'Hallucinated Album', release_year: null },
+      followup_questions: [],
+      _base64Image: 'bm8tbWF0Y2g='
+    });
+
+    assert.equal(item.identification_source, 'none');
+    assert.equal(item.collector_data, null);
+    assert.deepEqual(item.followup_questions.map(question => question.field).sort(), ['barcode', 'catalog_number']);
+    assert.equal(fetchStub.callsTo('api.discogs.com').length, 0);
+  });
+});
@@ -0,0 +1,139 @@
+require('./helpers/env');
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFetch, loadFixture } = require('./helpers/fakeFetch');
+const { resetConfig } = require('../utils/config');
+const {
+  extractVinylInfoFromWebDetection,
+  extractArtworkInfoFromWebDetection,
+  identifyVinylFromImage,
+  identifyArtworkFromImage
+} = require('../services/googleVisionService');
+
+const VISION_URL = /^https:\/\/vision\.googleapis\.com\/v1\/images:annotate\?key=/;
+
+const webDetection = name => loadFixture(`vision/${name}.json`).responses[0].webDetection;
+
+describe('extractVinylInfoFromWebDetection', () => {
+  it('matches web entities against the best guess and finds the Discogs release', () => {
+    assert.deepEqual(extractVinylInfoFromWebDetection(webDetection('web-detection-abbey-road')), {
+      artist: 'The Beatles',
+      album: 'Abbey Road',
+      release_year: null,
+      source: 'google_vision_web_detection',
+      discogs_page_url: 'https://www.discogs.com/release/2344707-The-Beatles-Abbey-Road',
+      discogs_release_id: 2344707,
+      confidence: 1.4231
+    });
+  });
+
+  it('parses "Artist - Album" best guesses without the sleeve words', () => {
+    const info = extractVinylInfoFromWebDetection({ bestGuessLabels: [{ label: 'Fleetwood Mac - Rumours vinyl album cover' }] });
+    assert.equal(info.artist, 'Fleetwood Mac');
+    assert.equal(info.album, 'Rumours');
+    assert.equal(info.discogs_release_id, null);
+    assert.equal(info.confidence, 0.5);
+  });
+
+  it('parses "Album by Artist" best guesses', () => {
+    const info = extractVinylInfoFromWebDetection({ bestGuessLabels: [{ label: 'Rumours by Fleetwood Mac' }] });
+    assert.equal(info.artist, 'Fleetwood Mac');
+    assert.equal(info.album, 'Rumours');
+  });
+
+  it('reads the release year from the best guess', () => {
+    const info = extractVinylInfoFromWebDetection({ bestGuessLabels: [{ label: 'Pink Floyd - The Dark Side of the Moon 1973' }] });
+    assert.equal(info.artist, 'Pink Floyd');
+    assert.equal(info.release_year, 1973);
+  });
+
+  it('falls back to the two strongest entities', () => {
+    const info = extractVinylInfoFromWebDetection({
+      bestGuessLabels: [{ label: 'lp' }],
+      webEntities: [
+        { description: 'Thriller', score: 0.8 },
+        { description: 'Michael Jackson', score: 0.9 },
+        { description: 'Michael Jackson', score: 0.4 }
+      ]
+    });
+    assert.equal(info.artist, 'Michael Jackson');
+    assert.equal(info.album, 'Thriller');
+    assert.equal(info.confidence, 0.9);
+  });
+
+  it('ignores generic music terms and weak entities', () => {
+    assert.equal(extractVinylInfoFromWebDetection(webDetection('web-detection-no-match')), null);
+  });
+
+  it('returns the release id alone when only a Discogs page matched', () => {
+    const info = extractVinylInfoFromWebDetection({
+      pagesWithMatchingImages: [{ url: 'https://www.discogs.com/de/release/32298072-Linkin-Park-From-Zero' }]
+    });
+    assert.equal(info.artist, null);
+    assert.equal(info.album, null);
+    assert.equal(info.discogs_release_id, 32298072);
+  });
+
+  it('returns null without web detection', () => {
+    assert.equal(extractVinylInfoFromWebDetection(null), null);
+  });
+});
+
+describe('extractArtworkInfoFromWebDetection', () => {
+  it('parses "Title by Artist" and keeps the Wikipedia page', () => {
+    assert.deepEqual(extractArtworkInfoFromWebDetection(webDetection('web-detection-starry-night')), {
+      title: 'the starry night',
+      artist: 'vincent van gogh',
+      source: 'google_vision_web_detection',
+      wikipedia_url: 'https://en.wikipedia.org/wiki/The_Starry_Night',
+      confidence: 1.5132
+    });
+  });
+});
+
+describe('Vision WEB_DETECTION requests', () => {
+  let fetchStub;
+
+  beforeEach(() => {
+    fetchStub = installFakeFetch([
+      { method: 'POST', url: VISION_URL, fixture: 'vision/web-detection-abbey-road.json' }
+    ]);
+  });
+
+  afterEach(() => fetchStub.restore());
+
+  it('sends the image with the API key and extracts the vinyl info', async () => {
+    const info = await identifyVinylFromImage('aW1hZ2U=');
+
+    assert.equal(info.artist, 'The Beatles');
+    assert.equal(fetchStub.calls.length, 1);
+    const [call] = fetchStub.calls;
+    assert.equal(new URL(call.url).searchParams.get('key'), 'test-vision-key');
+    assert.deepEqual(JSON.parse(call.body), {
+      requests: [{ image: { content: 'aW1hZ2U=' }, features: [{ type: 'WEB_DETECTION', maxResults: 10 }] }]
+    });
+    assert.deepEqual(fetchStub.unmatched, []);
+  });
+
+  it('returns null when Vision answers with an error', async () => {
+    fetchStub.restore();
+    fetchStub = installFakeFetch([
+      { method: 'POST', url: VISION_URL, status: 403, body: { error: { code: 403, message: 'Cloud Vision API has not been used in project 0 before or it is disabled.', status: 'PERMISSION_DENIED' } } }
+    ]);
+
+    assert.equal(await identifyArtworkFromImage('aW1hZ2U='), null);
+  });
+
+  it('skips the request without GOOGLE_CLOUD_API_KEY', async () => {
+    delete process.env.GOOGLE_CLOUD_API_KEY;
+    resetConfig();
+    try {
+      assert.equal(await identifyVinylFromImage('aW1hZ2U='), null);
+      assert.equal(fetchStub.calls.length, 0);
+    } finally {
+      process.env.GOOGLE_CLOUD_API_KEY = 'test-vision-key';
+      resetConfig();
+    }
+  });
+});
@@ -0,0 +1,53 @@
+require('./helpers/env');
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFetch } = require('./helpers/fakeFetch');
+const { createFakeFirebaseAdmin } = require('./helpers/fakeFirebase');
+const { resetConfig } = require('../utils/config');
+const { checkReadiness } = require('../services/healthService');
+const { outboundFetch } = require('../services/httpClient');
+
+const PROBE_ENV = { MODEL_PROVIDER: 'fixture', OUTBOUND_BREAKER_THRESHOLD: '1', READY_CACHE_TTL_MS: '0' };
+
+describe('checkReadiness', () => {
+  let fetchStub;
+
+  before(() => {
+    Object.assign(process.env, PROBE_ENV);
+    resetConfig();
+  });
+
+  after(() => {
+    Object.keys(PROBE_ENV).forEach(name => { delete process.env[name]; });
+    resetConfig();
+  });
+
+  afterEach(() => fetchStub && fetchStub.restore());
+
+  it('reports unreachable sources as degraded', async () => {
+    fetchStub = installFakeFetch([{ url: /^https:\/\//, status: 503, body: { error: 'Service Unavailable' } }]);
+
+    const { status, checks } = await checkReadiness(createFakeFirebaseAdmin());
+
+    assert.equal(status, 'degraded');
+    assert.equal(checks.model.status, 'ok');
+    assert.equal(checks.firebase.status, 'ok');
+    assert.equal(checks.pokemontcg.status, 'error');
+    assert.equal(checks.pokemontcg.error, 'HTTP 503');
+    assert.equal(checks.google_vision.status, 'ok');
+  });
+
+  it('does not open the circuit breaker of enrichment calls', async () => {
+    fetchStub = installFakeFetch([{ url: /^https:\/\//, status: 503, body: { error: 'Service Unavailable' } }]);
+    await checkReadiness(createFakeFirebaseAdmin());
+    await checkReadiness(createFakeFirebaseAdmin());
+    fetchStub.restore();
+
+    fetchStub = installFakeFetch([{ url: /^https:\/\/api\.pokemontcg\.io\//, fixture: 'pokemontcg/cards-charizard-base-set.json' }]);
+    const response = await outboundFetch('https://api.pokemontcg.io/v2/cards?q=name:charizard');
+
+    assert.equal(response.status, 200);
+    assert.equal(fetchStub.calls.length, 1);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Test Environment
+ *
+ * Required first by every test file, before any service module: sets the
+ * environment the config (utils/config.js) is loaded from, so tests never
+ * depend on a developer's .env and never reach the network. Tests that change
+ * process.env call resetConfig() before and after.
+ * - Fake API keys (the fake fetch answers every external request)
+ * - No enrichment cache, so every lookup hits the fixtures
+ * - No outbound retries and no per-host rate limiting
+ * - Silent logging
+ */
+
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'silent',
+  CACHE_BACKEND: 'none',
+  OUTBOUND_RETRIES: '0',
+  OUTBOUND_RATE_LIMITS: [
+    'api.discogs.com', 'api.pokemontcg.io', 'www.googleapis.com', 'openlibrary.org',
+    'vision.googleapis.com', 'collectionapi.metmuseum.org', 'api.artic.edu', 'en.wikipedia.org'
+  ].map(host => `${host}=60000`).join(','),
+  MODEL_PROVIDER: 'openai',
+  OPENAI_API_KEY: 'test-openai-key',
+  GOOGLE_CLOUD_API_KEY: 'test-vision-key',
+  DISCOGS_API_KEY: 'test-discogs-key',
+  DISCOGS_API_SECRET: 'test-discogs-secret',
+  FIREBASE_PROJECT_ID: 'track-my-home-test'
+};
+
+// Settings that would change what the tests exercise, including per-route model overrides
+Object.keys(process.env)
+  .filter(name => /^(MODEL_|QUOTA_|CACHE_TTL_|FEATURE_)/.test(name) || [
+    'POKEMONTCG_API_KEY', 'ALLOWED_IMAGE_HOSTS', 'IMAGE_RETENTION_POLICY', 'USAGE_STORE', 'JOB_STORE',
+    'ADMIN_TOKEN', 'METRICS_TOKEN', 'RATE_LIMIT_MAX_REQUESTS', 'MAX_IMAGE_BYTES'
+  ].includes(name))
+  .forEach(name => delete process.env[name]);
+
+Object.assign(process.env, TEST_ENV);
+require('../../utils/config').resetConfig();
+
+// The cache backend is picked from CACHE_BACKEND only when configured
+require('../../services/cacheService').configureCache();
+
+module.exports = { TEST_ENV };
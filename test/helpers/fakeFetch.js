@@ -0,0 +1,87 @@
+/**
+ * Fake fetch
+ *
+ * Replaces global fetch (used by the outbound HTTP client and the image
+ * downloader) with a router that answers from recorded fixtures. Every request
+ * is recorded; a request without a matching route is recorded in `unmatched`
+ * and fails like an unreachable host, so tests can assert that nothing
+ * tried to reach the network.
+ *
+ * Routes: { method = 'GET', url: RegExp, fixture: 'discogs/release.json' }
+ *     or  { method, url, status, body, headers } for non-JSON or error responses
+ * Routes are matched in order; the first route whose `url` matches wins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Read a JSON fixture
+ * @param {string} name - Path relative to test/fixtures, e.g. 'discogs/release.json'
+ * @returns {Object}
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8'));
+}
+
+/**
+ * Build the Response for a route
+ * @param {Object} route
+ * @returns {Response}
+ */
+function buildResponse(route) {
+  if (route.fixture) {
+    return new Response(JSON.stringify(loadFixture(route.fixture)), {
+      status: route.status || 200,
+      headers: { 'Content-Type': 'application/json', ...(route.headers || {}) }
+    });
+  }
+  const body = route.body !== undefined && typeof route.body === 'object' && !Buffer.isBuffer(route.body)
+    ? JSON.stringify(route.body)
+    : route.body;
+  return new Response(body === undefined ? null : body, {
+    status: route.status || 200,
+    headers: route.headers || { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Install the fake fetch
+ * @param {Array<Object>} routes
+ * @returns {Object} { calls, unmatched, callsTo(host), restore() }
+ */
+function installFakeFetch(routes = []) {
+  const originalFetch = global.fetch;
+  const calls = [];
+  const unmatched = [];
+
+  global.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url || String(input);
+    const method = (init.method || 'GET').toUpperCase();
+    calls.push({ method, url, body: init.body, headers: init.headers || {} });
+
+    const route = routes.find(candidate => (candidate.method || 'GET').toUpperCase() === method && candidate.url.test(url));
+    if (!route) {
+      unmatched.push(`${method} ${url}`);
+      throw new TypeError(`fetch failed: no fixture for ${method} ${url}`);
+    }
+    return buildResponse(route);
+  };
+
+  return {
+    calls,
+    unmatched,
+    callsTo: host => calls.filter(call => new URL(call.url).hostname === host),
+    restore: () => {
+      global.fetch = originalFetch;
+    }
+  };
+}
+
+module.exports = {
+  installFakeFetch,
+  loadFixture,
+  FIXTURES_DIR
+};
@@ -0,0 +1,73 @@
+/**
+ * Fake Firebase Admin SDK
+ *
+ * The parts of an initialized firebase-admin the API uses, without credentials or network:
+ * - auth().verifyIdToken(): tokens of the form "test-token:<uid>" are valid for
+ *   that uid; anything else is rejected with the SDK's auth/argument-error
+ * - storage().bucket().file(path): delete/move/setMetadata are recorded in `storageCalls`
+ * - app().options.credential: hands out an access token (the /ready probe)
+ * - firestore(): not available; the tests use the in-memory job, usage and cache stores
+ */
+
+const TOKEN_PREFIX = 'test-token:';
+
+/**
+ * ID token accepted by the fake auth for a user
+ * @param {string} uid
+ * @returns {string}
+ */
+function createIdToken(uid) {
+  return `${TOKEN_PREFIX}${uid}`;
+}
+
+/**
+ * Create a fake firebase-admin module
+ * @returns {Object} Module exports plus `storageCalls` ({ deleted, moved, metadata }) to inspect
+ */
+function createFakeFirebaseAdmin() {
+  const storageCalls = { deleted: [], moved: [], metadata: [] };
+
+  const auth = {
+    verifyIdToken: async (idToken) => {
+      if (typeof idToken !== 'string' || !idToken.startsWith(TOKEN_PREFIX) || idToken.length === TOKEN_PREFIX.length) {
+        const error = new Error('Decoding Firebase ID token failed. Make sure you passed a string that represents a complete and valid JWT.');
+        error.code = 'auth/argument-error';
+        throw error;
+      }
+      const uid = idToken.slice(TOKEN_PREFIX.length);
+      return { uid, user_id: uid, aud: process.env.FIREBASE_PROJECT_ID, firebase: { sign_in_provider: 'password' } };
+    }
+  };
+
+  const bucket = {
+    file: (filePath) => ({
+      delete: async () => {
+        storageCalls.deleted.push(filePath);
+      },
+      move: async (destination) => {
+        storageCalls.moved.push({ from: filePath, to: destination });
+      },
+      setMetadata: async (metadata) => {
+        storageCalls.metadata.push({ path: filePath, metadata });
+      }
+    })
+  };
+
+  return {
+    storageCalls,
+    app: () => ({
+      name: '[DEFAULT]',
+      options: { credential: { getAccessToken: async () => ({ access_token: 'test-access-token', expires_in: 3600 }) } }
+    }),
+    auth: () => auth,
+    storage: () => ({ bucket: () => bucket }),
+    firestore: () => {
+      throw new Error('Firestore is not available in tests');
+    }
+  };
+}
+
+module.exports = {
+  createFakeFirebaseAdmin,
+  createIdToken
+};
@@ -0,0 +1,70 @@
+/**
+ * Fake OpenAI client
+ *
+ * Stands in for the `openai` SDK client behind the "openai" model provider:
+ * responses.create() answers with a recorded Responses API payload from
+ * test/fixtures/openai, picked by the structured-output schema name of the
+ * request (items_response, single_item_response, wine_details). Like the SDK,
+ * it adds the `output_text` convenience field from the message output.
+ *
+ * It is passed to createApp({ openai }), so the real "openai" provider code
+ * (request building, usage normalization, error mapping) is exercised.
+ * `fixtures` can be changed between requests.
+ */
+
+const { loadFixture } = require('./fakeFetch');
+
+/**
+ * Concatenate the output_text parts of a Responses API payload (as the SDK does)
+ * @param {Object} response
+ * @returns {string}
+ */
+function getOutputText(response) {
+  return (response.output || [])
+    .filter(output => output.type === 'message')
+    .flatMap(output => output.content || [])
+    .filter(content => content.type === 'output_text')
+    .map(content => content.text)
+    .join('');
+}
+
+/**
+ * Create the fake client
+ * @param {Object} fixtures - { schemaName: fixture file | Error }, e.g. { items_response: 'openai/items-vinyl-and-lamp.json' }
+ * @returns {Object} Client with responses, models and chat, plus `requests` and `fixtures`
+ */
+function createFakeOpenAIClient(fixtures = {}) {
+  const requests = [];
+
+  return {
+    requests,
+    fixtures,
+    responses: {
+      create: async (request) => {
+        requests.push(request);
+        const schemaName = request.text?.format?.name;
+        const fixture = fixtures[schemaName];
+        if (!fixture) {
+          throw new Error(`No OpenAI fixture for schema "${schemaName}"`);
+        }
+        if (fixture instanceof Error) {
+          throw fixture;
+        }
+        const response = loadFixture(fixture);
+        return { ...response, output_text: getOutputText(response) };
+      }
+    },
+    models: {
+      retrieve: async (model) => ({ id: model, object: 'model', owned_by: 'system' })
+    },
+    chat: {
+      completions: {
+        create: async ({ model }) => ({ model, choices: [{ message: { role: 'assistant', content: 'Hello from Track My Home API' } }] })
+      }
+    }
+  };
+}
+
+module.exports = {
+  createFakeOpenAIClient
+};
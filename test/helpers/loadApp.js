@@ -0,0 +1,74 @@
+/**
+ * Load the API for route tests
+ *
+ * loadApp() builds the app with createApp() and the fake Firebase Admin SDK
+ * and listens on a free port, so tests can send real HTTP requests and close
+ * the server afterwards.
+ *
+ * Requests to the app go through the real fetch, captured before any test
+ * installs the fake fetch.
+ */
+
+const { createApp } = require('../../app');
+const { createFakeFirebaseAdmin, createIdToken } = require('./fakeFirebase');
+
+const realFetch = global.fetch;
+
+/**
+ * Create the app and start a server for it
+ * @param {Object} options - { openai, config } passed to createApp
+ * @returns {Promise<Object>} { app, admin, baseUrl, request(path, options), close() }
+ */
+async function loadApp({ openai, config } = {}) {
+  const admin = createFakeFirebaseAdmin();
+  const app = createApp({ admin, openai, config });
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve, reject) => {
+    server.once('listening', resolve);
+    server.once('error', reject);
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a request to the app. `json` is sent as a JSON body, `uid` as a valid ID token.
+   * @param {string} urlPath
+   * @param {Object} options - fetch options plus { json, uid, token }
+   * @returns {Promise<Object>} { status, headers, body }
+   */
+  const request = async (urlPath, { json, uid, token, headers = {}, ...options } = {}) => {
+    const requestHeaders = { ...headers };
+    if (uid || token) {
+      requestHeaders.Authorization = `Bearer ${token || createIdToken(uid)}`;
+    }
+    if (json !== undefined) {
+      requestHeaders['Content-Type'] = 'application/json';
+    }
+
+    const response = await realFetch(`${baseUrl}${urlPath}`, {
+      method: json !== undefined || options.body !== undefined ? 'POST' : 'GET',
+      ...options,
+      headers: requestHeaders,
+      body: json !== undefined ? JSON.stringify(json) : options.body
+    });
+    const text = await response.text();
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      // Not JSON (e.g. metrics): keep the text
+    }
+    return { status: response.status, headers: response.headers, body };
+  };
+
+  const close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+  });
+
+  return { app, admin, baseUrl, request, close };
+}
+
+module.exports = {
+  loadApp
+};
@@ -0,0 +1,41 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseJsonLoose, salvageArrayObjects } = require('../services/itemExtraction');
+
+describe('parseJsonLoose', () => {
+  it('parses JSON inside code fences', () => {
+    assert.deepEqual(parseJsonLoose('```json\n{"items": []}\n```'), { items: [] });
+  });
+
+  it('falls back to the outermost object when the model added prose', () => {
+    assert.deepEqual(parseJsonLoose('Here are the items: {"items": [{"name": "Lamp"}]} Hope this helps!'), { items: [{ name: 'Lamp' }] });
+  });
+
+  it('returns null for text without valid JSON', () => {
+    assert.equal(parseJsonLoose('No items found.'), null);
+    assert.equal(parseJsonLoose('{"items": [{"name": "Lam'), null);
+    assert.equal(parseJsonLoose(undefined), null);
+  });
+});
+
+describe('salvageArrayObjects', () => {
+  it('recovers the complete objects of truncated output', () => {
+    const text = '{"items": [{"name": "Lamp", "tags": ["light"]}, {"name": "Chair {old}", "collector_details": {"vintage": null}}, {"name": "Ta';
+    assert.deepEqual(salvageArrayObjects(text), [
+      { name: 'Lamp', tags: ['light'] },
+      { name: 'Chair {old}', collector_details: { vintage: null } }
+    ]);
+  });
+
+  it('handles escaped quotes and stops at the end of the array', () => {
+    const text = '{"items": [{"name": "12\\" record"}], "other": [{"name": "ignored"}]}';
+    assert.deepEqual(salvageArrayObjects(text), [{ name: '12" record' }]);
+  });
+
+  it('uses the given array key and returns [] without it', () => {
+    assert.deepEqual(salvageArrayObjects('{"questions": [{"field": "isbn"}', 'questions'), [{ field: 'isbn' }]);
+    assert.deepEqual(salvageArrayObjects('{"item": {"name": "Lamp"}}'), []);
+  });
+});
@@ -0,0 +1,59 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getItemDedupKey, mergeItemsAcrossImages } = require('../utils/itemMerger');
+
+const record = (overrides = {}) => ({
+  name: 'The Beatles - Abbey Road',
+  item_type: 'vinyl',
+  quantity: 1,
+  accuracy: 0.8,
+  tags: ['vinyl'],
+  collector_category: 'vinyl',
+  collector_data: { discogs_id: 2344707 },
+  ...overrides
+});
+
+describe('getItemDedupKey', () => {
+  it('keys identified collector items on their external ID', () => {
+    assert.equal(getItemDedupKey(record()), 'vinyl:2344707');
+    assert.equal(getItemDedupKey({ collector_category: 'book', collector_data: { isbn_13: '9780261103344' } }), 'book:9780261103344');
+  });
+
+  it('never merges general or unidentified items', () => {
+    assert.equal(getItemDedupKey({ name: 'Chair', item_type: 'general', collector_category: null }), null);
+    assert.equal(getItemDedupKey(record({ name: 'Vinyl Record', collector_data: null })), null);
+  });
+});
+
+describe('mergeItemsAcrossImages', () => {
+  it('merges the same release seen on two photos', () => {
+    const { items, duplicates_merged: duplicatesMerged } = mergeItemsAcrossImages([
+      { image_index: 0, items: [record({ region: { grid_cell: 'C1' } })] },
+      { image_index: 1, items: [record({ accuracy: 0.95, quantity: 2, tags: ['music'], region: null })] }
+    ]);
+
+    assert.equal(duplicatesMerged, 1);
+    assert.equal(items.length, 1);
+    assert.equal(items[0].accuracy, 0.95);
+    assert.equal(items[0].quantity, 2);
+    assert.deepEqual(items[0].tags, ['vinyl', 'music']);
+    assert.equal(items[0].region, undefined);
+    assert.deepEqual(items[0].source_images, [
+      { image_index: 0, item_index: 0, region: { grid_cell: 'C1' } },
+      { image_index: 1, item_index: 0, region: null }
+    ]);
+  });
+
+  it('keeps same-named general items of different photos apart', () => {
+    const chair = { name: 'Chair', item_type: 'general', quantity: 1, accuracy: 0.9, collector_category: null };
+    const { items, duplicates_merged: duplicatesMerged } = mergeItemsAcrossImages([
+      { image_index: 0, items: [chair] },
+      { image_index: 1, items: [{ ...chair, quantity: 2 }] }
+    ]);
+
+    assert.equal(duplicatesMerged, 0);
+    assert.deepEqual(items.map(item => [item.name, item.quantity, item.source_images[0].image_index]), [['Chair', 1, 0], ['Chair', 2, 1]]);
+  });
+});
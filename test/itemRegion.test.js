@@ -0,0 +1,39 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRegion, gridCellToBox, boxToGridCell } = require('../utils/itemRegion');
+
+describe('normalizeRegion', () => {
+  it('converts a box to x/y/width/height and derives the grid cell', () => {
+    const { region, warnings } = normalizeRegion({ box: { x_min: 0.7, y_min: 0.1, x_max: 0.9, y_max: 0.3 } });
+    assert.deepEqual(region, { box: { x: 0.7, y: 0.1, width: 0.2, height: 0.2 }, grid_cell: 'C1', source: 'box' });
+    assert.deepEqual(warnings, []);
+  });
+
+  it('clamps, swaps and rescales percentage boxes', () => {
+    assert.deepEqual(normalizeRegion({ box: { x_min: 0.5, y_min: 0.9, x_max: -0.1, y_max: 0.4 } }).region.box, { x: 0, y: 0.4, width: 0.5, height: 0.5 });
+    assert.deepEqual(normalizeRegion({ box: { x_min: 10, y_min: 20, x_max: 60, y_max: 80 } }).region.box, { x: 0.1, y: 0.2, width: 0.5, height: 0.6 });
+  });
+
+  it('falls back to the grid cell when the box is unusable', () => {
+    const { region, warnings } = normalizeRegion({ grid_cell: 'b3', box: { x_min: 0.5, y_min: 0.5, x_max: 0.505, y_max: 0.9 } });
+    assert.deepEqual(region, { box: { x: 0.333, y: 0.667, width: 0.333, height: 0.333 }, grid_cell: 'B3', source: 'grid' });
+    assert.deepEqual(warnings, ['box is too small']);
+  });
+
+  it('drops regions without a usable box or grid cell', () => {
+    assert.deepEqual(normalizeRegion(null), { region: null, warnings: [] });
+    assert.deepEqual(normalizeRegion({ grid_cell: 'D4', box: null }), { region: null, warnings: ['unknown grid_cell "D4"'] });
+    assert.deepEqual(normalizeRegion({ box: { x_min: 0, y_min: 0, x_max: 400, y_max: 300 } }).region, null);
+    assert.deepEqual(normalizeRegion('center').warnings, ['region is not an object']);
+  });
+});
+
+describe('grid cells', () => {
+  it('maps cells to boxes and box centers back to cells', () => {
+    assert.deepEqual(gridCellToBox('A1'), { x: 0, y: 0, width: 0.333, height: 0.333 });
+    assert.equal(boxToGridCell(gridCellToBox('C2')), 'C2');
+    assert.equal(boxToGridCell({ x: 0.9, y: 0.9, width: 0.1, height: 0.1 }), 'C3');
+  });
+});
@@ -0,0 +1,100 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateItem, validateItems, toNumber } = require('../utils/itemValidator');
+
+describe('toNumber', () => {
+  it('passes finite numbers through', () => {
+    assert.equal(toNumber(25), 25);
+    assert.equal(toNumber(Infinity), null);
+    assert.equal(toNumber(NaN), null);
+  });
+
+  it('reads a single comma with 1-2 decimals as a decimal comma', () => {
+    assert.equal(toNumber('25,50'), 25.5);
+    assert.equal(toNumber('€ 7,5'), 7.5);
+  });
+
+  it('strips commas used as thousands separators', () => {
+    assert.equal(toNumber('1,200'), 1200);
+    assert.equal(toNumber('1,200,000'), 1200000);
+    assert.equal(toNumber('$1,200.50'), 1200.5);
+  });
+
+  it('reads dots as thousands separators in Dutch/EUR notation', () => {
+    assert.equal(toNumber('1.200,50'), 1200.5);
+    assert.equal(toNumber('1.200'), 1200);
+    assert.equal(toNumber('€ 1.250'), 1250);
+    assert.equal(toNumber('0.750'), 0.75);
+    assert.equal(toNumber('12.5'), 12.5);
+  });
+
+  it('returns null for non-numeric values', () => {
+    assert.equal(toNumber('about 20'), null);
+    assert.equal(toNumber(''), null);
+    assert.equal(toNumber(null), null);
+    assert.equal(toNumber({ value: 3 }), null);
+  });
+});
+
+describe('validateItem', () => {
+  it('coerces and clamps values', () => {
+    const { item, warnings } = validateItem({
+      name: '  Armchair ',
+      estimated_value: '1,200',
+      quantity: '2.4',
+      accuracy: 95,
+      item_type: 'Furniture',
+      tags: 'chair, living room'
+    }, 3);
+
+    assert.equal(item.name, 'Armchair');
+    assert.equal(item.estimated_value, 1200);
+    assert.equal(item.quantity, 2);
+    assert.equal(item.accuracy, 0.95);
+    assert.equal(item.item_type, 'general');
+    assert.deepEqual(item.tags, ['chair', 'living room']);
+    assert.equal(item.collector_details.vintage, null);
+    assert.equal(item.region, null);
+    assert.deepEqual(warnings, [
+      'Item 3 ("Armchair"): quantity 2.4 clamped to 2',
+      'Item 3 ("Armchair"): unknown item_type "Furniture", using "general"'
+    ]);
+  });
+
+  it('normalizes collector_details and follow-up questions', () => {
+    const { item } = validateItem({
+      name: 'Red wine',
+      accuracy: 0.8,
+      item_type: 'wine',
+      collector_details: { winery: 'Château Margaux', vintage: '2015' },
+      followup_questions: [
+        { field: 'vintage_year', question: ' Which year is on the label? ', priority: 'urgent' },
+        { field: 'shoe_size', question: 'What size?' }
+      ]
+    });
+
+    assert.equal(item.collector_details.winery, 'Château Margaux');
+    assert.equal(item.collector_details.vintage, 2015);
+    assert.deepEqual(item.followup_questions, [{ field: 'vintage_year', question: 'Which year is on the label?', priority: 'medium' }]);
+  });
+
+  it('drops items without a name', () => {
+    assert.deepEqual(validateItem({ name: ' ' }, 1), { item: null, warnings: ['Item 1 dropped: missing name'] });
+    assert.deepEqual(validateItem('lamp', 2), { item: null, warnings: ['Item 2 dropped: not an object'] });
+  });
+});
+
+describe('validateItems', () => {
+  it('keeps valid items and counts dropped ones', () => {
+    const { items, dropped } = validateItems([{ name: 'Lamp', accuracy: 0.9 }, null, { accuracy: 0.5 }]);
+
+    assert.deepEqual(items.map(item => item.name), ['Lamp']);
+    assert.equal(dropped, 2);
+  });
+
+  it('reports output without an items array', () => {
+    assert.deepEqual(validateItems(undefined), { items: [], warnings: ['Model output has no items array'], dropped: 0 });
+  });
+});
@@ -0,0 +1,134 @@
+require('./helpers/env');
+
+const dns = require('dns');
+const http = require('http');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetConfig } = require('../utils/config');
+const { validateCallbackUrl, sendJobCallback } = require('../services/jobService');
+
+describe('validateCallbackUrl', () => {
+  beforeEach(() => {
+    process.env.JOB_CALLBACK_SECRET = 'callback-secret';
+    resetConfig();
+  });
+
+  afterEach(() => {
+    delete process.env.JOB_CALLBACK_SECRET;
+    delete process.env.CALLBACK_ALLOWED_HOSTS;
+    resetConfig();
+  });
+
+  it('accepts public https URLs', () => {
+    assert.equal(validateCallbackUrl('https://hooks.example.com/track-my-home'), null);
+    assert.equal(validateCallbackUrl('https://203.0.113.10/jobs'), null);
+  });
+
+  it('requires https and a configured secret', () => {
+    assert.equal(validateCallbackUrl('http://hooks.example.com/'), 'callback_url must use https');
+    delete process.env.JOB_CALLBACK_SECRET;
+    resetConfig();
+    assert.match(validateCallbackUrl('https://hooks.example.com/'), /JOB_CALLBACK_SECRET is not configured/);
+  });
+
+  it('refuses loopback, private, link-local and internal hosts', () => {
+    [
+      'https://localhost/hook',
+      'https://api.localhost/hook',
+      'https://127.0.0.1:8443/hook',
+      'https://2130706433/hook',
+      'https://10.1.2.3/hook',
+      'https://172.20.0.5/hook',
+      'https://192.168.1.10/hook',
+      'https://169.254.169.254/computeMetadata/v1/',
+      'https://metadata.google.internal/computeMetadata/v1/',
+      'https://[::1]/hook',
+      'https://[fe80::1]/hook',
+      'https://[fd00::5]/hook',
+      'https://[::ffff:127.0.0.1]/hook'
+    ].forEach(url => {
+      assert.equal(validateCallbackUrl(url), 'callback_url must not point to a local, private or internal address', url);
+    });
+  });
+
+  it('only accepts CALLBACK_ALLOWED_HOSTS when configured', () => {
+    process.env.CALLBACK_ALLOWED_HOSTS = 'hooks.example.com';
+    resetConfig();
+
+    assert.equal(validateCallbackUrl('https://hooks.example.com/track-my-home'), null);
+    assert.equal(validateCallbackUrl('https://other.example.com/'), 'callback_url host is not allowed (allowed: hooks.example.com)');
+  });
+});
+
+describe('sendJobCallback', () => {
+  const { lookup } = dns.promises;
+  const realFetch = global.fetch;
+  let fetchCalls;
+
+  beforeEach(() => {
+    process.env.JOB_CALLBACK_SECRET = 'callback-secret';
+    resetConfig();
+    fetchCalls = [];
+    global.fetch = async (url, init) => {
+      fetchCalls.push({ url, init });
+      return new Response(null, { status: 204 });
+    };
+  });
+
+  afterEach(() => {
+    dns.promises.lookup = lookup;
+    global.fetch = realFetch;
+    delete process.env.JOB_CALLBACK_SECRET;
+    delete process.env.CALLBACK_ALLOWED_HOSTS;
+    resetConfig();
+  });
+
+  it('refuses a host that resolves to a private address', async () => {
+    dns.promises.lookup = async () => [{ address: '203.0.113.10', family: 4 }, { address: '169.254.169.254', family: 4 }];
+
+    const delivery = await sendJobCallback('https://hooks.example.com/hook', { job_id: 'job-1' });
+
+    assert.deepEqual(delivery, {
+      delivered: false,
+      attempts: 1,
+      status: null,
+      error: 'callback_url host resolves to a private address (169.254.169.254)'
+    });
+    assert.equal(fetchCalls.length, 0);
+  });
+
+  it('connects to the checked address and refuses redirects', async () => {
+    // Allowlisted, so the loopback test server may be the checked address
+    process.env.CALLBACK_ALLOWED_HOSTS = 'hooks.example.com';
+    resetConfig();
+    let lookups = 0;
+    dns.promises.lookup = async () => {
+      lookups++;
+      return [{ address: '127.0.0.1', family: 4 }];
+    };
+
+    const server = http.createServer((req, res) => res.end(req.headers.host));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    // Plain http to the test server, through the dispatcher the callback got
+    global.fetch = async (url, init) => {
+      fetchCalls.push({ url, init });
+      const response = await realFetch(`http://hooks.example.com:${port}/hook`, { dispatcher: init.dispatcher });
+      fetchCalls[0].reachedHost = await response.text();
+      return new Response(null, { status: 204 });
+    };
+
+    try {
+      const delivery = await sendJobCallback('https://hooks.example.com/hook', { job_id: 'job-1' });
+
+      assert.equal(delivery.delivered, true);
+      assert.equal(lookups, 1);
+      const [{ init, reachedHost }] = fetchCalls;
+      assert.equal(init.redirect, 'error');
+      // hooks.example.com does not resolve: the dispatcher connected to the checked 127.0.0.1
+      assert.equal(reachedHost, `hooks.example.com:${port}`);
+    } finally {
+      server.close();
+    }
+  });
+});
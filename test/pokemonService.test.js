@@ -0,0 +1,134 @@
+require('./helpers/env');
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeFetch } = require('./helpers/fakeFetch');
+const { resetConfig } = require('../utils/config');
+const {
+  extractTcgPlayerMarket,
+  searchPokemonCard,
+  enrichPokemonItem,
+  enrichPokemonWithExtraInfo
+} = require('../services/pokemonService');
+
+const CARDS_URL = /^https:\/\/api\.pokemontcg\.io\/v2\/cards\?q=/;
+
+/**
+ * Route for a card search with an exact q parameter
+ * @param {string} q
+ * @param {string} fixture
+ */
+const cardSearch = (q, fixture) => ({ url: new RegExp(`^https://api\\.pokemontcg\\.io/v2/cards\\?q=${encodeURIComponent(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}&`), fixture });
+
+describe('extractTcgPlayerMarket', () => {
+  it('prefers the holofoil market price', () => {
+    assert.deepEqual(extractTcgPlayerMarket({
+      prices: {
+        normal: { low: 1, mid: 2, high: 3, market: 2.5 },
+        holofoil: { low: 265, mid: 418.91, high: 1499.99, market: 389.93 }
+      }
+    }), { market: 389.93, low: 265, mid: 418.91, high: 1499.99 });
+  });
+
+  it('falls back through the known variants in order', () => {
+    assert.deepEqual(extractTcgPlayerMarket({
+      prices: {
+        reverseHolofoil: { low: 0.5, market: 1.2 },
+        normal: { low: 0.1, mid: 0.3, high: 2, market: 0.25 }
+      }
+    }), { market: 0.25, low: 0.1, mid: 0.3, high: 2 });
+  });
+
+  it('uses the first variant with a market price for unknown variants', () => {
+    assert.deepEqual(extractTcgPlayerMarket({
+      prices: { '1stEditionNormal': { market: 12.5 } }
+    }), { market: 12.5, low: null, mid: null, high: null });
+  });
+
+  it('returns null prices without a market price', () => {
+    const empty = { market: null, low: null, mid: null, high: null };
+    assert.deepEqual(extractTcgPlayerMarket(null), empty);
+    assert.deepEqual(extractTcgPlayerMarket({ url: 'https://prices.pokemontcg.io/tcgplayer/base1-4' }), empty);
+    assert.deepEqual(extractTcgPlayerMarket({ prices: { holofoil: { low: 265, market: null } } }), empty);
+  });
+});
+
+describe('pokemontcg.io lookups', () => {
+  let fetchStub;
+
+  afterEach(() => fetchStub.restore());
+
+  it('queries by name, set and number and prefers a priced card', async () => {
+    fetchStub = installFakeFetch([cardSearch('name:Charizard set.name:Base number:4', 'pokemontcg/cards-charizard-base-set.json')]);
+
+    const card = await searchPokemonCard('Charizard', 'Base', '4/102');
+
+    assert.equal(card.pokemontcg_id, 'base1-4');
+    assert.equal(card.set_name, 'Base');
+    assert.equal(card.printed_total, 102);
+    assert.equal(card.tcgplayer_market_usd, 389.93);
+    assert.equal(card.cardmarket_avg_eur, 412.41);
+    assert.equal(card.cardmarket_trend_eur, 395.86);
+    assert.deepEqual(fetchStub.unmatched, []);
+  });
+
+  it('quotes values with spaces and sends the API key when configured', async () => {
+    process.env.POKEMONTCG_API_KEY = 'test-pokemontcg-key';
+    resetConfig();
+    try {
+      fetchStub = installFakeFetch([cardSearch('name:"Dark Charizard"', 'pokemontcg/cards-empty.json')]);
+
+      assert.equal(await searchPokemonCard('Dark Charizard'), null);
+      assert.equal(fetchStub.calls[0].headers['X-Api-Key'], 'test-pokemontcg-key');
+      assert.deepEqual(fetchStub.unmatched, []);
+    } finally {
+      delete process.env.POKEMONTCG_API_KEY;
+      resetConfig();
+    }
+  });
+
+  it('retries without the set name when the set does not match', async () => {
+    fetchStub = installFakeFetch([
+      cardSearch('name:Charizard set.name:"Base Set Unlimited" number:4', 'pokemontcg/cards-empty.json'),
+      cardSearch('name:Charizard number:4', 'pokemontcg/cards-charizard-base-set.json')
+    ]);
+
+    const item = await enrichPokemonItem({
+      name: 'Pokémon Card',
+      tags: ['pokemon'],
+      estimated_value: 50,
+      collector_details: { card_name: 'Charizard', set_name: 'Base Set Unlimited', card_number: '4/102' },
+      followup_questions: []
+    });
+
+    assert.equal(fetchStub.calls.length, 2);
+    assert.equal(item.collector_category, 'pokemon');
+    assert.equal(item.collector_data.pokemontcg_id, 'base1-4');
+    assert.deepEqual(fetchStub.unmatched, []);
+  });
+
+  it('asks follow-up questions when the card is not found', async () => {
+    fetchStub = installFakeFetch([{ url: CARDS_URL, fixture: 'pokemontcg/cards-empty.json' }]);
+
+    const item = await enrichPokemonItem({
+      name: 'Pokémon Card',
+      tags: ['pokemon'],
+      collector_details: { card_name: 'Missingno', set_name: null, card_number: null },
+      followup_questions: []
+    });
+
+    assert.equal(item.collector_data, null);
+    assert.equal(item.collector_warning, 'Pokémon card not found on pokemontcg.io');
+    assert.ok(item.followup_questions.length > 0);
+  });
+
+  it('re-enriches with the card number from extra_info', async () => {
+    fetchStub = installFakeFetch([cardSearch('name:Charizard number:4', 'pokemontcg/cards-charizard-base-set.json')]);
+
+    const result = await enrichPokemonWithExtraInfo({ card_name: 'Charizard' }, { card_number: '4/102' });
+
+    assert.equal(result.collector_category, 'pokemon');
+    assert.equal(result.collector_data.number, '4');
+    assert.equal(result.collector_warning, undefined);
+  });
+});
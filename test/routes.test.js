@@ -0,0 +1,523 @@
+require('./helpers/env');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { installFakeFetch } = require('./helpers/fakeFetch');
+const { createFakeOpenAIClient } = require('./helpers/fakeOpenAI');
+const { loadApp } = require('./helpers/loadApp');
+const { resetConfig } = require('../utils/config');
+const { createDevToken } = require('../utils/devToken');
+const { getFollowupFields } = require('../prompts/itemPrompts');
+
+const IMAGE_URL = 'https://firebasestorage.googleapis.com/v0/b/track-my-home-test.appspot.com/o/users%2Fuser-1%2Fshelf.jpg?alt=media&token=2b7c1e1a';
+
+const VISION_URL = /^https:\/\/vision\.googleapis\.com\/v1\/images:annotate\?/;
+const DISCOGS_RELEASE = /^https:\/\/api\.discogs\.com\/releases\/2344707\?/;
+const DISCOGS_STATS = /^https:\/\/api\.discogs\.com\/marketplace\/stats\/2344707\?/;
+const GOOGLE_BOOKS_ISBN = /^https:\/\/www\.googleapis\.com\/books\/v1\/volumes\?q=isbn:9780261103344&/;
+const OPEN_LIBRARY_ISBN = /^https:\/\/openlibrary\.org\/search\.json\?isbn=9780261103344&/;
+const POKEMON_CARDS = /^https:\/\/api\.pokemontcg\.io\/v2\/cards\?q=/;
+const MET_SEARCH = /^https:\/\/collectionapi\.metmuseum\.org\/public\/collection\/v1\/search\?/;
+const MET_OBJECT = /^https:\/\/collectionapi\.metmuseum\.org\/public\/collection\/v1\/objects\/459123$/;
+
+describe('routes', () => {
+  let api;
+  let openai;
+  let fetchStub;
+  let photo;
+
+  before(async () => {
+    photo = await sharp({ create: { width: 640, height: 480, channels: 3, background: '#4a6b8a' } }).jpeg().toBuffer();
+    openai = createFakeOpenAIClient({
+      items_response: 'openai/items-vinyl-and-lamp.json',
+      single_item_response: 'openai/single-item-book.json'
+    });
+    api = await loadApp({ openai });
+  });
+
+  after(() => api.close());
+
+  beforeEach(() => {
+    openai.requests.length = 0;
+    api.admin.storageCalls.deleted.length = 0;
+  });
+
+  afterEach(() => fetchStub && fetchStub.restore());
+
+  describe('authentication', () => {
+    beforeEach(() => {
+      fetchStub = installFakeFetch([]);
+    });
+
+    it('rejects requests without a token', async () => {
+      const { status, body } = await api.request('/process', { json: { user_id: 'user-1', image_url: IMAGE_URL } });
+
+      assert.equal(status, 401);
+      assert.equal(body.code, 'UNAUTHENTICATED');
+      assert.equal(body.retryable, false);
+    });
+
+    it('rejects tokens Firebase cannot verify', async () => {
+      const { status, body } = await api.request('/enrich', {
+        token: 'expired-or-forged',
+        json: { user_id: 'user-1', item_type: 'pokemon', extra_info: { card_number: '4/102' } }
+      });
+
+      assert.equal(status, 401);
+      assert.equal(body.code, 'INVALID_TOKEN');
+    });
+
+    it('rejects a user_id of another user', async () => {
+      const { status, body } = await api.request('/process-single', { uid: 'user-2', json: { user_id: 'user-1', image_url: IMAGE_URL } });
+
+      assert.equal(status, 403);
+      assert.equal(body.code, 'USER_MISMATCH');
+      assert.equal(fetchStub.calls.length, 0);
+      assert.equal(openai.requests.length, 0);
+    });
+  });
+
+  describe('POST /process', () => {
+    beforeEach(() => {
+      fetchStub = installFakeFetch([
+        { url: /^https:\/\/firebasestorage\.googleapis\.com\//, body: photo, headers: { 'Content-Type': 'image/jpeg' } },
+        { method: 'POST', url: VISION_URL, fixture: 'vision/web-detection-abbey-road.json' },
+        { url: DISCOGS_RELEASE, fixture: 'discogs/release-abbey-road.json' },
+        { url: DISCOGS_STATS, fixture: 'discogs/marketplace-stats-abbey-road.json' }
+      ]);
+    });
+
+    it('detects, enriches and deletes the image', async () => {
+      const { status, body } = await api.request('/process', { uid: 'user-1', json: { user_id: 'user-1', image_url: IMAGE_URL, language: 'nl' } });
+
+      assert.equal(status, 200);
+      assert.deepEqual(fetchStub.unmatched, []);
+
+      const [vinyl, lamp] = body.items;
+      assert.equal(vinyl.name, 'The Beatles - Abbey Road');
+      assert.equal(vinyl.collector_category, 'vinyl');
+      assert.equal(vinyl.identification_source, 'vision_direct_release');
+      assert.equal(vinyl.collector_data.catalog_number, 'PCS 7088');
+      assert.equal(vinyl._base64Image, undefined);
+      assert.deepEqual(vinyl.region, { box: { x: 0.05, y: 0.1, width: 0.4, height: 0.6 }, grid_cell: 'A1', source: 'box' });
+      assert.equal(lamp.name, 'Desk Lamp');
+      assert.equal(lamp.collector_category, null);
+      assert.deepEqual(lamp.region, { box: { x: 0.667, y: 0.333, width: 0.333, height: 0.333 }, grid_cell: 'C2', source: 'grid' });
+
+      assert.equal(body.collector_stats.total_items, 2);
+      assert.equal(body.collector_stats.vinyl_items, 1);
+      assert.equal(body.collector_stats.general_items, 1);
+      assert.equal(body.token_usage.input_tokens, 1342);
+      assert.equal(body.token_usage.output_tokens, 412);
+      assert.equal(body.token_usage.provider, 'openai');
+      assert.equal(body.image_source, 'url');
+      assert.equal(body.image_deleted, true);
+      assert.deepEqual(api.admin.storageCalls.deleted, ['users/user-1/shelf.jpg']);
+    });
+
+    it('sends the resized photo to the model as structured output', async () => {
+      await api.request('/process', { uid: 'user-1', json: { user_id: 'user-1', image_url: IMAGE_URL } });
+
+      assert.equal(openai.requests.length, 1);
+      const [request] = openai.requests;
+      assert.equal(request.model, 'gpt-4o');
+      assert.equal(request.text.format.type, 'json_schema');
+      assert.equal(request.text.format.name, 'items_response');
+      const image = request.input[0].content.find(content => content.type === 'input_image');
+      assert.match(image.image_url, /^data:image\/jpeg;base64,/);
+    });
+
+    it('sends a padded crop of the record to Vision', async () => {
+      await api.request('/process', { uid: 'user-1', json: { user_id: 'user-1', image_url: IMAGE_URL } });
+
+      const [visionCall] = fetchStub.callsTo('vision.googleapis.com');
+      const { requests: [{ image }] } = JSON.parse(visionCall.body);
+      const { width, height } = await sharp(Buffer.from(image.content, 'base64')).metadata();
+      // Box 0.05–0.45 x 0.1–0.7 of 640x480, padded by 10% of the box size
+      assert.equal(width, 308);
+      assert.equal(height, 346);
+    });
+
+    it('validates the request body', async () => {
+      const { status, body } = await api.request('/process', { uid: 'user-1', json: { user_id: 'user-1', image_url: 'not-a-url', tags: 'vinyl' } });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_ERROR');
+      assert.deepEqual(body.validation_errors.map(error => error.field).sort(), ['image_url', 'tags']);
+      assert.equal(fetchStub.calls.length, 0);
+    });
+
+    it('refuses images from hosts outside the allowlist', async () => {
+      const { status, body } = await api.request('/process', { uid: 'user-1', json: { user_id: 'user-1', image_url: 'https://example.com/shelf.jpg' } });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'HOST_NOT_ALLOWED');
+      assert.equal(fetchStub.calls.length, 0);
+    });
+
+    it('answers model failures with a typed, retryable error', async () => {
+      const rateLimited = Object.assign(new Error('429 Rate limit reached for gpt-4o'), { status: 429, headers: { 'retry-after': '7' } });
+      const fixture = openai.fixtures.items_response;
+      openai.fixtures.items_response = rateLimited;
+      try {
+        const { status, headers, body } = await api.request('/process', { uid: 'user-1', json: { user_id: 'user-1', image_url: IMAGE_URL } });
+
+        assert.equal(status, 429);
+        assert.equal(body.code, 'MODEL_RATE_LIMITED');
+        assert.equal(body.retryable, true);
+        assert.equal(headers.get('retry-after'), '7');
+        assert.doesNotMatch(JSON.stringify(body), /gpt-4o/);
+      } finally {
+        openai.fixtures.items_response = fixture;
+      }
+    });
+  });
+
+  describe('POST /process-stream', () => {
+    beforeEach(() => {
+      fetchStub = installFakeFetch([
+        { url: /^https:\/\/firebasestorage\.googleapis\.com\//, body: photo, headers: { 'Content-Type': 'image/jpeg' } },
+        { method: 'POST', url: VISION_URL, fixture: 'vision/web-detection-abbey-road.json' },
+        { url: DISCOGS_RELEASE, fixture: 'discogs/release-abbey-road.json' },
+        { url: DISCOGS_STATS, fixture: 'discogs/marketplace-stats-abbey-road.json' }
+      ]);
+    });
+
+    it('streams detected items, each enriched item and the final response', async () => {
+      const { status, headers, body } = await api.request('/process-stream', { uid: 'user-1', json: { user_id: 'user-1', image_url: IMAGE_URL } });
+
+      assert.equal(status, 200);
+      assert.match(headers.get('content-type'), /^text\/event-stream/);
+      const events = body.split('\n\n').filter(chunk => chunk.startsWith('event: ')).map(chunk => {
+        const [eventLine, dataLine] = chunk.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+      });
+      const byType = type => events.filter(({ event }) => event === type).map(({ data }) => data);
+
+      assert.deepEqual(byType('error'), []);
+      const [detected] = byType('detected');
+      assert.deepEqual(detected.items.map(item => item.name), ['Vinyl Record', 'Desk Lamp']);
+
+      const enriched = byType('item').sort((a, b) => a.item_index - b.item_index);
+      assert.deepEqual(enriched.map(({ item_index }) => item_index), [0, 1]);
+      assert.equal(enriched[0].item.collector_data.catalog_number, 'PCS 7088');
+      assert.equal(enriched[0].item._base64Image, undefined);
+
+      const [done] = byType('done');
+      assert.equal(done.items.length, 2);
+      assert.equal(done.collector_stats.vinyl_items, 1);
+      assert.equal(events[events.length - 1].event, 'done');
+      assert.deepEqual(api.admin.storageCalls.deleted, ['users/user-1/shelf.jpg']);
+    });
+
+    it('rejects async and callback_url before opening the stream', async () => {
+      const { status, headers, body } = await api.request('/process-stream', {
+        uid: 'user-1',
+        json: { user_id: 'user-1', image_url: IMAGE_URL, async: true, callback_url: 'https://hooks.example.com/done' }
+      });
+
+      assert.equal(status, 400);
+      assert.match(headers.get('content-type'), /^application\/json/);
+      assert.equal(body.code, 'VALIDATION_ERROR');
+      assert.deepEqual(body.validation_errors.map(error => error.field).sort(), ['async', 'callback_url']);
+      assert.equal(fetchStub.calls.length, 0);
+      assert.equal(openai.requests.length, 0);
+    });
+  });
+
+  describe('POST /process-batch', () => {
+    beforeEach(() => {
+      fetchStub = installFakeFetch([]);
+    });
+
+    it('validates the request body', async () => {
+      const { status, body } = await api.request('/process-batch', {
+        uid: 'user-1',
+        json: { user_id: 'user-1', image_urls: [IMAGE_URL, 'shelf.jpg'], language: 'dutch', tags: 'vinyl' }
+      });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_ERROR');
+      assert.deepEqual(body.validation_errors.map(error => error.field).sort(), ['image_urls[1]', 'language', 'tags']);
+      assert.equal(fetchStub.calls.length, 0);
+      assert.equal(openai.requests.length, 0);
+    });
+
+    it('requires at least one image', async () => {
+      const { status, body } = await api.request('/process-batch', { uid: 'user-1', json: { user_id: 'user-1', image_urls: [] } });
+
+      assert.equal(status, 400);
+      assert.deepEqual(body.validation_errors.map(error => error.field), ['image_urls']);
+    });
+
+    it('is described in the OpenAPI document', async () => {
+      const { body } = await api.request('/openapi.json');
+
+      const operation = body.paths['/process-batch'].post;
+      assert.equal(operation.operationId, 'processBatch');
+      assert.equal(operation.requestBody.content['application/json'].schema.$ref, '#/components/schemas/ProcessBatchRequest');
+    });
+  });
+
+  describe('POST /process-single', () => {
+    beforeEach(() => {
+      fetchStub = installFakeFetch([
+        { url: GOOGLE_BOOKS_ISBN, fixture: 'google-books/isbn-the-hobbit.json' },
+        { url: OPEN_LIBRARY_ISBN, fixture: 'open-library/search-isbn-the-hobbit.json' }
+      ]);
+    });
+
+    it('analyzes an uploaded photo and enriches the book', async () => {
+      const { status, body } = await api.request('/process-single?user_id=user-1&item_name=The%20Hobbit', {
+        uid: 'user-1',
+        method: 'POST',
+        headers: { 'Content-Type': 'image/jpeg' },
+        body: photo
+      });
+
+      assert.equal(status, 200);
+      assert.deepEqual(fetchStub.unmatched, []);
+      assert.equal(body.item.collector_category, 'book');
+      assert.equal(body.item.collector_data.google_books_id, 'pD6arNyKyi8C');
+      assert.equal(body.item.collector_data.open_library_url, 'https://openlibrary.org/works/OL27482W');
+      assert.equal(body.searched_for, 'The Hobbit');
+      assert.equal(body.image_source, 'upload');
+      assert.equal(body.image_deleted, false);
+      assert.deepEqual(api.admin.storageCalls.deleted, []);
+      assert.equal(body.token_usage.total_tokens, 1187 + 236);
+      assert.match(openai.requests[0].input[0].content[0].text, /The Hobbit/);
+    });
+
+    it('requires an image', async () => {
+      const { status, body } = await api.request('/process-single', { uid: 'user-1', json: { user_id: 'user-1' } });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_ERROR');
+      assert.deepEqual(body.validation_errors.map(error => error.field), ['image_url']);
+    });
+  });
+
+  describe('POST /enrich', () => {
+    it('re-enriches a Pokémon card with the card number', async () => {
+      fetchStub = installFakeFetch([{ url: POKEMON_CARDS, fixture: 'pokemontcg/cards-charizard-base-set.json' }]);
+
+      const { status, body } = await api.request('/enrich', {
+        uid: 'user-1',
+        json: { user_id: 'user-1', item_type: 'pokemon', collector_details: { card_name: 'Charizard' }, extra_info: { card_number: '4/102' } }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.collector_category, 'pokemon');
+      assert.equal(body.collector_data.pokemontcg_id, 'base1-4');
+      assert.equal(body.collector_warning, null);
+      assert.equal(body.collector_error, null);
+      assert.deepEqual(fetchStub.unmatched, []);
+    });
+
+    it('re-enriches an artwork from the Met', async () => {
+      fetchStub = installFakeFetch([
+        { url: MET_SEARCH, fixture: 'met/search-wheat-field.json' },
+        { url: MET_OBJECT, fixture: 'met/object-459123.json' }
+      ]);
+
+      const { status, body } = await api.request('/enrich', {
+        uid: 'user-1',
+        json: { user_id: 'user-1', item_type: 'art', extra_info: { artist_name: 'Camille Pissarro', artwork_title: 'Wheat Field with Reapers' } }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.collector_data.museum, 'The Metropolitan Museum of Art');
+      assert.deepEqual(fetchStub.unmatched, []);
+    });
+
+    it('reports an unreachable source as retryable', async () => {
+      fetchStub = installFakeFetch([{ url: POKEMON_CARDS, status: 503, body: { error: { message: 'Service Unavailable', code: 503 } } }]);
+
+      const { status, body } = await api.request('/enrich', {
+        uid: 'user-1',
+        json: { user_id: 'user-1', item_type: 'pokemon', collector_details: { card_name: 'Pikachu' }, extra_info: { card_number: '58/102' } }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.collector_data, null);
+      assert.deepEqual(body.collector_error, { code: 'SOURCE_UNAVAILABLE', retryable: true });
+      assert.equal(body.collector_unavailable[0].source, 'pokemontcg.io');
+    });
+
+    it('answers a disabled enricher without calling its source', async () => {
+      fetchStub = installFakeFetch([]);
+      process.env.FEATURE_POKEMON = 'false';
+      resetConfig();
+      try {
+        const { status, body } = await api.request('/enrich', {
+          uid: 'user-1',
+          json: { user_id: 'user-1', item_type: 'pokemon', extra_info: { card_number: '4/102' } }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.collector_category, 'pokemon');
+        assert.equal(body.collector_data, null);
+        assert.deepEqual(body.collector_error, { code: 'ENRICHER_DISABLED', retryable: false });
+        assert.equal(fetchStub.calls.length, 0);
+      } finally {
+        delete process.env.FEATURE_POKEMON;
+        resetConfig();
+      }
+    });
+
+    it('accepts an answer to every follow-up question of a category', async () => {
+      fetchStub = installFakeFetch([]);
+      // Only the validation is under test: disabled enrichers answer without calling their source
+      const categories = ['wine', 'vinyl', 'book', 'pokemon', 'art'];
+      categories.forEach(category => { process.env[`FEATURE_${category.toUpperCase()}`] = 'false'; });
+      resetConfig();
+      try {
+        for (const category of categories) {
+          for (const field of getFollowupFields(category)) {
+            const { status, body } = await api.request('/enrich', {
+              uid: 'user-1',
+              json: { user_id: 'user-1', item_type: category, extra_info: { [field]: '12345' } }
+            });
+
+            assert.equal(status, 200, `${category}.${field}: ${JSON.stringify(body.validation_errors)}`);
+          }
+        }
+        assert.equal(fetchStub.calls.length, 0);
+      } finally {
+        categories.forEach(category => { delete process.env[`FEATURE_${category.toUpperCase()}`]; });
+        resetConfig();
+      }
+    });
+
+    it('rejects extra_info fields the category does not ask for', async () => {
+      fetchStub = installFakeFetch([]);
+
+      const { status, body } = await api.request('/enrich', {
+        uid: 'user-1',
+        json: { user_id: 'user-1', item_type: 'vinyl', extra_info: { isbn: '9780261103344' } }
+      });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'VALIDATION_ERROR');
+      assert.equal(body.validation_errors[0].field, 'extra_info.isbn');
+      assert.equal(fetchStub.calls.length, 0);
+    });
+  });
+  describe('GET /ready', () => {
+    const READY_ENV = { ADMIN_TOKEN: 'test-admin-token', READY_CACHE_TTL_MS: '0' };
+    let projectId;
+
+    beforeEach(() => {
+      fetchStub = installFakeFetch([{ url: /^https:\/\//, status: 200, body: {} }]);
+      // Application Default Credentials: firebase-admin is initialized without a project id
+      projectId = process.env.FIREBASE_PROJECT_ID;
+      delete process.env.FIREBASE_PROJECT_ID;
+      Object.assign(process.env, READY_ENV);
+      resetConfig();
+    });
+
+    afterEach(() => {
+      process.env.FIREBASE_PROJECT_ID = projectId;
+      Object.keys(READY_ENV).forEach(name => { delete process.env[name]; });
+      resetConfig();
+    });
+
+    it('checks Firebase under Application Default Credentials without a project id', async () => {
+      const { status, body } = await api.request('/ready', { headers: { Authorization: 'Bearer test-admin-token' } });
+
+      assert.equal(status, 200);
+      assert.equal(body.status, 'ready');
+      assert.equal(body.checks.firebase.status, 'ok');
+      assert.equal(body.checks.firebase.configured, true);
+    });
+  });
+
+  describe('GET /test-openai', () => {
+    beforeEach(() => {
+      fetchStub = installFakeFetch([]);
+      process.env.ADMIN_TOKEN = 'test-admin-token';
+      resetConfig();
+    });
+
+    afterEach(() => {
+      delete process.env.ADMIN_TOKEN;
+      resetConfig();
+    });
+
+    it('answers provider failures with the typed error envelope', async () => {
+      const create = openai.chat.completions.create;
+      openai.chat.completions.create = async () => {
+        throw Object.assign(new Error('401 Incorrect API key provided: sk-test***'), { status: 401, response: { data: { error: 'raw provider body' } } });
+      };
+      try {
+        const { status, body } = await api.request('/test-openai', { headers: { Authorization: 'Bearer test-admin-token' } });
+
+        assert.equal(status, 503);
+        assert.equal(body.success, false);
+        assert.equal(body.code, 'MODEL_UNAVAILABLE');
+        assert.equal(body.retryable, false);
+        assert.doesNotMatch(JSON.stringify(body), /sk-test|raw provider body/);
+      } finally {
+        openai.chat.completions.create = create;
+      }
+    });
+  });
+
+  describe('dev mode', () => {
+    const DEV_ENV = { DEV_MODE: 'true', DEV_TOKEN_SECRET: 'local-dev-secret' };
+    let imageDir;
+
+    before(() => {
+      imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'track-my-home-'));
+      fs.writeFileSync(path.join(imageDir, 'shelf.jpg'), photo);
+      Object.assign(process.env, DEV_ENV, { DEV_IMAGE_DIR: imageDir });
+      resetConfig();
+    });
+
+    after(() => {
+      Object.keys(DEV_ENV).concat('DEV_IMAGE_DIR').forEach(name => delete process.env[name]);
+      resetConfig();
+      fs.rmSync(imageDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+      fetchStub = installFakeFetch([
+        { method: 'POST', url: VISION_URL, fixture: 'vision/web-detection-abbey-road.json' },
+        { url: DISCOGS_RELEASE, fixture: 'discogs/release-abbey-road.json' },
+        { url: DISCOGS_STATS, fixture: 'discogs/marketplace-stats-abbey-road.json' }
+      ]);
+    });
+
+    it('accepts a dev token and a local image path', async () => {
+      const token = createDevToken('user-1', DEV_ENV.DEV_TOKEN_SECRET);
+      const { status, body } = await api.request('/process', { token, json: { user_id: 'user-1', image_url: 'shelf.jpg' } });
+
+      assert.equal(status, 200);
+      assert.equal(body.items[0].collector_data.catalog_number, 'PCS 7088');
+      assert.equal(body.image_deleted, false);
+      assert.deepEqual(api.admin.storageCalls.deleted, []);
+      assert.equal(fetchStub.callsTo('firebasestorage.googleapis.com').length, 0);
+    });
+
+    it('refuses local images outside DEV_IMAGE_DIR', async () => {
+      const token = createDevToken('user-1', DEV_ENV.DEV_TOKEN_SECRET);
+      const { status, body } = await api.request('/process', { token, json: { user_id: 'user-1', image_url: '../shelf.jpg' } });
+
+      assert.equal(status, 400);
+      assert.equal(body.code, 'HOST_NOT_ALLOWED');
+      assert.equal(openai.requests.length, 0);
+    });
+
+    it('rejects dev tokens signed with another secret', async () => {
+      const token = createDevToken('user-1', 'guessed-secret');
+      const { status, body } = await api.request('/process', { token, json: { user_id: 'user-1', image_url: 'shelf.jpg' } });
+
+      assert.equal(status, 401);
+      assert.equal(body.code, 'INVALID_TOKEN');
+    });
+  });
+});
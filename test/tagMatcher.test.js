@@ -0,0 +1,53 @@
+require('./helpers/env');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getEnrichmentType, hasEnrichableTag, mergeTagsWithSystem } = require('../utils/tagMatcher');
+
+describe('getEnrichmentType', () => {
+  it('returns the collector for a system tag', () => {
+    assert.equal(getEnrichmentType(['vinyl']), 'vinyl');
+    assert.equal(getEnrichmentType(['kitchen', 'boek']), 'book');
+    assert.equal(getEnrichmentType(['pokemon card']), 'pokemon');
+    assert.equal(getEnrichmentType(['schilderij']), 'art');
+    assert.equal(getEnrichmentType(['wijn']), 'wine');
+  });
+
+  it('matches tags case-insensitively', () => {
+    assert.equal(getEnrichmentType(['Vinyl']), 'vinyl');
+    assert.equal(getEnrichmentType(['POKÉMON']), 'pokemon');
+  });
+
+  it('uses the registration order when tags of several categories match', () => {
+    assert.equal(getEnrichmentType(['art', 'wine']), 'wine');
+    assert.equal(getEnrichmentType(['poster', 'record']), 'vinyl');
+  });
+
+  it('returns null without a system tag', () => {
+    assert.equal(getEnrichmentType(['lamp', 'furniture']), null);
+    assert.equal(getEnrichmentType([]), null);
+    assert.equal(getEnrichmentType(null), null);
+    assert.equal(getEnrichmentType('vinyl'), null);
+  });
+
+  it('ignores tags that are not strings', () => {
+    assert.equal(getEnrichmentType([42, null, 'lp']), 'vinyl');
+  });
+});
+
+describe('hasEnrichableTag', () => {
+  it('checks the tags of one category', () => {
+    assert.equal(hasEnrichableTag(['Plaat'], 'vinyl'), true);
+    assert.equal(hasEnrichableTag(['plaat'], 'book'), false);
+    assert.equal(hasEnrichableTag(['plaat'], 'unknown'), false);
+  });
+});
+
+describe('mergeTagsWithSystem', () => {
+  it('adds user tags to the system tags without case-insensitive duplicates', () => {
+    const tags = mergeTagsWithSystem(['Vinyl', 'Garage']);
+    assert.ok(tags.includes('vinyl'));
+    assert.ok(tags.includes('Garage'));
+    assert.ok(!tags.includes('Vinyl'));
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Bearer Token
+ *
+ * Constant-time check of an `Authorization: Bearer <token>` header against a
+ * server-side secret (METRICS_TOKEN, ADMIN_TOKEN).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Whether the Authorization header carries the given secret
+ * @param {string} authHeader - Authorization header value
+ * @param {string} secret - Expected token; an empty secret never matches
+ * @returns {boolean}
+ */
+function matchesBearerToken(authHeader, secret) {
+  if (!secret || !authHeader || !authHeader.startsWith('Bearer ')) {
+    return false;
+  }
+
+  // Compare digests: timingSafeEqual needs equal lengths
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(authHeader.slice('Bearer '.length)), digest(secret));
+}
+
+module.exports = {
+  matchesBearerToken
+};
@@ -0,0 +1,33 @@
+/**
+ * Boolean Flag
+ *
+ * Request flags such as `retain_image` and `async` are booleans in JSON bodies
+ * but strings in form fields and query parameters. Every route and the schema
+ * coercion (utils/schemaValidator) read them through this module, so all flags
+ * accept the same values.
+ */
+
+const FLAG_VALUES = { true: true, '1': true, false: false, '0': false };
+
+/**
+ * Whether a form/query string is a recognized flag value
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isBooleanFlagString(value) {
+  return typeof value === 'string' && Object.prototype.hasOwnProperty.call(FLAG_VALUES, value);
+}
+
+/**
+ * Parse a boolean flag; anything that is not true, "true" or "1" is false
+ * @param {boolean|string|undefined} value
+ * @returns {boolean}
+ */
+function parseBooleanFlag(value) {
+  return value === true || (isBooleanFlagString(value) && FLAG_VALUES[value]);
+}
+
+module.exports = {
+  parseBooleanFlag,
+  isBooleanFlagString
+};
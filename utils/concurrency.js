@@ -0,0 +1,33 @@
+/**
+ * Concurrency Utilities
+ */
+
+/**
+ * Map over an array with at most `limit` promises in flight.
+ * Results keep the input order. A rejected task rejects the whole call,
+ * so callers that want partial results should catch inside `fn`.
+ * @param {Array} items - Input items
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,452 @@
+/**
+ * Configuration
+ *
+ * Every setting of the API is read from the environment here, once, and
+ * validated and typed before the app starts: a malformed value (e.g.
+ * MAX_IMAGE_BYTES=15MB, CACHE_BACKEND=redis) or a missing model key fails
+ * startup with a ConfigError listing every problem, instead of surfacing when
+ * a user hits that code path. Services read getConfig() instead of process.env.
+ *
+ * Collector integrations are enabled per enricher with feature flags
+ * (FEATURE_WINE, FEATURE_VINYL, FEATURE_BOOK, FEATURE_POKEMON, FEATURE_ART and
+ * FEATURE_VISION for Google Vision identification; all default "true"). An
+ * integration whose credentials are missing is disabled as well, with a
+ * warning instead of an error: vinyl needs DISCOGS_API_KEY and
+ * DISCOGS_API_SECRET, vision needs GOOGLE_CLOUD_API_KEY.
+ *
+ * DEV_MODE=true is for local development only (refused with
+ * NODE_ENV=production): signed dev tokens (DEV_TOKEN_SECRET) and local images
+ * under DEV_IMAGE_DIR are accepted and model routes default to the "fixture"
+ * provider. Together with the Firebase emulators (FIREBASE_AUTH_EMULATOR_HOST,
+ * FIREBASE_STORAGE_EMULATOR_HOST) the API runs without any cloud account.
+ *
+ * Dynamic settings:
+ * - MODEL_PROVIDER, MODEL_NAME, MODEL_OUTPUT_MODE with a _<ROUTE> override per
+ *   model route (e.g. MODEL_NAME_WINE), resolved into model.routes
+ * - CACHE_TTL_<SOURCE> (seconds), collected into cache.ttlSeconds
+ *
+ * LOG_LEVEL and LOG_FORMAT are validated here but read by utils/logger.js
+ * itself, so configuration errors can still be logged.
+ *
+ * The config is loaded on the first getConfig() call; resetConfig() makes the
+ * next call read the environment again (tests, after changing process.env).
+ */
+
+const BOOLEAN_VALUES = { true: true, 1: true, yes: true, on: true, false: false, 0: false, no: false, off: false };
+
+// Model routes with their default model
+const MODEL_ROUTES = {
+  process: 'gpt-4o',
+  'process-single': 'gpt-4o',
+  wine: 'gpt-4o-mini',
+  test: 'gpt-4o'
+};
+
+const OUTPUT_MODES = ['json_schema', 'json_object', 'prompt'];
+
+/**
+ * Settings: environment variable, path in the config object, type and default.
+ * Types: string, url, int, number, boolean, enum (values), list (comma-separated)
+ * and rates ("host=perMinute,...").
+ */
+const SETTINGS = [
+  // Server
+  { env: 'NODE_ENV', path: 'server.nodeEnv', type: 'string', default: 'development' },
+  { env: 'PORT', path: 'server.port', type: 'int', min: 0, max: 65535, default: 3000 },
+  { env: 'RATE_LIMIT_WINDOW_MS', path: 'server.rateLimitWindowMs', type: 'int', min: 1, default: 15 * 60 * 1000 },
+  { env: 'RATE_LIMIT_MAX_REQUESTS', path: 'server.rateLimitMaxRequests', type: 'int', min: 1, default: 100 },
+  { env: 'BATCH_MAX_IMAGES', path: 'server.batchMaxImages', type: 'int', min: 1, default: 30 },
+  { env: 'BATCH_CONCURRENCY', path: 'server.batchConcurrency', type: 'int', min: 1, default: 3 },
+  { env: 'ADMIN_TOKEN', path: 'server.adminToken', type: 'string', secret: true },
+  { env: 'METRICS_TOKEN', path: 'server.metricsToken', type: 'string', secret: true },
+  { env: 'READY_CHECK_TIMEOUT_MS', path: 'server.readyCheckTimeoutMs', type: 'int', min: 1, default: 5000 },
+  { env: 'READY_CACHE_TTL_MS', path: 'server.readyCacheTtlMs', type: 'int', min: 0, default: 60000 },
+
+  // Logging
+  { env: 'LOG_LEVEL', path: 'logging.level', type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info' },
+  { env: 'LOG_FORMAT', path: 'logging.format', type: 'enum', values: ['json', 'pretty'], default: 'json' },
+
+  // Firebase service account (without FIREBASE_PRIVATE_KEY: Application Default Credentials)
+  { env: 'FIREBASE_PROJECT_ID', path: 'firebase.projectId', type: 'string' },
+  { env: 'FIREBASE_PRIVATE_KEY_ID', path: 'firebase.privateKeyId', type: 'string' },
+  { env: 'FIREBASE_PRIVATE_KEY', path: 'firebase.privateKey', type: 'string', secret: true },
+  { env: 'FIREBASE_CLIENT_EMAIL', path: 'firebase.clientEmail', type: 'string' },
+  { env: 'FIREBASE_CLIENT_ID', path: 'firebase.clientId', type: 'string' },
+  { env: 'FIREBASE_AUTH_URI', path: 'firebase.authUri', type: 'url' },
+  { env: 'FIREBASE_TOKEN_URI', path: 'firebase.tokenUri', type: 'url' },
+  { env: 'FIREBASE_AUTH_PROVIDER_X509_CERT_URL', path: 'firebase.authProviderCertUrl', type: 'url' },
+  { env: 'FIREBASE_CLIENT_X509_CERT_URL', path: 'firebase.clientCertUrl', type: 'url' },
+  { env: 'FIREBASE_STORAGE_BUCKET', path: 'firebase.storageBucket', type: 'string' },
+  // Emulators (host:port), picked up by firebase-admin itself
+  { env: 'FIREBASE_AUTH_EMULATOR_HOST', path: 'firebase.authEmulatorHost', type: 'string' },
+  { env: 'FIREBASE_STORAGE_EMULATOR_HOST', path: 'firebase.storageEmulatorHost', type: 'string' },
+  { env: 'FIRESTORE_EMULATOR_HOST', path: 'firebase.firestoreEmulatorHost', type: 'string' },
+
+  // Local development
+  { env: 'DEV_MODE', path: 'dev.enabled', type: 'boolean', default: false },
+  { env: 'DEV_TOKEN_SECRET', path: 'dev.tokenSecret', type: 'string', secret: true },
+  { env: 'DEV_IMAGE_DIR', path: 'dev.imageDir', type: 'string', default: '.' },
+
+  // Model providers
+  { env: 'OPENAI_API_KEY', path: 'model.openaiApiKey', type: 'string', secret: true },
+  { env: 'OPENAI_COMPATIBLE_BASE_URL', path: 'model.compatibleBaseUrl', type: 'url' },
+  { env: 'OPENAI_COMPATIBLE_API_KEY', path: 'model.compatibleApiKey', type: 'string', secret: true },
+  { env: 'MODEL_FIXTURES_DIR', path: 'model.fixturesDir', type: 'string' },
+
+  // Images
+  { env: 'IMAGE_JPEG_QUALITY', path: 'images.jpegQuality', type: 'int', min: 1, max: 100, default: 80 },
+  { env: 'MAX_IMAGE_BYTES', path: 'images.maxBytes', type: 'int', min: 1, default: 15 * 1024 * 1024 },
+  { env: 'IMAGE_DOWNLOAD_TIMEOUT_MS', path: 'images.downloadTimeoutMs', type: 'int', min: 1, default: 10000 },
+  { env: 'ALLOWED_IMAGE_HOSTS', path: 'images.allowedHosts', type: 'list', default: ['firebasestorage.googleapis.com', 'storage.googleapis.com'] },
+  { env: 'IMAGE_RETENTION_POLICY', path: 'images.retentionPolicy', type: 'enum', values: ['delete', 'delay', 'archive'], default: 'delete' },
+  { env: 'IMAGE_RETENTION_DAYS', path: 'images.retentionDays', type: 'int', min: 1, default: 30 },
+  { env: 'IMAGE_ARCHIVE_PREFIX', path: 'images.archivePrefix', type: 'string', default: 'archive/' },
+
+  // Async jobs
+  { env: 'JOB_STORE', path: 'jobs.store', type: 'enum', values: ['memory', 'firestore'], default: 'memory' },
+  { env: 'JOB_COLLECTION', path: 'jobs.collection', type: 'string', default: 'processing_jobs' },
+  { env: 'JOB_TTL_MS', path: 'jobs.ttlMs', type: 'int', min: 1, default: 24 * 60 * 60 * 1000 },
+  { env: 'JOB_CALLBACK_SECRET', path: 'jobs.callbackSecret', type: 'string', secret: true },
+  { env: 'CALLBACK_ALLOWED_HOSTS', path: 'jobs.callbackAllowedHosts', type: 'list', default: [] },
+
+  // Usage and quotas (0 disables a quota)
+  { env: 'USAGE_STORE', path: 'usage.store', type: 'enum', values: ['memory', 'firestore'], default: 'memory' },
+  { env: 'USAGE_COLLECTION', path: 'usage.collection', type: 'string', default: 'usage' },
+  { env: 'QUOTA_IMAGES_PER_DAY', path: 'usage.imagesPerDay', type: 'number', min: 0, default: 100 },
+  { env: 'QUOTA_TOKENS_PER_MONTH', path: 'usage.tokensPerMonth', type: 'number', min: 0, default: 2000000 },
+  { env: 'COST_INPUT_PER_MTOK', path: 'usage.costInputPerMtok', type: 'number', min: 0, default: 2.5 },
+  { env: 'COST_OUTPUT_PER_MTOK', path: 'usage.costOutputPerMtok', type: 'number', min: 0, default: 10 },
+  { env: 'COST_VISION_PER_CALL', path: 'usage.costVisionPerCall', type: 'number', min: 0, default: 0.0035 },
+
+  // Enrichment cache
+  { env: 'CACHE_BACKEND', path: 'cache.backend', type: 'enum', values: ['memory', 'firestore', 'none'], default: 'memory' },
+  { env: 'CACHE_COLLECTION', path: 'cache.collection', type: 'string', default: 'enrichment_cache' },
+  { env: 'CACHE_MAX_ENTRIES', path: 'cache.maxEntries', type: 'int', min: 1, default: 1000 },
+
+  // Outbound API calls
+  { env: 'OUTBOUND_RATE_LIMITS', path: 'outbound.rateLimits', type: 'rates', default: {} },
+  { env: 'OUTBOUND_TIMEOUT_MS', path: 'outbound.timeoutMs', type: 'int', min: 1, default: 10000 },
+  { env: 'OUTBOUND_RETRIES', path: 'outbound.retries', type: 'int', min: 0, default: 2 },
+  { env: 'OUTBOUND_MAX_WAIT_MS', path: 'outbound.maxWaitMs', type: 'int', min: 0, default: 10000 },
+  { env: 'OUTBOUND_BREAKER_THRESHOLD', path: 'outbound.breakerThreshold', type: 'int', min: 1, default: 5 },
+  { env: 'OUTBOUND_BREAKER_COOLDOWN_MS', path: 'outbound.breakerCooldownMs', type: 'int', min: 0, default: 30000 },
+
+  // Enrichment API credentials
+  { env: 'DISCOGS_API_KEY', path: 'discogs.apiKey', type: 'string', secret: true },
+  { env: 'DISCOGS_API_SECRET', path: 'discogs.apiSecret', type: 'string', secret: true },
+  { env: 'GOOGLE_CLOUD_API_KEY', path: 'googleVision.apiKey', type: 'string', secret: true },
+  { env: 'POKEMONTCG_API_KEY', path: 'pokemontcg.apiKey', type: 'string', secret: true },
+
+  // Feature flags per enricher
+  { env: 'FEATURE_WINE', path: 'features.wine', type: 'boolean', default: true },
+  { env: 'FEATURE_VINYL', path: 'features.vinyl', type: 'boolean', default: true },
+  { env: 'FEATURE_BOOK', path: 'features.book', type: 'boolean', default: true },
+  { env: 'FEATURE_POKEMON', path: 'features.pokemon', type: 'boolean', default: true },
+  { env: 'FEATURE_ART', path: 'features.art', type: 'boolean', default: true },
+  { env: 'FEATURE_VISION', path: 'features.vision', type: 'boolean', default: true }
+];
+
+// Credentials an integration cannot work without: { integration: [[config path, env name], ...] }
+const INTEGRATION_REQUIREMENTS = {
+  wine: [],
+  vinyl: [['discogs.apiKey', 'DISCOGS_API_KEY'], ['discogs.apiSecret', 'DISCOGS_API_SECRET']],
+  book: [],
+  pokemon: [],
+  art: [],
+  vision: [['googleVision.apiKey', 'GOOGLE_CLOUD_API_KEY']]
+};
+
+let cachedConfig = null;
+
+/**
+ * Thrown by loadConfig() when settings are invalid; `problems` lists every one
+ */
+class ConfigError extends Error {
+  /**
+   * @param {Array<string>} problems - e.g. ['MAX_IMAGE_BYTES must be an integer, got "15MB"']
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n- ${problems.join('\n- ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Parse one raw value
+ * @param {Object} setting - Entry of SETTINGS
+ * @param {string} raw - Trimmed, non-empty environment value
+ * @returns {Object} { value } or { error }
+ */
+function parseValue(setting, raw) {
+  const { env, type, min, max, values } = setting;
+
+  if (type === 'int' || type === 'number') {
+    const pattern = type === 'int' ? /^-?\d+$/ : /^-?(\d+\.?\d*|\.\d+)$/;
+    if (!pattern.test(raw)) {
+      return { error: `${env} must be ${type === 'int' ? 'an integer' : 'a number'}, got "${raw}"` };
+    }
+    const value = Number(raw);
+    if (min !== undefined && value < min) return { error: `${env} must be at least ${min}, got ${value}` };
+    if (max !== undefined && value > max) return { error: `${env} must be at most ${max}, got ${value}` };
+    return { value };
+  }
+
+  if (type === 'boolean') {
+    const value = BOOLEAN_VALUES[raw.toLowerCase()];
+    return value === undefined ? { error: `${env} must be true or false, got "${raw}"` } : { value };
+  }
+
+  if (type === 'enum') {
+    const value = raw.toLowerCase();
+    return values.includes(value) ? { value } : { error: `${env} must be one of ${values.join(', ')}, got "${raw}"` };
+  }
+
+  if (type === 'url') {
+    try {
+      const { protocol } = new URL(raw);
+      if (protocol === 'http:' || protocol === 'https:') return { value: raw };
+    } catch (error) {
+      // Reported below
+    }
+    return { error: `${env} must be an http(s) URL, got "${raw}"` };
+  }
+
+  if (type === 'list') {
+    const value = raw.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+    return value.length > 0 ? { value } : { value: setting.default };
+  }
+
+  if (type === 'rates') {
+    const value = {};
+    for (const entry of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+      const [host, rate] = entry.split('=').map(part => part.trim());
+      if (!host || !/^\d+$/.test(rate || '') || Number(rate) === 0) {
+        return { error: `${env} must be a list of host=requestsPerMinute, got "${entry}"` };
+      }
+      value[host.toLowerCase()] = Number(rate);
+    }
+    return { value };
+  }
+
+  return { value: raw };
+}
+
+/**
+ * Set a dotted path in an object, e.g. setPath(config, 'images.maxBytes', 1024)
+ * @param {Object} target
+ * @param {string} path
+ * @param {*} value
+ */
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+}
+
+/**
+ * Get a dotted path from an object
+ * @param {Object} source
+ * @param {string} path
+ * @returns {*}
+ */
+function getPath(source, path) {
+  return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), source);
+}
+
+/**
+ * Resolve provider, model and output mode of every model route:
+ * <NAME>_<ROUTE> first, then <NAME>, then the default
+ * @param {Object} env
+ * @param {Array<string>} problems - Collects invalid values
+ * @param {string} defaultProvider - Provider of routes without MODEL_PROVIDER
+ * @returns {Object} { route: { provider, model, outputMode } }
+ */
+function loadModelRoutes(env, problems, defaultProvider) {
+  return Object.fromEntries(Object.entries(MODEL_ROUTES).map(([route, defaultModel]) => {
+    const routeKey = route.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const read = name => {
+      const value = (env[`${name}_${routeKey}`] || env[name] || '').trim();
+      return value || null;
+    };
+
+    const provider = (read('MODEL_PROVIDER') || defaultProvider).toLowerCase();
+    const model = read('MODEL_NAME') || defaultModel;
+    let outputMode = (read('MODEL_OUTPUT_MODE') || 'json_schema').toLowerCase();
+    if (!OUTPUT_MODES.includes(outputMode)) {
+      problems.push(`MODEL_OUTPUT_MODE for route ${route} must be one of ${OUTPUT_MODES.join(', ')}, got "${outputMode}"`);
+      outputMode = 'json_schema';
+    }
+
+    return [route, { provider, model, outputMode }];
+  }));
+}
+
+/**
+ * Collect CACHE_TTL_<SOURCE> overrides
+ * @param {Object} env
+ * @param {Array<string>} problems - Collects invalid values
+ * @returns {Object} { source: seconds }, e.g. { discogs_pricing: 3600 }
+ */
+function loadCacheTtls(env, problems) {
+  const ttls = {};
+  Object.keys(env)
+    .filter(name => /^CACHE_TTL_[A-Z0-9_]+$/.test(name) && env[name].trim() !== '')
+    .forEach(name => {
+      const { value, error } = parseValue({ env: name, type: 'int', min: 0 }, env[name].trim());
+      if (error) problems.push(error);
+      else ttls[name.slice('CACHE_TTL_'.length).toLowerCase()] = value;
+    });
+  return ttls;
+}
+
+/**
+ * Which collector integrations are enabled, and why not
+ * @param {Object} config - Parsed settings
+ * @returns {Object} { integration: { enabled, reason } }
+ */
+function resolveIntegrations(config) {
+  return Object.fromEntries(Object.entries(INTEGRATION_REQUIREMENTS).map(([name, requirements]) => {
+    if (!config.features[name]) {
+      return [name, { enabled: false, reason: `disabled by FEATURE_${name.toUpperCase()}` }];
+    }
+    const missing = requirements.filter(([path]) => !getPath(config, path)).map(([, env]) => env);
+    if (missing.length > 0) {
+      return [name, { enabled: false, reason: `${missing.join(' and ')} not set` }];
+    }
+    return [name, { enabled: true, reason: null }];
+  }));
+}
+
+/**
+ * Read, validate and type all settings
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} Frozen config with `integrations` and `warnings`
+ * @throws {ConfigError} When a value is malformed or a model route lacks its credentials
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+  const config = {};
+
+  SETTINGS.forEach(setting => {
+    const raw = typeof env[setting.env] === 'string' ? env[setting.env].trim() : '';
+    if (raw === '') {
+      setPath(config, setting.path, setting.default !== undefined ? setting.default : null);
+      return;
+    }
+    const { value, error } = parseValue(setting, raw);
+    if (error) {
+      problems.push(error);
+      setPath(config, setting.path, setting.default !== undefined ? setting.default : null);
+    } else {
+      setPath(config, setting.path, value);
+    }
+  });
+
+  config.images.archivePrefix = config.images.archivePrefix.endsWith('/') ? config.images.archivePrefix : `${config.images.archivePrefix}/`;
+  config.model.routes = loadModelRoutes(env, problems, config.dev.enabled ? 'fixture' : 'openai');
+  config.cache.ttlSeconds = loadCacheTtls(env, problems);
+
+  // A model route without credentials would fail on every request
+  Object.entries(config.model.routes).forEach(([route, { provider }]) => {
+    if (provider === 'openai' && !config.model.openaiApiKey) {
+      problems.push(`OPENAI_API_KEY is required: route ${route} uses the openai provider`);
+    }
+    if (provider === 'openai-compatible' && !config.model.compatibleBaseUrl) {
+      problems.push(`OPENAI_COMPATIBLE_BASE_URL is required: route ${route} uses the openai-compatible provider`);
+    }
+  });
+
+  // Dev mode and the emulators bypass real authentication and storage
+  if (config.server.nodeEnv === 'production') {
+    if (config.dev.enabled) problems.push('DEV_MODE must not be enabled when NODE_ENV is production');
+    ['FIREBASE_AUTH_EMULATOR_HOST', 'FIREBASE_STORAGE_EMULATOR_HOST', 'FIRESTORE_EMULATOR_HOST']
+      .filter(name => env[name] && env[name].trim())
+      .forEach(name => problems.push(`${name} must not be set when NODE_ENV is production`));
+  }
+  if (config.dev.enabled && !config.dev.tokenSecret) {
+    problems.push('DEV_TOKEN_SECRET is required when DEV_MODE is enabled');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(Array.from(new Set(problems)));
+  }
+
+  config.integrations = resolveIntegrations(config);
+  config.warnings = Object.entries(config.integrations)
+    .filter(([name, { enabled }]) => !enabled && config.features[name])
+    .map(([name, { reason }]) => `${name} integration disabled: ${reason}`);
+  if (config.dev.enabled) {
+    config.warnings.push('DEV_MODE is enabled: dev tokens and local images are accepted');
+  }
+
+  return deepFreeze(config);
+}
+
+/**
+ * Freeze an object and all nested objects
+ * @param {Object} value
+ * @returns {Object} The same object
+ */
+function deepFreeze(value) {
+  Object.values(value).forEach(child => {
+    if (child && typeof child === 'object') deepFreeze(child);
+  });
+  return Object.freeze(value);
+}
+
+/**
+ * The config of this process, loaded from process.env on first use
+ * @returns {Object}
+ * @throws {ConfigError}
+ */
+function getConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig(process.env);
+  }
+  return cachedConfig;
+}
+
+/**
+ * Forget the loaded config, so the next getConfig() reads process.env again
+ */
+function resetConfig() {
+  cachedConfig = null;
+}
+
+/**
+ * Whether a collector integration is enabled (feature flag on and credentials present)
+ * @param {string} name - wine, vinyl, book, pokemon, art or vision
+ * @returns {boolean}
+ */
+function isIntegrationEnabled(name) {
+  const integration = getConfig().integrations[name];
+  return Boolean(integration && integration.enabled);
+}
+
+/**
+ * Settings for logging and diagnostics, with secrets replaced by "[set]"
+ * @param {Object} config
+ * @returns {Object} { ENV_NAME: value }
+ */
+function describeConfig(config) {
+  return Object.fromEntries(SETTINGS.map(setting => {
+    const value = getPath(config, setting.path);
+    if (setting.secret) return [setting.env, value ? '[set]' : null];
+    return [setting.env, value];
+  }));
+}
+
+module.exports = {
+  loadConfig,
+  getConfig,
+  resetConfig,
+  isIntegrationEnabled,
+  describeConfig,
+  ConfigError,
+  MODEL_ROUTES
+};
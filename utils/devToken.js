@@ -0,0 +1,107 @@
+/**
+ * Dev Token
+ *
+ * Signed ID tokens for local development (DEV_MODE), so the API can be used
+ * without a Firebase project. A dev token is
+ *   dev.<base64url JSON payload>.<base64url HMAC-SHA256 of "dev.<payload>" with DEV_TOKEN_SECRET>
+ * with the payload { uid, iat, exp }. Mint one with `npm run dev:token -- <uid>`.
+ */
+
+const crypto = require('crypto');
+
+const DEV_TOKEN_PREFIX = 'dev.';
+const DEFAULT_EXPIRES_IN_SECONDS = 24 * 60 * 60;
+
+/**
+ * Error for a dev token that is malformed, wrongly signed or expired.
+ * Codes follow firebase-admin's auth errors.
+ */
+class DevTokenError extends Error {
+  /**
+   * @param {string} code - 'auth/argument-error' or 'auth/id-token-expired'
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'DevTokenError';
+    this.code = code;
+  }
+}
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Whether a token has the dev token shape (it may still be invalid)
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isDevToken(token) {
+  return typeof token === 'string' && token.startsWith(DEV_TOKEN_PREFIX);
+}
+
+/**
+ * Create a dev token for a user
+ * @param {string} uid - User id the token authenticates
+ * @param {string} secret - DEV_TOKEN_SECRET
+ * @param {Object} options - { expiresInSeconds (default 24h), now (ms, for tests) }
+ * @returns {string}
+ */
+function createDevToken(uid, secret, { expiresInSeconds = DEFAULT_EXPIRES_IN_SECONDS, now = Date.now() } = {}) {
+  if (!uid) throw new TypeError('createDevToken requires a uid');
+  if (!secret) throw new TypeError('createDevToken requires DEV_TOKEN_SECRET');
+
+  const iat = Math.floor(now / 1000);
+  const payload = Buffer.from(JSON.stringify({ uid, iat, exp: iat + expiresInSeconds })).toString('base64url');
+  const data = `${DEV_TOKEN_PREFIX}${payload}`;
+  return `${data}.${sign(data, secret)}`;
+}
+
+/**
+ * Verify a dev token
+ * @param {string} token
+ * @param {string} secret - DEV_TOKEN_SECRET
+ * @param {Object} options - { now (ms, for tests) }
+ * @returns {Object} Decoded token shaped like firebase-admin's: { uid, user_id, iat, exp, firebase: { sign_in_provider: 'dev' } }
+ * @throws {DevTokenError}
+ */
+function verifyDevToken(token, secret, { now = Date.now() } = {}) {
+  const parts = isDevToken(token) ? token.split('.') : [];
+  if (parts.length !== 3 || !secret) {
+    throw new DevTokenError('auth/argument-error', 'Not a valid dev token');
+  }
+
+  const data = `${parts[0]}.${parts[1]}`;
+  const expected = Buffer.from(sign(data, secret));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new DevTokenError('auth/argument-error', 'Dev token signature does not match DEV_TOKEN_SECRET');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new DevTokenError('auth/argument-error', 'Dev token payload is not valid JSON');
+  }
+  if (!payload || typeof payload.uid !== 'string' || !payload.uid) {
+    throw new DevTokenError('auth/argument-error', 'Dev token has no uid');
+  }
+  if (!(payload.exp > now / 1000)) {
+    throw new DevTokenError('auth/id-token-expired', 'Dev token has expired');
+  }
+
+  return {
+    uid: payload.uid,
+    user_id: payload.uid,
+    iat: payload.iat,
+    exp: payload.exp,
+    firebase: { sign_in_provider: 'dev' }
+  };
+}
+
+module.exports = {
+  createDevToken,
+  verifyDevToken,
+  isDevToken,
+  DevTokenError
+};
@@ -0,0 +1,138 @@
+/**
+ * API Errors
+ *
+ * Typed errors with a stable machine-readable `code`, the HTTP `status` to
+ * answer with and a `retryable` flag, so clients can tell "try again later"
+ * (timeouts, rate limits, unavailable model or sources) from "fix the request
+ * or take a new photo" (invalid input, unsupported or unusable images).
+ *
+ * Services throw these errors or domain subclasses of them (ImageDownloadError,
+ * ModelError, SourceUnavailableError). Routes answer with formatApiError(toApiError(error)):
+ * unknown errors become INTERNAL_ERROR without their message, so raw provider or
+ * fetch messages are logged (as `cause`) but never returned to the client.
+ */
+
+// Statuses that are worth retrying without changing the request
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Base class of all API errors
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} code - Stable machine-readable code (e.g. 'IMAGE_TOO_LARGE')
+   * @param {string} message - Human-readable message, safe to return to the client
+   * @param {Object} options
+   * @param {number} options.status - HTTP status (default 500)
+   * @param {boolean} options.retryable - Default: true for 429, 502, 503 and 504
+   * @param {number|null} options.retryAfterMs - Suggested wait before retrying
+   * @param {Object|null} options.extra - Extra response fields (e.g. { validation_errors })
+   * @param {Error} options.cause - Underlying error (logged, not returned)
+   */
+  constructor(code, message, { status = 500, retryable = RETRYABLE_STATUSES.includes(status), retryAfterMs = null, extra = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+    this.extra = extra;
+  }
+}
+
+/**
+ * Define an ApiError subclass with a fixed HTTP status
+ * @param {string} name - Class name
+ * @param {number} status
+ * @returns {Function} class (code, message, options)
+ */
+function defineStatusError(name, status) {
+  const ErrorClass = class extends ApiError {
+    constructor(code, message, options = {}) {
+      super(code, message, { ...options, status });
+      this.name = name;
+    }
+  };
+  Object.defineProperty(ErrorClass, 'name', { value: name });
+  return ErrorClass;
+}
+
+const BadRequestError = defineStatusError('BadRequestError', 400);
+const AuthenticationError = defineStatusError('AuthenticationError', 401);
+const ForbiddenError = defineStatusError('ForbiddenError', 403);
+const NotFoundError = defineStatusError('NotFoundError', 404);
+const PayloadTooLargeError = defineStatusError('PayloadTooLargeError', 413);
+const UnsupportedMediaTypeError = defineStatusError('UnsupportedMediaTypeError', 415);
+const UnprocessableEntityError = defineStatusError('UnprocessableEntityError', 422);
+const TooManyRequestsError = defineStatusError('TooManyRequestsError', 429);
+const BadGatewayError = defineStatusError('BadGatewayError', 502);
+const ServiceUnavailableError = defineStatusError('ServiceUnavailableError', 503);
+const GatewayTimeoutError = defineStatusError('GatewayTimeoutError', 504);
+
+/**
+ * Request body that does not match the OpenAPI schema
+ */
+class ValidationError extends BadRequestError {
+  /**
+   * @param {Array<Object>} errors - [{ field, message }]
+   */
+  constructor(errors) {
+    super('VALIDATION_ERROR', errors.map(error => `${error.field} ${error.message}`).join('; '), { extra: { validation_errors: errors } });
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Convert any error to an ApiError. Body parser and upload errors get their own
+ * codes; anything else is an INTERNAL_ERROR with the original error as cause.
+ * @param {Error} error
+ * @returns {ApiError}
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  if (error && (error.type === 'entity.too.large' || error.code === 'LIMIT_FILE_SIZE')) {
+    return new PayloadTooLargeError('PAYLOAD_TOO_LARGE', 'Request body or uploaded image is too large', { cause: error });
+  }
+  if (error && error.type === 'entity.parse.failed') {
+    return new BadRequestError('INVALID_JSON', 'Request body is not valid JSON', { cause: error });
+  }
+  if (error && error.name === 'MulterError') {
+    return new BadRequestError('INVALID_UPLOAD', `Invalid image upload: ${error.message}`, { cause: error });
+  }
+
+  return new ApiError('INTERNAL_ERROR', 'An unexpected error occurred', { status: 500, cause: error });
+}
+
+/**
+ * Error fields of a response body
+ * @param {ApiError} error
+ * @returns {Object} { code, details, retryable, retry_after?, ...extra }
+ */
+function formatApiError(error) {
+  return {
+    code: error.code,
+    details: error.message,
+    retryable: error.retryable,
+    ...(error.retryAfterMs !== null && error.retryAfterMs !== undefined ? { retry_after: Math.max(1, Math.ceil(error.retryAfterMs / 1000)) } : {}),
+    ...(error.extra || {})
+  };
+}
+
+module.exports = {
+  ApiError,
+  BadRequestError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  UnprocessableEntityError,
+  TooManyRequestsError,
+  BadGatewayError,
+  ServiceUnavailableError,
+  GatewayTimeoutError,
+  ValidationError,
+  toApiError,
+  formatApiError
+};
@@ -0,0 +1,273 @@
+/**
+ * Image Header Parser
+ *
+ * Detects the real MIME type and pixel dimensions of an image by reading
+ * its container header only (no decoding). Supported formats:
+ * - JPEG (baseline, progressive and all other SOF variants)
+ * - PNG
+ * - GIF (87a / 89a)
+ * - WebP (lossy VP8, lossless VP8L and extended VP8X)
+ * - HEIC / HEIF / AVIF (ISO base media file format, via the `ispe` property)
+ */
+
+// JPEG Start-Of-Frame markers (C4 = DHT, C8 = JPG extension, CC = DAC are not frames)
+const JPEG_SOF_MARKERS = new Set([
+  0xC0, 0xC1, 0xC2, 0xC3,
+  0xC5, 0xC6, 0xC7,
+  0xC9, 0xCA, 0xCB,
+  0xCD, 0xCE, 0xCF
+]);
+
+const HEIF_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']);
+const AVIF_BRANDS = new Set(['avif', 'avis']);
+
+/**
+ * Parse JPEG dimensions by walking the marker segments up to the first SOF.
+ * @param {Buffer} buffer
+ * @returns {Object|null} { width, height } or null
+ */
+function parseJpeg(buffer) {
+  let offset = 2;
+
+  while (offset + 3 < buffer.length) {
+    if (buffer[offset] !== 0xFF) return null;
+
+    // Skip fill bytes (multiple 0xFF in a row are allowed)
+    let marker = buffer[offset + 1];
+    while (marker === 0xFF && offset + 2 < buffer.length) {
+      offset++;
+      marker = buffer[offset + 1];
+    }
+
+    // Standalone markers without a length field
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset += 2;
+      continue;
+    }
+
+    // Start of scan / end of image: no frame header found before image data
+    if (marker === 0xDA || marker === 0xD9) return null;
+
+    if (offset + 4 > buffer.length) return null;
+    const segmentLength = buffer.readUInt16BE(offset + 2);
+
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      if (offset + 9 > buffer.length) return null;
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7)
+      };
+    }
+
+    offset += 2 + segmentLength;
+  }
+
+  return null;
+}
+
+/**
+ * Parse PNG dimensions from the IHDR chunk.
+ * @param {Buffer} buffer
+ * @returns {Object|null}
+ */
+function parsePng(buffer) {
+  if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return {
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20)
+  };
+}
+
+/**
+ * Parse GIF logical screen dimensions.
+ * @param {Buffer} buffer
+ * @returns {Object|null}
+ */
+function parseGif(buffer) {
+  if (buffer.length < 10) return null;
+  return {
+    width: buffer.readUInt16LE(6),
+    height: buffer.readUInt16LE(8)
+  };
+}
+
+/**
+ * Parse WebP dimensions from the first chunk (VP8, VP8L or VP8X).
+ * @param {Buffer} buffer
+ * @returns {Object|null}
+ */
+function parseWebp(buffer) {
+  if (buffer.length < 30) return null;
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8 ') {
+    // Lossy: 3-byte frame tag, then start code 9D 01 2A, then 14-bit width/height
+    if (buffer[23] !== 0x9D || buffer[24] !== 0x01 || buffer[25] !== 0x2A) return null;
+    return {
+      width: buffer.readUInt16LE(26) & 0x3FFF,
+      height: buffer.readUInt16LE(28) & 0x3FFF
+    };
+  }
+
+  if (chunk === 'VP8L') {
+    // Lossless: signature 0x2F, then 14-bit width-1 and 14-bit height-1 packed LSB first
+    if (buffer[20] !== 0x2F) return null;
+    const b0 = buffer[21];
+    const b1 = buffer[22];
+    const b2 = buffer[23];
+    const b3 = buffer[24];
+    return {
+      width: 1 + (b0 | ((b1 & 0x3F) << 8)),
+      height: 1 + ((b1 >> 6) | (b2 << 2) | ((b3 & 0x0F) << 10))
+    };
+  }
+
+  if (chunk === 'VP8X') {
+    // Extended: 24-bit canvas width-1 and height-1
+    return {
+      width: 1 + buffer.readUIntLE(24, 3),
+      height: 1 + buffer.readUIntLE(27, 3)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Iterate over ISO BMFF boxes in a byte range.
+ * @param {Buffer} buffer
+ * @param {number} start
+ * @param {number} end
+ * @returns {Array<Object>} [{ type, start, end }] where start is the payload offset
+ */
+function readBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      // 64-bit largesize
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      // Box extends to end of file
+      size = end - offset;
+    }
+
+    if (size < headerSize) break;
+
+    boxes.push({ type, start: offset + headerSize, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Parse HEIF/AVIF dimensions from meta > iprp > ipco > ispe.
+ * When several `ispe` properties exist (thumbnails, tiles) the largest is used.
+ * @param {Buffer} buffer
+ * @returns {Object|null}
+ */
+function parseHeif(buffer) {
+  const meta = readBoxes(buffer, 0, buffer.length).find(b => b.type === 'meta');
+  if (!meta) return null;
+
+  // meta is a FullBox: skip 4 bytes version/flags
+  const iprp = readBoxes(buffer, meta.start + 4, meta.end).find(b => b.type === 'iprp');
+  if (!iprp) return null;
+
+  const ipco = readBoxes(buffer, iprp.start, iprp.end).find(b => b.type === 'ipco');
+  if (!ipco) return null;
+
+  let best = null;
+  readBoxes(buffer, ipco.start, ipco.end)
+    .filter(b => b.type === 'ispe' && b.end - b.start >= 12)
+    .forEach(b => {
+      // ispe is a FullBox: version/flags, then 32-bit width and height
+      const width = buffer.readUInt32BE(b.start + 4);
+      const height = buffer.readUInt32BE(b.start + 8);
+      if (!best || width * height > best.width * best.height) {
+        best = { width, height };
+      }
+    });
+
+  return best;
+}
+
+/**
+ * Determine the MIME type of an ISO BMFF image from its ftyp box.
+ * @param {Buffer} buffer
+ * @returns {string|null} 'image/avif', 'image/heic' or null
+ */
+function detectHeifMimeType(buffer) {
+  if (buffer.length < 16 || buffer.toString('ascii', 4, 8) !== 'ftyp') return null;
+
+  const ftypSize = buffer.readUInt32BE(0);
+  const brands = [buffer.toString('ascii', 8, 12)];
+  // Compatible brands follow the major brand and minor version
+  for (let i = 16; i + 4 <= Math.min(ftypSize, buffer.length); i += 4) {
+    brands.push(buffer.toString('ascii', i, i + 4));
+  }
+
+  if (brands.some(b => AVIF_BRANDS.has(b))) return 'image/avif';
+  if (brands.some(b => HEIF_BRANDS.has(b))) return 'image/heic';
+  return null;
+}
+
+/**
+ * Detect MIME type only, based on magic bytes.
+ * @param {Buffer} buffer - Raw image bytes (at least the first 32 bytes)
+ * @returns {string|null} MIME type or null if not a supported image format
+ */
+function detectImageMimeType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+  if (buffer.readUInt32BE(0) === 0x89504E47 && buffer.readUInt32BE(4) === 0x0D0A1A0A) return 'image/png';
+  if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') return 'image/gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return detectHeifMimeType(buffer);
+}
+
+/**
+ * Parse an image header and return its MIME type and dimensions.
+ * @param {Buffer|string} input - Raw image bytes or base64 string (no data: prefix)
+ * @returns {Object|null} { mimeType, width, height } or null if the format is not recognised.
+ *   width/height are null when the format is recognised but the header is truncated.
+ */
+function parseImageHeader(input) {
+  const buffer = Buffer.isBuffer(input) ? input : Buffer.from(input, 'base64');
+  const mimeType = detectImageMimeType(buffer);
+  if (!mimeType) return null;
+
+  let dimensions = null;
+  try {
+    switch (mimeType) {
+      case 'image/jpeg': dimensions = parseJpeg(buffer); break;
+      case 'image/png': dimensions = parsePng(buffer); break;
+      case 'image/gif': dimensions = parseGif(buffer); break;
+      case 'image/webp': dimensions = parseWebp(buffer); break;
+      default: dimensions = parseHeif(buffer);
+    }
+  } catch (error) {
+    // Truncated or corrupt header — report the type without dimensions
+    dimensions = null;
+  }
+
+  return {
+    mimeType,
+    width: dimensions?.width || null,
+    height: dimensions?.height || null
+  };
+}
+
+module.exports = {
+  detectImageMimeType,
+  parseImageHeader
+};
@@ -0,0 +1,136 @@
+/**
+ * Item Merging Utilities
+ *
+ * Merges the item lists of several photos of the same shelf or room into a
+ * single inventory. Overlapping photos show the same physical item more than
+ * once, so identified collector items are de-duplicated on their external ID
+ * (Discogs release, ISBN, pokemontcg.io card, museum URL, wine name + vintage).
+ *
+ * Everything else is kept as is: a name is no evidence that two photos show
+ * the same item (two "Chair" items may well be two chairs, and every
+ * unidentified record is called "Vinyl Record"), and an inventory must not
+ * lose items silently.
+ */
+
+/**
+ * Normalize a name for comparison (lowercase, collapse whitespace, strip punctuation).
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  if (!name) return '';
+  return String(name)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the external identity of an enriched collector item.
+ * @param {Object} item - Enriched item
+ * @returns {string|null} Identity or null if the item was not identified
+ */
+function getCollectorIdentity(item) {
+  const data = item.collector_data;
+  if (!data) return null;
+
+  switch (item.collector_category) {
+    case 'vinyl':
+      return data.discogs_id ? String(data.discogs_id) : null;
+    case 'book':
+      return data.isbn_13 || data.isbn_10 || data.google_books_id || data.open_library_url || null;
+    case 'pokemon':
+      return data.pokemontcg_id || null;
+    case 'art':
+      return data.museum_url || data.wikipedia_url || null;
+    case 'wine':
+      return data.wine_name ? `${normalizeName(data.wine_name)}|${data.vintage || ''}` : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the de-duplication key for an item.
+ * @param {Object} item - Enriched item
+ * @returns {string|null} Key, or null if the item must not be merged (general and unidentified items)
+ */
+function getItemDedupKey(item) {
+  if (!item.collector_category) return null;
+
+  const identity = getCollectorIdentity(item);
+  return identity ? `${item.collector_category}:${identity}` : null;
+}
+
+/**
+ * Merge items from multiple images into one de-duplicated list.
+ * The occurrence with the highest accuracy is kept; quantity is the maximum
+ * seen in a single photo (the same items photographed twice are not summed);
+ * tags are unioned. Every merged item gets `source_images` provenance; the
+ * region of each occurrence moves there, since it only applies to its own photo.
+ * @param {Array<Object>} imageResults - [{ image_index, items: [...] }]
+ * @returns {Object} { items, duplicates_merged }
+ */
+function mergeItemsAcrossImages(imageResults) {
+  const merged = [];
+  const indexByKey = new Map();
+  let duplicatesMerged = 0;
+
+  imageResults.forEach(({ image_index: imageIndex, items }) => {
+    (items || []).forEach(({ region = null, ...item }, itemIndex) => {
+      const source = { image_index: imageIndex, item_index: itemIndex, region };
+      const key = getItemDedupKey(item);
+
+      if (!key || !indexByKey.has(key)) {
+        if (key) indexByKey.set(key, merged.length);
+        merged.push({ ...item, source_images: [source] });
+        return;
+      }
+
+      duplicatesMerged++;
+      const existingIndex = indexByKey.get(key);
+      const existing = merged[existingIndex];
+      const best = (item.accuracy || 0) > (existing.accuracy || 0) ? item : existing;
+
+      merged[existingIndex] = {
+        ...best,
+        quantity: Math.max(existing.quantity || 1, item.quantity || 1),
+        tags: Array.from(new Set([...(existing.tags || []), ...(item.tags || [])])),
+        source_images: [...existing.source_images, source]
+      };
+    });
+  });
+
+  return { items: merged, duplicates_merged: duplicatesMerged };
+}
+
+/**
+ * Sum token usage objects from several model calls.
+ * Numeric fields are added; nested objects (e.g. image_compression) are left out.
+ * @param {Array<Object>} usages - token_usage objects
+ * @returns {Object} Combined token usage
+ */
+function combineTokenUsage(usages) {
+  const combined = {
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    input_tokens: 0,
+    output_tokens: 0
+  };
+
+  usages.filter(Boolean).forEach(usage => {
+    Object.keys(combined).forEach(key => {
+      if (typeof usage[key] === 'number') combined[key] += usage[key];
+    });
+  });
+
+  return combined;
+}
+
+module.exports = {
+  getItemDedupKey,
+  mergeItemsAcrossImages,
+  combineTokenUsage
+};
@@ -0,0 +1,113 @@
+/**
+ * Item Region Utilities
+ *
+ * Where an item is in the photo, as reported by the model. Two coarse forms
+ * are accepted, so the model never has to produce pixel-exact boxes:
+ * - box: { x_min, y_min, x_max, y_max } as fractions 0–1 of the image
+ *   width/height, origin top-left (percentages 0–100 are accepted too)
+ * - grid_cell: cell of a 3x3 grid, columns A–C left to right, rows 1–3 top
+ *   to bottom ("B2" is the center)
+ *
+ * normalizeRegion() validates and clamps either form into
+ *   { box: { x, y, width, height }, grid_cell, source: 'box' | 'grid' }
+ * A box wins over the grid cell; the grid cell is derived from the box center
+ * when missing. Unusable regions become null with a warning.
+ */
+
+const GRID_COLUMNS = ['A', 'B', 'C'];
+const GRID_ROWS = 3;
+const GRID_CELLS = GRID_COLUMNS.flatMap(column => Array.from({ length: GRID_ROWS }, (_, row) => `${column}${row + 1}`));
+
+// A box thinner than this (fraction of the image) is treated as a model error
+const MIN_BOX_SIZE = 0.02;
+
+const round = value => Math.round(value * 1000) / 1000;
+const clamp = value => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Box of a grid cell
+ * @param {string} cell - e.g. "B2"
+ * @returns {Object} { x, y, width, height }
+ */
+function gridCellToBox(cell) {
+  const column = GRID_COLUMNS.indexOf(cell[0]);
+  const row = parseInt(cell.slice(1)) - 1;
+  const size = 1 / GRID_COLUMNS.length;
+  return { x: round(column * size), y: round(row / GRID_ROWS), width: round(size), height: round(1 / GRID_ROWS) };
+}
+
+/**
+ * Grid cell that contains the center of a box
+ * @param {Object} box - { x, y, width, height }
+ * @returns {string} e.g. "A3"
+ */
+function boxToGridCell(box) {
+  const column = Math.min(Math.floor((box.x + box.width / 2) * GRID_COLUMNS.length), GRID_COLUMNS.length - 1);
+  const row = Math.min(Math.floor((box.y + box.height / 2) * GRID_ROWS), GRID_ROWS - 1);
+  return `${GRID_COLUMNS[column]}${row + 1}`;
+}
+
+/**
+ * Validate and clamp a model box
+ * @param {*} box - { x_min, y_min, x_max, y_max }
+ * @returns {Object} { box, warning } — box is null when unusable
+ */
+function normalizeBox(box) {
+  if (box === null || box === undefined) return { box: null, warning: null };
+  if (typeof box !== 'object' || Array.isArray(box)) return { box: null, warning: 'box is not an object' };
+
+  let values = ['x_min', 'y_min', 'x_max', 'y_max'].map(key => (typeof box[key] === 'number' && Number.isFinite(box[key]) ? box[key] : null));
+  if (values.includes(null)) return { box: null, warning: 'box needs numeric x_min, y_min, x_max and y_max' };
+
+  if (values.some(value => value > 1)) {
+    if (values.some(value => value > 100)) return { box: null, warning: 'box coordinates must be fractions of the image size' };
+    values = values.map(value => value / 100);
+  }
+
+  const [x1, y1, x2, y2] = values.map(clamp);
+  const x = Math.min(x1, x2);
+  const y = Math.min(y1, y2);
+  const width = Math.abs(x2 - x1);
+  const height = Math.abs(y2 - y1);
+  if (width < MIN_BOX_SIZE || height < MIN_BOX_SIZE) {
+    return { box: null, warning: 'box is too small' };
+  }
+
+  return { box: { x: round(x), y: round(y), width: round(width), height: round(height) }, warning: null };
+}
+
+/**
+ * Validate and normalize the region of a detected item
+ * @param {*} region - Region as returned by the model ({ grid_cell, box } or null)
+ * @returns {Object} { region, warnings } — region is null when neither form is usable
+ */
+function normalizeRegion(region) {
+  if (region === null || region === undefined) return { region: null, warnings: [] };
+  if (typeof region !== 'object' || Array.isArray(region)) return { region: null, warnings: ['region is not an object'] };
+
+  const warnings = [];
+  const { box, warning } = normalizeBox(region.box);
+  if (warning) warnings.push(warning);
+
+  let gridCell = null;
+  if (typeof region.grid_cell === 'string' && region.grid_cell.trim()) {
+    const cell = region.grid_cell.trim().toUpperCase();
+    if (GRID_CELLS.includes(cell)) gridCell = cell;
+    else warnings.push(`unknown grid_cell "${region.grid_cell}"`);
+  }
+
+  if (box) {
+    return { region: { box, grid_cell: gridCell || boxToGridCell(box), source: 'box' }, warnings };
+  }
+  if (gridCell) {
+    return { region: { box: gridCellToBox(gridCell), grid_cell: gridCell, source: 'grid' }, warnings };
+  }
+  return { region: null, warnings };
+}
+
+module.exports = {
+  GRID_CELLS,
+  normalizeRegion,
+  gridCellToBox,
+  boxToGridCell
+};
@@ -0,0 +1,196 @@
+/**
+ * Item Validation Utilities
+ *
+ * Checks detected items against the item schema from the prompt registry
+ * and normalizes them, so downstream enrichment never sees malformed data:
+ * - Numeric strings are coerced ("25,50" → 25.5, "1,200" and "1.200" → 1200, "2" → 2)
+ * - accuracy is clamped to 0–1 (percentages such as 95 become 0.95)
+ * - quantity is rounded and clamped to 1–MAX_QUANTITY
+ * - Unknown item_type becomes "general", collector_details gets every field
+ * - Invalid follow-up questions are removed
+ * - region is validated and clamped (utils/itemRegion), or null
+ * - Items without a usable name are dropped
+ * Dropped items and clamped values are reported as warnings.
+ */
+
+const { getCollectorFields, getFollowupFields, getItemTypes } = require('../prompts/itemPrompts');
+const { normalizeRegion } = require('./itemRegion');
+
+const MAX_QUANTITY = 1000;
+const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Coerce a number or numeric string to a finite number
+ * @param {*} value
+ * @returns {number|null} Number, or null if not numeric
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  let cleaned = value.replace(/[€$£\s]/g, '');
+  if (/^-?[1-9]\d{0,2}(\.\d{3})+(,\d{1,2})?$/.test(cleaned)) {
+    // Dutch/EUR notation: dots group thousands, a comma separates decimals ("1.200", "1.200,50")
+    cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+  } else {
+    // A single comma followed by 1-2 digits is a decimal comma ("25,50");
+    // any other comma is a thousands separator ("1,200", "1,200,000", "1,200.50")
+    cleaned = /^[^,.]*,\d{1,2}$/.test(cleaned) ? cleaned.replace(',', '.') : cleaned.replace(/,/g, '');
+  }
+  if (!/^-?\d+(\.\d+)?$/.test(cleaned)) return null;
+  return parseFloat(cleaned);
+}
+
+/**
+ * Normalize collector_details to contain every registry field with the right type
+ * @param {*} details
+ * @returns {Object}
+ */
+function normalizeCollectorDetails(details) {
+  const source = details && typeof details === 'object' && !Array.isArray(details) ? details : {};
+
+  return Object.fromEntries(getCollectorFields().map(([name, field]) => {
+    const value = source[name];
+    if (value === null || value === undefined || value === '') return [name, null];
+
+    if (field.type === 'integer') {
+      const number = toNumber(value);
+      return [name, number === null ? null : Math.round(number)];
+    }
+    return [name, typeof value === 'string' ? value : String(value)];
+  }));
+}
+
+/**
+ * Keep only follow-up questions with an allowed field and a question text
+ * @param {*} questions
+ * @returns {Array<Object>}
+ */
+function normalizeFollowupQuestions(questions) {
+  if (!Array.isArray(questions)) return [];
+  const allowedFields = getFollowupFields();
+
+  return questions
+    .filter(q => q && allowedFields.includes(q.field) && typeof q.question === 'string' && q.question.trim())
+    .map(q => ({
+      field: q.field,
+      question: q.question.trim(),
+      priority: PRIORITIES.includes(q.priority) ? q.priority : 'medium'
+    }));
+}
+
+/**
+ * Validate and normalize a single item
+ * @param {*} item - Item as returned by the model
+ * @param {number} index - Position in the model output (for warnings)
+ * @returns {Object} { item, warnings } — item is null when it was dropped
+ */
+function validateItem(item, index = 0) {
+  const warnings = [];
+  const label = `Item ${index}`;
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { item: null, warnings: [`${label} dropped: not an object`] };
+  }
+
+  const name = typeof item.name === 'string' ? item.name.trim() : '';
+  if (!name) {
+    return { item: null, warnings: [`${label} dropped: missing name`] };
+  }
+
+  let accuracy = toNumber(item.accuracy);
+  if (accuracy === null) {
+    warnings.push(`${label} ("${name}"): invalid accuracy, set to 0`);
+    accuracy = 0;
+  } else if (accuracy > 1 && accuracy <= 100) {
+    accuracy = accuracy / 100;
+  } else if (accuracy < 0 || accuracy > 1) {
+    warnings.push(`${label} ("${name}"): accuracy ${accuracy} clamped to 0–1`);
+    accuracy = Math.min(Math.max(accuracy, 0), 1);
+  }
+
+  let quantity = toNumber(item.quantity);
+  if (quantity === null) {
+    quantity = 1;
+  } else {
+    const rounded = Math.min(Math.max(Math.round(quantity), 1), MAX_QUANTITY);
+    if (rounded !== quantity) {
+      warnings.push(`${label} ("${name}"): quantity ${quantity} clamped to ${rounded}`);
+    }
+    quantity = rounded;
+  }
+
+  let estimatedValue = toNumber(item.estimated_value);
+  if (estimatedValue === null || estimatedValue < 0) {
+    if (item.estimated_value !== undefined && item.estimated_value !== null) {
+      warnings.push(`${label} ("${name}"): invalid estimated_value, set to 0`);
+    }
+    estimatedValue = 0;
+  }
+
+  let itemType = typeof item.item_type === 'string' ? item.item_type.toLowerCase() : 'general';
+  if (!getItemTypes().includes(itemType)) {
+    warnings.push(`${label} ("${name}"): unknown item_type "${item.item_type}", using "general"`);
+    itemType = 'general';
+  }
+
+  let tags = [];
+  if (Array.isArray(item.tags)) {
+    tags = item.tags.filter(t => typeof t === 'string' && t.trim()).map(t => t.trim());
+  } else if (typeof item.tags === 'string') {
+    tags = item.tags.split(',').map(t => t.trim()).filter(Boolean);
+  }
+
+  const { region, warnings: regionWarnings } = normalizeRegion(item.region);
+  regionWarnings.forEach(warning => warnings.push(`${label} ("${name}"): ${warning}${region ? '' : ', region dropped'}`));
+
+  return {
+    item: {
+      ...item,
+      name,
+      description: typeof item.description === 'string' ? item.description : '',
+      estimated_value: estimatedValue,
+      quantity,
+      accuracy,
+      item_type: itemType,
+      tags,
+      collector_details: normalizeCollectorDetails(item.collector_details),
+      followup_questions: normalizeFollowupQuestions(item.followup_questions),
+      region
+    },
+    warnings
+  };
+}
+
+/**
+ * Validate a list of items, dropping malformed ones
+ * @param {*} items - Items array from the model
+ * @returns {Object} { items, warnings, dropped }
+ */
+function validateItems(items) {
+  if (!Array.isArray(items)) {
+    return { items: [], warnings: ['Model output has no items array'], dropped: 0 };
+  }
+
+  const valid = [];
+  const warnings = [];
+  let dropped = 0;
+
+  items.forEach((raw, index) => {
+    const { item, warnings: itemWarnings } = validateItem(raw, index);
+    warnings.push(...itemWarnings);
+    if (item) {
+      valid.push(item);
+    } else {
+      dropped++;
+    }
+  });
+
+  return { items: valid, warnings, dropped };
+}
+
+module.exports = {
+  validateItem,
+  validateItems,
+  toNumber
+};
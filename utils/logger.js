@@ -0,0 +1,221 @@
+/**
+ * Structured Logger
+ *
+ * Writes one JSON object per line:
+ *   { "time", "level", "severity", "component", "msg", "request_id", "user_id", ...fields }
+ *
+ * The request id (and user id, once authenticated) is taken from the request
+ * context started by runWithRequestContext(), so every log line written while
+ * handling a request - including collector enrichment, external API calls and
+ * async jobs - carries the same request_id without passing it around.
+ *
+ * Log arguments work like console.log: strings and numbers are appended to the
+ * message, plain objects become fields and Errors become an `error` field.
+ * Everything is redacted before it is written: credentials (tokens, API keys,
+ * secrets, authorization headers), key/secret query parameters and image data
+ * (data URIs, long base64 strings, Buffers). Long strings are truncated.
+ *
+ * Configuration:
+ * - LOG_LEVEL: debug | info (default) | warn | error | silent
+ * - LOG_FORMAT: json (default) | pretty (single readable line, for local development)
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+// Google Cloud Logging reads `severity` from JSON log lines
+const SEVERITIES = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+
+const MAX_STRING_LENGTH = 2000;
+const MAX_DEPTH = 5;
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged (input_tokens etc. do not match: plural)
+const SENSITIVE_KEY = /(authorization|cookie|password|passwd|secret|token|api_?key|private_?key|^key)$/i;
+
+const STRING_REDACTIONS = [
+  // Image data URIs
+  [/data:([\w/+.-]+);base64,[A-Za-z0-9+/=]+/g, (match, mimeType) => `data:${mimeType};base64,[${match.length} chars]`],
+  // Raw base64 (image data); long enough not to hit ids and hashes
+  [/[A-Za-z0-9+/]{200,}={0,2}/g, match => `[base64 ${match.length} chars]`],
+  // Bearer tokens
+  [/(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, `$1${REDACTED}`],
+  // Credentials in query strings and headers, e.g. ?key=..., token=..., "Discogs key=..., secret=..."
+  [/\b(key|api_?key|token|access_token|secret|consumer_key|consumer_secret|password)=[^&\s,"']+/gi, `$1=${REDACTED}`]
+];
+
+const requestContext = new AsyncLocalStorage();
+
+function getLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] !== undefined ? LEVELS[level] : LEVELS.info;
+}
+
+/**
+ * Redact credentials and image data from a string
+ * @param {string} value
+ * @returns {string}
+ */
+function redactString(value) {
+  let redacted = STRING_REDACTIONS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+  if (redacted.length > MAX_STRING_LENGTH) {
+    redacted = `${redacted.slice(0, MAX_STRING_LENGTH)}...[truncated ${redacted.length - MAX_STRING_LENGTH} chars]`;
+  }
+  return redacted;
+}
+
+/**
+ * Serialize an Error for logging
+ * @param {Error} error
+ * @returns {Object} { name, message, code?, status?, retryable?, cause?, stack? }
+ */
+function serializeError(error) {
+  const serialized = { name: error.name, message: redactString(String(error.message)) };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.status !== undefined) serialized.status = error.status;
+  if (error.retryable !== undefined) serialized.retryable = error.retryable;
+  // The underlying (provider, fetch) error of a typed API error
+  if (error.cause instanceof Error) serialized.cause = serializeError(error.cause);
+  if (error.stack && getLevel() <= LEVELS.debug) serialized.stack = redactString(error.stack);
+  return serialized;
+}
+
+/**
+ * Deep-copy a value with credentials and image data redacted
+ * @param {*} value
+ * @param {number} depth
+ * @param {WeakSet} seen - Guards against circular references
+ * @returns {*}
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' || typeof value === 'symbol' ? undefined : value;
+  }
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(entry => redact(entry, depth + 1, seen));
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    result[key] = SENSITIVE_KEY.test(key) && entry !== null && entry !== undefined && entry !== ''
+      ? REDACTED
+      : redact(entry, depth + 1, seen);
+  });
+  return result;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Turn console-style arguments into a message and fields
+ * @param {Array<*>} args
+ * @returns {Object} { msg, fields }
+ */
+function formatArgs(args) {
+  const parts = [];
+  const fields = {};
+
+  args.forEach(arg => {
+    if (arg instanceof Error) {
+      fields.error = arg;
+    } else if (isPlainObject(arg)) {
+      Object.assign(fields, arg);
+    } else if (typeof arg === 'string') {
+      parts.push(arg);
+    } else if (arg !== undefined) {
+      const redacted = redact(arg);
+      parts.push(typeof redacted === 'string' ? redacted : JSON.stringify(redacted));
+    }
+  });
+
+  return { msg: redactString(parts.join(' ').replace(/:$/, '')), fields: redact(fields) };
+}
+
+function write(level, component, args) {
+  if (LEVELS[level] < getLevel()) return;
+
+  const { msg, fields } = formatArgs(args);
+  const context = requestContext.getStore() || {};
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    severity: SEVERITIES[level],
+    component,
+    msg,
+    ...context,
+    ...fields
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if ((process.env.LOG_FORMAT || 'json').toLowerCase() === 'pretty') {
+    const { time, level: entryLevel, severity, component: entryComponent, msg: entryMsg, ...rest } = entry;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${entryLevel.toUpperCase()} [${entryComponent}] ${entryMsg}${extra}\n`);
+    return;
+  }
+
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Create a logger for a component
+ * @param {string} component - e.g. 'Discogs', 'Art/Met'
+ * @returns {Object} { debug, info, warn, error, child }
+ */
+function createLogger(component) {
+  return {
+    debug: (...args) => write('debug', component, args),
+    info: (...args) => write('info', component, args),
+    warn: (...args) => write('warn', component, args),
+    error: (...args) => write('error', component, args),
+    child: (subcomponent) => createLogger(`${component}/${subcomponent}`)
+  };
+}
+
+/**
+ * Run a function in a request context; log lines written inside it (also from
+ * promises it starts) carry the context fields
+ * @param {Object} context - e.g. { request_id }
+ * @param {Function} fn
+ * @returns {*} Result of fn
+ */
+function runWithRequestContext(context, fn) {
+  return requestContext.run({ ...context }, fn);
+}
+
+/**
+ * Add fields to the current request context (e.g. user_id after authentication)
+ * @param {Object} fields
+ */
+function addRequestContext(fields) {
+  const context = requestContext.getStore();
+  if (context) Object.assign(context, fields);
+}
+
+/**
+ * Request id of the current request context
+ * @returns {string|null}
+ */
+function getRequestId() {
+  const context = requestContext.getStore();
+  return context ? context.request_id : null;
+}
+
+module.exports = {
+  createLogger,
+  runWithRequestContext,
+  addRequestContext,
+  getRequestId,
+  redact
+};
@@ -0,0 +1,215 @@
+/**
+ * Schema Validator
+ *
+ * Validates values against the JSON Schema subset used in the OpenAPI document
+ * (services/apiSpec.js): type (also as an array of types), enum, pattern,
+ * minLength/maxLength, minimum/maximum, format "uri", items, minItems/maxItems,
+ * properties, required, additionalProperties, oneOf with a discriminator,
+ * and local $refs ("#/components/schemas/...").
+ *
+ * With `coerce`, strings from form fields and query parameters are converted to
+ * the schema type first: "true"/"false"/"1"/"0" to booleans, numeric strings to
+ * numbers, and JSON arrays or comma-separated lists to arrays.
+ */
+
+const { isBooleanFlagString, parseBooleanFlag } = require('./booleanFlag');
+
+/**
+ * Resolve a local $ref
+ * @param {Object} schema
+ * @param {Object} root - Document the $ref points into
+ * @returns {Object}
+ */
+function resolveRef(schema, root) {
+  if (!schema || !schema.$ref) return schema;
+  const resolved = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), root);
+  if (!resolved) {
+    throw new Error(`Unresolvable $ref ${schema.$ref}`);
+  }
+  return resolveRef(resolved, root);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Convert a form/query string to the schema type, if possible
+ * @param {*} value
+ * @param {Array<string>} types
+ * @returns {*}
+ */
+function coerceValue(value, types) {
+  if (typeof value !== 'string' || types.includes('string')) return value;
+
+  if (types.includes('boolean') && isBooleanFlagString(value)) {
+    return parseBooleanFlag(value);
+  }
+  if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('array')) {
+    if (value.trim().startsWith('[')) {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    }
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+  }
+  return value;
+}
+
+function formatPath(path) {
+  return path || 'body';
+}
+
+/**
+ * Validate a value
+ * @param {*} value
+ * @param {Object} schema
+ * @param {Object} options
+ * @param {Object} options.root - Document for $refs (default: schema)
+ * @param {boolean} options.coerce - Convert form/query strings to the schema type
+ * @param {string} options.path - Path of the value, used in error messages
+ * @returns {Object} { valid, errors: Array<{ field, message }>, value } (value includes coercions)
+ */
+function validateSchema(value, schema, { root = schema, coerce = false, path = '' } = {}) {
+  const errors = [];
+  const result = validateNode(value, schema, { root, coerce }, path, errors);
+  return { valid: errors.length === 0, errors, value: result };
+}
+
+function validateNode(value, rawSchema, options, path, errors) {
+  const schema = resolveRef(rawSchema, options.root);
+  const addError = (message) => errors.push({ field: formatPath(path), message });
+
+  if (schema.oneOf) {
+    return validateOneOf(value, schema, options, path, errors);
+  }
+
+  const types = schema.type ? [].concat(schema.type) : [];
+  if (options.coerce && types.length > 0) {
+    value = coerceValue(value, types);
+  }
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    addError(`must be of type ${types.join(' or ')}`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    addError(`must be one of: ${schema.enum.join(', ')}`);
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) addError(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) addError(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) addError(`must match pattern ${schema.pattern}`);
+    if (schema.format === 'uri' && !isAbsoluteUrl(value)) addError('must be an absolute URL');
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) addError(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) addError(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) addError(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) addError(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value = value.map((entry, index) => validateNode(entry, schema.items, options, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    value = validateObject(value, schema, options, path, errors);
+  }
+
+  return value;
+}
+
+function validateObject(value, schema, options, path, errors) {
+  const properties = schema.properties || {};
+  const result = { ...value };
+  const childPath = key => (path ? `${path}.${key}` : key);
+
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined || value[key] === null || value[key] === '') {
+      errors.push({ field: childPath(key), message: 'is required' });
+    }
+  });
+
+  Object.entries(value).forEach(([key, entry]) => {
+    if (entry === undefined) return;
+    if (properties[key]) {
+      result[key] = validateNode(entry, properties[key], options, childPath(key), errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push({ field: childPath(key), message: `is not allowed${Object.keys(properties).length > 0 ? ` (allowed: ${Object.keys(properties).join(', ')})` : ''}` });
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      result[key] = validateNode(entry, schema.additionalProperties, options, childPath(key), errors);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * oneOf: with a discriminator the branch is picked by the discriminator property,
+ * otherwise the value must match exactly one branch
+ */
+function validateOneOf(value, schema, options, path, errors) {
+  const { discriminator } = schema;
+  if (discriminator && typeOf(value) === 'object') {
+    const propertyName = discriminator.propertyName;
+    const mapping = discriminator.mapping || {};
+    const key = value[propertyName];
+    const field = path ? `${path}.${propertyName}` : propertyName;
+
+    if (key === undefined || key === null || key === '') {
+      errors.push({ field, message: 'is required' });
+      return value;
+    }
+    if (!mapping[key]) {
+      errors.push({ field, message: `must be one of: ${Object.keys(mapping).join(', ')}` });
+      return value;
+    }
+    return validateNode(value, { $ref: mapping[key] }, options, path, errors);
+  }
+
+  const attempts = schema.oneOf.map(branch => {
+    const branchErrors = [];
+    const branchValue = validateNode(value, branch, options, path, branchErrors);
+    return { branchErrors, branchValue };
+  });
+  const matches = attempts.filter(attempt => attempt.branchErrors.length === 0);
+  if (matches.length === 1) {
+    return matches[0].branchValue;
+  }
+
+  errors.push({ field: formatPath(path), message: matches.length === 0 ? 'does not match any allowed shape' : 'matches more than one allowed shape' });
+  return value;
+}
+
+function isAbsoluteUrl(value) {
+  try {
+    return Boolean(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  validateSchema,
+  resolveRef
+};
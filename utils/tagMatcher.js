@@ -5,18 +5,20 @@
  * and determining enrichment requirements
  */
 
-const SYSTEM_TAGS = {
-  wine: ['wine', 'wijn', 'vin', 'vino', 'wein'],
-  vinyl: ['vinyl', 'plaat', 'lp', 'record', 'album', 'schijf'],
-  book: ['book', 'boek', 'livre', 'libro', 'buch', 'novel', 'roman'],
-  pokemon: ['pokemon', 'pokémon', 'pokemonkaart', 'pokemon card', 'tcg', 'trading card'],
-  art: ['art', 'kunst', 'kunstwerk', 'schilderij', 'painting', 'print', 'artwork', 'poster']
-};
+const { getCollectors, getCollector, findCollectorByTags } = require('../services/collectorRegistry');
+
+/**
+ * System tags per collector category, as registered in the collector registry
+ * @returns {Object} e.g. { wine: ['wine', 'wijn', ...], vinyl: [...] }
+ */
+function getSystemTags() {
+  return Object.fromEntries(getCollectors().map(collector => [collector.name, collector.tags]));
+}
 
 /**
  * Check if tags array contains an enrichable tag for a specific category
  * @param {Array<string>} tags - Array of tags to check
- * @param {string} category - Category to check ('wine' or 'vinyl')
+ * @param {string} category - Registered collector name (e.g. 'wine')
  * @returns {boolean} True if tags contain enrichable tag for category
  */
 function hasEnrichableTag(tags, category) {
@@ -24,28 +26,24 @@ function hasEnrichableTag(tags, category) {
     return false;
   }
   
-  const categoryTags = SYSTEM_TAGS[category];
-  if (!categoryTags) {
+  const collector = getCollector(category);
+  if (!collector) {
     return false;
   }
   
   return tags.some(tag => 
-    categoryTags.includes(tag.toLowerCase())
+    collector.tags.includes(tag.toLowerCase())
   );
 }
 
 /**
  * Determine which enrichment type is needed based on tags
  * @param {Array<string>} tags - Array of tags
- * @returns {string|null} Enrichment type ('wine', 'vinyl', 'book', 'pokemon', 'art') or null
+ * @returns {string|null} Registered collector name (e.g. 'wine', 'vinyl') or null
  */
 function getEnrichmentType(tags) {
-  if (hasEnrichableTag(tags, 'wine')) return 'wine';
-  if (hasEnrichableTag(tags, 'vinyl')) return 'vinyl';
-  if (hasEnrichableTag(tags, 'book')) return 'book';
-  if (hasEnrichableTag(tags, 'pokemon')) return 'pokemon';
-  if (hasEnrichableTag(tags, 'art')) return 'art';
-  return null;
+  const collector = findCollectorByTags(tags);
+  return collector ? collector.name : null;
 }
 
 /**
@@ -53,7 +51,7 @@ function getEnrichmentType(tags) {
  * @returns {Array<string>} All system tags
  */
 function getAllSystemTags() {
-  return Object.values(SYSTEM_TAGS).flat();
+  return getCollectors().flatMap(collector => collector.tags);
 }
 
 /**
@@ -81,7 +79,7 @@ function mergeTagsWithSystem(userTags = []) {
 }
 
 module.exports = {
-  SYSTEM_TAGS,
+  getSystemTags,
   hasEnrichableTag,
   getEnrichmentType,
   getAllSystemTags,